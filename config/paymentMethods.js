@@ -0,0 +1,46 @@
+// backend/config/paymentMethods.js
+// Medios de pago aceptados y recargos opcionales por medio.
+//
+// Recargos por env (porcentaje sobre el monto cobrado con ese medio):
+//   PAYMENT_SURCHARGE_DEBIT=0
+//   PAYMENT_SURCHARGE_CREDIT_CARD=10
+//   PAYMENT_SURCHARGE_CREDIT_CARD_INSTALLMENTS=1:10,3:15,6:25   (cuotas:porcentaje, pisa al anterior)
+//   PAYMENT_SURCHARGE_MERCADOPAGO_QR=6
+
+const PAYMENT_METHODS = {
+  cash: { label: 'Efectivo', gives_change: true, installments: false },
+  debit: { label: 'Tarjeta de débito', gives_change: false, installments: false },
+  credit_card: { label: 'Tarjeta de crédito', gives_change: false, installments: true },
+  transfer: { label: 'Transferencia bancaria', gives_change: false, installments: false },
+  mercadopago_qr: { label: 'MercadoPago QR', gives_change: false, installments: false },
+};
+
+const envKey = (method) => `PAYMENT_SURCHARGE_${method.toUpperCase()}`;
+
+const parseInstallmentsTable = (raw) => {
+  const table = {};
+  String(raw || '').split(',').forEach(pair => {
+    const [n, pct] = pair.split(':').map(x => Number(String(x).trim()));
+    if (Number.isInteger(n) && n > 0 && Number.isFinite(pct)) table[n] = pct;
+  });
+  return table;
+};
+
+const isValidMethod = (method) => Object.prototype.hasOwnProperty.call(PAYMENT_METHODS, method);
+
+/**
+ * surchargePercent(method, installments)
+ * Porcentaje de recargo para el medio (y cuotas si aplica). 0 si no hay configuración.
+ */
+const surchargePercent = (method, installments = 1) => {
+  if (!isValidMethod(method)) return 0;
+  if (PAYMENT_METHODS[method].installments) {
+    const table = parseInstallmentsTable(process.env[`${envKey(method)}_INSTALLMENTS`]);
+    const n = Number(installments) || 1;
+    if (table[n] != null) return table[n];
+  }
+  const pct = Number(process.env[envKey(method)] || 0);
+  return Number.isFinite(pct) && pct > 0 ? pct : 0;
+};
+
+module.exports = { PAYMENT_METHODS, isValidMethod, surchargePercent };
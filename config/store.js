@@ -0,0 +1,13 @@
+// backend/config/store.js
+// Datos del comercio para el encabezado de tickets y comprobantes.
+
+const STORE = {
+  name: process.env.STORE_NAME || 'Tu Amigo Fiel',
+  legal_name: process.env.STORE_LEGAL_NAME || null,
+  cuit: process.env.STORE_CUIT || null,
+  address: process.env.STORE_ADDRESS || null,
+  phone: process.env.STORE_PHONE || null,
+  footer: process.env.RECEIPT_FOOTER || '¡Gracias por su compra!',
+};
+
+module.exports = { STORE };
@@ -0,0 +1,131 @@
+// backend/config/tax.js
+// IVA, condición frente al IVA y tipos de comprobante (AFIP).
+//
+// Por env:
+//   DEFAULT_IVA_RATE=21                         (alícuota para productos/servicios sin `iva`)
+//   STORE_TAX_CONDITION=responsable_inscripto   (o monotributo: sólo emite Factura C)
+//   AFIP_POINT_OF_SALE=1
+
+// los precios de venta son finales (IVA incluido); la base se despeja al facturar
+const IVA_RATES = {
+  '21': { label: 'IVA 21%', rate: 0.21, afip_id: 5 },
+  '10.5': { label: 'IVA 10,5%', rate: 0.105, afip_id: 4 },
+  exento: { label: 'Exento', rate: 0, afip_id: null },
+};
+
+const TAX_CONDITIONS = {
+  responsable_inscripto: { label: 'IVA Responsable Inscripto' },
+  monotributo: { label: 'Responsable Monotributo' },
+  consumidor_final: { label: 'Consumidor Final' },
+  exento: { label: 'IVA Sujeto Exento' },
+};
+
+// cbte_tipo: código de comprobante en WSFE
+const INVOICE_TYPES = {
+  A: { label: 'Factura A', cbte_tipo: 1, discriminates_iva: true },
+  B: { label: 'Factura B', cbte_tipo: 6, discriminates_iva: false },
+  C: { label: 'Factura C', cbte_tipo: 11, discriminates_iva: false },
+};
+
+const DEFAULT_IVA_RATE = process.env.DEFAULT_IVA_RATE || '21';
+const STORE_TAX_CONDITION = process.env.STORE_TAX_CONDITION || 'responsable_inscripto';
+const DEFAULT_POINT_OF_SALE = Number(process.env.AFIP_POINT_OF_SALE || 1);
+
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+
+/**
+ * parseIvaRate(value)
+ * Acepta 21, '21', 10.5, '10,5', 'exento' (0 se toma como exento). null/'' -> null.
+ * Lanza error si no es una alícuota conocida.
+ */
+const parseIvaRate = (value) => {
+  if (value == null || value === '') return null;
+  const raw = String(value).trim().toLowerCase().replace(',', '.');
+  if (raw === 'exento' || raw === '0') return 'exento';
+  const n = Number(raw);
+  if (n === 21) return '21';
+  if (n === 10.5) return '10.5';
+  throw new Error(`Alícuota de IVA inválida (${value})`);
+};
+
+const isValidTaxCondition = (condition) => Object.prototype.hasOwnProperty.call(TAX_CONDITIONS, condition);
+
+/**
+ * isValidCuit(cuit)
+ * 11 dígitos con dígito verificador (módulo 11). Acepta guiones.
+ */
+const isValidCuit = (cuit) => {
+  const digits = String(cuit || '').replace(/\D/g, '');
+  if (digits.length !== 11) return false;
+  const weights = [5, 4, 3, 2, 7, 6, 5, 4, 3, 2];
+  const sum = weights.reduce((acc, w, i) => acc + w * Number(digits[i]), 0);
+  let check = 11 - (sum % 11);
+  if (check === 11) check = 0;
+  if (check === 10) check = 9;
+  return check === Number(digits[10]);
+};
+
+/**
+ * selectInvoiceType(customerCondition, storeCondition)
+ * - monotributista: siempre C
+ * - responsable inscripto: A a inscriptos y monotributistas, B al resto
+ */
+const selectInvoiceType = (customerCondition = 'consumidor_final', storeCondition = STORE_TAX_CONDITION) => {
+  if (storeCondition !== 'responsable_inscripto') return 'C';
+  if (customerCondition === 'responsable_inscripto' || customerCondition === 'monotributo') return 'A';
+  return 'B';
+};
+
+/**
+ * computeTaxBreakdown(lines, total)
+ * lines: [{ iva_rate, line_total }] con line_total final (IVA incluido).
+ * Si `total` difiere de la suma de líneas (descuentos por venta, recargos) se prorratea.
+ * Devuelve { net_amount, iva_total, exempt_amount, breakdown: [{ rate, base, amount }] }.
+ */
+const computeTaxBreakdown = (lines = [], total = null) => {
+  const linesTotal = lines.reduce((acc, l) => acc + Number(l.line_total || 0), 0);
+  const factor = (total != null && linesTotal > 0) ? Number(total) / linesTotal : 1;
+
+  const gross = {};
+  for (const l of lines) {
+    const rate = l.iva_rate || DEFAULT_IVA_RATE;
+    gross[rate] = (gross[rate] || 0) + Number(l.line_total || 0) * factor;
+  }
+
+  // el redondeo por alícuota no debe correr el total: la diferencia va al grupo más grande
+  const rates = Object.keys(gross);
+  rates.forEach(r => { gross[r] = round2(gross[r]); });
+  const expected = round2(total != null ? Number(total) : linesTotal);
+  const diff = round2(expected - rates.reduce((acc, r) => acc + gross[r], 0));
+  if (diff !== 0 && rates.length > 0) {
+    const largest = rates.reduce((a, b) => (gross[b] > gross[a] ? b : a));
+    gross[largest] = round2(gross[largest] + diff);
+  }
+
+  const breakdown = [];
+  let exempt = 0;
+  for (const [rate, amount] of Object.entries(gross)) {
+    const cfg = IVA_RATES[rate] || IVA_RATES[DEFAULT_IVA_RATE];
+    if (cfg.rate === 0) { exempt += amount; continue; }
+    const base = round2(amount / (1 + cfg.rate));
+    breakdown.push({ rate, base, amount: round2(amount - base) });
+  }
+
+  const net = round2(breakdown.reduce((acc, b) => acc + b.base, 0));
+  const iva = round2(breakdown.reduce((acc, b) => acc + b.amount, 0));
+  return { net_amount: net, iva_total: iva, exempt_amount: round2(exempt), breakdown };
+};
+
+module.exports = {
+  IVA_RATES,
+  TAX_CONDITIONS,
+  INVOICE_TYPES,
+  DEFAULT_IVA_RATE,
+  STORE_TAX_CONDITION,
+  DEFAULT_POINT_OF_SALE,
+  parseIvaRate,
+  isValidTaxCondition,
+  isValidCuit,
+  selectInvoiceType,
+  computeTaxBreakdown
+};
@@ -0,0 +1,19 @@
+// backend/config/uploads.js
+// Archivos subidos (imágenes de productos): dónde se guardan, cómo se sirven y qué se acepta.
+const path = require('path');
+
+const UPLOADS = {
+  // adaptador de almacenamiento (ver services/imageStorageService)
+  storage: process.env.IMAGE_STORAGE || 'local',
+  // disco local: carpeta y ruta estática desde la que se sirven
+  dir: process.env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads'),
+  public_path: '/uploads',
+  // prefijo de las URLs guardadas en el producto (el frontend corre en otro dominio)
+  public_base_url: (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, ''),
+  max_bytes: parseInt(process.env.IMAGE_MAX_BYTES || String(5 * 1024 * 1024), 10),
+  image_types: ['image/jpeg', 'image/png', 'image/webp'],
+  image_max_px: parseInt(process.env.IMAGE_MAX_PX || '1200', 10),
+  thumb_px: parseInt(process.env.IMAGE_THUMB_PX || '300', 10),
+};
+
+module.exports = { UPLOADS };
@@ -0,0 +1,110 @@
+// src/controllers/cashRegisterController.js
+const cashRegisterService = require('../services/cashRegisterService');
+
+const currentUser = (req) => req.user?.user || req.user?.uid || null;
+
+const handleError = (res, err, fallback) => {
+  const msg = err?.message || fallback;
+  if (/no encontrada/i.test(msg)) return res.status(404).json({ message: msg });
+  if (/ya hay una caja abierta|cerrada|requerido|inválid/i.test(msg)) return res.status(400).json({ message: msg });
+  return res.status(500).json({ message: fallback });
+};
+
+/**
+ * Abrir caja
+ * POST /api/cash-register/open
+ * Body: { register?, openingFloat }
+ */
+const abrir = async (req, res) => {
+  try {
+    const { register, openingFloat } = req.body || {};
+    const session = await cashRegisterService.openSession({ register, openingFloat, user: currentUser(req) });
+    res.status(201).json(session);
+  } catch (err) {
+    console.error('[cashRegisterController.abrir]', err);
+    handleError(res, err, 'Error al abrir caja');
+  }
+};
+
+/**
+ * Caja abierta actual (con esperado al momento)
+ * GET /api/cash-register/current?register=
+ */
+const actual = async (req, res) => {
+  try {
+    const open = await cashRegisterService.getOpenSession(req.query.register || undefined, { required: false });
+    if (!open) return res.status(404).json({ message: 'No hay caja abierta' });
+    const session = await cashRegisterService.getSessionById(open.id);
+    res.json(session);
+  } catch (err) {
+    console.error('[cashRegisterController.actual]', err);
+    handleError(res, err, 'Error al obtener caja');
+  }
+};
+
+/**
+ * Ingreso/egreso de efectivo
+ * POST /api/cash-register/sessions/:id/movements
+ * Body: { type: 'in'|'out', amount, reason }
+ */
+const movimiento = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { type, amount, reason } = req.body || {};
+    const session = await cashRegisterService.addMovement(id, { type, amount, reason, user: currentUser(req) });
+    res.status(201).json(session);
+  } catch (err) {
+    console.error('[cashRegisterController.movimiento]', err);
+    handleError(res, err, 'Error al registrar movimiento');
+  }
+};
+
+/**
+ * Cerrar caja
+ * POST /api/cash-register/sessions/:id/close
+ * Body: { counted: { cash, debit?, credit_card?, transfer?, mercadopago_qr? }, note? }
+ */
+const cerrar = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { counted, note } = req.body || {};
+    const session = await cashRegisterService.closeSession(id, { counted, note, user: currentUser(req) });
+    res.json(session);
+  } catch (err) {
+    console.error('[cashRegisterController.cerrar]', err);
+    handleError(res, err, 'Error al cerrar caja');
+  }
+};
+
+/**
+ * Listar sesiones
+ * GET /api/cash-register/sessions?register=&from=&to=&limit=&offset=
+ */
+const listar = async (req, res) => {
+  try {
+    const { register, from, to, limit, offset } = req.query;
+    const rows = await cashRegisterService.listSessions({ register, from, to, limit: limit || 50, offset: offset || 0 });
+    res.json(rows);
+  } catch (err) {
+    console.error('[cashRegisterController.listar]', err);
+    res.status(500).json({ message: 'Error al listar cajas' });
+  }
+};
+
+/**
+ * Detalle / resumen de cierre
+ * GET /api/cash-register/sessions/:id
+ */
+const detalle = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const session = await cashRegisterService.getSessionById(id);
+    if (!session) return res.status(404).json({ message: 'Caja no encontrada' });
+    res.json(session);
+  } catch (err) {
+    console.error('[cashRegisterController.detalle]', err);
+    res.status(500).json({ message: 'Error al obtener caja' });
+  }
+};
+
+module.exports = { abrir, actual, movimiento, cerrar, listar, detalle };
@@ -0,0 +1,79 @@
+// src/controllers/costingController.js
+const costingService = require('../services/costingService');
+const productoService = require('../services/productosService');
+
+/**
+ * Margen y precio sugerido por producto
+ * GET /api/costing/margins?categoria=&marca=&belowTarget=true
+ */
+const margenes = async (req, res) => {
+  try {
+    const { categoria, marca, belowTarget } = req.query;
+    const productos = await productoService.listarProductos({ categoria, marca });
+    const rows = await costingService.getMargins(productos, { belowTarget: belowTarget === 'true' });
+    res.json(rows);
+  } catch (err) {
+    console.error('[costingController.margenes]', err);
+    res.status(500).json({ message: 'Error al calcular márgenes' });
+  }
+};
+
+/**
+ * Costo actual, margen e historial de un producto
+ * GET /api/costing/products/:id?from=&to=&limit=&offset=
+ */
+const historial = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from, to, limit, offset } = req.query;
+
+    const producto = await productoService.obtenerProductoPorId(id);
+    if (!producto) return res.status(404).json({ message: 'Producto no encontrado' });
+
+    const history = await costingService.getCostHistory(id, {
+      from, to,
+      limit: Math.min(Number(limit) || 100, 500),
+      offset: Number(offset) || 0
+    });
+    const markups = await costingService.targetMarkups();
+    res.json({
+      ...costingService.productMargin(producto, markups),
+      history: history || []
+    });
+  } catch (err) {
+    console.error('[costingController.historial]', err);
+    res.status(500).json({ message: 'Error al obtener historial de costos' });
+  }
+};
+
+/**
+ * GET /api/costing/markups
+ */
+const markups = async (req, res) => {
+  try {
+    res.json(await costingService.listCategoryMarkups());
+  } catch (err) {
+    console.error('[costingController.markups]', err);
+    res.status(500).json({ message: 'Error al obtener markups' });
+  }
+};
+
+/**
+ * Fijar markup objetivo de una categoría (null lo borra)
+ * PUT /api/costing/markups/:categoria  Body: { markup_percent }
+ */
+const fijarMarkup = async (req, res) => {
+  try {
+    const { categoria } = req.params;
+    const { markup_percent } = req.body || {};
+    const user = req.user?.user || req.user?.uid || null;
+    const row = await costingService.setCategoryMarkup(categoria, markup_percent, { user });
+    res.json(row);
+  } catch (err) {
+    console.error('[costingController.fijarMarkup]', err);
+    if (/inválid|requerid/i.test(err?.message || '')) return res.status(400).json({ message: err.message });
+    res.status(500).json({ message: 'Error al guardar markup' });
+  }
+};
+
+module.exports = { margenes, historial, markups, fijarMarkup };
@@ -1,10 +1,12 @@
 // src/controllers/customersController.js
 const customersService = require('../services/customersService');
 
+const currentUser = (req) => req.user?.user || req.user?.uid || null;
+
 const listar = async (req, res) => {
   try {
-    const { q, limit, offset } = req.query;
-    const rows = await customersService.listCustomers({ q, limit: limit || 200, offset: offset || 0 });
+    const { q, includeArchived, limit, offset } = req.query;
+    const rows = await customersService.listCustomers({ q, includeArchived: includeArchived === 'true', limit: limit || 200, offset: offset || 0 });
     res.json(rows);
   } catch (err) {
     console.error('[customersController.listar]', err);
@@ -34,6 +36,7 @@ const crear = async (req, res) => {
     res.status(201).json(created);
   } catch (err) {
     console.error('[customersController.crear]', err);
+    if (/CUIT|IVA/i.test(err?.message || '')) return res.status(400).json({ message: err.message });
     res.status(500).json({ message: 'Error al crear cliente' });
   }
 };
@@ -47,6 +50,7 @@ const actualizar = async (req, res) => {
     res.json(updated);
   } catch (err) {
     console.error('[customersController.actualizar]', err);
+    if (/CUIT|IVA/i.test(err?.message || '')) return res.status(400).json({ message: err.message });
     res.status(500).json({ message: 'Error al actualizar cliente' });
   }
 };
@@ -56,12 +60,24 @@ const eliminar = async (req, res) => {
     const { id } = req.params;
     const exists = await customersService.getCustomerById(id);
     if (!exists) return res.status(404).json({ message: 'Cliente no encontrado' });
-    await customersService.deleteCustomer(id);
-    res.json({ message: 'Cliente eliminado' });
+    // baja lógica: conserva ventas, pagos y saldo
+    await customersService.deleteCustomer(id, { user: currentUser(req) });
+    res.json({ message: 'Cliente archivado' });
   } catch (err) {
     console.error('[customersController.eliminar]', err);
     res.status(500).json({ message: 'Error al eliminar cliente' });
   }
 };
 
-module.exports = { listar, detalle, crear, actualizar, eliminar };
\ No newline at end of file
+const restaurar = async (req, res) => {
+  try {
+    const c = await customersService.restoreCustomer(req.params.id);
+    if (!c) return res.status(404).json({ message: 'Cliente no encontrado' });
+    res.json(c);
+  } catch (err) {
+    console.error('[customersController.restaurar]', err);
+    res.status(500).json({ message: 'Error al restaurar cliente' });
+  }
+};
+
+module.exports = { listar, detalle, crear, actualizar, eliminar, restaurar };
\ No newline at end of file
@@ -0,0 +1,56 @@
+// src/controllers/invoicesController.js
+const invoicesService = require('../services/invoicesService');
+
+/**
+ * Emitir factura de una venta
+ * POST /api/invoices
+ * Body: { saleId, type?: 'A'|'B'|'C', pointOfSale? }
+ */
+const crear = async (req, res) => {
+  try {
+    const { saleId, type, pointOfSale } = req.body || {};
+    if (!saleId) return res.status(400).json({ message: 'saleId es requerido' });
+
+    const user = req.user?.user || req.user?.uid || null;
+    const result = await invoicesService.issueInvoice(saleId, { type, pointOfSale, user });
+    return res.status(201).json(result);
+  } catch (err) {
+    console.error('[invoicesController.crear]', err);
+    const msg = err?.message || 'Error al emitir factura';
+    if (/Venta no encontrada/i.test(msg)) return res.status(404).json({ message: msg });
+    if (/ya fue facturada|factura en curso/i.test(msg)) return res.status(409).json({ message: msg });
+    if (/rechazado por AFIP/i.test(msg)) return res.status(422).json({ message: msg });
+    if (/inválid|requerido|anulada|devoluciones/i.test(msg)) return res.status(400).json({ message: msg });
+    if (/Proveedor AFIP/i.test(msg)) return res.status(503).json({ message: msg });
+    return res.status(500).json({ message: msg });
+  }
+};
+
+/**
+ * Listar facturas
+ * GET /api/invoices?saleId=&type=&status=&from=&to=&limit=&offset=
+ */
+const listar = async (req, res) => {
+  try {
+    const { saleId, type, status, from, to, limit, offset } = req.query;
+    const rows = await invoicesService.listInvoices({ saleId, type, status, from, to, limit: limit || 100, offset: offset || 0 });
+    res.json(rows);
+  } catch (err) {
+    console.error('[invoicesController.listar]', err);
+    res.status(500).json({ message: 'Error al listar facturas' });
+  }
+};
+
+const detalle = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const row = await invoicesService.getInvoiceById(id);
+    if (!row) return res.status(404).json({ message: 'Factura no encontrada' });
+    res.json(row);
+  } catch (err) {
+    console.error('[invoicesController.detalle]', err);
+    res.status(500).json({ message: 'Error al obtener factura' });
+  }
+};
+
+module.exports = { crear, listar, detalle };
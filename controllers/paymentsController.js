@@ -3,16 +3,16 @@ const paymentsService = require('../services/paymentsService');
 
 const crear = async (req, res) => {
   try {
-    const { saleId, customerId, amount, note } = req.body || {};
+    const { saleId, customerId, amount, method, installments, reference, note, register } = req.body || {};
     if (!saleId || amount == null) return res.status(400).json({ message: 'saleId y amount son requeridos' });
 
-    const result = await paymentsService.createPayment({ saleId, customerId, amount, note });
+    const result = await paymentsService.createPayment({ saleId, customerId, amount, method, installments, reference, note, register });
     return res.status(201).json(result);
   } catch (err) {
     console.error('[paymentsController.crear]', err);
     const msg = err?.message || 'Error al crear pago';
     // errores de validación conocidos devolver 400
-    if (/no encontrada|no es a crédito|inválid/i.test(msg)) {
+    if (/no encontrada|no es a crédito|anulada|inválid|No hay caja abierta/i.test(msg)) {
       return res.status(400).json({ message: msg });
     }
     return res.status(500).json({ message: msg });
@@ -21,8 +21,8 @@ const crear = async (req, res) => {
 
 const listar = async (req, res) => {
   try {
-    const { saleId, customerId, limit, offset } = req.query;
-    const rows = await paymentsService.listPayments({ saleId, customerId, limit: limit || 200, offset: offset || 0 });
+    const { saleId, customerId, method, limit, offset } = req.query;
+    const rows = await paymentsService.listPayments({ saleId, customerId, method, limit: limit || 200, offset: offset || 0 });
     res.json(rows);
   } catch (err) {
     console.error('[paymentsController.listar]', err);
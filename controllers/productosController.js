@@ -1,10 +1,26 @@
 // src/controllers/productosController.js
 const productoService = require('../services/productosService');
+const stockMovementsService = require('../services/stockMovementsService');
+const lotsService = require('../services/lotsService');
+const productCsvService = require('../services/productCsvService');
+const priceHistoryService = require('../services/priceHistoryService');
+const productImagesService = require('../services/productImagesService');
+const { parseIvaRate } = require('../config/tax');
+
+const isValidIva = (v) => {
+  try { parseIvaRate(v); return true; } catch (e) { return false; }
+};
+
+const reorderLevelsError = (levels) => {
+  try { productoService.parseReorderLevels(levels); return null; } catch (e) { return e.message; }
+};
+
+const currentUser = (req) => req.user?.user || req.user?.uid || null;
 
 const listar = async (req, res) => {
   try {
-    const { categoria, marca } = req.query;
-    const productos = await productoService.listarProductos({ categoria, marca });
+    const { categoria, marca, includeArchived } = req.query;
+    const productos = await productoService.listarProductos({ categoria, marca, includeArchived: includeArchived === 'true' });
     res.json(productos);
   } catch (err) {
     console.error('[productosController.listar]', err);
@@ -24,15 +40,22 @@ const crear = async (req, res) => {
     if (payload.precio != null && isNaN(Number(payload.precio))) {
       return res.status(400).json({ message: 'Precio inválido' });
     }
-    if (payload.stock != null && (!Number.isInteger(Number(payload.stock)) || Number(payload.stock) < 0)) {
+    if (payload.stock != null && (!productoService.isValidQty(payload.unit, payload.stock) || Number(payload.stock) < 0)) {
       return res.status(400).json({ message: 'Stock inválido' });
     }
     if (payload.cost != null && isNaN(Number(payload.cost))) {
       return res.status(400).json({ message: 'Costo inválido' });
     }
+    if (!isValidIva(payload.iva)) {
+      return res.status(400).json({ message: 'Alícuota de IVA inválida (21, 10.5 o exento)' });
+    }
+    const reorderError = reorderLevelsError(payload);
+    if (reorderError) return res.status(400).json({ message: reorderError });
 
     const toSave = {
       nombre: payload.nombre,
+      sku: payload.sku || null,
+      barcodes: payload.barcodes || [],
       marca: payload.marca || null,
       descripcion: payload.descripcion || null,
       precio: payload.precio == null ? null : Number(payload.precio),
@@ -40,13 +63,25 @@ const crear = async (req, res) => {
       imagen: payload.imagen || null,
       vencimiento: payload.vencimiento || null,
       stock: payload.stock == null ? null : Number(payload.stock),
+      unit: payload.unit || null,
       cost: payload.cost == null ? 0 : Number(payload.cost),
+      iva: payload.iva ?? null,
+      min_stock: payload.min_stock ?? null,
+      reorder_point: payload.reorder_point ?? null,
+      reorder_qty: payload.reorder_qty ?? null,
+      parentId: payload.parentId || null,
+      variant: payload.variant || null,
+      loose_id: payload.loose_id || null,
+      content_qty: payload.content_qty ?? null,
     };
 
-    const nuevo = await productoService.crearProducto(toSave);
+    const nuevo = await productoService.crearProducto(toSave, { user: currentUser(req) });
     res.status(201).json(nuevo);
   } catch (err) {
     console.error('[productosController.crear]', err);
+    const msg = err?.message || '';
+    if (/ya asignado/i.test(msg)) return res.status(409).json({ message: msg });
+    if (/inválid|(padre|suelto) no encontrado/i.test(msg)) return res.status(400).json({ message: msg });
     res.status(500).json({ message: 'Error al crear producto' });
   }
 };
@@ -66,7 +101,8 @@ const actualizar = async (req, res) => {
       }
     }
     if (payload.hasOwnProperty('stock')) {
-      if (payload.stock != null && (!Number.isInteger(Number(payload.stock)) || Number(payload.stock) < 0)) {
+      const unit = payload.hasOwnProperty('unit') ? payload.unit : existing.unit;
+      if (payload.stock != null && (!productoService.isValidQty(unit, payload.stock) || Number(payload.stock) < 0)) {
         return res.status(400).json({ message: 'Stock inválido' });
       }
     }
@@ -75,10 +111,21 @@ const actualizar = async (req, res) => {
         return res.status(400).json({ message: 'Costo inválido' });
       }
     }
+    if (payload.hasOwnProperty('iva') && !isValidIva(payload.iva)) {
+      return res.status(400).json({ message: 'Alícuota de IVA inválida (21, 10.5 o exento)' });
+    }
+    const reorderError = reorderLevelsError({
+      min_stock: payload.hasOwnProperty('min_stock') ? payload.min_stock : existing.min_stock,
+      reorder_point: payload.hasOwnProperty('reorder_point') ? payload.reorder_point : existing.reorder_point,
+      reorder_qty: payload.hasOwnProperty('reorder_qty') ? payload.reorder_qty : existing.reorder_qty
+    });
+    if (reorderError) return res.status(400).json({ message: reorderError });
 
     // Construir objeto toSave sólo con campos presentes en la request
     const toSave = {};
     if (payload.hasOwnProperty('nombre')) toSave.nombre = payload.nombre;
+    if (payload.hasOwnProperty('sku')) toSave.sku = payload.sku;
+    if (payload.hasOwnProperty('barcodes')) toSave.barcodes = payload.barcodes;
     if (payload.hasOwnProperty('marca')) toSave.marca = payload.marca;
     if (payload.hasOwnProperty('descripcion')) toSave.descripcion = payload.descripcion;
     if (payload.hasOwnProperty('precio')) toSave.precio = payload.precio == null ? null : Number(payload.precio);
@@ -89,17 +136,48 @@ const actualizar = async (req, res) => {
       toSave.vencimiento = payload.vencimiento === '' ? null : payload.vencimiento;
     }
     if (payload.hasOwnProperty('stock')) toSave.stock = payload.stock == null ? null : Number(payload.stock);
+    if (payload.hasOwnProperty('unit')) toSave.unit = payload.unit;
+    if (payload.hasOwnProperty('parentId')) toSave.parentId = payload.parentId;
+    if (payload.hasOwnProperty('variant')) toSave.variant = payload.variant;
+    if (payload.hasOwnProperty('loose_id')) toSave.loose_id = payload.loose_id;
+    if (payload.hasOwnProperty('content_qty')) toSave.content_qty = payload.content_qty;
     if (payload.hasOwnProperty('cost')) toSave.cost = payload.cost == null ? 0 : Number(payload.cost);
+    if (payload.hasOwnProperty('iva')) toSave.iva = payload.iva;
+    if (payload.hasOwnProperty('min_stock')) toSave.min_stock = payload.min_stock;
+    if (payload.hasOwnProperty('reorder_point')) toSave.reorder_point = payload.reorder_point;
+    if (payload.hasOwnProperty('reorder_qty')) toSave.reorder_qty = payload.reorder_qty;
 
     // Llamar al service (que ya respeta actualizar parcial)
-    const actualizado = await productoService.actualizarProducto(id, toSave);
+    // el cambio de stock queda en el kardex como ajuste (motivo opcional: stock_reason)
+    const actualizado = await productoService.actualizarProducto(id, toSave, {
+      user: currentUser(req),
+      reason: payload.stock_reason || null
+    });
     res.json(actualizado);
   } catch (err) {
     console.error('[productosController.actualizar]', err);
+    const msg = err?.message || '';
+    if (/ya asignado/i.test(msg)) return res.status(409).json({ message: msg });
+    if (/inválid|(padre|suelto) no encontrado/i.test(msg)) return res.status(400).json({ message: msg });
     res.status(500).json({ message: 'Error al actualizar producto' });
   }
 };
 
+/**
+ * GET /api/products/barcode/:code
+ * Búsqueda del escáner por código de barras (EAN/UPC) o SKU.
+ */
+const porCodigo = async (req, res) => {
+  try {
+    const producto = await productoService.obtenerProductoPorCodigo(req.params.code);
+    if (!producto) return res.status(404).json({ message: 'Producto no encontrado' });
+    res.json(producto);
+  } catch (err) {
+    console.error('[productosController.porCodigo]', err);
+    res.status(500).json({ message: 'Error al buscar producto por código' });
+  }
+};
+
 const eliminar = async (req, res) => {
   try {
     const { id } = req.params;
@@ -109,12 +187,343 @@ const eliminar = async (req, res) => {
       return res.status(404).json({ message: 'Producto no encontrado' });
     }
 
-    await productoService.eliminarProducto(id);
-    res.status(200).json({ message: 'Producto eliminado correctamente' });
+    // baja lógica: las ventas históricas lo siguen mostrando
+    await productoService.eliminarProducto(id, { user: currentUser(req) });
+    res.status(200).json({ message: 'Producto archivado correctamente' });
   } catch (err) {
     console.error('[productosController.eliminar]', err);
+    if (/tiene variantes/i.test(err?.message || '')) return res.status(409).json({ message: err.message });
     res.status(500).json({ message: 'Error al eliminar producto' });
   }
 };
 
-module.exports = { listar, crear, actualizar, eliminar };
\ No newline at end of file
+/**
+ * Restaurar un producto archivado
+ * POST /api/products/:id/restore
+ */
+const restaurar = async (req, res) => {
+  try {
+    const producto = await productoService.restaurarProducto(req.params.id);
+    if (!producto) return res.status(404).json({ message: 'Producto no encontrado' });
+    res.json(producto);
+  } catch (err) {
+    console.error('[productosController.restaurar]', err);
+    if (/padre está archivado/i.test(err?.message || '')) return res.status(409).json({ message: err.message });
+    res.status(500).json({ message: 'Error al restaurar producto' });
+  }
+};
+
+/**
+ * GET /api/products/:id/movements?from&to&type&limit&offset
+ * Kardex del producto (más recientes primero).
+ */
+const movimientos = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from, to, type, limit, offset } = req.query;
+
+    if (type && !stockMovementsService.MOVEMENT_TYPES.includes(type)) {
+      return res.status(400).json({ message: `Tipo de movimiento inválido (${type})` });
+    }
+
+    const rows = await stockMovementsService.listMovements(id, {
+      from, to, type,
+      limit: Math.min(Number(limit) || 100, 500),
+      offset: Number(offset) || 0
+    });
+    if (!rows) return res.status(404).json({ message: 'Producto no encontrado' });
+    res.json(rows);
+  } catch (err) {
+    console.error('[productosController.movimientos]', err);
+    res.status(500).json({ message: 'Error al obtener movimientos de stock' });
+  }
+};
+
+/**
+ * GET /api/products/:id/price-history?from&to&limit&offset
+ * Cambios de precio de venta (alta, edición, remarcaciones), más recientes primero.
+ */
+const historialPrecios = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from, to, limit, offset } = req.query;
+    const rows = await priceHistoryService.getPriceHistory(id, {
+      from, to,
+      limit: Math.min(Number(limit) || 100, 500),
+      offset: Number(offset) || 0
+    });
+    if (!rows) return res.status(404).json({ message: 'Producto no encontrado' });
+    res.json(rows);
+  } catch (err) {
+    console.error('[productosController.historialPrecios]', err);
+    res.status(500).json({ message: 'Error al obtener historial de precios' });
+  }
+};
+
+/**
+ * POST /api/products/:id/stock-adjustments
+ * Body: { qty } (delta con signo) o { stock } (conteo absoluto), reason requerido,
+ *       type?: 'adjustment' | 'expiry_writeoff' (sólo egresos), lotId? (egreso de un lote puntual; si no, FEFO)
+ */
+const ajustarStock = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { qty, stock, reason, type = 'adjustment', lotId = null } = req.body || {};
+
+    if (!reason || String(reason).trim() === '') {
+      return res.status(400).json({ message: 'Motivo del ajuste requerido' });
+    }
+    if (!['adjustment', 'expiry_writeoff'].includes(type)) {
+      return res.status(400).json({ message: `Tipo de ajuste inválido (${type})` });
+    }
+    if ((qty == null) === (stock == null)) {
+      return res.status(400).json({ message: 'Indicar qty (diferencia) o stock (conteo), no ambos' });
+    }
+    if (lotId && (qty == null || Number(qty) > 0)) {
+      return res.status(400).json({ message: 'lotId sólo aplica a egresos (qty negativo)' });
+    }
+
+    const producto = await productoService.obtenerProductoPorId(id);
+    if (!producto) return res.status(404).json({ message: 'Producto no encontrado' });
+
+    // enteros, o hasta gramos en productos por peso
+    if (qty != null && (!productoService.isValidQty(producto.unit, qty) || Number(qty) === 0)) {
+      return res.status(400).json({ message: 'Cantidad inválida' });
+    }
+    if (stock != null && (!productoService.isValidQty(producto.unit, stock) || Number(stock) < 0)) {
+      return res.status(400).json({ message: 'Stock inválido' });
+    }
+    if (qty != null) {
+      if (producto.stock == null) return res.status(400).json({ message: 'El producto no controla stock' });
+      if (producto.stock + Number(qty) < 0) return res.status(400).json({ message: 'Stock insuficiente para el ajuste' });
+    }
+    // una baja por vencimiento sólo puede descontar
+    if (type === 'expiry_writeoff') {
+      if (producto.stock == null) return res.status(400).json({ message: 'El producto no controla stock' });
+      if (qty != null ? Number(qty) >= 0 : Number(stock) >= producto.stock) {
+        return res.status(400).json({ message: 'Baja por vencimiento inválida: qty debe ser negativo o stock menor al actual' });
+      }
+    }
+
+    const opts = { productId: id, type, reason: String(reason).trim(), user: currentUser(req) };
+    const movement = qty != null
+      ? await stockMovementsService.applyStockChange({ ...opts, delta: Number(qty), lotId })
+      : await stockMovementsService.setStock({ ...opts, stock: Number(stock) });
+
+    res.status(201).json({
+      movement,
+      product: await productoService.obtenerProductoPorId(id)
+    });
+  } catch (err) {
+    console.error('[productosController.ajustarStock]', err);
+    const msg = err?.message || 'Error al ajustar stock';
+    if (/no encontrado/i.test(msg)) return res.status(404).json({ message: msg });
+    if (/inválid|insuficiente en el lote|Stock vencido/i.test(msg)) return res.status(400).json({ message: msg });
+    res.status(500).json({ message: 'Error al ajustar stock' });
+  }
+};
+
+/**
+ * GET /api/products/:id/lots?includeEmpty=true
+ * Lotes en orden FEFO y stock sin lote asignado.
+ */
+const lotes = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const producto = await productoService.obtenerProductoPorId(id);
+    if (!producto) return res.status(404).json({ message: 'Producto no encontrado' });
+
+    // el id normalizado es siempre el _id (también en productos migrados con oldId)
+    const lots = await lotsService.listLots(producto.id, { includeEmpty: req.query.includeEmpty === 'true' });
+    const assigned = lots.reduce((acc, l) => acc + l.qty, 0);
+    res.json({
+      product: { id: producto.id, nombre: producto.nombre, stock: producto.stock },
+      unassigned: producto.stock != null ? Math.max(0, producto.stock - assigned) : null,
+      lots
+    });
+  } catch (err) {
+    console.error('[productosController.lotes]', err);
+    res.status(500).json({ message: 'Error al obtener lotes' });
+  }
+};
+
+/**
+ * POST /api/products/:id/lots
+ * Body: { lot_number, qty, expiry?, cost?, reason?, existing? }
+ * - ingresa `qty` unidades nuevas al lote (movimiento en el kardex)
+ * - existing=true: asigna al lote unidades que ya estaban en stock sin lote
+ */
+const ingresarLote = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { lot_number, qty, expiry = null, cost = null, reason = null, existing = false } = req.body || {};
+
+    if (!lot_number || String(lot_number).trim() === '') {
+      return res.status(400).json({ message: 'Número de lote requerido' });
+    }
+    if (!(Number(qty) > 0)) {
+      return res.status(400).json({ message: 'Cantidad inválida' });
+    }
+    if (cost != null && isNaN(Number(cost))) {
+      return res.status(400).json({ message: 'Costo inválido' });
+    }
+
+    const producto = await productoService.obtenerProductoPorId(id);
+    if (!producto) return res.status(404).json({ message: 'Producto no encontrado' });
+    if (!productoService.isValidQty(producto.unit, qty)) return res.status(400).json({ message: 'Cantidad inválida' });
+
+    const lot = { lot_number: String(lot_number).trim(), qty: Number(qty), expiry, cost };
+    const user = currentUser(req);
+    let movement = null;
+
+    if (existing) {
+      await stockMovementsService.assignLot({ productId: id, lot });
+    } else {
+      // un producto sin control de stock empieza a controlarlo al recibir su primer lote
+      if (producto.stock == null) {
+        await stockMovementsService.setStock({ productId: id, stock: 0, type: 'initial', user });
+      }
+      movement = await stockMovementsService.applyStockChange({
+        productId: id,
+        delta: Number(qty),
+        lot,
+        type: 'adjustment',
+        reason: reason ? String(reason).trim() : `Ingreso de lote ${lot.lot_number}`,
+        user
+      });
+    }
+
+    res.status(201).json({
+      movement,
+      lots: await lotsService.listLots(producto.id),
+      product: await productoService.obtenerProductoPorId(id)
+    });
+  } catch (err) {
+    console.error('[productosController.ingresarLote]', err);
+    const msg = err?.message || 'Error al ingresar lote';
+    if (/no encontrado/i.test(msg)) return res.status(404).json({ message: msg });
+    if (/inválid|requerido|ya existe|insuficiente|no controla stock/i.test(msg)) return res.status(400).json({ message: msg });
+    res.status(500).json({ message: 'Error al ingresar lote' });
+  }
+};
+
+/**
+ * GET /api/products/:id/variants
+ * Producto padre y sus variantes (tamaño, sabor, presentación).
+ */
+const variantes = async (req, res) => {
+  try {
+    const data = await productoService.listarVariantes(req.params.id);
+    if (!data) return res.status(404).json({ message: 'Producto no encontrado' });
+    res.json(data);
+  } catch (err) {
+    console.error('[productosController.variantes]', err);
+    res.status(500).json({ message: 'Error al obtener variantes' });
+  }
+};
+
+/**
+ * POST /api/products/:id/variants
+ * Mismo body que el alta; marca, categoría, IVA, descripción e imagen se heredan del padre si no vienen.
+ */
+const crearVariante = async (req, res) => {
+  try {
+    const parent = await productoService.obtenerProductoPorId(req.params.id);
+    if (!parent) return res.status(404).json({ message: 'Producto no encontrado' });
+    if (parent.parentId) return res.status(400).json({ message: 'Producto padre inválido: es una variante' });
+
+    const payload = req.body || {};
+    req.body = {
+      marca: parent.marca,
+      categoria: parent.categoria,
+      iva: parent.iva,
+      descripcion: parent.descripcion,
+      imagen: parent.imagen,
+      ...payload,
+      parentId: parent.id
+    };
+    return crear(req, res);
+  } catch (err) {
+    console.error('[productosController.crearVariante]', err);
+    res.status(500).json({ message: 'Error al crear variante' });
+  }
+};
+
+/**
+ * POST /api/products/:id/open
+ * Body: { qty = 1, reason? }. Abre envases cerrados en su producto suelto.
+ */
+const abrirEnvase = async (req, res) => {
+  try {
+    const { qty = 1, reason = null } = req.body || {};
+    const result = await productoService.abrirEnvase(req.params.id, { qty, reason, user: currentUser(req) });
+    res.status(201).json(result);
+  } catch (err) {
+    console.error('[productosController.abrirEnvase]', err);
+    const msg = err?.message || 'Error al abrir envase';
+    if (/^Producto no encontrado/i.test(msg)) return res.status(404).json({ message: msg });
+    if (/inválid|insuficiente|Stock vencido|no tiene un producto suelto|no controla stock|suelto no encontrado/i.test(msg)) return res.status(400).json({ message: msg });
+    res.status(500).json({ message: 'Error al abrir envase' });
+  }
+};
+
+/**
+ * POST /api/products/import?dryRun=false
+ * Body: CSV crudo (Content-Type: text/csv) o JSON { csv, dryRun }.
+ * Por defecto es una vista previa (dryRun): sólo aplica con dryRun=false.
+ */
+const importar = async (req, res) => {
+  try {
+    const csv = typeof req.body === 'string' ? req.body : req.body?.csv;
+    const flag = req.query.dryRun ?? (typeof req.body === 'object' ? req.body?.dryRun : undefined);
+    const dryRun = !(flag === false || flag === 'false');
+
+    const result = await productCsvService.importProducts(csv, { dryRun, user: currentUser(req) });
+    res.status(dryRun ? 200 : 201).json(result);
+  } catch (err) {
+    console.error('[productosController.importar]', err);
+    const msg = err?.message || 'Error al importar productos';
+    if (/inválid|requerid/i.test(msg)) return res.status(400).json({ message: msg });
+    res.status(500).json({ message: 'Error al importar productos' });
+  }
+};
+
+/**
+ * GET /api/products/export?categoria=&marca=&sep=;
+ * Catálogo completo en CSV (mismos filtros que el listado).
+ */
+const exportar = async (req, res) => {
+  try {
+    const { categoria, marca, sep } = req.query;
+    const csv = await productCsvService.exportProducts({ categoria, marca, delimiter: sep || ',' });
+    const fecha = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="productos-${fecha}.csv"`);
+    res.send(csv);
+  } catch (err) {
+    console.error('[productosController.exportar]', err);
+    if (/inválid/i.test(err?.message || '')) return res.status(400).json({ message: err.message });
+    res.status(500).json({ message: 'Error al exportar productos' });
+  }
+};
+
+/**
+ * Subir imagen del producto (reemplaza la anterior)
+ * POST /api/products/:id/image  multipart/form-data, campo "image" (jpeg, png o webp)
+ */
+const subirImagen = async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ message: 'Imagen requerida (campo "image")' });
+    const producto = await productImagesService.saveProductImage(req.params.id, req.file, { user: currentUser(req) });
+    if (!producto) return res.status(404).json({ message: 'Producto no encontrado' });
+    res.json(producto);
+  } catch (err) {
+    console.error('[productosController.subirImagen]', err);
+    const msg = err?.message || '';
+    if (/supera el máximo/i.test(msg)) return res.status(413).json({ message: msg });
+    if (/inválid|requerid/i.test(msg)) return res.status(400).json({ message: msg });
+    res.status(500).json({ message: 'Error al guardar la imagen' });
+  }
+};
+
+module.exports = { listar, porCodigo, crear, actualizar, eliminar, restaurar, subirImagen, movimientos, historialPrecios, ajustarStock, lotes, ingresarLote, variantes, crearVariante, abrirEnvase, importar, exportar };
\ No newline at end of file
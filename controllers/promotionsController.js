@@ -0,0 +1,69 @@
+// src/controllers/promotionsController.js
+const promotionsService = require('../services/promotionsService');
+
+const isValidationError = (msg) => /requerido|inválid/i.test(msg || '');
+
+const listar = async (req, res) => {
+  try {
+    const onlyActive = req.query.active === 'true' || req.query.active === '1';
+    const rows = await promotionsService.listPromotions({ onlyActive });
+    res.json(rows);
+  } catch (err) {
+    console.error('[promotionsController.listar]', err);
+    res.status(500).json({ message: 'Error al listar promociones' });
+  }
+};
+
+const detalle = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const promo = await promotionsService.getPromotionById(id);
+    if (!promo) return res.status(404).json({ message: 'Promoción no encontrada' });
+    res.json(promo);
+  } catch (err) {
+    console.error('[promotionsController.detalle]', err);
+    res.status(500).json({ message: 'Error al obtener promoción' });
+  }
+};
+
+const crear = async (req, res) => {
+  try {
+    const payload = req.body || {};
+    if (!payload.nombre || String(payload.nombre).trim() === '') {
+      return res.status(400).json({ message: 'Nombre requerido' });
+    }
+    const created = await promotionsService.createPromotion(payload);
+    res.status(201).json(created);
+  } catch (err) {
+    console.error('[promotionsController.crear]', err);
+    if (isValidationError(err?.message)) return res.status(400).json({ message: err.message });
+    res.status(500).json({ message: 'Error al crear promoción' });
+  }
+};
+
+const actualizar = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updated = await promotionsService.updatePromotion(id, req.body || {});
+    if (!updated) return res.status(404).json({ message: 'Promoción no encontrada' });
+    res.json(updated);
+  } catch (err) {
+    console.error('[promotionsController.actualizar]', err);
+    if (isValidationError(err?.message)) return res.status(400).json({ message: err.message });
+    res.status(500).json({ message: 'Error al actualizar promoción' });
+  }
+};
+
+const eliminar = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const deleted = await promotionsService.deletePromotion(id);
+    if (!deleted) return res.status(404).json({ message: 'Promoción no encontrada' });
+    res.json({ message: 'Promoción eliminada' });
+  } catch (err) {
+    console.error('[promotionsController.eliminar]', err);
+    res.status(500).json({ message: 'Error al eliminar promoción' });
+  }
+};
+
+module.exports = { listar, detalle, crear, actualizar, eliminar };
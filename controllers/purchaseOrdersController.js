@@ -0,0 +1,116 @@
+// src/controllers/purchaseOrdersController.js
+const purchaseOrdersService = require('../services/purchaseOrdersService');
+
+const isValidationError = (msg) => /requerido|inválid|no tiene items|no encontrado|cerrada|ya fue emitida|recepciones|supera lo pendiente|No hay items/i.test(msg || '');
+
+/**
+ * Listar órdenes de compra
+ * GET /api/purchase-orders?supplierId=&status=&from=&to=&limit=&offset=
+ */
+const listar = async (req, res) => {
+  try {
+    const { supplierId, status, from, to, limit, offset } = req.query;
+    const rows = await purchaseOrdersService.listPurchaseOrders({ supplierId, status, from, to, limit: limit || 100, offset: offset || 0 });
+    res.json(rows);
+  } catch (err) {
+    console.error('[purchaseOrdersController.listar]', err);
+    if (/inválid/i.test(err?.message || '')) return res.status(400).json({ message: err.message });
+    res.status(500).json({ message: 'Error al listar órdenes de compra' });
+  }
+};
+
+const detalle = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const order = await purchaseOrdersService.getPurchaseOrderById(id);
+    if (!order) return res.status(404).json({ message: 'Orden de compra no encontrada' });
+    res.json(order);
+  } catch (err) {
+    console.error('[purchaseOrdersController.detalle]', err);
+    res.status(500).json({ message: 'Error al obtener orden de compra' });
+  }
+};
+
+/**
+ * Crear orden de compra
+ * POST /api/purchase-orders
+ * Body: { supplierId, items: [{ productId, qty, unit_cost? }], expectedDate?, notes?, status?: 'draft'|'ordered' }
+ */
+const crear = async (req, res) => {
+  try {
+    const { supplierId, items, expectedDate, notes, status } = req.body || {};
+    if (!supplierId) return res.status(400).json({ message: 'supplierId es requerido' });
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ message: 'La orden no tiene items' });
+    }
+
+    const user = req.user?.user || req.user?.uid || null;
+    const created = await purchaseOrdersService.createPurchaseOrder({ supplierId, items, expectedDate, notes, status: status || 'draft', user });
+    res.status(201).json(created);
+  } catch (err) {
+    console.error('[purchaseOrdersController.crear]', err);
+    if (isValidationError(err?.message)) return res.status(400).json({ message: err.message });
+    res.status(500).json({ message: 'Error al crear orden de compra' });
+  }
+};
+
+const actualizar = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { items, expectedDate, notes } = req.body || {};
+    const updated = await purchaseOrdersService.updatePurchaseOrder(id, { items, expectedDate, notes });
+    if (!updated) return res.status(404).json({ message: 'Orden de compra no encontrada' });
+    res.json(updated);
+  } catch (err) {
+    console.error('[purchaseOrdersController.actualizar]', err);
+    if (isValidationError(err?.message)) return res.status(400).json({ message: err.message });
+    res.status(500).json({ message: 'Error al actualizar orden de compra' });
+  }
+};
+
+/**
+ * Emitir o cancelar
+ * POST /api/purchase-orders/:id/status  Body: { status: 'ordered'|'cancelled' }
+ */
+const cambiarEstado = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.body || {};
+    if (!status) return res.status(400).json({ message: 'status es requerido' });
+
+    const updated = await purchaseOrdersService.setPurchaseOrderStatus(id, status);
+    if (!updated) return res.status(404).json({ message: 'Orden de compra no encontrada' });
+    res.json(updated);
+  } catch (err) {
+    console.error('[purchaseOrdersController.cambiarEstado]', err);
+    if (isValidationError(err?.message)) return res.status(400).json({ message: err.message });
+    res.status(500).json({ message: 'Error al cambiar estado de la orden' });
+  }
+};
+
+/**
+ * Recibir mercadería (parcial o total)
+ * POST /api/purchase-orders/:id/receive
+ * Body: { lines: [{ line, qty, unit_cost?, lot_number?, expiry? }], notes? }
+ */
+const recibir = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { lines, notes } = req.body || {};
+    if (!Array.isArray(lines) || lines.length === 0) {
+      return res.status(400).json({ message: 'No hay items para recibir' });
+    }
+
+    const user = req.user?.user || req.user?.uid || null;
+    const order = await purchaseOrdersService.receivePurchaseOrder(id, { lines, notes, user });
+    res.status(201).json(order);
+  } catch (err) {
+    console.error('[purchaseOrdersController.recibir]', err);
+    const msg = err?.message || 'Error al recibir mercadería';
+    if (/Orden de compra no encontrada/i.test(msg)) return res.status(404).json({ message: msg });
+    if (isValidationError(msg) || /lote/i.test(msg)) return res.status(400).json({ message: msg });
+    res.status(500).json({ message: 'Error al recibir mercadería' });
+  }
+};
+
+module.exports = { listar, detalle, crear, actualizar, cambiarEstado, recibir };
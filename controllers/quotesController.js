@@ -0,0 +1,151 @@
+// src/controllers/quotesController.js
+const quotesService = require('../services/quotesService');
+const receiptsService = require('../services/receiptsService');
+
+const isValidationError = (msg) => /requerido|inválid|Carrito vacío|no encontrado|archivado|vencido|ya fue convertido|se está convirtiendo/i.test(msg || '');
+
+/**
+ * Listar presupuestos
+ * GET /api/quotes?status=&customerId=&from=&to=&limit=&offset=
+ */
+const listar = async (req, res) => {
+  try {
+    const { status, customerId, from, to, limit, offset } = req.query;
+    const rows = await quotesService.listQuotes({ status, customerId, from, to, limit: limit || 100, offset: offset || 0 });
+    res.json(rows);
+  } catch (err) {
+    console.error('[quotesController.listar]', err);
+    if (/inválid/i.test(err?.message || '')) return res.status(400).json({ message: err.message });
+    res.status(500).json({ message: 'Error al listar presupuestos' });
+  }
+};
+
+const detalle = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const quote = await quotesService.getQuoteById(id);
+    if (!quote) return res.status(404).json({ message: 'Presupuesto no encontrado' });
+    res.json(quote);
+  } catch (err) {
+    console.error('[quotesController.detalle]', err);
+    res.status(500).json({ message: 'Error al obtener presupuesto' });
+  }
+};
+
+/**
+ * Crear presupuesto
+ * POST /api/quotes
+ * Body: { cart: [{ id, qty, precio?, type? }], customerId?, validUntil?, notes?, status?: 'draft'|'sent' }
+ */
+const crear = async (req, res) => {
+  try {
+    const { cart, customerId, validUntil, notes, status } = req.body || {};
+    if (!Array.isArray(cart) || cart.length === 0) {
+      return res.status(400).json({ message: 'Carrito vacío' });
+    }
+
+    const user = req.user?.user || req.user?.uid || null;
+    const created = await quotesService.createQuote(cart, { customerId, validUntil, notes, status, user });
+    res.status(201).json(created);
+  } catch (err) {
+    console.error('[quotesController.crear]', err);
+    if (isValidationError(err?.message)) return res.status(400).json({ message: err.message });
+    res.status(500).json({ message: 'Error al crear presupuesto' });
+  }
+};
+
+const actualizar = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { cart, customerId, validUntil, notes } = req.body || {};
+    const updated = await quotesService.updateQuote(id, { cart, customerId, validUntil, notes });
+    if (!updated) return res.status(404).json({ message: 'Presupuesto no encontrado' });
+    res.json(updated);
+  } catch (err) {
+    console.error('[quotesController.actualizar]', err);
+    if (isValidationError(err?.message)) return res.status(400).json({ message: err.message });
+    res.status(500).json({ message: 'Error al actualizar presupuesto' });
+  }
+};
+
+/**
+ * Cambiar estado (draft <-> sent)
+ * POST /api/quotes/:id/status  Body: { status }
+ */
+const cambiarEstado = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.body || {};
+    if (!status) return res.status(400).json({ message: 'status es requerido' });
+
+    const updated = await quotesService.setQuoteStatus(id, status);
+    if (!updated) return res.status(404).json({ message: 'Presupuesto no encontrado' });
+    res.json(updated);
+  } catch (err) {
+    console.error('[quotesController.cambiarEstado]', err);
+    if (isValidationError(err?.message)) return res.status(400).json({ message: err.message });
+    res.status(500).json({ message: 'Error al cambiar estado del presupuesto' });
+  }
+};
+
+/**
+ * Convertir en venta
+ * POST /api/quotes/:id/convert
+ * Body: { paymentMethod?, tenders?, onCredit?, paidAmount?, register?, prices?: 'quoted'|'current' }
+ */
+const convertir = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { paymentMethod, tenders, onCredit, paidAmount, register, prices } = req.body || {};
+
+    const result = await quotesService.convertQuote(id, {
+      paymentMethod: paymentMethod || null,
+      tenders: Array.isArray(tenders) ? tenders : null,
+      onCredit: !!onCredit,
+      paidAmount: Number(paidAmount) || 0,
+      register: register || null,
+      prices: prices || null,
+      user: req.user?.user || req.user?.uid || null
+    });
+    res.status(201).json(result);
+  } catch (err) {
+    console.error('[quotesController.convertir]', err);
+    const msg = err?.message || 'Error al convertir presupuesto';
+    if (/Presupuesto no encontrado/i.test(msg)) return res.status(404).json({ message: msg });
+    if (/se está convirtiendo/i.test(msg)) return res.status(409).json({ message: msg });
+    if (/Los precios cambiaron/i.test(msg)) return res.status(409).json({ message: msg, price_changes: err.priceChanges || [] });
+    if (isValidationError(msg) || /Stock insuficiente|Stock vencido|Pago insuficiente|Monto|No hay caja abierta/i.test(msg)) {
+      return res.status(400).json({ message: msg });
+    }
+    res.status(500).json({ message: msg });
+  }
+};
+
+/**
+ * Versión imprimible
+ * GET /api/quotes/:id/print?format=text|escpos|html|pdf&width=58|80
+ */
+const imprimir = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const format = req.query.format || 'html';
+    const width = req.query.width ? Number(req.query.width) : 80;
+
+    const quote = await quotesService.getQuoteById(id);
+    if (!quote) return res.status(404).json({ message: 'Presupuesto no encontrado' });
+
+    const { contentType, body } = await receiptsService.renderQuote(quote, { format, width });
+    res.set('Content-Type', contentType);
+    if (format === 'pdf' || format === 'escpos') {
+      const ext = format === 'pdf' ? 'pdf' : 'bin';
+      res.set('Content-Disposition', `inline; filename="presupuesto-${quote.number || quote.id}.${ext}"`);
+    }
+    return res.send(body);
+  } catch (err) {
+    console.error('[quotesController.imprimir]', err);
+    if (/inválido/i.test(err?.message || '')) return res.status(400).json({ message: err.message });
+    res.status(500).json({ message: 'Error al generar presupuesto' });
+  }
+};
+
+module.exports = { listar, detalle, crear, actualizar, cambiarEstado, convertir, imprimir };
@@ -0,0 +1,69 @@
+// src/controllers/replenishmentController.js
+const replenishmentService = require('../services/replenishmentService');
+
+/**
+ * Lista sugerida de compra
+ * GET /api/replenishment/suggestions?groupBy=supplier|marca&categoria=&marca=
+ */
+const sugerencias = async (req, res) => {
+  try {
+    const { groupBy, categoria, marca } = req.query;
+    const data = await replenishmentService.getSuggestions({ groupBy: groupBy || 'supplier', categoria, marca });
+    res.json(data);
+  } catch (err) {
+    console.error('[replenishmentController.sugerencias]', err);
+    if (/inválid/i.test(err?.message || '')) return res.status(400).json({ message: err.message });
+    res.status(500).json({ message: 'Error al calcular sugerencias de compra' });
+  }
+};
+
+/**
+ * Generar órdenes de compra en borrador desde las sugerencias
+ * POST /api/replenishment/suggestions/purchase-orders  Body: { supplierId?, categoria?, marca? }
+ */
+const generarOrdenes = async (req, res) => {
+  try {
+    const { supplierId, categoria, marca } = req.body || {};
+    const user = req.user?.user || req.user?.uid || null;
+    const orders = await replenishmentService.createDraftOrders({ supplierId, categoria, marca, user });
+    res.status(201).json(orders);
+  } catch (err) {
+    console.error('[replenishmentController.generarOrdenes]', err);
+    const msg = err?.message || '';
+    if (/no encontrad/i.test(msg)) return res.status(404).json({ message: msg });
+    if (/inválid|requerid/i.test(msg)) return res.status(400).json({ message: msg });
+    res.status(500).json({ message: 'Error al generar órdenes de compra' });
+  }
+};
+
+/**
+ * GET /api/replenishment/category-rules
+ */
+const reglas = async (req, res) => {
+  try {
+    res.json(await replenishmentService.listCategoryRules());
+  } catch (err) {
+    console.error('[replenishmentController.reglas]', err);
+    res.status(500).json({ message: 'Error al obtener niveles de reposición' });
+  }
+};
+
+/**
+ * Fijar niveles de reposición por defecto de una categoría (todos null la borra)
+ * PUT /api/replenishment/category-rules/:categoria  Body: { min_stock, reorder_point, reorder_qty }
+ */
+const fijarRegla = async (req, res) => {
+  try {
+    const { categoria } = req.params;
+    const { min_stock = null, reorder_point = null, reorder_qty = null } = req.body || {};
+    const user = req.user?.user || req.user?.uid || null;
+    const row = await replenishmentService.setCategoryRule(categoria, { min_stock, reorder_point, reorder_qty }, { user });
+    res.json(row);
+  } catch (err) {
+    console.error('[replenishmentController.fijarRegla]', err);
+    if (/inválid|requerid/i.test(err?.message || '')) return res.status(400).json({ message: err.message });
+    res.status(500).json({ message: 'Error al guardar niveles de reposición' });
+  }
+};
+
+module.exports = { sugerencias, generarOrdenes, reglas, fijarRegla };
@@ -92,7 +92,63 @@ const profitByMonth = async (req, res) => {
   }
 };
 
+const discountsByPromotion = async (req, res) => {
+  try {
+    let { from, to } = req.query;
+    if (!from || !to) {
+      const def = getDefaultRange();
+      from = from || def.from;
+      to = to || def.to;
+    }
+
+    const data = await reportsService.discountsByPromotion(from, to);
+
+    return res.json({ 
+      success: true,
+      from, 
+      to, 
+      data 
+    });
+  } catch (err) {
+    console.error('❌ [CONTROLLER] Error en discountsByPromotion:', err);
+    return res.status(500).json({ 
+      success: false,
+      message: 'Error generando reporte de descuentos por promoción',
+      error: err.message 
+    });
+  }
+};
+
+const paymentMethodsByMonth = async (req, res) => {
+  try {
+    let { from, to } = req.query;
+    if (!from || !to) {
+      const def = getDefaultRange();
+      from = from || def.from;
+      to = to || def.to;
+    }
+
+    const data = await reportsService.paymentMethodsByMonth(from, to);
+
+    return res.json({ 
+      success: true,
+      from, 
+      to, 
+      data 
+    });
+  } catch (err) {
+    console.error('❌ [CONTROLLER] Error en paymentMethodsByMonth:', err);
+    return res.status(500).json({ 
+      success: false,
+      message: 'Error generando reporte de medios de pago',
+      error: err.message 
+    });
+  }
+};
+
 module.exports = { 
+  paymentMethodsByMonth,
   salesByMonth, 
-  profitByMonth 
+  profitByMonth,
+  discountsByPromotion
 };
\ No newline at end of file
@@ -0,0 +1,100 @@
+// src/controllers/repricingController.js
+const repricingService = require('../services/repricingService');
+
+const currentUser = (req) => req.user?.user || req.user?.uid || null;
+
+// body: { categoria?, marca?, supplierId?, productIds?, change: { type, value }, rounding?: { step, mode, ending } }
+const paramsFromBody = (body = {}) => ({
+  categoria: body.categoria || null,
+  marca: body.marca || null,
+  supplierId: body.supplierId || null,
+  productIds: body.productIds || [],
+  change: body.change || {},
+  rounding: body.rounding || {}
+});
+
+const errorStatus = (msg) => {
+  if (/no encontrad/i.test(msg)) return 404;
+  if (/inválid|requerid|No hay precios|No hay remarcaciones/i.test(msg)) return 400;
+  if (/cambió durante/i.test(msg)) return 409;
+  return 500;
+};
+
+/**
+ * Vista previa de una remarcación (no modifica precios)
+ * POST /api/repricing/preview
+ */
+const previsualizar = async (req, res) => {
+  try {
+    const preview = await repricingService.previewRepricing(paramsFromBody(req.body || {}));
+    res.json(preview);
+  } catch (err) {
+    console.error('[repricingController.previsualizar]', err);
+    const status = errorStatus(err?.message || '');
+    res.status(status).json({ message: status === 500 ? 'Error al calcular la remarcación' : err.message });
+  }
+};
+
+/**
+ * Aplicar remarcación
+ * POST /api/repricing  Body: como el preview + notes?
+ */
+const aplicar = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const batch = await repricingService.applyRepricing(paramsFromBody(body), { notes: body.notes || null, user: currentUser(req) });
+    res.status(201).json(batch);
+  } catch (err) {
+    console.error('[repricingController.aplicar]', err);
+    const status = errorStatus(err?.message || '');
+    res.status(status).json({ message: status === 500 ? 'Error al aplicar la remarcación' : err.message });
+  }
+};
+
+/**
+ * Deshacer la última remarcación aplicada
+ * POST /api/repricing/undo
+ */
+const deshacer = async (req, res) => {
+  try {
+    const batch = await repricingService.undoLastBatch({ user: currentUser(req) });
+    res.json(batch);
+  } catch (err) {
+    console.error('[repricingController.deshacer]', err);
+    const status = errorStatus(err?.message || '');
+    res.status(status).json({ message: status === 500 ? 'Error al deshacer la remarcación' : err.message });
+  }
+};
+
+/**
+ * GET /api/repricing?limit=&offset=
+ */
+const listar = async (req, res) => {
+  try {
+    const { limit, offset } = req.query;
+    const rows = await repricingService.listBatches({
+      limit: Math.min(Number(limit) || 50, 200),
+      offset: Number(offset) || 0
+    });
+    res.json(rows);
+  } catch (err) {
+    console.error('[repricingController.listar]', err);
+    res.status(500).json({ message: 'Error al listar remarcaciones' });
+  }
+};
+
+/**
+ * GET /api/repricing/:id
+ */
+const detalle = async (req, res) => {
+  try {
+    const batch = await repricingService.getBatchById(req.params.id);
+    if (!batch) return res.status(404).json({ message: 'Remarcación no encontrada' });
+    res.json(batch);
+  } catch (err) {
+    console.error('[repricingController.detalle]', err);
+    res.status(500).json({ message: 'Error al obtener remarcación' });
+  }
+};
+
+module.exports = { previsualizar, aplicar, deshacer, listar, detalle };
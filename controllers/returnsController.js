@@ -0,0 +1,60 @@
+// src/controllers/returnsController.js
+const returnsService = require('../services/returnsService');
+
+/**
+ * Registrar devolución
+ * POST /api/returns
+ * Body: { saleId, items: [{ line, qty, restock?, condition?: 'resellable'|'damaged' }], reason?, register? }
+ */
+const crear = async (req, res) => {
+  try {
+    const { saleId, items, reason, register } = req.body || {};
+    if (!saleId) return res.status(400).json({ message: 'saleId es requerido' });
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ message: 'No hay items para devolver' });
+    }
+
+    const user = req.user?.user || req.user?.uid || null;
+    const result = await returnsService.createReturn({ saleId, items, reason, user, register });
+    return res.status(201).json(result);
+  } catch (err) {
+    console.error('[returnsController.crear]', err);
+    const msg = err?.message || 'Error al registrar devolución';
+    if (/Venta no encontrada/i.test(msg)) {
+      return res.status(404).json({ message: msg });
+    }
+    if (/anulada|inválid|supera lo vendido|No hay items|No hay caja abierta/i.test(msg)) {
+      return res.status(400).json({ message: msg });
+    }
+    return res.status(500).json({ message: msg });
+  }
+};
+
+/**
+ * Listar devoluciones
+ * GET /api/returns?saleId=&from=&to=&limit=&offset=
+ */
+const listar = async (req, res) => {
+  try {
+    const { saleId, from, to, limit, offset } = req.query;
+    const rows = await returnsService.listReturns({ saleId, from, to, limit: limit || 100, offset: offset || 0 });
+    res.json(rows);
+  } catch (err) {
+    console.error('[returnsController.listar]', err);
+    res.status(500).json({ message: 'Error al listar devoluciones' });
+  }
+};
+
+const detalle = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const row = await returnsService.getReturnById(id);
+    if (!row) return res.status(404).json({ message: 'Devolución no encontrada' });
+    res.json(row);
+  } catch (err) {
+    console.error('[returnsController.detalle]', err);
+    res.status(500).json({ message: 'Error al obtener devolución' });
+  }
+};
+
+module.exports = { crear, listar, detalle };
@@ -1,30 +1,46 @@
 // src/controllers/salesController.js
 const salesService = require('../services/salesService');
+const receiptsService = require('../services/receiptsService');
 
 /**
  * Listar ventas
- * GET /api/sales?from=YYYY-MM-DD&to=YYYY-MM-DD&limit=&offset=&customerId=&creditOnly=true
+ * GET /api/sales?from=YYYY-MM-DD&to=YYYY-MM-DD&customerId=&creditOnly=true&paymentMethod=
+ *   &status=paid,partially_paid,pending&productId=&serviceId=&categoria=&minTotal=&maxTotal=
+ *   &customer=texto&sort=-created_at|created_at|-total|total&limit=&cursor=
+ * Sin status no se incluyen las anuladas (status=voided para verlas).
+ * Paginación por cursor: limit (default 50, antes 100; máx 200) y cursor = nextCursor de la
+ * página anterior. offset ya no se admite (400).
+ * Respuesta: { data, total, nextCursor, sums }
  */
 async function listarVentas(req, res) {
   try {
-    const { from, to } = req.query;
-    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 100;
-    const offset = req.query.offset ? parseInt(req.query.offset, 10) : 0;
-    const customerId = req.query.customerId || null;
-    const creditOnly = req.query.creditOnly === 'true' || req.query.creditOnly === '1';
-
-    const ventas = await salesService.listSales({
-      from,
-      to,
-      limit,
-      offset,
-      customerId,
-      creditOnly
+    const q = req.query;
+    if (q.offset != null) {
+      return res.status(400).json({ message: 'offset ya no se admite: paginar con cursor (nextCursor de la respuesta anterior)' });
+    }
+    const result = await salesService.querySales({
+      from: q.from,
+      to: q.to,
+      customerId: q.customerId || null,
+      creditOnly: q.creditOnly === 'true' || q.creditOnly === '1',
+      paymentMethod: q.paymentMethod || null,
+      status: q.status || null,
+      productId: q.productId || null,
+      serviceId: q.serviceId || null,
+      categoria: q.categoria || null,
+      minTotal: q.minTotal,
+      maxTotal: q.maxTotal,
+      customer: q.customer || null,
+      sort: q.sort || '-created_at',
+      limit: q.limit ? parseInt(q.limit, 10) : 50,
+      cursor: q.cursor || null
     });
 
-    return res.json(ventas);
+    return res.json(result);
   } catch (error) {
     console.error('[salesController.listarVentas] Error al listar ventas:', error);
+    const msg = error?.message || '';
+    if (/inválid/i.test(msg)) return res.status(400).json({ message: msg });
     return res.status(500).json({ message: 'Error interno del servidor' });
   }
 }
@@ -32,7 +48,8 @@ async function listarVentas(req, res) {
 /**
  * Crear venta
  * POST /api/sales
- * Body: { cart: [{id, qty, precio?, type?}], customerId?, onCredit?, paidAmount? }
+ * Body: { cart: [{id | barcode, qty, precio?, type?}], customerId?, onCredit?, paidAmount?, paymentMethod?,
+ *         tenders?: [{ method, amount, installments?, reference? }], register? }
  */
 async function crearVenta(req, res) {
   try {
@@ -41,6 +58,9 @@ async function crearVenta(req, res) {
     const customerId = (body.customerId !== undefined) ? body.customerId : null;
     const onCredit = !!body.onCredit;
     const paidAmount = body.paidAmount != null ? Number(body.paidAmount) : 0;
+    const paymentMethod = body.paymentMethod || null;
+    const tenders = Array.isArray(body.tenders) ? body.tenders : null;
+    const register = body.register || null;
 
     // Validaciones simples
     if (!Array.isArray(cart) || cart.length === 0) {
@@ -53,7 +73,11 @@ async function crearVenta(req, res) {
     const venta = await salesService.createSale(cart, {
       customerId,
       onCredit,
-      paidAmount
+      paidAmount,
+      paymentMethod,
+      tenders,
+      register,
+      user: req.user?.user || req.user?.uid || null
     });
 
     return res.status(201).json(venta);
@@ -62,7 +86,7 @@ async function crearVenta(req, res) {
     const msg = error?.message || 'Error al crear venta';
 
     // errores predecibles de validación -> 400
-    if (/Carrito vacío|Cantidad inválida|Stock insuficiente|Producto no encontrado|Venta no encontrada/i.test(msg)) {
+    if (/Carrito vacío|Cantidad inválida|Stock insuficiente|Stock vencido|Producto no encontrado|Servicio no encontrado|archivado|Tipo de item inválido|Venta no encontrada|Medio de pago inválido|Monto inválido|supera el saldo|Pago insuficiente|No hay caja abierta/i.test(msg)) {
       return res.status(400).json({ message: msg });
     }
 
@@ -90,11 +114,77 @@ async function detalleVenta(req, res) {
   }
 }
 
+/**
+ * Anular venta
+ * POST /api/sales/:id/void
+ * Body: { reason }
+ */
+async function anularVenta(req, res) {
+  try {
+    const { id } = req.params;
+    if (!id) return res.status(400).json({ message: 'ID es requerido' });
+
+    const reason = req.body?.reason;
+    if (!reason || String(reason).trim() === '') {
+      return res.status(400).json({ message: 'Motivo de anulación requerido' });
+    }
+
+    const user = req.user?.user || req.user?.uid || null;
+    const result = await salesService.voidSale(id, { reason, user });
+
+    return res.json(result);
+  } catch (error) {
+    console.error('[salesController.anularVenta] Error al anular venta:', error);
+    const msg = error?.message || 'Error al anular venta';
+
+    if (/Venta no encontrada/i.test(msg)) {
+      return res.status(404).json({ message: msg });
+    }
+    if (/ya fue anulada|Motivo de anulación|devoluciones registradas|factura emitida/i.test(msg)) {
+      return res.status(400).json({ message: msg });
+    }
+
+    return res.status(500).json({ message: msg });
+  }
+}
+
+/**
+ * Ticket de venta
+ * GET /api/sales/:id/receipt?format=text|escpos|html|pdf&width=58|80
+ */
+async function ticketVenta(req, res) {
+  try {
+    const { id } = req.params;
+    if (!id) return res.status(400).json({ message: 'ID es requerido' });
+
+    const format = req.query.format || 'text';
+    const width = req.query.width ? Number(req.query.width) : 80;
+
+    const venta = await salesService.getSaleById(id);
+    if (!venta) return res.status(404).json({ message: 'Venta no encontrada' });
+
+    const { contentType, body } = await receiptsService.renderReceipt(venta, { format, width });
+    res.set('Content-Type', contentType);
+    if (format === 'pdf' || format === 'escpos') {
+      const ext = format === 'pdf' ? 'pdf' : 'bin';
+      res.set('Content-Disposition', `inline; filename="ticket-${venta.id}.${ext}"`);
+    }
+    return res.send(body);
+  } catch (error) {
+    console.error('[salesController.ticketVenta] Error al generar ticket:', error);
+    const msg = error?.message || 'Error al generar ticket';
+    if (/inválido/i.test(msg)) return res.status(400).json({ message: msg });
+    return res.status(500).json({ message: 'Error interno del servidor' });
+  }
+}
+
 /**
  * Exportar con los nombres EXACTOS que usan las rutas
  */
 module.exports = {
   listarVentas,
   crearVenta,
-  detalleVenta
+  detalleVenta,
+  anularVenta,
+  ticketVenta
 };
\ No newline at end of file
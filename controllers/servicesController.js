@@ -1,9 +1,11 @@
 // src/controllers/servicesController.js
 const servicesService = require('../services/servicesService');
 
+const currentUser = (req) => req.user?.user || req.user?.uid || null;
+
 const listar = async (req, res) => {
   try {
-    const services = await servicesService.listServices();
+    const services = await servicesService.listServices({ includeArchived: req.query.includeArchived === 'true' });
     res.json(services);
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -12,12 +14,13 @@ const listar = async (req, res) => {
 
 const crear = async (req, res) => {
   try {
-    const { nombre, descripcion, precio, duracion_min, categoria, activo } = req.body;
+    const { nombre, descripcion, precio, iva, duracion_min, categoria, activo } = req.body;
     
     const newService = await servicesService.createService({
       nombre, 
       descripcion, 
       precio, 
+      iva,
       duracion_min, 
       categoria, 
       activo
@@ -47,10 +50,10 @@ const detalle = async (req, res) => {
 const actualizar = async (req, res) => {
   try {
     const { id } = req.params;
-    const { nombre, descripcion, precio, duracion_min, categoria, activo } = req.body;
+    const { nombre, descripcion, precio, iva, duracion_min, categoria, activo } = req.body;
 
     const updatedService = await servicesService.updateService(id, {
-      nombre, descripcion, precio, duracion_min, categoria, activo
+      nombre, descripcion, precio, iva, duracion_min, categoria, activo
     });
     
     res.json(updatedService);
@@ -64,19 +67,39 @@ const eliminar = async (req, res) => {
   try {
     const { id } = req.params;
     
-    await servicesService.deleteService(id);
-    res.status(200).json({ message: 'Servicio eliminado correctamente' });
+    // baja lógica: las ventas históricas lo siguen mostrando
+    const found = await servicesService.deleteService(id, { user: currentUser(req) });
+    if (!found) {
+      return res.status(404).json({ message: 'Servicio no encontrado' });
+    }
+    res.status(200).json({ message: 'Servicio archivado correctamente' });
   } catch (error) {
     console.error('Error al eliminar servicio:', error);
     res.status(500).json({ message: 'Error interno del servidor' });
   }
 };
 
+const restaurar = async (req, res) => {
+  try {
+    const service = await servicesService.restoreService(req.params.id);
+    
+    if (!service) {
+      return res.status(404).json({ message: 'Servicio no encontrado' });
+    }
+    
+    res.json(service);
+  } catch (error) {
+    console.error('Error al restaurar servicio:', error);
+    res.status(500).json({ message: 'Error interno del servidor' });
+  }
+};
+
 module.exports = {
   listar,
   crear,
   detalle,
   actualizar,
-  eliminar 
+  eliminar,
+  restaurar
 };
 
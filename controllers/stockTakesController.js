@@ -0,0 +1,114 @@
+// src/controllers/stockTakesController.js
+const stockTakesService = require('../services/stockTakesService');
+
+const currentUser = (req) => req.user?.user || req.user?.uid || null;
+
+const errorStatus = (msg) => {
+  if (/no encontrad/i.test(msg)) return 404;
+  if (/inválid|requerid|No hay|no está incluido/i.test(msg)) return 400;
+  if (/cerrado|Ya hay un inventario abierto|Stock vencido/i.test(msg)) return 409;
+  return 500;
+};
+
+/**
+ * GET /api/stock-takes?status=&limit=&offset=
+ */
+const listar = async (req, res) => {
+  try {
+    const { status, limit, offset } = req.query;
+    const rows = await stockTakesService.listStockTakes({
+      status: status || undefined,
+      limit: Math.min(Number(limit) || 50, 200),
+      offset: Number(offset) || 0
+    });
+    res.json(rows);
+  } catch (err) {
+    console.error('[stockTakesController.listar]', err);
+    const status = errorStatus(err?.message || '');
+    res.status(status).json({ message: status === 500 ? 'Error al listar inventarios' : err.message });
+  }
+};
+
+/**
+ * Iniciar inventario (congela el stock esperado)
+ * POST /api/stock-takes  Body: { categoria?, marca?, notes? }
+ */
+const iniciar = async (req, res) => {
+  try {
+    const { categoria, marca, notes } = req.body || {};
+    const take = await stockTakesService.startStockTake({ categoria, marca, notes, user: currentUser(req) });
+    res.status(201).json(take);
+  } catch (err) {
+    console.error('[stockTakesController.iniciar]', err);
+    const status = errorStatus(err?.message || '');
+    res.status(status).json({ message: status === 500 ? 'Error al iniciar el inventario' : err.message });
+  }
+};
+
+/**
+ * Revisión de diferencias
+ * GET /api/stock-takes/:id?onlyDiscrepancies=true
+ */
+const detalle = async (req, res) => {
+  try {
+    const onlyDiscrepancies = String(req.query.onlyDiscrepancies || '').toLowerCase() === 'true';
+    const take = await stockTakesService.getStockTake(req.params.id, { onlyDiscrepancies });
+    if (!take) return res.status(404).json({ message: 'Inventario no encontrado' });
+    res.json(take);
+  } catch (err) {
+    console.error('[stockTakesController.detalle]', err);
+    res.status(500).json({ message: 'Error al obtener inventario' });
+  }
+};
+
+/**
+ * Registrar conteos
+ * POST /api/stock-takes/:id/counts
+ * Body: { counts: [{ productId | barcode, qty, mode?: 'add'|'set' }] } o un solo conteo
+ */
+const contar = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const counts = Array.isArray(body.counts) ? body.counts : [body];
+    const take = await stockTakesService.recordCounts(req.params.id, counts, { user: currentUser(req) });
+    if (!take) return res.status(404).json({ message: 'Inventario no encontrado' });
+    res.json(take);
+  } catch (err) {
+    console.error('[stockTakesController.contar]', err);
+    const status = errorStatus(err?.message || '');
+    res.status(status).json({ message: status === 500 ? 'Error al registrar conteos' : err.message });
+  }
+};
+
+/**
+ * Cerrar inventario y ajustar stock
+ * POST /api/stock-takes/:id/post  Body: { uncounted?: 'ignore'|'zero' }
+ */
+const cerrar = async (req, res) => {
+  try {
+    const { uncounted } = req.body || {};
+    const take = await stockTakesService.postStockTake(req.params.id, { uncounted: uncounted || 'ignore', user: currentUser(req) });
+    res.json(take);
+  } catch (err) {
+    console.error('[stockTakesController.cerrar]', err);
+    const status = errorStatus(err?.message || '');
+    res.status(status).json({ message: status === 500 ? 'Error al cerrar el inventario' : err.message });
+  }
+};
+
+/**
+ * POST /api/stock-takes/:id/cancel
+ */
+const cancelar = async (req, res) => {
+  try {
+    const take = await stockTakesService.cancelStockTake(req.params.id);
+    if (!take) return res.status(404).json({ message: 'Inventario no encontrado' });
+    res.json(take);
+  } catch (err) {
+    console.error('[stockTakesController.cancelar]', err);
+    const status = errorStatus(err?.message || '');
+    res.status(status).json({ message: status === 500 ? 'Error al cancelar el inventario' : err.message });
+  }
+};
+
+module.exports = { listar, iniciar, detalle, contar, cerrar, cancelar };
@@ -0,0 +1,100 @@
+// src/controllers/supplierInvoicesController.js
+const supplierInvoicesService = require('../services/supplierInvoicesService');
+
+const isValidationError = (msg) => /requerido|inválid|no encontrad|ya fue registrada|supera el saldo|anulada|pagos registrados/i.test(msg || '');
+
+/**
+ * Listar facturas de proveedores
+ * GET /api/supplier-invoices?supplierId=&status=&overdue=true&from=&to=&limit=&offset=
+ */
+const listar = async (req, res) => {
+  try {
+    const { supplierId, status, overdue, from, to, limit, offset } = req.query;
+    const rows = await supplierInvoicesService.listSupplierInvoices({ supplierId, status, overdue, from, to, limit: limit || 100, offset: offset || 0 });
+    res.json(rows);
+  } catch (err) {
+    console.error('[supplierInvoicesController.listar]', err);
+    if (/inválid/i.test(err?.message || '')) return res.status(400).json({ message: err.message });
+    res.status(500).json({ message: 'Error al listar facturas de proveedores' });
+  }
+};
+
+const detalle = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const row = await supplierInvoicesService.getSupplierInvoiceById(id);
+    if (!row) return res.status(404).json({ message: 'Factura no encontrada' });
+    res.json(row);
+  } catch (err) {
+    console.error('[supplierInvoicesController.detalle]', err);
+    res.status(500).json({ message: 'Error al obtener factura de proveedor' });
+  }
+};
+
+/**
+ * Registrar factura de proveedor
+ * POST /api/supplier-invoices
+ * Body: { supplierId, number, total, invoiceType?, issuedAt?, dueDate?, netAmount?, ivaAmount?, purchaseOrderId?, notes? }
+ */
+const crear = async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!body.supplierId) return res.status(400).json({ message: 'supplierId es requerido' });
+
+    const user = req.user?.user || req.user?.uid || null;
+    const created = await supplierInvoicesService.createSupplierInvoice({ ...body, user });
+    res.status(201).json(created);
+  } catch (err) {
+    console.error('[supplierInvoicesController.crear]', err);
+    const msg = err?.message || 'Error al registrar factura';
+    if (/ya fue registrada/i.test(msg)) return res.status(409).json({ message: msg });
+    if (isValidationError(msg)) return res.status(400).json({ message: msg });
+    res.status(500).json({ message: 'Error al registrar factura de proveedor' });
+  }
+};
+
+/**
+ * Pagar (total o parcial)
+ * POST /api/supplier-invoices/:id/payments
+ * Body: { amount, method?, reference?, register? }
+ */
+const pagar = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount, method, reference, register } = req.body || {};
+    if (amount == null || isNaN(Number(amount)) || Number(amount) <= 0) {
+      return res.status(400).json({ message: 'Monto inválido' });
+    }
+
+    const user = req.user?.user || req.user?.uid || null;
+    const updated = await supplierInvoicesService.paySupplierInvoice(id, { amount: Number(amount), method, reference, register, user });
+    res.status(201).json(updated);
+  } catch (err) {
+    console.error('[supplierInvoicesController.pagar]', err);
+    const msg = err?.message || 'Error al registrar pago';
+    if (/Factura no encontrada/i.test(msg)) return res.status(404).json({ message: msg });
+    if (isValidationError(msg) || /No hay caja abierta/i.test(msg)) return res.status(400).json({ message: msg });
+    res.status(500).json({ message: 'Error al registrar pago a proveedor' });
+  }
+};
+
+/**
+ * Anular factura sin pagos
+ * POST /api/supplier-invoices/:id/cancel  Body: { reason? }
+ */
+const anular = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body || {};
+    const updated = await supplierInvoicesService.cancelSupplierInvoice(id, { reason });
+    res.json(updated);
+  } catch (err) {
+    console.error('[supplierInvoicesController.anular]', err);
+    const msg = err?.message || 'Error al anular factura';
+    if (/Factura no encontrada/i.test(msg)) return res.status(404).json({ message: msg });
+    if (isValidationError(msg)) return res.status(400).json({ message: msg });
+    res.status(500).json({ message: 'Error al anular factura de proveedor' });
+  }
+};
+
+module.exports = { listar, detalle, crear, pagar, anular };
@@ -0,0 +1,95 @@
+// src/controllers/suppliersController.js
+const suppliersService = require('../services/suppliersService');
+const supplierInvoicesService = require('../services/supplierInvoicesService');
+
+const isValidationError = (msg) => /requerido|inválid|CUIT|no encontrado/i.test(msg || '');
+
+/**
+ * Listar proveedores
+ * GET /api/suppliers?q=&productId=&limit=&offset=
+ */
+const listar = async (req, res) => {
+  try {
+    const { q, productId, limit, offset } = req.query;
+    const rows = await suppliersService.listSuppliers({ q, productId, limit: limit || 200, offset: offset || 0 });
+    res.json(rows);
+  } catch (err) {
+    console.error('[suppliersController.listar]', err);
+    res.status(500).json({ message: 'Error al listar proveedores' });
+  }
+};
+
+/**
+ * Detalle con saldo adeudado
+ * GET /api/suppliers/:id
+ */
+const detalle = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const supplier = await suppliersService.getSupplierById(id);
+    if (!supplier) return res.status(404).json({ message: 'Proveedor no encontrado' });
+
+    const [balance] = await supplierInvoicesService.getSupplierBalances({ supplierId: supplier.id });
+    res.json({
+      ...supplier,
+      balance: balance ? balance.balance : 0,
+      overdue_balance: balance ? balance.overdue_balance : 0
+    });
+  } catch (err) {
+    console.error('[suppliersController.detalle]', err);
+    res.status(500).json({ message: 'Error al obtener proveedor' });
+  }
+};
+
+/**
+ * Crear proveedor
+ * POST /api/suppliers
+ * Body: { nombre, cuit?, contact?: { nombre, telefono, email }, lead_time_days?, products?: [{ productId, supplier_code?, last_cost? }], notes? }
+ */
+const crear = async (req, res) => {
+  try {
+    const payload = req.body || {};
+    if (!payload.nombre || String(payload.nombre).trim() === '') {
+      return res.status(400).json({ message: 'Nombre requerido' });
+    }
+    const created = await suppliersService.createSupplier(payload);
+    res.status(201).json(created);
+  } catch (err) {
+    console.error('[suppliersController.crear]', err);
+    if (isValidationError(err?.message)) return res.status(400).json({ message: err.message });
+    res.status(500).json({ message: 'Error al crear proveedor' });
+  }
+};
+
+const actualizar = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const existing = await suppliersService.getSupplierById(id);
+    if (!existing) return res.status(404).json({ message: 'Proveedor no encontrado' });
+    const updated = await suppliersService.updateSupplier(id, req.body || {});
+    res.json(updated);
+  } catch (err) {
+    console.error('[suppliersController.actualizar]', err);
+    if (isValidationError(err?.message)) return res.status(400).json({ message: err.message });
+    res.status(500).json({ message: 'Error al actualizar proveedor' });
+  }
+};
+
+/**
+ * Saldos adeudados a proveedores
+ * GET /api/suppliers/balances
+ */
+const saldos = async (req, res) => {
+  try {
+    const rows = await supplierInvoicesService.getSupplierBalances();
+    res.json({
+      total: Math.round(rows.reduce((acc, r) => acc + r.balance, 0) * 100) / 100,
+      suppliers: rows
+    });
+  } catch (err) {
+    console.error('[suppliersController.saldos]', err);
+    res.status(500).json({ message: 'Error al obtener saldos de proveedores' });
+  }
+};
+
+module.exports = { listar, detalle, crear, actualizar, saldos };
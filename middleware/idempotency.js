@@ -0,0 +1,64 @@
+// middleware/idempotency.js
+const idempotencyService = require('../services/idempotencyService');
+
+/**
+ * Soporte de header Idempotency-Key para POST reintentables.
+ * - sin header: sigue normal
+ * - misma clave y mismo cuerpo: devuelve la respuesta original (header Idempotent-Replayed: true)
+ * - misma clave con otro cuerpo: 422
+ * - misma clave aún en proceso: 409
+ * Las respuestas 5xx no se guardan, así el cliente puede reintentar.
+ */
+const idempotencyMiddleware = async (req, res, next) => {
+  const key = req.header('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > 255) {
+    return res.status(400).json({ message: 'Idempotency-Key inválida' });
+  }
+
+  const scope = `${req.method} ${req.baseUrl}${req.path}`;
+
+  let result;
+  try {
+    result = await idempotencyService.begin(key, scope, req.body);
+  } catch (err) {
+    console.error('[idempotencyMiddleware] Error registrando clave:', err);
+    return res.status(500).json({ message: 'Error interno del servidor' });
+  }
+
+  if (result.state === 'mismatch') {
+    return res.status(422).json({ message: 'Idempotency-Key ya utilizada con otro cuerpo' });
+  }
+  if (result.state === 'in_progress') {
+    return res.status(409).json({ message: 'Hay una solicitud con la misma Idempotency-Key en proceso' });
+  }
+  if (result.state === 'replay') {
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(result.status || 200).json(result.body);
+  }
+
+  // la respuesta sale recién cuando quedó guardada (o liberada): un reintento inmediato ya ve
+  // el resultado y no un 409 "en proceso". Si no se puede guardar se responde 500; la clave
+  // queda en proceso hasta el TTL para no ejecutar dos veces una operación que sí se hizo.
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    const status = res.statusCode;
+    const done = status >= 500
+      ? idempotencyService.release(key, scope)
+      : idempotencyService.complete(key, scope, status, body);
+    done.then(
+      () => originalJson(body),
+      (err) => {
+        console.error('[idempotencyMiddleware] Error guardando respuesta:', err);
+        res.status(500);
+        originalJson({ message: 'Error interno del servidor' });
+      }
+    );
+    return res;
+  };
+
+  return next();
+};
+
+module.exports = { idempotencyMiddleware };
@@ -0,0 +1,34 @@
+// middleware/upload.js
+const multer = require('multer');
+const { UPLOADS } = require('../config/uploads');
+
+/**
+ * imageUpload(field = 'image')
+ * multipart/form-data con un único archivo en memoria (req.file); el contenido se valida
+ * después en productImagesService. Los errores de multer se responden acá:
+ * - archivo más grande que UPLOADS.max_bytes: 413
+ * - tipo no aceptado, otro campo o más de un archivo: 400
+ */
+const imageUpload = (field = 'image') => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: UPLOADS.max_bytes, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (UPLOADS.image_types.includes(file.mimetype)) return cb(null, true);
+      cb(new Error(`Tipo de imagen inválido (${file.mimetype})`));
+    }
+  }).single(field);
+
+  return (req, res, next) => upload(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ message: `La imagen supera el máximo de ${Math.round(UPLOADS.max_bytes / 1024 / 1024 * 10) / 10} MB` });
+    }
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ message: `Subida inválida: se espera un único archivo en el campo "${field}"` });
+    }
+    return res.status(400).json({ message: err.message || 'Subida inválida' });
+  });
+};
+
+module.exports = { imageUpload };
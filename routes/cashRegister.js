@@ -0,0 +1,16 @@
+// src/routes/cashRegister.js
+const express = require('express');
+const { abrir, actual, movimiento, cerrar, listar, detalle } = require('../controllers/cashRegisterController');
+const { authMiddleware } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.post('/open', authMiddleware, abrir);
+router.get('/current', authMiddleware, actual);
+
+router.get('/sessions', authMiddleware, listar);
+router.get('/sessions/:id', authMiddleware, detalle);
+router.post('/sessions/:id/movements', authMiddleware, movimiento);
+router.post('/sessions/:id/close', authMiddleware, cerrar);
+
+module.exports = router;
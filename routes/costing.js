@@ -0,0 +1,13 @@
+// src/routes/costing.js
+const express = require('express');
+const { margenes, historial, markups, fijarMarkup } = require('../controllers/costingController');
+const { authMiddleware } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.get('/margins', authMiddleware, margenes);
+router.get('/products/:id', authMiddleware, historial);
+router.get('/markups', authMiddleware, markups);
+router.put('/markups/:categoria', authMiddleware, fijarMarkup);
+
+module.exports = router;
@@ -1,6 +1,6 @@
 // src/routes/customers.js
 const express = require('express');
-const { listar, detalle, crear, actualizar, eliminar } = require('../controllers/customersController');
+const { listar, detalle, crear, actualizar, eliminar, restaurar } = require('../controllers/customersController');
 const { authMiddleware } = require('../middleware/auth');
 
 
@@ -10,6 +10,7 @@ router.get('/', listar);
 router.post('/', authMiddleware, crear);
 router.get('/:id', detalle);
 router.put('/:id', authMiddleware, actualizar);
-router.delete('/:id', authMiddleware, eliminar);
+router.delete('/:id', authMiddleware, eliminar); // archiva (baja lógica)
+router.post('/:id/restore', authMiddleware, restaurar);
 
 module.exports = router;
\ No newline at end of file
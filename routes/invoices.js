@@ -0,0 +1,15 @@
+// src/routes/invoices.js
+const express = require('express');
+const { crear, listar, detalle } = require('../controllers/invoicesController');
+const { authMiddleware } = require('../middleware/auth');
+const { idempotencyMiddleware } = require('../middleware/idempotency');
+
+const router = express.Router();
+
+router.get('/', authMiddleware, listar);
+router.get('/:id', authMiddleware, detalle);
+
+// emitir factura electrónica (body: { saleId, type?, pointOfSale? })
+router.post('/', authMiddleware, idempotencyMiddleware, crear);
+
+module.exports = router;
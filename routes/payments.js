@@ -2,13 +2,15 @@
 const express = require('express');
 const { crear, listar } = require('../controllers/paymentsController');
 const { authMiddleware } = require('../middleware/auth'); // opcional: proteger con auth
+const { idempotencyMiddleware } = require('../middleware/idempotency');
 
 const router = express.Router();
 
-// listar pagos (puedes filtrar por saleId o customerId)
+// listar pagos (puedes filtrar por saleId, customerId o method)
 router.get('/', authMiddleware, listar);
 
-// crear pago (body: { saleId, customerId?, amount, note? })
-router.post('/', authMiddleware, crear);
+// crear pago (body: { saleId, customerId?, amount, method?, installments?, reference?, note? })
+// con header Idempotency-Key los reintentos devuelven el pago original
+router.post('/', authMiddleware, idempotencyMiddleware, crear);
 
 module.exports = router;
\ No newline at end of file
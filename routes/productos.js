@@ -1,8 +1,11 @@
 // src/routes/productos.js
 const express = require('express');
-const { listar, crear, actualizar, eliminar } = require('../controllers/productosController');
+const { listar, porCodigo, crear, actualizar, eliminar, restaurar, subirImagen, movimientos, historialPrecios, ajustarStock, lotes, ingresarLote, variantes, crearVariante, abrirEnvase, importar, exportar } = require('../controllers/productosController');
 const productoService = require('../services/productosService');
+const productSearchService = require('../services/productSearchService');
 const { authMiddleware } = require('../middleware/auth');
+const { idempotencyMiddleware } = require('../middleware/idempotency');
+const { imageUpload } = require('../middleware/upload');
 
 const router = express.Router();
 
@@ -18,27 +21,53 @@ router.get('/top', async (req, res) => {
   }
 });
 
-// Nueva ruta: Búsqueda avanzada
+// Búsqueda por relevancia (acentos, guiones y errores de tipeo) con facetas por categoría y marca
+// -> { q, total, limit, offset, items, facets }
 router.get('/search', async (req, res) => {
   try {
-    const { q, categoria, limit, offset } = req.query;
-    const rows = await productoService.searchProductos({ 
-      q, 
-      categoria, 
-      limit: limit || 50, 
-      offset: offset || 0 
+    const { q, categoria, marca, includeArchived, limit, offset } = req.query;
+    const result = await productSearchService.searchProductos({
+      q,
+      categoria,
+      marca,
+      includeArchived: includeArchived === 'true',
+      limit: limit || 50,
+      offset: offset || 0
     });
-    res.json(rows);
+    res.json(result);
   } catch (err) {
     console.error('[products/search]', err);
     res.status(500).json({ message: 'Error en la búsqueda' });
   }
 });
 
+// Lectura del escáner (código de barras o SKU)
+router.get('/barcode/:code', porCodigo);
+
+// Importación / exportación CSV (el import acepta el archivo crudo como text/csv)
+router.get('/export', authMiddleware, exportar);
+router.post('/import', authMiddleware, express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), importar);
+
+// Kardex, ajustes de stock y lotes
+router.get('/:id/movements', authMiddleware, movimientos);
+router.get('/:id/price-history', authMiddleware, historialPrecios);
+router.post('/:id/stock-adjustments', authMiddleware, ajustarStock);
+router.get('/:id/lots', authMiddleware, lotes);
+router.post('/:id/lots', authMiddleware, ingresarLote);
+
+// Imagen subida (multipart, campo "image"); se sirve desde /uploads
+router.post('/:id/image', authMiddleware, imageUpload('image'), subirImagen);
+
+// Variantes y apertura de envases cerrados (mueve stock: un reintento no debe abrir dos veces)
+router.get('/:id/variants', authMiddleware, variantes);
+router.post('/:id/variants', authMiddleware, crearVariante);
+router.post('/:id/open', authMiddleware, idempotencyMiddleware, abrirEnvase);
+
 // Rutas existentes
 router.get('/', listar);
 router.post('/', authMiddleware, crear);
 router.put('/:id', authMiddleware, actualizar);
-router.delete('/:id', authMiddleware, eliminar);
+router.delete('/:id', authMiddleware, eliminar); // archiva (baja lógica)
+router.post('/:id/restore', authMiddleware, restaurar);
 
 module.exports = router;
\ No newline at end of file
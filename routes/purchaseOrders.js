@@ -0,0 +1,18 @@
+// src/routes/purchaseOrders.js
+const express = require('express');
+const { listar, detalle, crear, actualizar, cambiarEstado, recibir } = require('../controllers/purchaseOrdersController');
+const { authMiddleware } = require('../middleware/auth');
+const { idempotencyMiddleware } = require('../middleware/idempotency');
+
+const router = express.Router();
+
+router.get('/', authMiddleware, listar);
+router.post('/', authMiddleware, crear);
+router.get('/:id', authMiddleware, detalle);
+router.put('/:id', authMiddleware, actualizar);
+router.post('/:id/status', authMiddleware, cambiarEstado);
+
+// suma stock: un reintento no debe recibir dos veces
+router.post('/:id/receive', authMiddleware, idempotencyMiddleware, recibir);
+
+module.exports = router;
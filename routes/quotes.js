@@ -0,0 +1,19 @@
+// src/routes/quotes.js
+const express = require('express');
+const { listar, detalle, crear, actualizar, cambiarEstado, convertir, imprimir } = require('../controllers/quotesController');
+const { authMiddleware } = require('../middleware/auth');
+const { idempotencyMiddleware } = require('../middleware/idempotency');
+
+const router = express.Router();
+
+router.get('/', authMiddleware, listar);
+router.post('/', authMiddleware, crear);
+router.get('/:id', authMiddleware, detalle);
+router.put('/:id', authMiddleware, actualizar);
+router.get('/:id/print', authMiddleware, imprimir);
+router.post('/:id/status', authMiddleware, cambiarEstado);
+
+// crea la venta real (body: { paymentMethod?, tenders?, onCredit?, paidAmount?, register?, prices? })
+router.post('/:id/convert', authMiddleware, idempotencyMiddleware, convertir);
+
+module.exports = router;
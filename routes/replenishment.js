@@ -0,0 +1,13 @@
+// src/routes/replenishment.js
+const express = require('express');
+const { sugerencias, generarOrdenes, reglas, fijarRegla } = require('../controllers/replenishmentController');
+const { authMiddleware } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.get('/suggestions', authMiddleware, sugerencias);
+router.post('/suggestions/purchase-orders', authMiddleware, generarOrdenes);
+router.get('/category-rules', authMiddleware, reglas);
+router.put('/category-rules/:categoria', authMiddleware, fijarRegla);
+
+module.exports = router;
@@ -1,11 +1,13 @@
 // routes/reports.js
 const express = require('express');
-const { salesByMonth, profitByMonth } = require('../controllers/reportsController');
+const { salesByMonth, profitByMonth, discountsByPromotion, paymentMethodsByMonth } = require('../controllers/reportsController');
 const { authMiddleware } = require('../middleware/auth');
 
 const router = express.Router();
 
 router.get('/sales-by-month', authMiddleware, salesByMonth);
 router.get('/profit-by-month', authMiddleware, profitByMonth);
+router.get('/discounts-by-promotion', authMiddleware, discountsByPromotion);
+router.get('/payment-methods-by-month', authMiddleware, paymentMethodsByMonth);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,18 @@
+// src/routes/repricing.js
+const express = require('express');
+const { previsualizar, aplicar, deshacer, listar, detalle } = require('../controllers/repricingController');
+const { authMiddleware } = require('../middleware/auth');
+const { idempotencyMiddleware } = require('../middleware/idempotency');
+
+const router = express.Router();
+
+router.get('/', authMiddleware, listar);
+router.post('/preview', authMiddleware, previsualizar);
+
+// cambian precios en masa: un reintento no debe aplicar (o deshacer) dos veces
+router.post('/', authMiddleware, idempotencyMiddleware, aplicar);
+router.post('/undo', authMiddleware, idempotencyMiddleware, deshacer);
+
+router.get('/:id', authMiddleware, detalle);
+
+module.exports = router;
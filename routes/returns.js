@@ -0,0 +1,14 @@
+// src/routes/returns.js
+const express = require('express');
+const { crear, listar, detalle } = require('../controllers/returnsController');
+const { authMiddleware } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.get('/', authMiddleware, listar);
+router.get('/:id', authMiddleware, detalle);
+
+// registrar devolución (body: { saleId, items: [{ line, qty, restock?, condition? }], reason? })
+router.post('/', authMiddleware, crear);
+
+module.exports = router;
@@ -4,6 +4,8 @@ const router = express.Router();
 
 // Importa el controlador correctamente desde la raíz
 const salesController = require('../controllers/salesController');
+const { authMiddleware } = require('../middleware/auth');
+const { idempotencyMiddleware } = require('../middleware/idempotency');
 
 // Verifica que las funciones existan
 console.log('listarVentas:', typeof salesController.listarVentas);
@@ -12,7 +14,9 @@ console.log('detalleVenta:', typeof salesController.detalleVenta);
 
 // Usa las funciones del controlador
 router.get('/', salesController.listarVentas);
-router.post('/', salesController.crearVenta);
+router.post('/', idempotencyMiddleware, salesController.crearVenta);
 router.get('/:id', salesController.detalleVenta);
+router.get('/:id/receipt', salesController.ticketVenta);
+router.post('/:id/void', authMiddleware, salesController.anularVenta);
 
 module.exports = router;
\ No newline at end of file
@@ -5,7 +5,8 @@ const {
   crear, 
   detalle, 
   actualizar,  // ← Agregar esta función
-  eliminar     // ← Y esta si también quieres eliminar
+  eliminar,    // ← Y esta si también quieres eliminar
+  restaurar
 } = require('../controllers/servicesController');
 const { authMiddleware } = require('../middleware/auth');
 
@@ -15,6 +16,7 @@ router.get('/', listar);
 router.post('/', authMiddleware, crear);
 router.get('/:id', detalle);
 router.put('/:id', authMiddleware, actualizar); // ← Agregar esta línea
-router.delete('/:id', authMiddleware, eliminar); // ← Opcional: para eliminar
+router.delete('/:id', authMiddleware, eliminar); // archiva (baja lógica)
+router.post('/:id/restore', authMiddleware, restaurar);
 
 module.exports = router;
\ No newline at end of file
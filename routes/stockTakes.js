@@ -0,0 +1,18 @@
+// src/routes/stockTakes.js
+const express = require('express');
+const { listar, iniciar, detalle, contar, cerrar, cancelar } = require('../controllers/stockTakesController');
+const { authMiddleware } = require('../middleware/auth');
+const { idempotencyMiddleware } = require('../middleware/idempotency');
+
+const router = express.Router();
+
+router.get('/', authMiddleware, listar);
+router.post('/', authMiddleware, iniciar);
+router.get('/:id', authMiddleware, detalle);
+
+// los conteos en modo 'add' se suman: un reintento no debe contar dos veces
+router.post('/:id/counts', authMiddleware, idempotencyMiddleware, contar);
+router.post('/:id/post', authMiddleware, idempotencyMiddleware, cerrar);
+router.post('/:id/cancel', authMiddleware, cancelar);
+
+module.exports = router;
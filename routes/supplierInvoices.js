@@ -0,0 +1,15 @@
+// src/routes/supplierInvoices.js
+const express = require('express');
+const { listar, detalle, crear, pagar, anular } = require('../controllers/supplierInvoicesController');
+const { authMiddleware } = require('../middleware/auth');
+const { idempotencyMiddleware } = require('../middleware/idempotency');
+
+const router = express.Router();
+
+router.get('/', authMiddleware, listar);
+router.post('/', authMiddleware, crear);
+router.get('/:id', authMiddleware, detalle);
+router.post('/:id/payments', authMiddleware, idempotencyMiddleware, pagar);
+router.post('/:id/cancel', authMiddleware, anular);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+// src/routes/suppliers.js
+const express = require('express');
+const { listar, detalle, crear, actualizar, saldos } = require('../controllers/suppliersController');
+const { authMiddleware } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.get('/', authMiddleware, listar);
+router.post('/', authMiddleware, crear);
+router.get('/balances', authMiddleware, saldos);
+router.get('/:id', authMiddleware, detalle);
+router.put('/:id', authMiddleware, actualizar);
+
+module.exports = router;
@@ -37,6 +37,16 @@ app.get('/health', (req, res) => {
   res.json({ status: 'healthy' });
 });
 
+// Imágenes subidas (almacenamiento local). Los nombres cambian en cada subida: se cachean como inmutables
+const { UPLOADS } = require('./config/uploads');
+app.use(UPLOADS.public_path, express.static(UPLOADS.dir, {
+  maxAge: '365d',
+  immutable: true,
+  index: false,
+  dotfiles: 'deny',
+  fallthrough: false
+}));
+
 // Montar rutas (ESTA ESTRUCTURA FUNCIONA)
 const routes = [
   { path: '/api', module: './routes/auth' },
@@ -47,6 +57,18 @@ const routes = [
   { path: '/api/reports', module: './routes/reports' },
   { path: '/api/customers', module: './routes/customers' },
   { path: '/api/payments', module: './routes/payments' },
+  { path: '/api/returns', module: './routes/returns' },
+  { path: '/api/promotions', module: './routes/promotions' },
+  { path: '/api/cash-register', module: './routes/cashRegister' },
+  { path: '/api/quotes', module: './routes/quotes' },
+  { path: '/api/invoices', module: './routes/invoices' },
+  { path: '/api/suppliers', module: './routes/suppliers' },
+  { path: '/api/purchase-orders', module: './routes/purchaseOrders' },
+  { path: '/api/supplier-invoices', module: './routes/supplierInvoices' },
+  { path: '/api/costing', module: './routes/costing' },
+  { path: '/api/replenishment', module: './routes/replenishment' },
+  { path: '/api/repricing', module: './routes/repricing' },
+  { path: '/api/stock-takes', module: './routes/stockTakes' },
   { path: '/api/customers/sales', module: './routes/customerSales' }
 ];
 
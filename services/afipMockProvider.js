@@ -0,0 +1,85 @@
+// services/afipMockProvider.js
+// Proveedor de CAE local (sin conexión a AFIP) para desarrollo y tests.
+// Responde con la misma forma que FECAESolicitar y valida lo mínimo que valida AFIP:
+// numeración, documento del receptor en Factura A e importes que cierren.
+
+// último número autorizado por punto de venta y tipo: { 'ptoVta:cbteTipo': n }
+const lastNumbers = {};
+
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+
+const pad = (n, len) => String(n).padStart(len, '0');
+
+const yyyymmdd = (d) => `${d.getFullYear()}${pad(d.getMonth() + 1, 2)}${pad(d.getDate(), 2)}`;
+
+const key = (ptoVta, cbteTipo) => `${ptoVta}:${cbteTipo}`;
+
+// CAE de 14 dígitos derivado del comprobante (repetible para el mismo pedido)
+const fakeCae = (ptoVta, cbteTipo, nro) => `7${pad(ptoVta, 4)}${pad(cbteTipo, 2)}${pad(nro % 10000000, 7)}`;
+
+const validate = (cab, det) => {
+  const errors = [];
+  const last = lastNumbers[key(cab.PtoVta, cab.CbteTipo)] || 0;
+  // AFIP exige exactamente last + 1; acá sólo se rechaza lo ya autorizado porque la
+  // numeración del mock vive en memoria y se pierde al reiniciar
+  if (det.CbteDesde <= last) {
+    errors.push({ Code: 10016, Msg: `El número de comprobante debe ser mayor a ${last}` });
+  }
+  if (cab.CbteTipo === 1 && det.DocTipo !== 80) {
+    errors.push({ Code: 10013, Msg: 'Factura A requiere CUIT del receptor (DocTipo 80)' });
+  }
+  const sum = round2(Number(det.ImpNeto || 0) + Number(det.ImpIVA || 0) + Number(det.ImpOpEx || 0) + Number(det.ImpTotConc || 0) + Number(det.ImpTrib || 0));
+  if (Math.abs(sum - Number(det.ImpTotal || 0)) > 0.01) {
+    errors.push({ Code: 10048, Msg: 'ImpTotal no coincide con la suma de importes' });
+  }
+  const ivaSum = round2(((det.Iva && det.Iva.AlicIva) || []).reduce((acc, a) => acc + Number(a.Importe || 0), 0));
+  if (Math.abs(ivaSum - Number(det.ImpIVA || 0)) > 0.01) {
+    errors.push({ Code: 10051, Msg: 'ImpIVA no coincide con el detalle de alícuotas' });
+  }
+  return errors;
+};
+
+module.exports = {
+  name: 'mock',
+
+  async lastAuthorized(ptoVta, cbteTipo) {
+    return lastNumbers[key(ptoVta, cbteTipo)] || 0;
+  },
+
+  /**
+   * requestCAE(payload)
+   * payload: FeCAEReq armado por afipService.buildFECAERequest
+   * -> { result: 'A'|'R', cae, cae_due, observations, errors, raw }
+   */
+  async requestCAE(payload) {
+    const cab = payload.FeCabReq;
+    const det = payload.FeDetReq.FECAEDetRequest[0];
+    const errors = validate(cab, det);
+
+    if (errors.length > 0) {
+      return { result: 'R', cae: null, cae_due: null, observations: [], errors, raw: { Resultado: 'R', Errors: errors } };
+    }
+
+    lastNumbers[key(cab.PtoVta, cab.CbteTipo)] = det.CbteHasta;
+    const due = new Date();
+    due.setDate(due.getDate() + 10);
+    const cae = fakeCae(cab.PtoVta, cab.CbteTipo, det.CbteDesde);
+    return {
+      result: 'A',
+      cae,
+      cae_due: due,
+      observations: [],
+      errors: [],
+      raw: { Resultado: 'A', CAE: cae, CAEFchVto: yyyymmdd(due), CbteDesde: det.CbteDesde, CbteHasta: det.CbteHasta }
+    };
+  },
+
+  // para tests: reinicia o fija la numeración
+  reset(ptoVta = null, cbteTipo = null, last = 0) {
+    if (ptoVta == null) {
+      Object.keys(lastNumbers).forEach(k => { delete lastNumbers[k]; });
+      return;
+    }
+    lastNumbers[key(ptoVta, cbteTipo)] = last;
+  }
+};
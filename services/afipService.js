@@ -0,0 +1,142 @@
+// services/afipService.js
+// Adaptador de factura electrónica (WSFE de AFIP).
+// Arma el pedido FECAESolicitar a partir de un comprobante y obtiene el CAE a través de un
+// proveedor enchufable. Por defecto se usa el proveedor local `mock` (afipMockProvider), que
+// funciona sin conexión. Un proveedor real (WSAA + WSFE con certificado) debe registrarse con
+// registerProvider('wsfe', impl) y seleccionarse con AFIP_PROVIDER=wsfe.
+//
+// Interfaz de proveedor:
+//   lastAuthorized(ptoVta, cbteTipo) -> Promise<number>
+//   requestCAE(payload) -> Promise<{ result: 'A'|'R', cae, cae_due, observations, errors, raw }>
+const { STORE } = require('../config/store');
+const { IVA_RATES, INVOICE_TYPES } = require('../config/tax');
+const mockProvider = require('./afipMockProvider');
+
+const providers = { mock: mockProvider };
+let activeProvider = null;
+
+// códigos WSFE
+const CONCEPTOS = { PRODUCTOS: 1, SERVICIOS: 2, PRODUCTOS_Y_SERVICIOS: 3 };
+const DOC_TIPOS = { CUIT: 80, CONSUMIDOR_FINAL: 99 };
+
+const pad2 = (n) => String(n).padStart(2, '0');
+const yyyymmdd = (d) => `${d.getFullYear()}${pad2(d.getMonth() + 1)}${pad2(d.getDate())}`;
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+
+/* ---------- Proveedores ---------- */
+const registerProvider = (name, provider) => {
+  if (!provider || typeof provider.requestCAE !== 'function') throw new Error('Proveedor AFIP inválido');
+  providers[name] = provider;
+};
+
+/**
+ * useProvider(nameOrProvider)
+ * Fija el proveedor activo (útil en tests). Sin argumento vuelve a AFIP_PROVIDER.
+ */
+const useProvider = (nameOrProvider = null) => {
+  if (nameOrProvider && typeof nameOrProvider === 'object') {
+    registerProvider(nameOrProvider.name || 'custom', nameOrProvider);
+    activeProvider = nameOrProvider;
+    return activeProvider;
+  }
+  activeProvider = nameOrProvider ? providers[nameOrProvider] || null : null;
+  if (nameOrProvider && !activeProvider) throw new Error(`Proveedor AFIP no configurado (${nameOrProvider})`);
+  return activeProvider;
+};
+
+const getProvider = () => {
+  if (activeProvider) return activeProvider;
+  const name = process.env.AFIP_PROVIDER || 'mock';
+  const provider = providers[name];
+  if (!provider) throw new Error(`Proveedor AFIP no configurado (${name})`);
+  return provider;
+};
+
+/* ---------- Pedido WSFE ---------- */
+/**
+ * buildFECAERequest(invoice)
+ * invoice: { type, point_of_sale, number, concept, customer: { cuit }, issued_at,
+ *            net_amount, iva_total, exempt_amount, total, iva: [{ rate, base, amount }] }
+ * Devuelve el FeCAEReq de FECAESolicitar (un comprobante por pedido).
+ */
+const buildFECAERequest = (invoice) => {
+  const cfg = INVOICE_TYPES[invoice.type];
+  if (!cfg) throw new Error(`Tipo de comprobante inválido (${invoice.type})`);
+
+  const issuedAt = invoice.issued_at ? new Date(invoice.issued_at) : new Date();
+  const cuitDigits = String(invoice.customer?.cuit || '').replace(/\D/g, '');
+  const hasCuit = cuitDigits.length === 11;
+
+  const det = {
+    Concepto: invoice.concept || CONCEPTOS.PRODUCTOS,
+    DocTipo: hasCuit ? DOC_TIPOS.CUIT : DOC_TIPOS.CONSUMIDOR_FINAL,
+    DocNro: hasCuit ? Number(cuitDigits) : 0,
+    CbteDesde: invoice.number,
+    CbteHasta: invoice.number,
+    CbteFch: yyyymmdd(issuedAt),
+    ImpTotal: round2(invoice.total),
+    ImpTotConc: 0,
+    ImpNeto: 0,
+    ImpOpEx: 0,
+    ImpIVA: 0,
+    ImpTrib: 0,
+    MonId: 'PES',
+    MonCotiz: 1
+  };
+
+  if (invoice.type === 'C') {
+    // monotributo: sin IVA discriminado, todo el importe va como neto
+    det.ImpNeto = round2(invoice.total);
+  } else {
+    det.ImpNeto = round2(invoice.net_amount);
+    det.ImpIVA = round2(invoice.iva_total);
+    det.ImpOpEx = round2(invoice.exempt_amount);
+    const alicuotas = (invoice.iva || [])
+      .filter(l => IVA_RATES[l.rate] && IVA_RATES[l.rate].afip_id)
+      .map(l => ({ Id: IVA_RATES[l.rate].afip_id, BaseImp: round2(l.base), Importe: round2(l.amount) }));
+    if (alicuotas.length > 0) det.Iva = { AlicIva: alicuotas };
+  }
+
+  // servicios: AFIP pide período facturado y vencimiento de pago
+  if (det.Concepto !== CONCEPTOS.PRODUCTOS) {
+    det.FchServDesde = det.CbteFch;
+    det.FchServHasta = det.CbteFch;
+    det.FchVtoPago = det.CbteFch;
+  }
+
+  return {
+    Auth: { Cuit: STORE.cuit ? Number(String(STORE.cuit).replace(/\D/g, '')) : null },
+    FeCabReq: { CantReg: 1, PtoVta: Number(invoice.point_of_sale), CbteTipo: cfg.cbte_tipo },
+    FeDetReq: { FECAEDetRequest: [det] }
+  };
+};
+
+/**
+ * requestCAE(invoice)
+ * Arma el pedido y lo envía al proveedor activo.
+ * -> { request, provider, result, cae, cae_due, observations, errors, raw }
+ */
+const requestCAE = async (invoice) => {
+  const provider = getProvider();
+  const request = buildFECAERequest(invoice);
+  const response = await provider.requestCAE(request);
+  return { request, provider: provider.name || 'custom', ...response };
+};
+
+const lastAuthorized = async (pointOfSale, type) => {
+  const cfg = INVOICE_TYPES[type];
+  if (!cfg) throw new Error(`Tipo de comprobante inválido (${type})`);
+  const provider = getProvider();
+  return typeof provider.lastAuthorized === 'function' ? provider.lastAuthorized(Number(pointOfSale), cfg.cbte_tipo) : null;
+};
+
+module.exports = {
+  CONCEPTOS,
+  DOC_TIPOS,
+  registerProvider,
+  useProvider,
+  getProvider,
+  buildFECAERequest,
+  requestCAE,
+  lastAuthorized
+};
@@ -1,8 +1,10 @@
 // services/alertsService.js - VERSIÓN MEJORADA
 const { connectMongo, mongoose } = require('../config/mongo');
 const productService = require('./productosService');
+const populateService = require('./populateService');
+const lotsService = require('./lotsService');
+const replenishmentService = require('./replenishmentService');
 
-const LOW_STOCK_THRESHOLD = parseInt(process.env.ALERT_LOW_STOCK_THRESHOLD || '5', 10);
 const EXPIRY_DAYS = parseInt(process.env.ALERT_EXPIRY_DAYS || '30', 10);
 
 const { Schema } = mongoose;
@@ -10,6 +12,7 @@ const { Schema } = mongoose;
 const AlertSchema = new Schema({
   productRef: { type: Schema.Types.ObjectId, ref: 'Product', default: null },
   oldProductId: { type: Schema.Types.Mixed, default: null },
+  lotRef: { type: Schema.Types.ObjectId, ref: 'Lot', default: null }, // alertas de vencimiento por lote
   type: { type: String, enum: ['stock', 'expiry'], required: true },
   message: { type: String, required: true },
   meta: { type: Schema.Types.Mixed, default: {} },
@@ -55,7 +58,7 @@ const init = async () => {
   }
 };
 
-const createAlertIfNotExists = async ({ productRef = null, oldProductId = null, type, message, meta = {} }) => {
+const createAlertIfNotExists = async ({ productRef = null, oldProductId = null, lotRef = null, type, message, meta = {} }) => {
   if (!Alert) await init();
 
   // Construir query de búsqueda más específica
@@ -79,6 +82,8 @@ const createAlertIfNotExists = async ({ productRef = null, oldProductId = null,
     // Si ambos IDs son null, buscar por mensaje similar para evitar duplicados exactos
     query.message = message;
   }
+  // cada lote tiene su propia alerta; lotRef null = alerta del producto
+  query.lotRef = lotRef ? new mongoose.Types.ObjectId(String(lotRef)) : null;
 
   try {
     const existing = await Alert.findOne(query).lean();
@@ -92,6 +97,7 @@ const createAlertIfNotExists = async ({ productRef = null, oldProductId = null,
         ? new mongoose.Types.ObjectId(productRef) 
         : null,
       oldProductId: (oldProductId !== null && oldProductId !== undefined) ? oldProductId : null,
+      lotRef: query.lotRef,
       type,
       message,
       meta: meta || {},
@@ -117,6 +123,17 @@ const checkAndCreateAlerts = async () => {
   const now = new Date();
   const expiryCutoff = new Date(now.getTime() + EXPIRY_DAYS * 24 * 60 * 60 * 1000);
 
+  // productos con lotes: el vencimiento se evalúa por lote y no con p.vencimiento
+  const lotTotals = await lotsService.lotTotals();
+  const expiringLots = new Map();
+  for (const lot of await lotsService.listExpiringLots(expiryCutoff)) {
+    if (!expiringLots.has(lot.productRef)) expiringLots.set(lot.productRef, []);
+    expiringLots.get(lot.productRef).push(lot);
+  }
+
+  // niveles de reposición: producto -> categoría -> global (ALERT_LOW_STOCK_THRESHOLD)
+  const reorderRules = await replenishmentService.loadCategoryRules();
+
   const created = [];
   console.log(`[alertsService] Revisando ${products.length} productos para alertas...`);
 
@@ -129,21 +146,54 @@ const checkAndCreateAlerts = async () => {
 
       console.log(`[alertsService] Producto: ${p.nombre}, productRef: ${productRef}, oldProductId: ${oldProductId}`);
 
-      // Verificar stock bajo
+      // Verificar stock bajo (punto de pedido del producto o de su categoría)
       const stock = (p.stock == null) ? null : Number(p.stock);
-      if (stock != null && stock <= LOW_STOCK_THRESHOLD) {
-        const message = `Stock bajo: ${p.nombre || 'Sin nombre'} — quedan ${stock} unidades (umbral ${LOW_STOCK_THRESHOLD}).`;
+      const levels = replenishmentService.resolveLevels(p, reorderRules);
+      if (stock != null && levels.reorder_point != null && stock <= levels.reorder_point) {
+        const critical = levels.min_stock != null && stock <= levels.min_stock;
+        const message = critical
+          ? `Stock crítico: ${p.nombre || 'Sin nombre'} — quedan ${stock} ${p.unit === 'kg' ? 'kg' : 'unidades'} (mínimo ${levels.min_stock}).`
+          : `Stock bajo: ${p.nombre || 'Sin nombre'} — quedan ${stock} ${p.unit === 'kg' ? 'kg' : 'unidades'} (punto de pedido ${levels.reorder_point}).`;
         const alert = await createAlertIfNotExists({ 
           productRef, 
           oldProductId, 
           type: 'stock', 
           message, 
-          meta: { stock, threshold: LOW_STOCK_THRESHOLD } 
+          meta: {
+            stock,
+            threshold: levels.reorder_point,
+            min_stock: levels.min_stock,
+            reorder_point: levels.reorder_point,
+            reorder_qty: levels.reorder_qty,
+            critical,
+            source: levels.source.reorder_point
+          } 
         });
         if (alert) created.push(alert);
       }
 
-      // Verificar vencimiento
+      // Verificar vencimiento por lote
+      if (productRef && lotTotals.has(productRef)) {
+        for (const lot of (expiringLots.get(productRef) || [])) {
+          const d = new Date(lot.expiry);
+          const daysLeft = Math.ceil((d - now) / (1000 * 60 * 60 * 24));
+          const message = daysLeft < 0
+            ? `Lote vencido: ${p.nombre || 'Sin nombre'} — lote ${lot.lot_number} (${lot.qty} u.) venció hace ${Math.abs(daysLeft)} días (vto: ${lot.expiry}).`
+            : `Lote por vencer: ${p.nombre || 'Sin nombre'} — lote ${lot.lot_number} (${lot.qty} u.), queda(n) ${daysLeft} día(s) (vto: ${lot.expiry}).`;
+          const alert = await createAlertIfNotExists({
+            productRef,
+            oldProductId,
+            lotRef: lot.id,
+            type: 'expiry',
+            message,
+            meta: { lot_number: lot.lot_number, qty: lot.qty, vencimiento: lot.expiry, daysLeft }
+          });
+          if (alert) created.push(alert);
+        }
+        continue;
+      }
+
+      // Verificar vencimiento (productos sin lotes)
       const vencStr = p.vencimiento;
       if (vencStr) {
         const d = new Date(String(vencStr).trim());
@@ -178,6 +228,11 @@ const listAlerts = async ({ onlyUnresolved = true } = {}) => {
   const q = onlyUnresolved ? { resolvedAt: null } : {};
   const docs = await Alert.find(q).sort({ createdAt: -1 }).lean();
   
+  // productos de todas las alertas en una sola consulta
+  const collector = populateService.createCollector();
+  docs.forEach(d => populateService.addKey(collector.products, populateService.refKey(d.productRef, d.oldProductId)));
+  const refs = await populateService.loadRefs(collector);
+
   const alerts = docs.map(d => {
     const alert = {
       id: String(d._id),
@@ -189,6 +244,9 @@ const listAlerts = async ({ onlyUnresolved = true } = {}) => {
     };
     if (d.productRef) alert.productRef = String(d.productRef);
     if (d.oldProductId) alert.oldProductId = d.oldProductId;
+    if (d.lotRef) alert.lotRef = String(d.lotRef);
+    const p = refs.product(populateService.refKey(d.productRef, d.oldProductId));
+    alert.product = p ? { id: p.id, nombre: p.nombre, stock: p.stock, vencimiento: p.vencimiento } : null;
     return alert;
   });
   
@@ -220,6 +278,7 @@ const resolveAlert = async (id) => {
   
   if (doc.productRef) resolvedAlert.productRef = String(doc.productRef);
   if (doc.oldProductId) resolvedAlert.oldProductId = doc.oldProductId;
+  if (doc.lotRef) resolvedAlert.lotRef = String(doc.lotRef);
   
   console.log(`[alertsService] Alerta ${id} resuelta`);
   return resolvedAlert;
@@ -0,0 +1,321 @@
+// services/cashRegisterService.js
+const { connectMongo, mongoose } = require('../config/mongo');
+const { PAYMENT_METHODS } = require('../config/paymentMethods');
+
+const DEFAULT_REGISTER = process.env.CASH_REGISTER_DEFAULT || 'principal';
+// si es true, no se puede vender ni cobrar sin una caja abierta
+const CASH_REGISTER_REQUIRED = (process.env.CASH_REGISTER_REQUIRED === 'true');
+
+let CashSessionModel = null;
+let mongoReady = false;
+
+const { Schema } = mongoose;
+
+/* ---------- Schema ---------- */
+const CashMovementSchema = new Schema({
+  type: { type: String, enum: ['in', 'out'], required: true },
+  amount: { type: Number, required: true },
+  reason: { type: String, default: null },
+  user: { type: String, default: null },
+  created_at: { type: Date, default: Date.now },
+}, { _id: false });
+
+const CashSessionSchema = new Schema({
+  register: { type: String, default: DEFAULT_REGISTER },
+  status: { type: String, enum: ['open', 'closed'], default: 'open' },
+
+  opening_float: { type: Number, default: 0 },
+  opened_by: { type: String, default: null },
+  opened_at: { type: Date, default: Date.now },
+
+  movements: { type: [CashMovementSchema], default: [] },
+
+  // se completan al cerrar: { [method]: monto }
+  expected: { type: Schema.Types.Mixed, default: null },
+  counted: { type: Schema.Types.Mixed, default: null },
+  variance: { type: Schema.Types.Mixed, default: null },
+  summary: { type: Schema.Types.Mixed, default: null },
+  closing_note: { type: String, default: null },
+  closed_by: { type: String, default: null },
+  closed_at: { type: Date, default: null },
+}, {
+  versionKey: false
+});
+
+CashSessionSchema.set('toJSON', {
+  transform(doc, ret) {
+    ret.id = ret.id || (ret._id ? String(ret._id) : null);
+    delete ret._id;
+    return ret;
+  }
+});
+
+/* ---------- init ---------- */
+const init = async () => {
+  await connectMongo();
+  mongoReady = true;
+  CashSessionModel = mongoose.models.CashSession || mongoose.model('CashSession', CashSessionSchema);
+
+  try {
+    await CashSessionModel.collection.createIndex({ register: 1, status: 1 });
+    await CashSessionModel.collection.createIndex({ opened_at: -1 });
+    console.log('[cashRegisterService] índices creados/verificados');
+  } catch (err) {
+    console.warn('[cashRegisterService] fallo creando índices (quizá ya existían):', err.message || err);
+  }
+};
+
+/* ---------- Helpers ---------- */
+const isObjectId = v => typeof v === 'string' && mongoose.Types.ObjectId.isValid(v);
+
+const ensureMongoReady = async () => {
+  if (!mongoReady || !CashSessionModel) {
+    console.log('🔄 Auto-inicializando cashRegisterService...');
+    await init();
+  }
+};
+
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+
+const normalize = (doc) => {
+  if (!doc) return null;
+  return {
+    id: doc.id || (doc._id ? String(doc._id) : null),
+    register: doc.register || DEFAULT_REGISTER,
+    status: doc.status || 'open',
+    opening_float: Number(doc.opening_float || 0),
+    opened_by: doc.opened_by || null,
+    opened_at: doc.opened_at || null,
+    movements: (doc.movements || []).map(m => ({
+      type: m.type,
+      amount: Number(m.amount || 0),
+      reason: m.reason || null,
+      user: m.user || null,
+      created_at: m.created_at || null
+    })),
+    expected: doc.expected || null,
+    counted: doc.counted || null,
+    variance: doc.variance || null,
+    summary: doc.summary || null,
+    closing_note: doc.closing_note || null,
+    closed_by: doc.closed_by || null,
+    closed_at: doc.closed_at || null
+  };
+};
+
+/**
+ * computeExpected(sessionDoc)
+ * Esperado por medio de pago para la sesión:
+ * - cobros (tenders) de ventas no anuladas asociados a la sesión; sin medio informado se asume efectivo
+ * - efectivo: + fondo inicial + ingresos - egresos - reintegros en efectivo por devoluciones
+ */
+const computeExpected = async (sessionDoc) => {
+  const sessionId = sessionDoc._id;
+  const salesColl = mongoose.connection.collection('sales');
+  const returnsColl = mongoose.connection.collection('returns');
+
+  const byMethod = {};
+  Object.keys(PAYMENT_METHODS).forEach(m => { byMethod[m] = 0; });
+
+  const tendersAgg = await salesColl.aggregate([
+    { $match: { status: { $ne: 'voided' }, 'tenders.cash_session_ref': sessionId } },
+    { $unwind: '$tenders' },
+    { $match: { 'tenders.cash_session_ref': sessionId } },
+    {
+      $group: {
+        _id: { $ifNull: ['$tenders.method', 'cash'] },
+        amount: { $sum: { $add: [{ $ifNull: ['$tenders.amount', 0] }, { $ifNull: ['$tenders.surcharge', 0] }] } },
+        count: { $sum: 1 }
+      }
+    }
+  ]).toArray();
+  for (const r of tendersAgg) byMethod[r._id] = round2((byMethod[r._id] || 0) + Number(r.amount || 0));
+
+  const salesCount = await salesColl.countDocuments({ cash_session_ref: sessionId, status: { $ne: 'voided' } });
+  const voidedCount = await salesColl.countDocuments({ cash_session_ref: sessionId, status: 'voided' });
+
+  const returnsAgg = await returnsColl.aggregate([
+    { $match: { cash_session_ref: sessionId } },
+    { $group: { _id: null, cash_refund: { $sum: { $ifNull: ['$cash_refund', 0] } } } }
+  ]).toArray();
+  const cashRefunds = returnsAgg[0] ? Number(returnsAgg[0].cash_refund || 0) : 0;
+
+  const movementsIn = (sessionDoc.movements || []).filter(m => m.type === 'in').reduce((a, m) => a + Number(m.amount || 0), 0);
+  const movementsOut = (sessionDoc.movements || []).filter(m => m.type === 'out').reduce((a, m) => a + Number(m.amount || 0), 0);
+
+  const collectedCash = byMethod.cash;
+  const expected = { ...byMethod };
+  expected.cash = round2(Number(sessionDoc.opening_float || 0) + collectedCash + movementsIn - movementsOut - cashRefunds);
+
+  return {
+    expected,
+    summary: {
+      sales_count: salesCount,
+      voided_count: voidedCount,
+      collected_by_method: byMethod,
+      opening_float: Number(sessionDoc.opening_float || 0),
+      movements_in: round2(movementsIn),
+      movements_out: round2(movementsOut),
+      cash_refunds: round2(cashRefunds),
+      total_collected: round2(Object.values(byMethod).reduce((a, v) => a + v, 0))
+    }
+  };
+};
+
+const findSessionDoc = async (id) => {
+  if (!id || !isObjectId(String(id))) return null;
+  return CashSessionModel.findById(String(id)).exec();
+};
+
+/* ---------- API ---------- */
+
+/**
+ * getOpenSession(register)
+ * Sesión abierta de la caja (o null). Usado por sales/payments/returns para asociar movimientos.
+ * Con CASH_REGISTER_REQUIRED=true lanza error si no hay caja abierta.
+ */
+const getOpenSession = async (register = DEFAULT_REGISTER, { required = CASH_REGISTER_REQUIRED } = {}) => {
+  await ensureMongoReady();
+  const doc = await CashSessionModel.findOne({ register: register || DEFAULT_REGISTER, status: 'open' }).lean().exec();
+  if (!doc && required) throw new Error('No hay caja abierta');
+  return normalize(doc);
+};
+
+const openSession = async ({ register = DEFAULT_REGISTER, openingFloat = 0, user = null } = {}) => {
+  await ensureMongoReady();
+
+  const amount = Number(openingFloat || 0);
+  if (!Number.isFinite(amount) || amount < 0) throw new Error('Fondo inicial inválido');
+
+  const existing = await CashSessionModel.findOne({ register: register || DEFAULT_REGISTER, status: 'open' }).lean().exec();
+  if (existing) throw new Error('Ya hay una caja abierta para este registro');
+
+  const doc = await CashSessionModel.create({
+    register: register || DEFAULT_REGISTER,
+    opening_float: amount,
+    opened_by: user != null ? String(user) : null
+  });
+
+  return normalize(doc.toObject());
+};
+
+/**
+ * addMovement(sessionId, { type: 'in'|'out', amount, reason, user })
+ * Ingresos/egresos de efectivo que no son ventas (ej. pago a un repartidor).
+ */
+const addMovement = async (sessionId, { type, amount, reason = null, user = null } = {}) => {
+  await ensureMongoReady();
+
+  if (!['in', 'out'].includes(type)) throw new Error('Tipo de movimiento inválido');
+  const amt = Number(amount);
+  if (!Number.isFinite(amt) || amt <= 0) throw new Error('amount inválido');
+  if (!reason || String(reason).trim() === '') throw new Error('Motivo requerido');
+
+  const doc = await findSessionDoc(sessionId);
+  if (!doc) throw new Error('Caja no encontrada');
+  if (doc.status !== 'open') throw new Error('La caja está cerrada');
+
+  doc.movements.push({ type, amount: amt, reason: String(reason).trim(), user: user != null ? String(user) : null });
+  await doc.save();
+
+  return normalize(doc.toObject());
+};
+
+/**
+ * closeSession(sessionId, { counted: { cash, debit, ... }, note, user })
+ * Calcula lo esperado por medio de pago, guarda lo contado y la diferencia (contado - esperado).
+ */
+const closeSession = async (sessionId, { counted = {}, note = null, user = null } = {}) => {
+  await ensureMongoReady();
+
+  const doc = await findSessionDoc(sessionId);
+  if (!doc) throw new Error('Caja no encontrada');
+  if (doc.status !== 'open') throw new Error('La caja ya está cerrada');
+
+  const countedClean = {};
+  for (const [method, value] of Object.entries(counted || {})) {
+    if (!PAYMENT_METHODS[method]) throw new Error(`Medio de pago inválido (${method})`);
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0) throw new Error(`Monto contado inválido para ${method}`);
+    countedClean[method] = round2(n);
+  }
+  if (countedClean.cash == null) throw new Error('Monto contado de efectivo requerido');
+
+  const { expected, summary } = await computeExpected(doc);
+
+  const variance = {};
+  for (const method of Object.keys(countedClean)) {
+    variance[method] = round2(countedClean[method] - (expected[method] || 0));
+  }
+
+  doc.status = 'closed';
+  doc.expected = expected;
+  doc.counted = countedClean;
+  doc.variance = variance;
+  doc.summary = summary;
+  doc.closing_note = note ? String(note).trim() : null;
+  doc.closed_by = user != null ? String(user) : null;
+  doc.closed_at = new Date();
+  doc.markModified('expected');
+  doc.markModified('counted');
+  doc.markModified('variance');
+  doc.markModified('summary');
+  await doc.save();
+
+  return normalize(doc.toObject());
+};
+
+/**
+ * getSessionById(id)
+ * Si la caja sigue abierta devuelve el esperado calculado al momento (sin guardar).
+ */
+const getSessionById = async (id) => {
+  await ensureMongoReady();
+  const doc = await findSessionDoc(id);
+  if (!doc) return null;
+
+  const session = normalize(doc.toObject());
+  if (session.status === 'open') {
+    const { expected, summary } = await computeExpected(doc);
+    return { ...session, expected, summary };
+  }
+  return session;
+};
+
+const listSessions = async ({ register, from, to, limit = 50, offset = 0 } = {}) => {
+  await ensureMongoReady();
+
+  const filter = {};
+  if (register) filter.register = register;
+  if (from) {
+    const fromDate = new Date(from);
+    if (!isNaN(fromDate.getTime())) filter.opened_at = { ...(filter.opened_at || {}), $gte: fromDate };
+  }
+  if (to) {
+    const toDate = new Date(to);
+    if (!isNaN(toDate.getTime())) {
+      const toInclusive = new Date(toDate.getTime()); toInclusive.setHours(23, 59, 59, 999);
+      filter.opened_at = { ...(filter.opened_at || {}), $lte: toInclusive };
+    }
+  }
+
+  const docs = await CashSessionModel.find(filter)
+    .sort({ opened_at: -1 })
+    .skip(Number(offset) || 0)
+    .limit(Number(limit) || 50)
+    .lean()
+    .exec();
+
+  return docs.map(normalize);
+};
+
+module.exports = {
+  init,
+  DEFAULT_REGISTER,
+  getOpenSession,
+  openSession,
+  addMovement,
+  closeSession,
+  getSessionById,
+  listSessions
+};
@@ -0,0 +1,326 @@
+// services/costingService.js
+// Costo de productos: promedio ponderado en cada recepción, historial de cambios de costo,
+// margen/markup actual y precio sugerido según el markup objetivo de la categoría.
+//
+// Por env:
+//   DEFAULT_TARGET_MARKUP=40   (markup % para categorías sin objetivo propio; vacío = sin sugerencia)
+//
+// Trabaja directo sobre la colección products (como stockMovementsService) para que
+// productosService pueda registrar cambios manuales de costo sin dependencia circular.
+const { connectMongo, mongoose } = require('../config/mongo');
+
+const DEFAULT_TARGET_MARKUP = process.env.DEFAULT_TARGET_MARKUP !== undefined && process.env.DEFAULT_TARGET_MARKUP !== ''
+  ? Number(process.env.DEFAULT_TARGET_MARKUP)
+  : null;
+
+const COST_METHODS = ['initial', 'weighted_average', 'manual'];
+
+let CostHistoryModel = null;
+let CategoryMarkupModel = null;
+let mongoReady = false;
+
+const { Schema } = mongoose;
+
+/* ---------- Schemas ---------- */
+const CostHistorySchema = new Schema({
+  productRef: { type: Schema.Types.ObjectId, ref: 'Product', required: true },
+  method: { type: String, enum: COST_METHODS, required: true },
+  previous_cost: { type: Number, default: null },
+  new_cost: { type: Number, required: true },
+
+  // datos de la recepción (sólo weighted_average)
+  qty_received: { type: Number, default: null },
+  unit_cost: { type: Number, default: null },
+  stock_before: { type: Number, default: null },
+
+  source_kind: { type: String, default: null },
+  source_ref: { type: Schema.Types.ObjectId, default: null },
+  user: { type: String, default: null },
+  created_at: { type: Date, default: Date.now },
+}, {
+  versionKey: false
+});
+
+const CategoryMarkupSchema = new Schema({
+  categoria: { type: String, required: true },
+  markup_percent: { type: Number, required: true },
+  updated_by: { type: String, default: null },
+  updated_at: { type: Date, default: Date.now },
+}, {
+  versionKey: false
+});
+
+/* ---------- init ---------- */
+const init = async () => {
+  await connectMongo();
+  mongoReady = true;
+  CostHistoryModel = mongoose.models.CostHistory || mongoose.model('CostHistory', CostHistorySchema, 'cost_history');
+  CategoryMarkupModel = mongoose.models.CategoryMarkup || mongoose.model('CategoryMarkup', CategoryMarkupSchema, 'category_markups');
+
+  try {
+    await CostHistoryModel.collection.createIndex({ productRef: 1, created_at: -1 });
+    await CategoryMarkupModel.collection.createIndex({ categoria: 1 }, { unique: true });
+    console.log('[costingService] índices creados/verificados');
+  } catch (err) {
+    console.warn('[costingService] fallo creando índices (quizá ya existían):', err.message || err);
+  }
+};
+
+/* ---------- Helpers ---------- */
+const isObjectId = v => typeof v === 'string' && mongoose.Types.ObjectId.isValid(v);
+
+const ensureMongoReady = async () => {
+  if (!mongoReady || !CostHistoryModel || !CategoryMarkupModel) {
+    console.log('🔄 Auto-inicializando costingService...');
+    await init();
+  }
+};
+
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+const round4 = (n) => Math.round(Number(n) * 10000) / 10000;
+
+const productFilter = (productId) => {
+  if (isObjectId(String(productId))) return { _id: new mongoose.Types.ObjectId(String(productId)) };
+  if (!isNaN(Number(productId))) return { oldId: Number(productId) };
+  return { _id: productId };
+};
+
+const normalizeHistory = (doc) => ({
+  id: doc._id ? String(doc._id) : null,
+  productRef: doc.productRef ? String(doc.productRef) : null,
+  method: doc.method,
+  previous_cost: doc.previous_cost ?? null,
+  new_cost: Number(doc.new_cost || 0),
+  qty_received: doc.qty_received ?? null,
+  unit_cost: doc.unit_cost ?? null,
+  stock_before: doc.stock_before ?? null,
+  source: doc.source_kind ? { kind: doc.source_kind, ref: doc.source_ref ? String(doc.source_ref) : null } : null,
+  user: doc.user || null,
+  created_at: doc.created_at || null
+});
+
+/**
+ * weightedAverage(stockBefore, costBefore, qty, unitCost)
+ * Sin stock previo (o negativo) el costo pasa a ser el de la recepción.
+ */
+const weightedAverage = (stockBefore, costBefore, qty, unitCost) => {
+  const s = Math.max(0, Number(stockBefore) || 0);
+  const q = Number(qty) || 0;
+  if (s <= 0 || costBefore == null) return round4(unitCost);
+  if (s + q <= 0) return round4(unitCost);
+  return round4((s * Number(costBefore) + q * Number(unitCost)) / (s + q));
+};
+
+/**
+ * margins(precio, cost)
+ * margin: sobre el precio de venta; markup: sobre el costo. En porcentaje.
+ */
+const margins = (precio, cost) => {
+  const p = precio == null ? null : Number(precio);
+  const c = Number(cost || 0);
+  return {
+    margin_percent: p && p > 0 ? round2(((p - c) / p) * 100) : null,
+    markup_percent: c > 0 && p != null ? round2(((p - c) / c) * 100) : null
+  };
+};
+
+const suggestPrice = (cost, markupPercent) => {
+  if (markupPercent == null || !(Number(cost) > 0)) return null;
+  return round2(Number(cost) * (1 + Number(markupPercent) / 100));
+};
+
+/* ---------- API: costo ---------- */
+
+/**
+ * applyReceiptCost({ productId, qty, unitCost, stockBefore, source, user, session })
+ * Recalcula el costo promedio ponderado tras una recepción y lo guarda con su historial.
+ * `stockBefore` es el stock previo a la recepción (ver movimiento 'purchase' del kardex).
+ * -> { previous_cost, new_cost }
+ */
+const applyReceiptCost = async ({ productId, qty, unitCost, stockBefore, source = null, user = null, session = null } = {}) => {
+  await ensureMongoReady();
+
+  const q = Number(qty);
+  const uc = Number(unitCost);
+  if (!Number.isFinite(q) || q <= 0) throw new Error('Cantidad inválida');
+  if (!Number.isFinite(uc) || uc < 0) throw new Error('Costo inválido');
+
+  const products = mongoose.connection.collection('products');
+  const product = await products.findOne(productFilter(productId), { session, projection: { _id: 1, cost: 1 } });
+  if (!product) throw new Error('Producto no encontrado');
+
+  const previous = product.cost != null ? Number(product.cost) : null;
+  // un costo 0 previo es "sin cargar", no un costo real
+  const newCost = weightedAverage(stockBefore, previous || null, q, uc);
+
+  await products.updateOne({ _id: product._id }, { $set: { cost: newCost, updated_at: new Date() } }, { session });
+  await CostHistoryModel.create([{
+    productRef: product._id,
+    method: 'weighted_average',
+    previous_cost: previous,
+    new_cost: newCost,
+    qty_received: q,
+    unit_cost: uc,
+    stock_before: stockBefore == null ? null : Number(stockBefore),
+    source_kind: source && source.kind ? source.kind : null,
+    source_ref: source && source.ref ? new mongoose.Types.ObjectId(String(source.ref)) : null,
+    user: user != null ? String(user) : null
+  }], { session });
+
+  return { previous_cost: previous, new_cost: newCost };
+};
+
+/**
+ * recordCostChange({ productRef, previousCost, newCost, method, user })
+ * Registra en el historial un costo cargado a mano (alta o edición del producto).
+ */
+const recordCostChange = async ({ productRef, previousCost = null, newCost, method = 'manual', user = null } = {}) => {
+  await ensureMongoReady();
+  if (!COST_METHODS.includes(method)) throw new Error(`Método de costo inválido (${method})`);
+  if (previousCost != null && Number(previousCost) === Number(newCost)) return null;
+
+  const [doc] = await CostHistoryModel.create([{
+    productRef: new mongoose.Types.ObjectId(String(productRef)),
+    method,
+    previous_cost: previousCost == null ? null : Number(previousCost),
+    new_cost: Number(newCost),
+    user: user != null ? String(user) : null
+  }]);
+  return normalizeHistory(doc.toObject());
+};
+
+/**
+ * getCostHistory(productId, { from, to, limit, offset })
+ * null si el producto no existe.
+ */
+const getCostHistory = async (productId, { from, to, limit = 100, offset = 0 } = {}) => {
+  await ensureMongoReady();
+
+  const product = await mongoose.connection.collection('products').findOne(productFilter(productId), { projection: { _id: 1 } });
+  if (!product) return null;
+
+  const filter = { productRef: product._id };
+  if (from) {
+    const fromDate = new Date(from);
+    if (!isNaN(fromDate.getTime())) filter.created_at = { ...(filter.created_at || {}), $gte: fromDate };
+  }
+  if (to) {
+    const toDate = new Date(to);
+    if (!isNaN(toDate.getTime())) {
+      const toInclusive = new Date(toDate.getTime()); toInclusive.setHours(23, 59, 59, 999);
+      filter.created_at = { ...(filter.created_at || {}), $lte: toInclusive };
+    }
+  }
+
+  const docs = await CostHistoryModel.find(filter)
+    .sort({ created_at: -1, _id: -1 })
+    .skip(Number(offset) || 0)
+    .limit(Number(limit) || 100)
+    .lean()
+    .exec();
+  return docs.map(normalizeHistory);
+};
+
+/* ---------- API: markups por categoría ---------- */
+
+const listCategoryMarkups = async () => {
+  await ensureMongoReady();
+  const docs = await CategoryMarkupModel.find({}).collation({ locale: 'es', strength: 1 }).sort({ categoria: 1 }).lean().exec();
+  return {
+    default_markup_percent: DEFAULT_TARGET_MARKUP,
+    categories: docs.map(d => ({
+      categoria: d.categoria,
+      markup_percent: Number(d.markup_percent),
+      updated_by: d.updated_by || null,
+      updated_at: d.updated_at || null
+    }))
+  };
+};
+
+/**
+ * setCategoryMarkup(categoria, markupPercent, { user })
+ * markupPercent null borra el objetivo de la categoría (vuelve a DEFAULT_TARGET_MARKUP).
+ */
+const setCategoryMarkup = async (categoria, markupPercent, { user = null } = {}) => {
+  await ensureMongoReady();
+
+  const cat = categoria != null ? String(categoria).trim() : '';
+  if (!cat) throw new Error('Categoría requerida');
+
+  if (markupPercent == null || markupPercent === '') {
+    await CategoryMarkupModel.deleteOne({ categoria: cat }).exec();
+    return { categoria: cat, markup_percent: null };
+  }
+
+  const markup = Number(markupPercent);
+  if (!Number.isFinite(markup) || markup < 0) throw new Error('Markup inválido');
+
+  await CategoryMarkupModel.updateOne(
+    { categoria: cat },
+    { $set: { markup_percent: markup, updated_by: user != null ? String(user) : null, updated_at: new Date() } },
+    { upsert: true }
+  ).exec();
+  return { categoria: cat, markup_percent: markup };
+};
+
+/**
+ * targetMarkups()
+ * Map categoria -> markup objetivo (sin default).
+ */
+const targetMarkups = async () => {
+  await ensureMongoReady();
+  const docs = await CategoryMarkupModel.find({}).lean().exec();
+  return new Map(docs.map(d => [d.categoria, Number(d.markup_percent)]));
+};
+
+/* ---------- API: márgenes ---------- */
+
+/**
+ * productMargin(product, markups)
+ * product normalizado (productosService); markups: Map de targetMarkups().
+ */
+const productMargin = (product, markups = new Map()) => {
+  const target = product.categoria && markups.has(product.categoria)
+    ? markups.get(product.categoria)
+    : DEFAULT_TARGET_MARKUP;
+  const suggested = suggestPrice(product.cost, target);
+  return {
+    id: product.id,
+    nombre: product.nombre,
+    categoria: product.categoria ?? null,
+    precio: product.precio,
+    cost: Number(product.cost || 0),
+    ...margins(product.precio, product.cost),
+    target_markup_percent: target,
+    suggested_precio: suggested,
+    // positivo: el precio actual está por debajo del sugerido
+    price_gap: suggested != null && product.precio != null ? round2(suggested - Number(product.precio)) : null
+  };
+};
+
+/**
+ * getMargins(products, { belowTarget })
+ * belowTarget: sólo productos cuyo precio quedó por debajo del sugerido.
+ */
+const getMargins = async (products = [], { belowTarget = false } = {}) => {
+  const markups = await targetMarkups();
+  const rows = products.map(p => productMargin(p, markups));
+  return belowTarget ? rows.filter(r => r.price_gap != null && r.price_gap > 0) : rows;
+};
+
+module.exports = {
+  init,
+  COST_METHODS,
+  DEFAULT_TARGET_MARKUP,
+  weightedAverage,
+  margins,
+  suggestPrice,
+  applyReceiptCost,
+  recordCostChange,
+  getCostHistory,
+  listCategoryMarkups,
+  setCategoryMarkup,
+  targetMarkups,
+  productMargin,
+  getMargins
+};
@@ -1,5 +1,6 @@
 // src/services/customersService.js
 const { connectMongo, mongoose } = require('../config/mongo');
+const { isValidCuit, isValidTaxCondition } = require('../config/tax');
 
 const { Schema } = mongoose;
 
@@ -13,6 +14,12 @@ const CustomerSchema = new Schema({
   email: { type: String, default: null, index: true },
   telefono: { type: String, default: null },
   monthly_interest: { type: Number, default: 0 },
+  // datos fiscales para facturar (ver config/tax)
+  cuit: { type: String, default: null },
+  tax_condition: { type: String, default: 'consumidor_final' },
+  // archivado (baja lógica): conserva su historial de ventas y pagos, no se lista ni se le vende
+  archived_at: { type: Date, default: null, index: true },
+  archived_by: { type: String, default: null },
 }, {
   timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
 });
@@ -58,6 +65,12 @@ const ensureMongoReady = async () => {
 
 const isObjectId = (v) => typeof v === 'string' && mongoose.Types.ObjectId.isValid(v);
 
+const customerFilter = (id) => {
+  if (id && typeof id === 'string' && isObjectId(id)) return { _id: new mongoose.Types.ObjectId(id) };
+  if (!isNaN(Number(id))) return { oldId: Number(id) };
+  return { _id: id };
+};
+
 const normalize = (doc) => {
   if (!doc) return null;
   return {
@@ -66,24 +79,51 @@ const normalize = (doc) => {
     email: doc.email ?? null,
     telefono: doc.telefono ?? null,
     monthly_interest: typeof doc.monthly_interest === 'number' ? doc.monthly_interest : (doc.monthly_interest == null ? 0 : Number(doc.monthly_interest)),
+    cuit: doc.cuit ?? null,
+    tax_condition: doc.tax_condition || 'consumidor_final',
+    archived_at: doc.archived_at || null,
     created_at: doc.created_at || doc.createdAt || null,
     updated_at: doc.updated_at || doc.updatedAt || null,
     oldId: doc.oldId ?? null
   };
 };
 
-/* ---------- API ---------- */
-
 /**
- * listCustomers({ q, limit=200, offset=0 })
+ * validateFiscal({ cuit, tax_condition })
+ * - CUIT con dígito verificador; se guarda sólo con dígitos
+ * - responsable inscripto / monotributo requieren CUIT (se les emite Factura A)
  */
-const listCustomers = async ({ q, limit = 200, offset = 0 } = {}) => {
-  await ensureMongoReady();
-  const filter = {};
+const validateFiscal = ({ cuit = null, tax_condition = 'consumidor_final' } = {}) => {
+  const condition = tax_condition || 'consumidor_final';
+  if (!isValidTaxCondition(condition)) throw new Error(`Condición frente al IVA inválida (${condition})`);
+
+  const digits = cuit ? String(cuit).replace(/\D/g, '') : null;
+  if (digits && !isValidCuit(digits)) throw new Error('CUIT inválido');
+  if (!digits && (condition === 'responsable_inscripto' || condition === 'monotributo')) {
+    throw new Error('CUIT requerido para la condición frente al IVA');
+  }
+  return { cuit: digits || null, tax_condition: condition };
+};
+
+// texto libre sobre nombre/email/teléfono
+const searchFilter = (q, includeArchived) => {
+  const filter = includeArchived ? {} : { archived_at: null };
   if (q) {
     const re = new RegExp(String(q).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
     filter.$or = [{ nombre: re }, { email: re }, { telefono: re }];
   }
+  return filter;
+};
+
+/* ---------- API ---------- */
+
+/**
+ * listCustomers({ q, includeArchived=false, limit=200, offset=0 })
+ * Los archivados quedan fuera salvo includeArchived (ej. filtros sobre ventas históricas).
+ */
+const listCustomers = async ({ q, includeArchived = false, limit = 200, offset = 0 } = {}) => {
+  await ensureMongoReady();
+  const filter = searchFilter(q, includeArchived);
 
   const docs = await CustomerModel.find(filter)
     .sort({ nombre: 1 })
@@ -96,6 +136,37 @@ const listCustomers = async ({ q, limit = 200, offset = 0 } = {}) => {
   return docs.map(normalize);
 };
 
+/**
+ * findCustomerIds(q, { includeArchived=false })
+ * - todos los que coinciden con la búsqueda de listCustomers, sin límite; sólo { id, oldId }
+ *   (para filtrar ventas u otros documentos por cliente)
+ */
+const findCustomerIds = async (q, { includeArchived = false } = {}) => {
+  await ensureMongoReady();
+  const docs = await CustomerModel.find(searchFilter(q, includeArchived), { _id: 1, oldId: 1 }).lean().exec();
+  return docs.map(d => ({ id: String(d._id), oldId: d.oldId ?? null }));
+};
+
+/**
+ * getCustomersByIds(ids)
+ * - mezcla de ObjectId y oldId numérico; una sola consulta (ver populateService)
+ */
+const getCustomersByIds = async (ids = []) => {
+  await ensureMongoReady();
+  const unique = [...new Set(ids.filter(x => x != null).map(String))];
+  const objectIds = unique.filter(x => isObjectId(x)).map(x => new mongoose.Types.ObjectId(x));
+  const numIds = unique.filter(x => !isObjectId(x) && !isNaN(Number(x))).map(x => Number(x));
+  if (objectIds.length === 0 && numIds.length === 0) return [];
+
+  const docs = await CustomerModel.find({
+    $or: [
+      { _id: { $in: objectIds } },
+      { oldId: { $in: numIds } }
+    ]
+  }).lean().exec();
+  return docs.map(normalize);
+};
+
 /**
  * getCustomerById(id)
  * - acepta id mongo (_id string) o id numérico (old sqlite id)
@@ -128,15 +199,17 @@ const getCustomerById = async (id) => {
  */
 const createCustomer = async (payload = {}) => {
   await ensureMongoReady();
-  const { nombre, email = null, telefono = null, monthly_interest = 0, oldId = null } = payload;
+  const { nombre, email = null, telefono = null, monthly_interest = 0, cuit = null, tax_condition = 'consumidor_final', oldId = null } = payload;
   if (!nombre) throw new Error('nombre es requerido');
+  const fiscal = validateFiscal({ cuit, tax_condition });
 
   const doc = await CustomerModel.create({
     oldId: oldId != null ? oldId : null,
     nombre,
     email: email || null,
     telefono: telefono || null,
-    monthly_interest: monthly_interest == null ? 0 : Number(monthly_interest)
+    monthly_interest: monthly_interest == null ? 0 : Number(monthly_interest),
+    ...fiscal
   });
 
   const saved = await CustomerModel.findById(doc._id).lean().exec();
@@ -167,6 +240,10 @@ const updateCustomer = async (id, payload = {}) => {
     email: payload.hasOwnProperty('email') ? (payload.email || null) : existing.email,
     telefono: payload.hasOwnProperty('telefono') ? (payload.telefono || null) : existing.telefono,
     monthly_interest: payload.hasOwnProperty('monthly_interest') ? (payload.monthly_interest == null ? 0 : Number(payload.monthly_interest)) : (existing.monthly_interest == null ? 0 : existing.monthly_interest),
+    ...validateFiscal({
+      cuit: payload.hasOwnProperty('cuit') ? payload.cuit : existing.cuit,
+      tax_condition: payload.hasOwnProperty('tax_condition') ? payload.tax_condition : existing.tax_condition
+    }),
     updated_at: new Date()
   };
 
@@ -176,24 +253,39 @@ const updateCustomer = async (id, payload = {}) => {
 };
 
 /**
- * deleteCustomer(id)
+ * deleteCustomer(id, { user })
+ * Baja lógica: marca archived_at. false si no existe.
  */
-const deleteCustomer = async (id) => {
+const deleteCustomer = async (id, { user = null } = {}) => {
   await ensureMongoReady();
-  let filter = null;
-  if (id && typeof id === 'string' && isObjectId(id)) filter = { _id: mongoose.Types.ObjectId(id) };
-  else if (!isNaN(Number(id))) filter = { oldId: Number(id) };
-  else filter = { _id: id };
+  const res = await CustomerModel.updateOne(
+    { ...customerFilter(id), archived_at: null },
+    { $set: { archived_at: new Date(), archived_by: user != null ? String(user) : null } }
+  ).exec();
+  if (res.matchedCount > 0) return true;
+  return !!(await CustomerModel.exists(customerFilter(id)));
+};
 
-  const res = await CustomerModel.deleteOne(filter).exec();
-  return res.deletedCount > 0;
+/**
+ * restoreCustomer(id)
+ * null si no existe.
+ */
+const restoreCustomer = async (id) => {
+  await ensureMongoReady();
+  const filter = customerFilter(id);
+  await CustomerModel.updateOne(filter, { $set: { archived_at: null, archived_by: null } }).exec();
+  const doc = await CustomerModel.findOne(filter).lean().exec();
+  return normalize(doc);
 };
 
 module.exports = {
   init,
   listCustomers,
+  findCustomerIds,
   getCustomerById,
+  getCustomersByIds,
   createCustomer,
   updateCustomer,
-  deleteCustomer
+  deleteCustomer,
+  restoreCustomer
 };
\ No newline at end of file
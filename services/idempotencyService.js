@@ -0,0 +1,112 @@
+// services/idempotencyService.js
+// Registro de claves Idempotency-Key para POST reintentables (ventas, pagos).
+const crypto = require('crypto');
+const { connectMongo, mongoose } = require('../config/mongo');
+
+const TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS || '24', 10);
+
+let IdempotencyModel = null;
+let mongoReady = false;
+
+const { Schema } = mongoose;
+
+/* ---------- Schema ---------- */
+const IdempotencySchema = new Schema({
+  key: { type: String, required: true },
+  scope: { type: String, required: true }, // ej. 'POST /api/sales'
+  fingerprint: { type: String, required: true },
+  status: { type: String, enum: ['in_progress', 'completed'], default: 'in_progress' },
+  response_status: { type: Number, default: null },
+  response_body: { type: Schema.Types.Mixed, default: null },
+  created_at: { type: Date, default: Date.now },
+}, {
+  versionKey: false
+});
+
+/* ---------- init ---------- */
+const init = async () => {
+  await connectMongo();
+  mongoReady = true;
+  IdempotencyModel = mongoose.models.IdempotencyKey || mongoose.model('IdempotencyKey', IdempotencySchema, 'idempotency_keys');
+
+  try {
+    await IdempotencyModel.collection.createIndex({ key: 1, scope: 1 }, { unique: true });
+    await IdempotencyModel.collection.createIndex({ created_at: 1 }, { expireAfterSeconds: TTL_HOURS * 3600 });
+    console.log('[idempotencyService] índices creados/verificados');
+  } catch (err) {
+    console.warn('[idempotencyService] fallo creando índices (quizá ya existían):', err.message || err);
+  }
+};
+
+/* ---------- Helpers ---------- */
+const ensureMongoReady = async () => {
+  if (!mongoReady || !IdempotencyModel) {
+    console.log('🔄 Auto-inicializando idempotencyService...');
+    await init();
+  }
+};
+
+// JSON con claves ordenadas: el mismo cuerpo con otro orden de campos da la misma huella
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const fingerprintOf = (body) => crypto.createHash('sha256').update(stableStringify(body || {})).digest('hex');
+
+/* ---------- API ---------- */
+
+/**
+ * begin(key, scope, body)
+ * Reserva la clave. Devuelve:
+ *  - { state: 'new' } si es la primera vez
+ *  - { state: 'replay', status, body } si ya se completó con el mismo cuerpo
+ *  - { state: 'in_progress' } si hay otra solicitud con la misma clave en curso
+ *  - { state: 'mismatch' } si la clave se usó con otro cuerpo
+ */
+const begin = async (key, scope, body) => {
+  await ensureMongoReady();
+  const fingerprint = fingerprintOf(body);
+
+  try {
+    await IdempotencyModel.create({ key, scope, fingerprint });
+    return { state: 'new' };
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+
+  const existing = await IdempotencyModel.findOne({ key, scope }).lean().exec();
+  if (!existing) {
+    // expiró entre el insert y la lectura: se reintenta una vez
+    await IdempotencyModel.create({ key, scope, fingerprint });
+    return { state: 'new' };
+  }
+  if (existing.fingerprint !== fingerprint) return { state: 'mismatch' };
+  if (existing.status !== 'completed') return { state: 'in_progress' };
+  return { state: 'replay', status: existing.response_status, body: existing.response_body };
+};
+
+const complete = async (key, scope, status, body) => {
+  await ensureMongoReady();
+  await IdempotencyModel.updateOne(
+    { key, scope },
+    { $set: { status: 'completed', response_status: status, response_body: body } }
+  ).exec();
+};
+
+// libera la clave (errores 5xx) para que el cliente pueda reintentar
+const release = async (key, scope) => {
+  await ensureMongoReady();
+  await IdempotencyModel.deleteOne({ key, scope, status: 'in_progress' }).exec();
+};
+
+module.exports = {
+  init,
+  begin,
+  complete,
+  release,
+  fingerprintOf
+};
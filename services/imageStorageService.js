@@ -0,0 +1,53 @@
+// services/imageStorageService.js
+// Almacenamiento enchufable de imágenes. Por defecto se usa el disco local (localImageStorage).
+// Otro adaptador (ej. un bucket compatible con S3) debe registrarse con registerAdapter('s3', impl)
+// y seleccionarse con IMAGE_STORAGE=s3.
+//
+// Interfaz de adaptador:
+//   save(key, buffer, { contentType }) -> Promise<{ key, url }>   (url pública y estable)
+//   remove(key) -> Promise<void>                                   (sin error si no existe)
+const { UPLOADS } = require('../config/uploads');
+const localImageStorage = require('./localImageStorage');
+
+const adapters = { local: localImageStorage };
+let activeAdapter = null;
+
+const registerAdapter = (name, adapter) => {
+  if (!adapter || typeof adapter.save !== 'function' || typeof adapter.remove !== 'function') {
+    throw new Error('Adaptador de almacenamiento inválido');
+  }
+  adapters[name] = adapter;
+};
+
+/**
+ * useAdapter(nameOrAdapter)
+ * Fija el adaptador activo (útil en tests). Sin argumento vuelve a IMAGE_STORAGE.
+ */
+const useAdapter = (nameOrAdapter = null) => {
+  if (nameOrAdapter && typeof nameOrAdapter === 'object') {
+    registerAdapter(nameOrAdapter.name || 'custom', nameOrAdapter);
+    activeAdapter = nameOrAdapter;
+    return activeAdapter;
+  }
+  activeAdapter = nameOrAdapter ? adapters[nameOrAdapter] || null : null;
+  if (nameOrAdapter && !activeAdapter) throw new Error(`Almacenamiento de imágenes no configurado (${nameOrAdapter})`);
+  return activeAdapter;
+};
+
+const getAdapter = () => {
+  if (activeAdapter) return activeAdapter;
+  const adapter = adapters[UPLOADS.storage];
+  if (!adapter) throw new Error(`Almacenamiento de imágenes no configurado (${UPLOADS.storage})`);
+  return adapter;
+};
+
+const save = (key, buffer, opts = {}) => getAdapter().save(key, buffer, opts);
+const remove = (key) => getAdapter().remove(key);
+
+module.exports = {
+  registerAdapter,
+  useAdapter,
+  getAdapter,
+  save,
+  remove
+};
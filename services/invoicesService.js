@@ -0,0 +1,340 @@
+// services/invoicesService.js
+// Facturas A/B/C a partir de ventas, con CAE obtenido vía afipService.
+const { connectMongo, mongoose } = require('../config/mongo');
+const salesService = require('./salesService');
+const afipService = require('./afipService');
+const { nextSequence, releaseSequence, syncSequence } = require('./sequenceService');
+const { STORE } = require('../config/store');
+const {
+  INVOICE_TYPES,
+  STORE_TAX_CONDITION,
+  DEFAULT_POINT_OF_SALE,
+  DEFAULT_IVA_RATE,
+  selectInvoiceType,
+  computeTaxBreakdown
+} = require('../config/tax');
+
+let InvoiceModel = null;
+let mongoReady = false;
+
+const { Schema } = mongoose;
+
+/* ---------- Schema ---------- */
+const InvoiceItemSchema = new Schema({
+  nombre: { type: String, default: null },
+  qty: { type: Number, default: 0 },
+  unit_price: { type: Number, default: 0 },
+  discount: { type: Number, default: 0 },
+  line_total: { type: Number, default: 0 },
+  iva_rate: { type: String, default: null },
+}, { _id: false });
+
+const InvoiceIvaSchema = new Schema({
+  rate: { type: String, required: true },
+  base: { type: Number, default: 0 },
+  amount: { type: Number, default: 0 },
+}, { _id: false });
+
+const InvoiceSchema = new Schema({
+  saleRef: { type: Schema.Types.ObjectId, ref: 'Sale', default: null },
+  oldSaleId: { type: Schema.Types.Mixed, default: null },
+
+  type: { type: String, enum: Object.keys(INVOICE_TYPES), required: true },
+  point_of_sale: { type: Number, required: true },
+  number: { type: Number, required: true },
+  concept: { type: Number, default: 1 }, // afipService.CONCEPTOS
+
+  // datos del emisor y receptor al momento de emitir
+  issuer: { type: Schema.Types.Mixed, default: null },
+  customer: { type: Schema.Types.Mixed, default: null },
+
+  items: { type: [InvoiceItemSchema], default: [] },
+  net_amount: { type: Number, default: 0 },
+  iva_total: { type: Number, default: 0 },
+  exempt_amount: { type: Number, default: 0 },
+  total: { type: Number, default: 0 },
+  iva: { type: [InvoiceIvaSchema], default: [] },
+
+  status: { type: String, enum: ['pending', 'authorized', 'rejected'], default: 'pending' },
+  // true mientras está pendiente o autorizada: una sola factura vigente por venta
+  active: { type: Boolean, default: true },
+  cae: { type: String, default: null },
+  cae_due: { type: Date, default: null },
+  provider: { type: String, default: null },
+  request: { type: Schema.Types.Mixed, default: null },
+  response: { type: Schema.Types.Mixed, default: null },
+  afip_errors: { type: Schema.Types.Mixed, default: null },
+  user: { type: String, default: null },
+
+  issued_at: { type: Date, default: Date.now },
+  authorized_at: { type: Date, default: null },
+}, {
+  versionKey: false
+});
+
+InvoiceSchema.set('toJSON', {
+  transform(doc, ret) {
+    ret.id = ret.id || (ret._id ? String(ret._id) : null);
+    delete ret._id;
+    return ret;
+  }
+});
+
+/* ---------- init ---------- */
+const init = async () => {
+  await connectMongo();
+  mongoReady = true;
+  InvoiceModel = mongoose.models.Invoice || mongoose.model('Invoice', InvoiceSchema);
+
+  try {
+    // ventas legacy (saleRef null) quedan fuera del índice único
+    await InvoiceModel.collection.createIndex(
+      { saleRef: 1 },
+      { unique: true, partialFilterExpression: { active: true, saleRef: { $type: 'objectId' } } }
+    );
+    await InvoiceModel.collection.createIndex(
+      { point_of_sale: 1, type: 1, number: 1 },
+      { unique: true, partialFilterExpression: { status: 'authorized' } }
+    );
+    await InvoiceModel.collection.createIndex({ issued_at: -1 });
+    console.log('[invoicesService] índices creados/verificados');
+  } catch (err) {
+    console.warn('[invoicesService] fallo creando índices (quizá ya existían):', err.message || err);
+  }
+};
+
+/* ---------- Helpers ---------- */
+const isObjectId = v => typeof v === 'string' && mongoose.Types.ObjectId.isValid(v);
+
+const ensureMongoReady = async () => {
+  if (!mongoReady || !InvoiceModel) {
+    console.log('🔄 Auto-inicializando invoicesService...');
+    await init();
+  }
+};
+
+const pad = (n, len) => String(n).padStart(len, '0');
+
+// 0001-00000023
+const formatNumber = (pointOfSale, number) => `${pad(pointOfSale, 4)}-${pad(number, 8)}`;
+
+const sequenceName = (pointOfSale, type) => `invoice:${pointOfSale}:${type}`;
+
+const normalize = (doc) => {
+  if (!doc) return null;
+  return {
+    id: doc.id || (doc._id ? String(doc._id) : null),
+    saleRef: doc.saleRef ? String(doc.saleRef) : null,
+    oldSaleId: doc.oldSaleId ?? null,
+    type: doc.type,
+    label: INVOICE_TYPES[doc.type] ? INVOICE_TYPES[doc.type].label : null,
+    point_of_sale: doc.point_of_sale,
+    number: doc.number,
+    formatted_number: formatNumber(doc.point_of_sale, doc.number),
+    concept: doc.concept,
+    issuer: doc.issuer || null,
+    customer: doc.customer || null,
+    items: (doc.items || []).map(it => ({
+      nombre: it.nombre || null,
+      qty: Number(it.qty || 0),
+      unit_price: Number(it.unit_price || 0),
+      discount: Number(it.discount || 0),
+      line_total: Number(it.line_total || 0),
+      iva_rate: it.iva_rate || null
+    })),
+    net_amount: Number(doc.net_amount || 0),
+    iva_total: Number(doc.iva_total || 0),
+    exempt_amount: Number(doc.exempt_amount || 0),
+    total: Number(doc.total || 0),
+    iva: (doc.iva || []).map(l => ({ rate: l.rate, base: Number(l.base || 0), amount: Number(l.amount || 0) })),
+    status: doc.status,
+    cae: doc.cae || null,
+    cae_due: doc.cae_due || null,
+    provider: doc.provider || null,
+    afip_errors: doc.afip_errors || null,
+    user: doc.user || null,
+    issued_at: doc.issued_at || null,
+    authorized_at: doc.authorized_at || null
+  };
+};
+
+/**
+ * resolveType(requested, customerCondition)
+ * El tipo sale de la condición del comercio y del cliente; si viene uno explícito tiene que coincidir.
+ */
+const resolveType = (requested, customerCondition) => {
+  const expected = selectInvoiceType(customerCondition, STORE_TAX_CONDITION);
+  if (!requested) return expected;
+  if (!INVOICE_TYPES[requested]) throw new Error(`Tipo de comprobante inválido (${requested})`);
+  if (requested !== expected) {
+    throw new Error(`Tipo de comprobante inválido: corresponde Factura ${expected} para este cliente`);
+  }
+  return requested;
+};
+
+/* ---------- API ---------- */
+
+/**
+ * issueInvoice(saleId, { type?, pointOfSale?, user? })
+ * - elige Factura A/B/C según condición frente al IVA del comercio y del cliente
+ * - numera por punto de venta y tipo (sequenceService), sincronizando con el último autorizado
+ * - pide el CAE al proveedor configurado (afipService); si se rechaza, libera el número
+ */
+const issueInvoice = async (saleId, { type = null, pointOfSale = null, user = null } = {}) => {
+  await ensureMongoReady();
+
+  const sale = await salesService.getSaleById(saleId);
+  if (!sale) throw new Error('Venta no encontrada');
+  if (sale.status === 'voided') throw new Error('No se puede facturar una venta anulada');
+  if (sale.invoice && sale.invoice.cae) throw new Error('La venta ya fue facturada');
+  if (Number(sale.returned_amount || 0) > 0) throw new Error('La venta tiene devoluciones registradas');
+
+  const pos = Number(pointOfSale || DEFAULT_POINT_OF_SALE);
+  if (!Number.isInteger(pos) || pos <= 0 || pos > 99999) throw new Error('Punto de venta inválido');
+
+  const customer = sale.customer || null;
+  const customerCondition = customer?.tax_condition || 'consumidor_final';
+  const invoiceType = resolveType(type, customerCondition);
+  if (invoiceType === 'A' && !customer?.cuit) throw new Error('CUIT requerido para Factura A');
+
+  // ventas anteriores al desglose de IVA: se calcula con las alícuotas actuales por defecto
+  const tax = (sale.tax_breakdown && sale.tax_breakdown.length > 0) || Number(sale.exempt_amount || 0) > 0
+    ? { net_amount: sale.net_amount, iva_total: sale.iva_total, exempt_amount: sale.exempt_amount, breakdown: sale.tax_breakdown }
+    : computeTaxBreakdown((sale.items || []).map(it => ({ iva_rate: it.iva_rate || DEFAULT_IVA_RATE, line_total: it.line_total })), sale.total);
+
+  const hasProducts = (sale.items || []).some(it => it.productRef || it.oldProductId != null);
+  const hasServices = (sale.items || []).some(it => it.serviceRef || it.oldServiceId != null);
+  const concept = hasProducts && hasServices
+    ? afipService.CONCEPTOS.PRODUCTOS_Y_SERVICIOS
+    : (hasServices ? afipService.CONCEPTOS.SERVICIOS : afipService.CONCEPTOS.PRODUCTOS);
+
+  // numeración: nunca por debajo de lo que AFIP ya autorizó
+  const seqName = sequenceName(pos, invoiceType);
+  const lastAuthorized = await afipService.lastAuthorized(pos, invoiceType);
+  if (lastAuthorized != null) await syncSequence(seqName, lastAuthorized);
+  const number = await nextSequence(seqName);
+
+  let doc;
+  try {
+    doc = await InvoiceModel.create({
+      saleRef: isObjectId(String(sale.id)) ? new mongoose.Types.ObjectId(String(sale.id)) : null,
+      oldSaleId: isObjectId(String(sale.id)) ? null : sale.id,
+      type: invoiceType,
+      point_of_sale: pos,
+      number,
+      concept,
+      issuer: { nombre: STORE.legal_name || STORE.name, cuit: STORE.cuit, tax_condition: STORE_TAX_CONDITION, address: STORE.address },
+      customer: {
+        id: customer?.id || null,
+        nombre: customer?.nombre || 'Consumidor Final',
+        cuit: customer?.cuit || null,
+        tax_condition: customerCondition
+      },
+      items: (sale.items || []).map(it => ({
+        nombre: it.nombre,
+        qty: it.qty,
+        unit_price: it.unit_price,
+        discount: it.discount,
+        line_total: it.line_total,
+        iva_rate: it.iva_rate || DEFAULT_IVA_RATE
+      })),
+      net_amount: tax.net_amount,
+      iva_total: tax.iva_total,
+      exempt_amount: tax.exempt_amount,
+      total: sale.total,
+      iva: tax.breakdown,
+      user: user != null ? String(user) : null
+    });
+  } catch (err) {
+    await releaseSequence(seqName, number);
+    if (err && err.code === 11000) throw new Error('La venta ya tiene una factura en curso');
+    throw err;
+  }
+
+  let result;
+  try {
+    result = await afipService.requestCAE(normalize(doc.toObject()));
+  } catch (err) {
+    result = { result: 'R', errors: [{ Code: null, Msg: err.message || String(err) }], raw: null, request: null, provider: null };
+  }
+
+  doc.request = result.request || null;
+  doc.response = result.raw || null;
+  doc.provider = result.provider || null;
+
+  if (result.result !== 'A') {
+    doc.status = 'rejected';
+    doc.active = false;
+    doc.afip_errors = result.errors || null;
+    await doc.save();
+    await releaseSequence(seqName, number);
+    const detail = (result.errors || []).map(e => e.Msg).filter(Boolean).join('; ');
+    throw new Error(`Comprobante rechazado por AFIP${detail ? `: ${detail}` : ''}`);
+  }
+
+  doc.status = 'authorized';
+  doc.cae = result.cae;
+  doc.cae_due = result.cae_due;
+  doc.authorized_at = new Date();
+  await doc.save();
+
+  const invoice = normalize(doc.toObject());
+  const updatedSale = await salesService.setSaleInvoice(sale.id, {
+    invoiceRef: invoice.id,
+    type: invoice.type,
+    point_of_sale: invoice.point_of_sale,
+    number: invoice.number,
+    cae: invoice.cae,
+    cae_due: invoice.cae_due
+  });
+
+  return { invoice, sale: updatedSale };
+};
+
+const listInvoices = async ({ saleId, type, status, from, to, limit = 100, offset = 0 } = {}) => {
+  await ensureMongoReady();
+
+  const filter = {};
+  if (saleId) {
+    if (isObjectId(String(saleId))) filter.saleRef = new mongoose.Types.ObjectId(String(saleId));
+    else filter.oldSaleId = isNaN(Number(saleId)) ? saleId : Number(saleId);
+  }
+  if (type) filter.type = type;
+  if (status) filter.status = status;
+  if (from) {
+    const fromDate = new Date(from);
+    if (!isNaN(fromDate.getTime())) filter.issued_at = { ...(filter.issued_at || {}), $gte: fromDate };
+  }
+  if (to) {
+    const toDate = new Date(to);
+    if (!isNaN(toDate.getTime())) {
+      const toInclusive = new Date(toDate.getTime()); toInclusive.setHours(23, 59, 59, 999);
+      filter.issued_at = { ...(filter.issued_at || {}), $lte: toInclusive };
+    }
+  }
+
+  const docs = await InvoiceModel.find(filter)
+    .sort({ issued_at: -1 })
+    .skip(Number(offset) || 0)
+    .limit(Number(limit) || 100)
+    .lean()
+    .exec();
+
+  return docs.map(normalize);
+};
+
+const getInvoiceById = async (id) => {
+  await ensureMongoReady();
+  if (!id || !isObjectId(String(id))) return null;
+
+  const doc = await InvoiceModel.findById(String(id)).lean().exec();
+  return normalize(doc);
+};
+
+module.exports = {
+  init,
+  formatNumber,
+  issueInvoice,
+  listInvoices,
+  getInvoiceById
+};
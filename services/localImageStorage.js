@@ -0,0 +1,42 @@
+// services/localImageStorage.js
+// Almacenamiento de imágenes en disco local (UPLOADS.dir), servidas por la ruta estática
+// UPLOADS.public_path de server.js. Es el adaptador por defecto de imageStorageService.
+const fs = require('fs/promises');
+const path = require('path');
+const { UPLOADS } = require('../config/uploads');
+
+// la clave es relativa a la carpeta de uploads y nunca puede salir de ella
+const resolveKey = (key) => {
+  const full = path.resolve(UPLOADS.dir, String(key || ''));
+  if (!full.startsWith(path.resolve(UPLOADS.dir) + path.sep)) throw new Error(`Clave de archivo inválida (${key})`);
+  return full;
+};
+
+const urlFor = (key) => `${UPLOADS.public_base_url}${UPLOADS.public_path}/${String(key).split('/').map(encodeURIComponent).join('/')}`;
+
+/**
+ * save(key, buffer, { contentType }) -> { key, url }
+ * Escribe en un temporal y renombra: nunca se sirve un archivo a medio escribir.
+ */
+const save = async (key, buffer) => {
+  const full = resolveKey(key);
+  await fs.mkdir(path.dirname(full), { recursive: true });
+  const tmp = `${full}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, buffer);
+  await fs.rename(tmp, full);
+  return { key, url: urlFor(key) };
+};
+
+/**
+ * remove(key)
+ * Un archivo que ya no existe no es error.
+ */
+const remove = async (key) => {
+  try {
+    await fs.unlink(resolveKey(key));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+};
+
+module.exports = { name: 'local', save, remove, urlFor };
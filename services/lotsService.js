@@ -0,0 +1,298 @@
+// services/lotsService.js
+// Lotes por producto (número de lote, cantidad, vencimiento, costo).
+// El stock del producto sigue siendo el total; los lotes indican de qué partida es cada unidad.
+// Lo que no está asignado a ningún lote queda como "sin lote" (stock - suma de lotes).
+// Los egresos consumen FEFO: primero el lote que vence antes, los lotes sin vencimiento al final.
+// Los lotes ya vencidos no se venden: sólo salen con una baja por vencimiento o indicando el lote.
+// No se llama directo desde ventas/devoluciones: stockMovementsService lo usa dentro de la
+// misma transacción para que kardex y lotes no se desincronicen.
+const { connectMongo, mongoose } = require('../config/mongo');
+
+let LotModel = null;
+let mongoReady = false;
+
+const { Schema } = mongoose;
+
+/* ---------- Schema ---------- */
+const LotSchema = new Schema({
+  productRef: { type: Schema.Types.ObjectId, ref: 'Product', required: true },
+  lot_number: { type: String, required: true },
+  qty: { type: Number, default: 0 },          // remanente
+  initial_qty: { type: Number, default: 0 },  // total ingresado
+  expiry: { type: Date, default: null },
+  cost: { type: Number, default: null },
+  received_at: { type: Date, default: Date.now },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now },
+}, {
+  versionKey: false
+});
+
+LotSchema.set('toJSON', {
+  transform(doc, ret) {
+    ret.id = ret.id || (ret._id ? String(ret._id) : null);
+    delete ret._id;
+    return ret;
+  }
+});
+
+/* ---------- init ---------- */
+const init = async () => {
+  await connectMongo();
+  mongoReady = true;
+  LotModel = mongoose.models.Lot || mongoose.model('Lot', LotSchema);
+
+  try {
+    await LotModel.collection.createIndex({ productRef: 1, lot_number: 1 }, { unique: true });
+    await LotModel.collection.createIndex({ expiry: 1, qty: 1 });
+    console.log('[lotsService] índices creados/verificados');
+  } catch (err) {
+    console.warn('[lotsService] fallo creando índices (quizá ya existían):', err.message || err);
+  }
+};
+
+/* ---------- Helpers ---------- */
+const ensureMongoReady = async () => {
+  if (!mongoReady || !LotModel) {
+    console.log('🔄 Auto-inicializando lotsService...');
+    await init();
+  }
+};
+
+const toDateString = (d) => (d ? new Date(d).toISOString().slice(0, 10) : null);
+
+const normalize = (doc) => {
+  if (!doc) return null;
+  return {
+    id: doc.id || (doc._id ? String(doc._id) : null),
+    productRef: doc.productRef ? String(doc.productRef) : null,
+    lot_number: doc.lot_number,
+    qty: Number(doc.qty || 0),
+    initial_qty: Number(doc.initial_qty || 0),
+    expiry: toDateString(doc.expiry),
+    cost: doc.cost != null ? Number(doc.cost) : null,
+    received_at: doc.received_at || null,
+    created_at: doc.created_at || null,
+    updated_at: doc.updated_at || null
+  };
+};
+
+// lo que queda registrado en el movimiento / línea de venta
+const toAllocation = (lot, qty) => ({
+  lotRef: lot._id,
+  lot_number: lot.lot_number,
+  expiry: lot.expiry || null,
+  qty
+});
+
+/**
+ * parseExpiry(value)
+ * null/'' -> null; fecha inválida -> error.
+ */
+const parseExpiry = (value) => {
+  if (value == null || value === '') return null;
+  const d = new Date(String(value).trim());
+  if (isNaN(d.getTime())) throw new Error(`Vencimiento de lote inválido (${value})`);
+  return d;
+};
+
+// FEFO: vencimiento ascendente, sin vencimiento al final; a igual fecha el más antiguo
+const fefoOrder = (a, b) => {
+  const ea = a.expiry ? new Date(a.expiry).getTime() : Infinity;
+  const eb = b.expiry ? new Date(b.expiry).getTime() : Infinity;
+  if (ea !== eb) return ea - eb;
+  return new Date(a.received_at || 0) - new Date(b.received_at || 0);
+};
+
+// vencido: el día de vencimiento ya pasó (las fechas se guardan como día UTC, ver parseExpiry)
+const isExpired = (lot, today = toDateString(new Date())) => !!lot.expiry && toDateString(lot.expiry) < today;
+
+/* ---------- API (uso interno desde stockMovementsService) ---------- */
+
+/**
+ * receiveLot(productDoc, { lot_number, qty, expiry, cost }, session)
+ * Ingresa unidades a un lote; si el número de lote ya existe para el producto se suma.
+ * -> asignación { lotRef, lot_number, expiry, qty }
+ */
+const receiveLot = async (productDoc, { lot_number, qty, expiry = null, cost = null } = {}, session = null) => {
+  await ensureMongoReady();
+
+  const number = lot_number != null ? String(lot_number).trim() : '';
+  if (!number) throw new Error('Número de lote requerido');
+  const amount = Number(qty);
+  if (!Number.isFinite(amount) || amount <= 0) throw new Error('Cantidad de lote inválida');
+  const expiryDate = parseExpiry(expiry);
+
+  const now = new Date();
+  const res = await LotModel.collection.findOneAndUpdate(
+    { productRef: productDoc._id, lot_number: number },
+    {
+      $inc: { qty: amount, initial_qty: amount },
+      $set: { updated_at: now },
+      $setOnInsert: {
+        expiry: expiryDate,
+        cost: cost == null ? null : Number(cost),
+        received_at: now,
+        created_at: now
+      }
+    },
+    { upsert: true, returnDocument: 'after', session }
+  );
+  const lot = res && res.value !== undefined ? res.value : res;
+  if (expiryDate && lot.expiry && toDateString(lot.expiry) !== toDateString(expiryDate)) {
+    throw new Error(`El lote ${number} ya existe con otro vencimiento (${toDateString(lot.expiry)})`);
+  }
+  return toAllocation(lot, amount);
+};
+
+/**
+ * consumeLots(productDoc, qty, { lotId, includeExpired, session })
+ * Descuenta `qty` de los lotes del producto (FEFO, o sólo `lotId` si se indica).
+ * Los vencidos quedan afuera salvo includeExpired (bajas por vencimiento) o `lotId`.
+ * Si los lotes no alcanzan, el resto sale del stock sin lote; si para cubrirlo habría que
+ * tocar lotes vencidos, error.
+ * -> [{ lotRef, lot_number, expiry, qty }]
+ */
+const consumeLots = async (productDoc, qty, { lotId = null, includeExpired = false, session = null } = {}) => {
+  await ensureMongoReady();
+
+  const filter = { productRef: productDoc._id, qty: { $gt: 0 } };
+  if (lotId) {
+    if (!mongoose.Types.ObjectId.isValid(String(lotId))) throw new Error('Lote no encontrado');
+    filter._id = new mongoose.Types.ObjectId(String(lotId));
+  }
+
+  const found = (await LotModel.find(filter).session(session).lean().exec()).sort(fefoOrder);
+  if (lotId && (found.length === 0 || found[0].qty < qty)) {
+    throw new Error(`Cantidad insuficiente en el lote (disponible=${found[0] ? found[0].qty : 0})`);
+  }
+
+  const today = toDateString(new Date());
+  const lots = lotId || includeExpired ? found : found.filter(l => !isExpired(l, today));
+  const expired = found.filter(l => !lots.includes(l));
+  if (expired.length) {
+    // productDoc es el producto antes del egreso: lo que no está en ningún lote es stock sin lote
+    const inLots = found.reduce((acc, l) => acc + Number(l.qty), 0);
+    const unassigned = Math.max(Number(productDoc.stock || 0) - inLots, 0);
+    const usable = lots.reduce((acc, l) => acc + Number(l.qty), 0) + unassigned;
+    if (Number(qty) > usable) {
+      const numbers = expired.map(l => `${l.lot_number} (${toDateString(l.expiry)})`).join(', ');
+      throw new Error(`Stock vencido: sólo hay ${usable} sin vencer, el resto está en lotes vencidos ${numbers}; darlos de baja por vencimiento`);
+    }
+  }
+
+  const allocations = [];
+  let remaining = Number(qty);
+  for (const lot of lots) {
+    if (remaining <= 0) break;
+    const take = Math.min(Number(lot.qty), remaining);
+    const res = await LotModel.updateOne(
+      { _id: lot._id, qty: { $gte: take } },
+      { $inc: { qty: -take }, $set: { updated_at: new Date() } },
+      { session }
+    ).exec();
+    if (!res.modifiedCount) throw new Error(`El lote ${lot.lot_number} cambió durante la operación, reintentar`);
+    allocations.push(toAllocation(lot, take));
+    remaining -= take;
+  }
+  return allocations;
+};
+
+/**
+ * restoreLots(allocations, session)
+ * Devuelve unidades a los lotes de los que salieron (anulaciones, devoluciones).
+ */
+const restoreLots = async (allocations = [], session = null) => {
+  await ensureMongoReady();
+
+  const restored = [];
+  for (const a of allocations) {
+    const qty = Number(a.qty || 0);
+    if (!a.lotRef || qty <= 0) continue;
+    const res = await LotModel.updateOne(
+      { _id: new mongoose.Types.ObjectId(String(a.lotRef)) },
+      { $inc: { qty }, $set: { updated_at: new Date() } },
+      { session }
+    ).exec();
+    if (res.matchedCount) restored.push({ lotRef: a.lotRef, lot_number: a.lot_number, expiry: a.expiry || null, qty });
+  }
+  return restored;
+};
+
+/**
+ * splitReturnedLots(allocations, alreadyReturned, qty)
+ * Qué lotes corresponden a una devolución parcial de una línea de venta.
+ * Las devoluciones se toman desde el último lote asignado hacia el primero,
+ * así devoluciones sucesivas no reingresan dos veces al mismo lote.
+ */
+const splitReturnedLots = (allocations = [], alreadyReturned = 0, qty = 0) => {
+  const result = [];
+  let skip = Number(alreadyReturned) || 0;
+  let remaining = Number(qty) || 0;
+  for (let i = allocations.length - 1; i >= 0 && remaining > 0; i--) {
+    let available = Number(allocations[i].qty || 0);
+    const skipped = Math.min(skip, available);
+    skip -= skipped;
+    available -= skipped;
+    if (available <= 0) continue;
+    const take = Math.min(available, remaining);
+    result.push({ ...allocations[i], qty: take });
+    remaining -= take;
+  }
+  return result;
+};
+
+/* ---------- API (consultas) ---------- */
+
+/**
+ * listLots(productRef, { includeEmpty })
+ * Lotes del producto en orden FEFO.
+ */
+const listLots = async (productRef, { includeEmpty = false } = {}) => {
+  await ensureMongoReady();
+  const filter = { productRef: new mongoose.Types.ObjectId(String(productRef)) };
+  if (!includeEmpty) filter.qty = { $gt: 0 };
+  const docs = await LotModel.find(filter).lean().exec();
+  return docs.sort(fefoOrder).map(normalize);
+};
+
+/**
+ * lotTotals(productRefs)
+ * Map productRef -> unidades asignadas a lotes (sólo productos con lotes con remanente).
+ */
+const lotTotals = async (productRefs = []) => {
+  await ensureMongoReady();
+  const refs = productRefs.filter(Boolean).map(r => new mongoose.Types.ObjectId(String(r)));
+  const match = { qty: { $gt: 0 } };
+  if (refs.length > 0) match.productRef = { $in: refs };
+  const agg = await LotModel.aggregate([
+    { $match: match },
+    { $group: { _id: '$productRef', qty: { $sum: '$qty' } } }
+  ]).exec();
+  return new Map(agg.map(r => [String(r._id), Number(r.qty)]));
+};
+
+/**
+ * listExpiringLots(cutoff)
+ * Lotes con remanente que vencen hasta `cutoff` (incluye vencidos).
+ */
+const listExpiringLots = async (cutoff) => {
+  await ensureMongoReady();
+  const docs = await LotModel.find({ qty: { $gt: 0 }, expiry: { $ne: null, $lte: cutoff } })
+    .sort({ expiry: 1 })
+    .lean()
+    .exec();
+  return docs.map(normalize);
+};
+
+module.exports = {
+  init,
+  parseExpiry,
+  receiveLot,
+  consumeLots,
+  restoreLots,
+  splitReturnedLots,
+  listLots,
+  lotTotals,
+  listExpiringLots
+};
@@ -2,6 +2,9 @@
 const { connectMongo, mongoose } = require('../config/mongo');
 const salesService = require('./salesService');
 const customersService = require('./customersService');
+const cashRegisterService = require('./cashRegisterService');
+const populateService = require('./populateService');
+const { isValidMethod } = require('../config/paymentMethods');
 
 let PaymentModel = null;
 let mongoReady = false;
@@ -20,7 +23,15 @@ const PaymentSchema = new Schema({
   oldPaymentId: { type: Schema.Types.Mixed, default: null }, // opcional para migraciones
 
   amount: { type: Number, required: true },
+  method: { type: String, default: null }, // ver config/paymentMethods
+  installments: { type: Number, default: null },
+  surcharge: { type: Number, default: 0 },
+  reference: { type: String, default: null },
+  cash_session_ref: { type: Schema.Types.ObjectId, ref: 'CashSession', default: null },
   note: { type: String, default: null },
+  // se completa cuando la venta asociada se anula
+  reversed_at: { type: Date, default: null },
+  reversal_reason: { type: String, default: null },
   created_at: { type: Date, default: Date.now }
 }, {
   versionKey: false
@@ -66,23 +77,33 @@ const normalize = (doc) => {
     oldCustomerId: doc.oldCustomerId ?? null,
     oldPaymentId: doc.oldPaymentId ?? null,
     amount: typeof doc.amount === 'number' ? doc.amount : Number(doc.amount || 0),
+    method: doc.method || null,
+    installments: doc.installments ?? null,
+    surcharge: Number(doc.surcharge || 0),
+    reference: doc.reference || null,
+    cash_session_ref: doc.cash_session_ref ? String(doc.cash_session_ref) : null,
     note: doc.note || null,
+    reversed: !!doc.reversed_at,
+    reversed_at: doc.reversed_at || null,
+    reversal_reason: doc.reversal_reason || null,
     created_at: doc.created_at || doc.createdAt || null
   };
 };
 
 /* ---------- createPayment ---------- */
 /**
- * createPayment({ saleId, customerId = null, amount, note = null, oldPaymentId = null })
+ * createPayment({ saleId, customerId = null, amount, method = null, installments = null, reference = null, note = null, oldPaymentId = null, register = null })
  * - Valida venta vía salesService.getSaleById
  * - Valida que la venta sea a crédito
- * - Actualiza la venta (salesService.updateSalePayment)
+ * - Actualiza la venta (salesService.updateSalePayment), que agrega el medio a sale.tenders
+ * - Asocia el pago a la caja abierta de `register` (cashRegisterService)
  * - Crea documento Payment en Mongo
  */
-const createPayment = async ({ saleId, customerId = null, amount, note = null, oldPaymentId = null } = {}) => {
+const createPayment = async ({ saleId, customerId = null, amount, method = null, installments = null, reference = null, note = null, oldPaymentId = null, register = null } = {}) => {
   if (!saleId) throw new Error('saleId requerido');
   const amt = Number(amount);
   if (!Number.isFinite(amt) || amt <= 0) throw new Error('amount inválido');
+  if (method && !isValidMethod(method)) throw new Error(`Medio de pago inválido (${method})`);
 
   // Verificar que la venta exista
   const sale = await salesService.getSaleById(saleId);
@@ -91,8 +112,13 @@ const createPayment = async ({ saleId, customerId = null, amount, note = null, o
   // Solo permitimos pagos para ventas a crédito
   if (!sale.on_credit) throw new Error('Esta venta no es a crédito');
 
+  const cashSession = await cashRegisterService.getOpenSession(register || undefined);
+  const cashSessionRef = cashSession ? cashSession.id : null;
+
   // Actualizar montos en la venta (salesService se encarga de su transaction)
-  const updated = await salesService.updateSalePayment(saleId, amt);
+  const updated = await salesService.updateSalePayment(saleId, amt, { method, installments, reference, cashSessionRef });
+  const tenders = updated?.sale?.tenders || [];
+  const tender = tenders[tenders.length - 1] || null;
 
   // Insertar payment en Mongo (asumimos init() ya fue llamado)
   if (!mongoReady || !PaymentModel) throw new Error('paymentsService: MongoDB no inicializado. Llamá a init() primero.');
@@ -129,6 +155,11 @@ const createPayment = async ({ saleId, customerId = null, amount, note = null, o
     oldCustomerId: oldCustomerId != null ? oldCustomerId : null,
     oldPaymentId: oldPaymentId != null ? oldPaymentId : null,
     amount: amt,
+    method: method || null,
+    installments: tender ? tender.installments : null,
+    surcharge: tender ? tender.surcharge : 0,
+    reference: reference ? String(reference) : null,
+    cash_session_ref: cashSessionRef ? new mongoose.Types.ObjectId(cashSessionRef) : null,
     note: note || null
   });
 
@@ -181,10 +212,10 @@ const getPaymentById = async (id) => {
 
 /* ---------- listPayments ---------- */
 /**
- * listPayments({ saleId = null, customerId = null, limit = 200, offset = 0 })
+ * listPayments({ saleId = null, customerId = null, method = null, limit = 200, offset = 0 })
  * Devuelve payments + info básica de venta y cliente.
  */
-const listPayments = async ({ saleId = null, customerId = null, limit = 200, offset = 0 } = {}) => {
+const listPayments = async ({ saleId = null, customerId = null, method = null, limit = 200, offset = 0 } = {}) => {
   if (!mongoReady || !PaymentModel) throw new Error('paymentsService: MongoDB no inicializado. Llamá a init() primero.');
 
   const filter = {};
@@ -198,6 +229,7 @@ const listPayments = async ({ saleId = null, customerId = null, limit = 200, off
     else if (!isNaN(Number(customerId))) filter.oldCustomerId = Number(customerId);
     else filter.customerRef = customerId;
   }
+  if (method) filter.method = method;
 
   const docs = await PaymentModel.find(filter)
     .sort({ created_at: -1 })
@@ -206,23 +238,25 @@ const listPayments = async ({ saleId = null, customerId = null, limit = 200, off
     .lean()
     .exec();
 
-  const out = [];
-  for (const d of docs) {
-    const p = normalize(d);
-    // intentar enriquecer con sale y customer (salesService/customersService deben aceptar mongo id o oldId)
-    const saleLookupId = p.oldSaleId != null ? p.oldSaleId : (p.saleRef ? String(p.saleRef) : null);
-    const custLookupId = p.oldCustomerId != null ? p.oldCustomerId : (p.customerRef ? String(p.customerRef) : null);
-
-    const saleObj = saleLookupId ? await salesService.getSaleById(saleLookupId) : null;
-    const custObj = custLookupId ? await customersService.getCustomerById(custLookupId) : null;
+  // ventas y clientes de toda la página en lote (ver populateService)
+  const payments = docs.map(normalize);
+  const collector = populateService.createCollector();
+  for (const p of payments) {
+    populateService.addKey(collector.sales, p.oldSaleId != null ? String(p.oldSaleId) : populateService.refKey(p.saleRef));
+    populateService.addKey(collector.customers, p.oldCustomerId != null ? String(p.oldCustomerId) : populateService.refKey(p.customerRef));
+  }
+  const refs = await populateService.loadRefs(collector);
 
-    out.push({
+  const out = payments.map(p => {
+    const saleObj = refs.sale(p.oldSaleId != null ? p.oldSaleId : p.saleRef);
+    const custObj = refs.customer(p.oldCustomerId != null ? p.oldCustomerId : p.customerRef);
+    return {
       ...p,
       sale_total: saleObj?.total ?? null,
       sale_on_credit: saleObj?.on_credit ?? null,
       customer_nombre: custObj?.nombre ?? null
-    });
-  }
+    };
+  });
 
   return out.map(r => ({ ...r, amount: r.amount != null ? Number(r.amount) : 0 }));
 };
@@ -0,0 +1,111 @@
+// services/populateService.js
+// Carga en lote de referencias (productos, servicios, clientes, ventas) para una página de resultados.
+// Los listados juntan primero todas las refs (ObjectId u oldId), resuelven con una consulta por
+// colección y después normalizan en memoria, en lugar de buscar item por item.
+const { mongoose } = require('../config/mongo');
+const productosService = require('./productosService');
+const servicesService = require('./servicesService');
+const customersService = require('./customersService');
+
+const isObjectId = v => typeof v === 'string' && mongoose.Types.ObjectId.isValid(v);
+
+/**
+ * refKey(ref, oldId)
+ * Clave de búsqueda: el ObjectId como string o, si no hay, el id legacy como string.
+ */
+const refKey = (ref, oldId) => {
+  if (ref) return String(ref);
+  if (oldId != null) return String(oldId);
+  return null;
+};
+
+// colector vacío: { products: Set, services: Set, customers: Set, sales: Set }
+const createCollector = () => ({
+  products: new Set(),
+  services: new Set(),
+  customers: new Set(),
+  sales: new Set()
+});
+
+const addKey = (set, key) => { if (key != null) set.add(key); };
+
+// indexa por _id y por oldId para poder resolver cualquiera de las dos claves
+const indexById = (rows = []) => {
+  const map = new Map();
+  for (const r of rows) {
+    if (!r) continue;
+    if (r.id != null) map.set(String(r.id), r);
+    if (r.oldId != null) map.set(String(r.oldId), r);
+  }
+  return map;
+};
+
+/**
+ * loadSalesSummary(keys)
+ * Datos básicos de ventas (total, crédito, estado) leyendo la colección directamente:
+ * salesService depende de este módulo, así que no se puede usar acá.
+ */
+const loadSalesSummary = async (keys = []) => {
+  const objectIds = keys.filter(k => isObjectId(k)).map(k => new mongoose.Types.ObjectId(k));
+  const numIds = keys.filter(k => !isObjectId(k) && !isNaN(Number(k))).map(k => Number(k));
+  if (objectIds.length === 0 && numIds.length === 0) return new Map();
+
+  const docs = await mongoose.connection.collection('sales').find(
+    { $or: [{ _id: { $in: objectIds } }, { oldId: { $in: numIds } }] },
+    { projection: { oldId: 1, total: 1, on_credit: 1, status: 1, paid_amount: 1, outstanding_amount: 1 } }
+  ).toArray();
+
+  return indexById(docs.map(d => ({
+    id: String(d._id),
+    oldId: d.oldId ?? null,
+    total: Number(d.total || 0),
+    on_credit: !!d.on_credit,
+    status: d.status || 'pending',
+    paid_amount: Number(d.paid_amount || 0),
+    outstanding_amount: Number(d.outstanding_amount || 0)
+  })));
+};
+
+/**
+ * loadRefs(collector)
+ * Resuelve todas las claves juntadas con a lo sumo una consulta por colección.
+ * Si alguna consulta falla se loguea y los lookups de esa colección devuelven null.
+ * Devuelve lookups sincrónicos: { product(key), service(key), customer(key), sale(key) } -> objeto | null
+ */
+const loadRefs = async (collector) => {
+  const c = collector || createCollector();
+  // si una colección falla el listado igual se devuelve (sus lookups dan null)
+  const safe = (label, promise, empty) => promise.catch(err => {
+    console.warn(`[populateService] Error cargando ${label}:`, err.message || err);
+    return empty;
+  });
+
+  const [products, services, customers, sales] = await Promise.all([
+    c.products.size ? safe('productos', productosService.obtenerProductosPorIds([...c.products]), []) : [],
+    c.services.size ? safe('servicios', servicesService.getServicesByIds([...c.services]), []) : [],
+    c.customers.size ? safe('clientes', customersService.getCustomersByIds([...c.customers]), []) : [],
+    c.sales.size ? safe('ventas', loadSalesSummary([...c.sales]), new Map()) : new Map()
+  ]);
+
+  const maps = {
+    products: indexById(products),
+    services: indexById(services),
+    customers: indexById(customers),
+    sales
+  };
+  const lookup = (map) => (key) => (key == null ? null : (map.get(String(key)) || null));
+
+  return {
+    product: lookup(maps.products),
+    service: lookup(maps.services),
+    customer: lookup(maps.customers),
+    sale: lookup(maps.sales)
+  };
+};
+
+module.exports = {
+  refKey,
+  createCollector,
+  addKey,
+  loadRefs
+};
@@ -0,0 +1,143 @@
+// services/priceHistoryService.js
+// Historial de precios de venta por producto: altas, ediciones manuales y remarcaciones
+// masivas (y su deshacer, ver repricingService).
+//
+// No depende de productosService (lee la colección products directo, como costingService)
+// para que el alta/edición de productos pueda registrar cambios sin dependencia circular.
+const { connectMongo, mongoose } = require('../config/mongo');
+
+const PRICE_SOURCES = ['initial', 'manual', 'bulk', 'bulk_undo'];
+
+let PriceHistoryModel = null;
+let mongoReady = false;
+
+const { Schema } = mongoose;
+
+/* ---------- Schema ---------- */
+const PriceHistorySchema = new Schema({
+  productRef: { type: Schema.Types.ObjectId, ref: 'Product', required: true },
+  source: { type: String, enum: PRICE_SOURCES, required: true },
+  previous_price: { type: Number, default: null },
+  new_price: { type: Number, default: null },
+  batchRef: { type: Schema.Types.ObjectId, ref: 'PriceBatch', default: null }, // remarcación masiva
+  user: { type: String, default: null },
+  created_at: { type: Date, default: Date.now },
+}, {
+  versionKey: false
+});
+
+/* ---------- init ---------- */
+const init = async () => {
+  await connectMongo();
+  mongoReady = true;
+  PriceHistoryModel = mongoose.models.PriceHistory || mongoose.model('PriceHistory', PriceHistorySchema, 'price_history');
+
+  try {
+    await PriceHistoryModel.collection.createIndex({ productRef: 1, created_at: -1 });
+    await PriceHistoryModel.collection.createIndex({ batchRef: 1 });
+    console.log('[priceHistoryService] índices creados/verificados');
+  } catch (err) {
+    console.warn('[priceHistoryService] fallo creando índices (quizá ya existían):', err.message || err);
+  }
+};
+
+/* ---------- Helpers ---------- */
+const isObjectId = v => typeof v === 'string' && mongoose.Types.ObjectId.isValid(v);
+
+const ensureMongoReady = async () => {
+  if (!mongoReady || !PriceHistoryModel) {
+    console.log('🔄 Auto-inicializando priceHistoryService...');
+    await init();
+  }
+};
+
+const productFilter = (productId) => {
+  if (isObjectId(String(productId))) return { _id: new mongoose.Types.ObjectId(String(productId)) };
+  if (!isNaN(Number(productId))) return { oldId: Number(productId) };
+  return { _id: productId };
+};
+
+const normalize = (doc) => ({
+  id: doc._id ? String(doc._id) : null,
+  productRef: doc.productRef ? String(doc.productRef) : null,
+  source: doc.source,
+  previous_price: doc.previous_price ?? null,
+  new_price: doc.new_price ?? null,
+  batchId: doc.batchRef ? String(doc.batchRef) : null,
+  user: doc.user || null,
+  created_at: doc.created_at || null
+});
+
+/* ---------- API ---------- */
+
+/**
+ * recordPriceChanges(changes, { source, batchRef, user, session })
+ * changes: [{ productRef, previousPrice, newPrice }]. Los que no cambian se omiten.
+ */
+const recordPriceChanges = async (changes = [], { source = 'manual', batchRef = null, user = null, session = null } = {}) => {
+  await ensureMongoReady();
+  if (!PRICE_SOURCES.includes(source)) throw new Error(`Origen de precio inválido (${source})`);
+
+  const docs = changes
+    .filter(c => c.previousPrice == null || c.newPrice == null || Number(c.previousPrice) !== Number(c.newPrice))
+    .map(c => ({
+      productRef: new mongoose.Types.ObjectId(String(c.productRef)),
+      source,
+      previous_price: c.previousPrice == null ? null : Number(c.previousPrice),
+      new_price: c.newPrice == null ? null : Number(c.newPrice),
+      batchRef: batchRef ? new mongoose.Types.ObjectId(String(batchRef)) : null,
+      user: user != null ? String(user) : null
+    }));
+  if (docs.length === 0) return 0;
+
+  await PriceHistoryModel.insertMany(docs, { session });
+  return docs.length;
+};
+
+/**
+ * recordPriceChange({ productRef, previousPrice, newPrice, source, user })
+ * Un cambio puntual (alta o edición del producto).
+ */
+const recordPriceChange = async ({ productRef, previousPrice = null, newPrice, source = 'manual', user = null } = {}) => {
+  return recordPriceChanges([{ productRef, previousPrice, newPrice }], { source, user });
+};
+
+/**
+ * getPriceHistory(productId, { from, to, limit, offset })
+ * Más recientes primero. null si el producto no existe.
+ */
+const getPriceHistory = async (productId, { from, to, limit = 100, offset = 0 } = {}) => {
+  await ensureMongoReady();
+
+  const product = await mongoose.connection.collection('products').findOne(productFilter(productId), { projection: { _id: 1 } });
+  if (!product) return null;
+
+  const filter = { productRef: product._id };
+  if (from) {
+    const fromDate = new Date(from);
+    if (!isNaN(fromDate.getTime())) filter.created_at = { ...(filter.created_at || {}), $gte: fromDate };
+  }
+  if (to) {
+    const toDate = new Date(to);
+    if (!isNaN(toDate.getTime())) {
+      const toInclusive = new Date(toDate.getTime()); toInclusive.setHours(23, 59, 59, 999);
+      filter.created_at = { ...(filter.created_at || {}), $lte: toInclusive };
+    }
+  }
+
+  const docs = await PriceHistoryModel.find(filter)
+    .sort({ created_at: -1, _id: -1 })
+    .skip(Number(offset) || 0)
+    .limit(Number(limit) || 100)
+    .lean()
+    .exec();
+  return docs.map(normalize);
+};
+
+module.exports = {
+  init,
+  PRICE_SOURCES,
+  recordPriceChanges,
+  recordPriceChange,
+  getPriceHistory
+};
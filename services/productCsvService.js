@@ -0,0 +1,359 @@
+// services/productCsvService.js
+// Importación / exportación del catálogo en CSV.
+//
+// Import: cada fila crea o actualiza un producto. Coincidencia, en este orden:
+//   id -> SKU -> código de barras -> oldId -> nombre + marca (sin distinguir mayúsculas ni acentos).
+// Una celda vacía deja el valor actual (en altas, el default). Con dryRun no se escribe nada:
+// devuelve lo que haría cada fila, los errores de validación y el resumen.
+// Las filas con error se saltean; el resto se aplica igual (usar dryRun antes para revisar).
+//
+// Separador ',' o ';' (se detecta en la cabecera); números con coma decimal y punto de miles
+// ('1.500' = 1500); la exportación escribe los decimales con coma.
+// La columna stock es un conteo absoluto: si difiere queda como ajuste en el kardex.
+const { parseIvaRate } = require('../config/tax');
+const productosService = require('./productosService');
+
+const MAX_IMPORT_ROWS = parseInt(process.env.PRODUCT_IMPORT_MAX_ROWS || '5000', 10);
+
+// columnas del CSV (mismo orden en la exportación)
+const COLUMNS = [
+  'id', 'oldId', 'sku', 'barcodes', 'nombre', 'marca', 'categoria', 'descripcion',
+  'precio', 'cost', 'iva', 'stock', 'unit', 'vencimiento', 'min_stock', 'reorder_point', 'reorder_qty', 'imagen'
+];
+
+// nombres alternativos habituales en planillas de distribuidores
+const HEADER_ALIASES = {
+  barcode: 'barcodes',
+  codigo_barras: 'barcodes',
+  ean: 'barcodes',
+  producto: 'nombre',
+  costo: 'cost',
+  precio_venta: 'precio',
+  rubro: 'categoria',
+  old_id: 'oldId',
+  oldid: 'oldId'
+};
+
+/* ---------- CSV ---------- */
+
+/**
+ * parseCsv(text, { delimiter })
+ * RFC 4180: comillas dobles, "" escapadas, saltos de línea dentro de comillas.
+ * -> array de filas (array de strings)
+ */
+const parseCsv = (text, { delimiter = ',' } = {}) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"') {
+        if (src[i + 1] === '"') { field += '"'; i++; } else quoted = false;
+      } else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(field); field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else field += c;
+  }
+  if (quoted) throw new Error('CSV inválido: comillas sin cerrar');
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+
+  // líneas en blanco fuera
+  return rows.filter(r => r.some(v => String(v).trim() !== ''));
+};
+
+const detectDelimiter = (text) => {
+  const firstLine = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0] || '';
+  return (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+};
+
+// celdas que una planilla tomaría como fórmula (inyección CSV): se exportan con ' adelante
+// y al importar se saca, así el mismo archivo va y vuelve sin cambios
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const escapeFormula = (s) => (FORMULA_START.test(s) ? `'${s}` : s);
+
+const unescapeFormula = (s) => (typeof s === 'string' && s[0] === "'" && FORMULA_START.test(s.slice(1)) ? s.slice(1) : s);
+
+const csvCell = (value, delimiter) => {
+  if (value == null) return '';
+  // decimales con coma: '1.234' (kg) volvería a entrar como 1234 al importar
+  const text = typeof value === 'number' && !Number.isInteger(value) ? String(value).replace('.', ',') : String(value);
+  const s = escapeFormula(Array.isArray(value) ? value.join('|') : text);
+  return /["\r\n]/.test(s) || s.includes(delimiter) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/**
+ * toCsv(rows, columns, { delimiter })
+ * rows: array de objetos. Con BOM para que Excel respete los acentos.
+ */
+const toCsv = (rows, columns, { delimiter = ',' } = {}) => {
+  const lines = [columns.join(delimiter)];
+  for (const r of rows) lines.push(columns.map(c => csvCell(r[c], delimiter)).join(delimiter));
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+};
+
+/* ---------- Helpers ---------- */
+
+const foldKey = (s) => String(s || '')
+  .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+  .trim().toLowerCase().replace(/\s+/g, ' ');
+
+const nameBrandKey = (nombre, marca) => `${foldKey(nombre)}\u0000${foldKey(marca)}`;
+
+const normalizeHeader = (h) => {
+  const raw = String(h || '').trim();
+  if (COLUMNS.includes(raw)) return raw;
+  const key = foldKey(raw).replace(/[\s-]+/g, '_');
+  if (HEADER_ALIASES[key]) return HEADER_ALIASES[key];
+  return COLUMNS.find(c => c.toLowerCase() === key) || null;
+};
+
+// '1.234,50' / '1234,5' / '1.500' (miles) / '1234.5' -> número.
+// Un punto seguido de grupos de 3 dígitos es de miles (listas de precios sin decimales);
+// lo que no se puede leer de una sola forma ('1.23.4', '1,500.25') se rechaza en vez de adivinar.
+const parseDecimal = (v) => {
+  const s = String(v).trim().replace(/\s|\$/g, '');
+  if (/^-?\d{1,3}(\.\d{3})+(,\d+)?$/.test(s)) return Number(s.replace(/\./g, '').replace(',', '.'));
+  if (/^-?\d+,\d+$/.test(s)) return Number(s.replace(',', '.'));
+  if (/^-?\d+(\.\d+)?$/.test(s)) return Number(s);
+  if (/^-?[\d.,]+$/.test(s)) throw new Error(`Número ambiguo (${v}): usar 1.234,50 o 1234.50`);
+  return NaN;
+};
+
+const parseVencimiento = (v) => {
+  const s = String(v).trim();
+  const m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/); // dd/mm/aaaa
+  const iso = m ? `${m[3]}-${m[2].padStart(2, '0')}-${m[1].padStart(2, '0')}` : s;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(iso) || isNaN(new Date(iso).getTime())) throw new Error(`Vencimiento inválido (${v})`);
+  return iso;
+};
+
+/**
+ * parseRow(raw)
+ * Celdas del CSV -> payload de productosService (sólo las celdas con valor).
+ * Acumula todos los errores de la fila.
+ */
+const parseRow = (raw) => {
+  const payload = {};
+  const errors = [];
+  const has = (k) => raw[k] != null && String(raw[k]).trim() !== '';
+  const field = (k, fn) => {
+    if (!has(k)) return;
+    try { payload[k] = fn(String(raw[k]).trim()); } catch (e) { errors.push(e.message); }
+  };
+  const money = (label) => (v) => {
+    const n = parseDecimal(v);
+    if (isNaN(n) || n < 0) throw new Error(`${label} inválido (${v})`);
+    return Math.round(n * 100) / 100;
+  };
+
+  ['nombre', 'marca', 'categoria', 'descripcion', 'imagen'].forEach(k => field(k, v => v));
+  field('sku', v => productosService.parseSku(v));
+  field('barcodes', v => productosService.parseBarcodes(v));
+  field('precio', money('Precio'));
+  field('cost', money('Costo'));
+  field('iva', v => parseIvaRate(v));
+  field('unit', v => productosService.parseUnit(v));
+  field('stock', v => {
+    const n = parseDecimal(v);
+    if (!Number.isFinite(n) || n < 0) throw new Error(`Stock inválido (${v})`);
+    return n;
+  });
+  field('vencimiento', parseVencimiento);
+  ['min_stock', 'reorder_point', 'reorder_qty'].forEach(k => field(k, v => parseDecimal(v)));
+
+  return { payload, errors };
+};
+
+// oldId numérico (como en la migración desde sqlite) o null
+const oldIdNumber = (v) => (v !== '' && v != null && !isNaN(Number(v)) ? Number(v) : null);
+
+const sameValue = (a, b) => {
+  if (Array.isArray(a) || Array.isArray(b)) return JSON.stringify(a || []) === JSON.stringify(b || []);
+  if (a == null || b == null) return a == null && b == null;
+  return String(a) === String(b);
+};
+
+/* ---------- API ---------- */
+
+/**
+ * importProducts(csv, { dryRun = true, user })
+ * -> { dryRun, summary: { total, created, updated, unchanged, errors }, rows: [...] }
+ * Cada fila: { row, action: 'create'|'update'|'unchanged'|'error', match, productId, nombre, changes, errors }
+ */
+const importProducts = async (csv, { dryRun = true, user = null } = {}) => {
+  if (!csv || String(csv).trim() === '') throw new Error('CSV requerido');
+
+  const delimiter = detectDelimiter(csv);
+  const [header, ...lines] = parseCsv(csv, { delimiter });
+  if (!header) throw new Error('CSV requerido');
+  if (lines.length > MAX_IMPORT_ROWS) throw new Error(`CSV inválido: supera el máximo de ${MAX_IMPORT_ROWS} filas`);
+
+  const columns = header.map(normalizeHeader);
+  if (!['nombre', 'id', 'sku', 'barcodes', 'oldId'].some(c => columns.includes(c))) {
+    throw new Error('CSV inválido: falta la columna nombre (o id / sku / barcodes / oldId para actualizar)');
+  }
+
+  // índices de coincidencia sobre el catálogo actual; los archivados también (conservan sus códigos),
+  // pero si comparten nombre + marca con uno activo gana el activo
+  const catalog = (await productosService.listarProductos({ includeArchived: true }))
+    .sort((a, b) => (a.archived_at ? 0 : 1) - (b.archived_at ? 0 : 1));
+  const byId = new Map();
+  const bySku = new Map();
+  const byBarcode = new Map();
+  const byOldId = new Map();
+  const byNameBrand = new Map();
+  for (const p of catalog) {
+    byId.set(p.id, p);
+    if (p.sku) bySku.set(p.sku, p);
+    (p.barcodes || []).forEach(code => byBarcode.set(code, p));
+    if (p.oldId != null) byOldId.set(String(p.oldId), p);
+    byNameBrand.set(nameBrandKey(p.nombre, p.marca), p);
+  }
+
+  const claimed = new Map(); // producto / alta -> fila que lo tomó (filas repetidas en el archivo)
+  const fileBarcodes = new Map(); // código -> fila del archivo que lo usa
+  const fileSkus = new Map();
+  const results = [];
+
+  lines.forEach((cells, i) => {
+    const rowNumber = i + 2; // 1 = cabecera
+    const raw = {};
+    columns.forEach((col, j) => { if (col) raw[col] = unescapeFormula(cells[j]); });
+    const { payload, errors } = parseRow(raw);
+
+    // buscar el producto
+    let product = null;
+    let match = null;
+    const rawId = raw.id != null ? String(raw.id).trim() : '';
+    const rawOldId = raw.oldId != null ? String(raw.oldId).trim() : '';
+    if (rawId) {
+      product = byId.get(rawId) || null;
+      match = 'id';
+      if (!product) errors.push(`Producto no encontrado (id=${rawId})`);
+    }
+    if (!product && !rawId && payload.sku) {
+      product = bySku.get(payload.sku) || null;
+      if (product) match = 'sku';
+    }
+    if (!product && !rawId && payload.barcodes) {
+      product = payload.barcodes.map(code => byBarcode.get(code)).find(Boolean) || null;
+      if (product) match = 'barcode';
+    }
+    if (!product && !rawId && rawOldId) {
+      product = byOldId.get(rawOldId) || null;
+      if (product) match = 'oldId';
+    }
+    if (!product && !rawId && payload.nombre) {
+      product = byNameBrand.get(nameBrandKey(payload.nombre, payload.marca)) || null;
+      if (product) match = 'nombre_marca';
+    }
+    if (!product && !rawId && !payload.nombre) errors.push('nombre es requerido para dar de alta');
+    if (product && product.archived_at) errors.push(`Producto archivado: ${product.nombre} (restaurarlo para importarlo)`);
+
+    // decimales sólo en productos por peso
+    const unit = payload.unit || product?.unit || 'unit';
+    if (payload.stock != null && !productosService.isValidQty(unit, payload.stock)) errors.push(`Stock inválido (${payload.stock} ${unit})`);
+
+    // niveles de reposición combinados con los actuales del producto
+    const levels = {
+      min_stock: payload.hasOwnProperty('min_stock') ? payload.min_stock : product?.min_stock,
+      reorder_point: payload.hasOwnProperty('reorder_point') ? payload.reorder_point : product?.reorder_point,
+      reorder_qty: payload.hasOwnProperty('reorder_qty') ? payload.reorder_qty : product?.reorder_qty
+    };
+    try { productosService.parseReorderLevels(levels); } catch (e) { errors.push(e.message); }
+
+    // un SKU o código de barras no puede quedar en dos productos
+    const skuOwner = payload.sku ? bySku.get(payload.sku) : null;
+    if (skuOwner && (!product || skuOwner.id !== product.id)) errors.push(`SKU ${payload.sku} ya asignado a ${skuOwner.nombre}`);
+    else if (payload.sku && fileSkus.has(payload.sku)) errors.push(`SKU ${payload.sku} repetido (fila ${fileSkus.get(payload.sku)})`);
+    for (const code of payload.barcodes || []) {
+      const owner = byBarcode.get(code);
+      if (owner && (!product || owner.id !== product.id)) errors.push(`Código de barras ${code} ya asignado a ${owner.nombre}`);
+      else if (fileBarcodes.has(code)) errors.push(`Código de barras ${code} repetido (fila ${fileBarcodes.get(code)})`);
+    }
+
+    const claimKey = product ? `id:${product.id}` : (payload.nombre ? `new:${nameBrandKey(payload.nombre, payload.marca)}` : null);
+    if (claimKey && claimed.has(claimKey)) errors.push(`Fila repetida: el producto ya aparece en la fila ${claimed.get(claimKey)}`);
+
+    // sólo las filas válidas reservan producto y códigos
+    if (!errors.length) {
+      if (claimKey) claimed.set(claimKey, rowNumber);
+      (payload.barcodes || []).forEach(code => fileBarcodes.set(code, rowNumber));
+      if (payload.sku) fileSkus.set(payload.sku, rowNumber);
+    }
+
+    if (errors.length) {
+      results.push({ row: rowNumber, action: 'error', match, productId: product?.id || null, nombre: payload.nombre || product?.nombre || null, changes: null, errors });
+      return;
+    }
+
+    if (!product) {
+      if (oldIdNumber(rawOldId) != null) payload.oldId = oldIdNumber(rawOldId);
+      results.push({ row: rowNumber, action: 'create', match: null, productId: null, nombre: payload.nombre, changes: payload, errors: [], payload });
+      return;
+    }
+
+    const changes = {};
+    for (const [k, v] of Object.entries(payload)) {
+      // al coincidir por nombre + marca, una diferencia de mayúsculas/acentos no es un cambio
+      if (match === 'nombre_marca' && ['nombre', 'marca'].includes(k) && foldKey(product[k]) === foldKey(v)) continue;
+      if (!sameValue(product[k], v)) changes[k] = { from: product[k] ?? null, to: v };
+    }
+    const action = Object.keys(changes).length ? 'update' : 'unchanged';
+    results.push({ row: rowNumber, action, match, productId: product.id, nombre: product.nombre, changes: action === 'update' ? changes : null, errors: [], payload });
+  });
+
+  if (!dryRun) {
+    for (const r of results) {
+      try {
+        if (r.action === 'create') {
+          const created = await productosService.crearProducto(r.payload, { user });
+          r.productId = created.id;
+        } else if (r.action === 'update') {
+          const toSave = {};
+          Object.keys(r.changes).forEach(k => { toSave[k] = r.payload[k]; });
+          await productosService.actualizarProducto(r.productId, toSave, { user, reason: 'Importación CSV' });
+        }
+      } catch (err) {
+        console.error(`[productCsvService.importProducts] fila ${r.row}:`, err);
+        r.action = 'error';
+        r.errors = [err.message || 'Error al guardar'];
+      }
+    }
+  }
+
+  const summary = { total: results.length, created: 0, updated: 0, unchanged: 0, errors: 0 };
+  const keyFor = { create: 'created', update: 'updated', unchanged: 'unchanged', error: 'errors' };
+  results.forEach(r => { summary[keyFor[r.action]] += 1; delete r.payload; });
+
+  return { dryRun: !!dryRun, delimiter, summary, rows: results };
+};
+
+/**
+ * exportProducts({ categoria, marca, delimiter })
+ * Mismos filtros que listarProductos. El CSV vuelve a entrar tal cual por importProducts.
+ */
+const exportProducts = async ({ categoria, marca, delimiter = ',' } = {}) => {
+  if (![',', ';'].includes(delimiter)) throw new Error(`Separador inválido (${delimiter})`);
+  const products = await productosService.listarProductos({ categoria, marca });
+  return toCsv(products, COLUMNS, { delimiter });
+};
+
+module.exports = {
+  COLUMNS,
+  parseCsv,
+  toCsv,
+  importProducts,
+  exportProducts
+};
@@ -0,0 +1,99 @@
+// services/productImagesService.js
+// Imagen subida de un producto: se valida el contenido real (no sólo el mimetype que manda el
+// cliente), se guarda reescalada en webp junto con una miniatura y el producto queda apuntando a
+// sus URLs (imagen / imagen_thumb). Cada subida usa nombres nuevos, así las URLs se pueden
+// cachear como inmutables; las anteriores se borran al reemplazarlas.
+//
+// El producto se lee con productosService; los campos de imagen se escriben en un solo
+// findOneAndUpdate sobre la colección products, que devuelve la imagen anterior para borrarla.
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { mongoose } = require('../config/mongo');
+const { UPLOADS } = require('../config/uploads');
+const imageStorageService = require('./imageStorageService');
+const productosService = require('./productosService');
+
+// formatos que sharp detecta en el contenido -> mimetype aceptado
+const FORMATS = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+
+/**
+ * validateImage({ buffer, mimetype, size })
+ * -> metadata de sharp. Errores con 'inválid' / 'supera' para que el controlador devuelva 400/413.
+ */
+const validateImage = async ({ buffer, mimetype, size } = {}) => {
+  if (!buffer || !buffer.length) throw new Error('Imagen requerida');
+  if ((size || buffer.length) > UPLOADS.max_bytes) {
+    throw new Error(`La imagen supera el máximo de ${Math.round(UPLOADS.max_bytes / 1024 / 1024 * 10) / 10} MB`);
+  }
+  if (!UPLOADS.image_types.includes(mimetype)) throw new Error(`Tipo de imagen inválido (${mimetype || 'desconocido'})`);
+
+  let meta;
+  try {
+    meta = await sharp(buffer).metadata();
+  } catch (err) {
+    throw new Error('Imagen inválida: el archivo no es una imagen');
+  }
+  if (!FORMATS[meta.format] || !UPLOADS.image_types.includes(FORMATS[meta.format])) {
+    throw new Error(`Tipo de imagen inválido (${meta.format})`);
+  }
+  return meta;
+};
+
+// rotate() aplica la orientación EXIF; al reencodear se descartan los metadatos (ej. GPS del celular)
+const render = (buffer, px, fit) => sharp(buffer)
+  .rotate()
+  .resize({ width: px, height: px, fit, withoutEnlargement: true })
+  .webp({ quality: 82 })
+  .toBuffer();
+
+/**
+ * saveProductImage(productId, file, { user })
+ * file: { buffer, mimetype, size } (multer en memoria)
+ * -> producto actualizado, o null si no existe.
+ */
+const saveProductImage = async (productId, file = {}, { user = null } = {}) => {
+  const product = await productosService.obtenerProductoPorId(productId);
+  if (!product) return null;
+
+  await validateImage(file);
+  const [main, thumb] = await Promise.all([
+    render(file.buffer, UPLOADS.image_max_px, 'inside'),
+    render(file.buffer, UPLOADS.thumb_px, 'cover')
+  ]);
+
+  const base = `products/${product.id}/${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  const saved = await imageStorageService.save(`${base}.webp`, main, { contentType: 'image/webp' });
+  let savedThumb;
+  try {
+    savedThumb = await imageStorageService.save(`${base}-thumb.webp`, thumb, { contentType: 'image/webp' });
+  } catch (err) {
+    await imageStorageService.remove(saved.key).catch(() => {});
+    throw err;
+  }
+
+  const products = mongoose.connection.collection('products');
+  const _id = new mongoose.Types.ObjectId(product.id);
+  const res = await products.findOneAndUpdate(
+    { _id },
+    {
+      $set: {
+        imagen: saved.url,
+        imagen_thumb: savedThumb.url,
+        imagen_storage: { main: saved.key, thumb: savedThumb.key, uploaded_by: user != null ? String(user) : null },
+        updated_at: new Date()
+      }
+    },
+    { projection: { imagen: 1, imagen_storage: 1 }, returnDocument: 'before' }
+  );
+  const previous = res && res.value !== undefined ? res.value : res;
+
+  // los archivos reemplazados se borran una vez que el producto ya apunta a los nuevos
+  await productosService.borrarImagenReemplazada(previous);
+
+  return productosService.obtenerProductoPorId(product.id);
+};
+
+module.exports = {
+  validateImage,
+  saveProductImage
+};
@@ -0,0 +1,306 @@
+// services/productSearchService.js
+// Búsqueda de productos tolerante a acentos, guiones y errores de tipeo, ordenada por relevancia.
+//
+// - Se pliegan acentos y mayúsculas y se separa en palabras ("Anti-Pulgas Perro" -> anti, pulgas, perro)
+// - Cada palabra buscada tiene que aparecer en algún campo: igual, como prefijo, dentro del texto
+//   sin espacios ni guiones ("antipulgas" encuentra "anti-pulgas") o con errores de tipeo
+//   (1 error desde 4 letras, 2 desde 7: "perrro" encuentra "perro")
+// - Puntaje: nombre pesa más que marca/categoría/variante, y éstas más que la descripción;
+//   el código de barras o SKU exacto va primero
+// - Facetas por categoría y marca con cantidades (cada una ignora su propio filtro)
+//
+// Se puntúa en memoria sobre un índice del catálogo ya plegado y separado en palabras. El índice se
+// rearma cuando productosService informa un alta/edición/baja o, como máximo, cada
+// PRODUCT_SEARCH_INDEX_TTL segundos (cambios hechos por otra instancia o directo en la base).
+// Los errores de tipeo se prueban contra el vocabulario del índice y sólo se puntúan los productos
+// que tienen todas las palabras; los datos de la página devuelta se leen frescos (precio, stock).
+const productosService = require('./productosService');
+
+const INDEX_TTL_MS = parseInt(process.env.PRODUCT_SEARCH_INDEX_TTL || '60', 10) * 1000;
+
+// peso de cada campo en el puntaje
+const FIELD_WEIGHTS = {
+  nombre: 3,
+  marca: 2,
+  categoria: 1.5,
+  variant: 1.5,
+  descripcion: 1
+};
+
+// calidad de la coincidencia de una palabra
+const MATCH_SCORES = { exact: 1, prefix: 0.8, compact: 0.7, fuzzy: 0.6 };
+
+const CODE_BOOST = 100; // código de barras / SKU exacto
+const NAME_PREFIX_BOOST = 2; // el nombre empieza con la búsqueda completa
+
+// palabras que no aportan a la búsqueda (salvo que sean lo único buscado)
+const STOPWORDS = new Set(['de', 'del', 'la', 'el', 'los', 'las', 'y', 'para', 'con', 'en', 'x', 'por']);
+
+/* ---------- Texto ---------- */
+const fold = (s) => String(s || '')
+  .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+const tokenize = (s) => fold(s).split(/[^a-z0-9]+/).filter(Boolean);
+
+// texto sin separadores: "anti-pulgas 3 kg" -> "antipulgas3kg"
+const compact = (s) => fold(s).replace(/[^a-z0-9]+/g, '');
+
+const maxEdits = (len) => (len >= 7 ? 2 : (len >= 4 ? 1 : 0));
+
+/**
+ * editDistance(a, b, max)
+ * Damerau-Levenshtein (transposiciones incluidas). Corta en max + 1 si ya se pasó.
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  const rows = [];
+  for (let i = 0; i <= a.length; i += 1) {
+    rows.push(new Array(b.length + 1).fill(0));
+    rows[i][0] = i;
+  }
+  for (let j = 0; j <= b.length; j += 1) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i += 1) {
+    let rowMin = Infinity;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, rows[i - 2][j - 2] + 1);
+      rows[i][j] = d;
+      if (d < rowMin) rowMin = d;
+    }
+    if (rowMin > max) return max + 1;
+  }
+  return rows[a.length][b.length];
+};
+
+/**
+ * matchToken(term, field)
+ * field: { tokens, compact } ya plegados. -> MATCH_SCORES.* o 0.
+ */
+const matchToken = (term, field) => {
+  let best = 0;
+  const edits = maxEdits(term.length);
+  for (const tk of field.tokens) {
+    if (tk === term) return MATCH_SCORES.exact;
+    if (term.length >= 2 && tk.startsWith(term)) best = Math.max(best, MATCH_SCORES.prefix);
+    else if (edits && best < MATCH_SCORES.fuzzy) {
+      // contra la palabra entera o contra su comienzo (se está escribiendo: "alimnto" -> "alimentos")
+      const d = Math.min(
+        editDistance(term, tk, edits),
+        tk.length > term.length ? editDistance(term, tk.slice(0, term.length), edits) : edits + 1
+      );
+      if (d <= edits) best = Math.max(best, MATCH_SCORES.fuzzy - 0.1 * (d - 1));
+    }
+  }
+  if (best < MATCH_SCORES.compact && term.length >= 3 && field.compact.includes(term)) best = MATCH_SCORES.compact;
+  return best;
+};
+
+const indexProduct = (p) => {
+  const field = (text) => ({ tokens: tokenize(text), compact: compact(text) });
+  return {
+    nombre: field(p.nombre),
+    marca: field(p.marca),
+    categoria: field(p.categoria),
+    variant: field([p.variant?.size, p.variant?.flavor, p.variant?.presentation].filter(Boolean).join(' ')),
+    descripcion: field(p.descripcion)
+  };
+};
+
+// el mismo UPC-A puede venir con 12 dígitos o como EAN-13 con un 0 adelante
+const codeMatches = (p, raw) => {
+  const code = String(raw || '').trim();
+  if (!code || /\s/.test(code)) return false;
+  if (p.sku && p.sku === code.toUpperCase()) return true;
+  const variants = /^\d{12}$/.test(code) ? [code, '0' + code] : (/^0\d{12}$/.test(code) ? [code, code.slice(1)] : [code]);
+  return (p.barcodes || []).some(b => variants.includes(b));
+};
+
+/**
+ * scoreProduct(product, query)
+ * query: { raw, terms, compact } -> { score, matched } o null si alguna palabra no aparece.
+ */
+const scoreProduct = (product, query, index = indexProduct(product)) => {
+  if (codeMatches(product, query.raw)) return { score: CODE_BOOST, matched: ['code'] };
+
+  let score = 0;
+  const matched = new Set();
+  for (const term of query.terms) {
+    let best = 0;
+    let bestField = null;
+    for (const [name, weight] of Object.entries(FIELD_WEIGHTS)) {
+      const s = matchToken(term, index[name]) * weight;
+      if (s > best) { best = s; bestField = name; }
+    }
+    if (!best) return null;
+    score += best;
+    matched.add(bestField);
+  }
+
+  // búsqueda de varias palabras escrita junta o separada de otra forma ("anti pulgas" / "antipulgas")
+  if (query.compact && index.nombre.compact.startsWith(query.compact)) score += NAME_PREFIX_BOOST;
+  else if (query.terms.length > 1 && query.compact && index.nombre.compact.includes(query.compact)) score += NAME_PREFIX_BOOST / 2;
+
+  return { score: Math.round(score * 100) / 100, matched: [...matched] };
+};
+
+const parseQuery = (q) => {
+  const raw = q != null ? String(q).trim() : '';
+  const all = tokenize(raw);
+  const terms = all.filter(t => !STOPWORDS.has(t));
+  return { raw, terms: terms.length ? terms : all, compact: compact(raw) };
+};
+
+/* ---------- Índice ---------- */
+
+// { version, built_at, entries: [{ id, nombre, categoria, marca, sku, barcodes, archived, index, compact }],
+//   vocabulary: palabra -> posiciones en entries, codes: SKU / código de barras -> posiciones }
+let catalogIndex = null;
+let building = null;
+
+const buildIndex = async () => {
+  const version = productosService.getCatalogVersion();
+  const catalog = await productosService.listarProductos({ includeArchived: true });
+  const entries = [];
+  const vocabulary = new Map();
+  const codes = new Map();
+  const add = (map, key, i) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(i);
+  };
+
+  catalog.forEach((p, i) => {
+    const index = indexProduct(p);
+    entries.push({
+      id: p.id,
+      nombre: p.nombre,
+      categoria: p.categoria,
+      marca: p.marca,
+      sku: p.sku,
+      barcodes: p.barcodes,
+      archived: !!p.archived_at,
+      index,
+      // campos sin separadores, cortados con '|' para no encontrar palabras entre dos campos
+      compact: Object.values(index).map(f => f.compact).join('|')
+    });
+    for (const tk of new Set(Object.values(index).flatMap(f => f.tokens))) add(vocabulary, tk, i);
+    if (p.sku) add(codes, p.sku, i);
+    for (const b of p.barcodes || []) add(codes, b, i);
+  });
+
+  return { version, built_at: Date.now(), entries, vocabulary, codes };
+};
+
+const getIndex = async () => {
+  if (catalogIndex && catalogIndex.version === productosService.getCatalogVersion() && Date.now() - catalogIndex.built_at < INDEX_TTL_MS) {
+    return catalogIndex;
+  }
+  if (!building) {
+    building = buildIndex()
+      .then(idx => { catalogIndex = idx; return idx; })
+      .finally(() => { building = null; });
+  }
+  return building;
+};
+
+// posiciones de los productos donde aparece la palabra (mismas reglas que matchToken)
+const termCandidates = (idx, term) => {
+  const found = new Set();
+  for (const [tk, rows] of idx.vocabulary) {
+    if (matchToken(term, { tokens: [tk], compact: '' })) rows.forEach(i => found.add(i));
+  }
+  if (term.length >= 3) {
+    idx.entries.forEach((e, i) => { if (e.compact.includes(term)) found.add(i); });
+  }
+  return found;
+};
+
+// candidatos: los que tienen todas las palabras, más los que coinciden por código
+const findCandidates = (idx, query) => {
+  let rows = null;
+  for (const term of query.terms) {
+    const found = termCandidates(idx, term);
+    rows = rows ? new Set([...rows].filter(i => found.has(i))) : found;
+    if (!rows.size) break;
+  }
+  const code = /^\S+$/.test(query.raw) ? query.raw : null;
+  if (code) {
+    for (const key of [code.toUpperCase(), code, '0' + code, code.slice(1)]) {
+      (idx.codes.get(key) || []).forEach(i => rows.add(i));
+    }
+  }
+  return [...rows].map(i => idx.entries[i]);
+};
+
+const facetCounts = (rows, key) => {
+  const counts = new Map();
+  for (const p of rows) {
+    const value = p[key] || null;
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || String(a.value ?? '').localeCompare(String(b.value ?? ''), 'es'));
+};
+
+/* ---------- API ---------- */
+
+/**
+ * searchProductos({ q, categoria, marca, includeArchived = false, limit = 50, offset = 0 })
+ * -> { q, total, limit, offset, items: [{ ...producto, score, matched }], facets: { categoria, marca } }
+ * Sin q (o sólo signos): todo el catálogo (filtrado) por nombre. Con q: por relevancia y después por nombre.
+ */
+const searchProductos = async ({ q, categoria, marca, includeArchived = false, limit = 50, offset = 0 } = {}) => {
+  const query = parseQuery(q);
+  const idx = await getIndex();
+  const visible = (e) => includeArchived || !e.archived;
+
+  let hits;
+  if (!query.terms.length) {
+    hits = idx.entries.filter(visible).map(e => ({ ...e, score: 0, matched: [] }));
+  } else {
+    hits = [];
+    for (const e of findCandidates(idx, query)) {
+      if (!visible(e)) continue;
+      const res = scoreProduct(e, query, e.index);
+      if (res) hits.push({ ...e, ...res });
+    }
+    // un código exacto no se mezcla con coincidencias parciales
+    if (hits.some(h => h.matched[0] === 'code')) hits = hits.filter(h => h.matched[0] === 'code');
+  }
+
+  // facetas: cada una con el filtro de la otra aplicado
+  const byCategoria = (p) => !categoria || p.categoria === categoria;
+  const byMarca = (p) => !marca || p.marca === marca;
+  const facets = {
+    categoria: facetCounts(hits.filter(byMarca), 'categoria'),
+    marca: facetCounts(hits.filter(byCategoria), 'marca')
+  };
+
+  const filtered = hits.filter(p => byCategoria(p) && byMarca(p));
+  filtered.sort((a, b) => b.score - a.score || String(a.nombre || '').localeCompare(String(b.nombre || ''), 'es', { sensitivity: 'base' }));
+
+  const size = Math.min(Math.max(Number(limit) || 50, 1), 200);
+  const from = Math.max(Number(offset) || 0, 0);
+  const page = filtered.slice(from, from + size);
+  const products = new Map((await productosService.obtenerProductosPorIds(page.map(h => h.id))).map(p => [p.id, p]));
+  return {
+    q: query.raw || null,
+    total: filtered.length,
+    limit: size,
+    offset: from,
+    items: page.filter(h => products.has(h.id)).map(h => ({ ...products.get(h.id), score: h.score, matched: h.matched })),
+    facets
+  };
+};
+
+module.exports = {
+  FIELD_WEIGHTS,
+  fold,
+  tokenize,
+  editDistance,
+  scoreProduct,
+  searchProductos
+};
@@ -1,26 +1,68 @@
 // src/services/productosService.js
 const { connectMongo, mongoose } = require('../config/mongo');
+const { parseIvaRate } = require('../config/tax');
+const stockMovementsService = require('./stockMovementsService');
+const costingService = require('./costingService');
+const priceHistoryService = require('./priceHistoryService');
+const imageStorageService = require('./imageStorageService');
 
 let ProductModel = null;
 let mongoReady = false;
+
+// cambia con cada alta, edición, baja o restauración: productSearchService rearma su índice
+let catalogVersion = 0;
+const getCatalogVersion = () => catalogVersion;
 const { Schema } = mongoose;
 
+// unidades de venta: el precio y el stock se expresan en esta unidad
+const UNITS = {
+  unit: { label: 'u.', decimals: 0 },
+  kg: { label: 'kg', decimals: 3 } // suelto: se vende por peso, al gramo
+};
+
 /* ---------- Schema / Init ---------- */
 const ProductSchema = new Schema({
   oldId: { type: Schema.Types.Mixed, default: null }, // conserva id numérico si migrás desde sqlite
   nombre: { type: String, required: true, index: true },
+  sku: { type: String, default: null }, // código interno, único
+  barcodes: { type: [String], default: [] }, // EAN/UPC del envase, únicos entre productos
   marca: { type: String, default: null, index: true },
   descripcion: { type: String, default: null },
   precio: { type: Number, default: null },
   categoria: { type: String, default: null, index: true },
   imagen: { type: String, default: null },
+  imagen_thumb: { type: String, default: null }, // miniatura de la imagen subida (ver productImagesService)
+  imagen_storage: { type: Schema.Types.Mixed, default: null }, // claves en el almacenamiento: { main, thumb }
   vencimiento: { type: String, default: null }, // string para compatibilidad con formatos existentes
   stock: { type: Number, default: null },
-  cost: { type: Number, default: 0 }
+  unit: { type: String, enum: Object.keys(UNITS), default: 'unit' },
+  cost: { type: Number, default: 0 },
+  iva: { type: String, enum: ['21', '10.5', 'exento', null], default: null }, // null = DEFAULT_IVA_RATE (config/tax)
+  // reposición (null = se toma la regla de la categoría, ver replenishmentService)
+  min_stock: { type: Number, default: null },
+  reorder_point: { type: Number, default: null },
+  reorder_qty: { type: Number, default: null },
+  // variante de un producto padre (ej. Dog Chow 3kg / 15kg / suelto)
+  parentRef: { type: Schema.Types.ObjectId, ref: 'Product', default: null, index: true },
+  variant: {
+    size: { type: String, default: null },
+    flavor: { type: String, default: null },
+    presentation: { type: String, default: null },
+  },
+  // envase cerrado que se abre en un producto suelto: content_qty en la unidad del suelto
+  loose_ref: { type: Schema.Types.ObjectId, ref: 'Product', default: null },
+  content_qty: { type: Number, default: null },
+  // archivado (baja lógica): sigue resolviéndose por id desde ventas viejas, no se lista ni se vende
+  archived_at: { type: Date, default: null, index: true },
+  archived_by: { type: String, default: null }
 }, {
   timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
 });
 
+// únicos sólo entre productos que los tienen cargados
+ProductSchema.index({ sku: 1 }, { unique: true, partialFilterExpression: { sku: { $type: 'string' } } });
+ProductSchema.index({ barcodes: 1 }, { unique: true, partialFilterExpression: { barcodes: { $type: 'string' } } });
+
 ProductSchema.set('toJSON', {
   transform(doc, ret) {
     ret.id = ret.id || (ret._id ? String(ret._id) : (ret.oldId != null ? String(ret.oldId) : null));
@@ -71,20 +113,186 @@ const normalize = (doc) => {
   return {
     id: doc.id || (doc._id ? String(doc._id) : (doc.oldId != null ? String(doc.oldId) : null)),
     nombre: doc.nombre,
+    sku: doc.sku ?? null,
+    barcodes: Array.isArray(doc.barcodes) ? doc.barcodes : [],
     marca: doc.marca ?? null,
     descripcion: doc.descripcion ?? null,
     precio: doc.precio != null ? Number(doc.precio) : null,
     categoria: doc.categoria ?? null,
     imagen: doc.imagen ?? null,
+    imagen_thumb: doc.imagen_thumb ?? null,
     vencimiento: vencimientoNormalizado, // ← Usar fecha normalizada
     stock: doc.stock != null ? Number(doc.stock) : null,
+    unit: doc.unit || 'unit',
     cost: doc.cost != null ? Number(doc.cost) : 0,
+    iva: doc.iva ?? null,
+    min_stock: doc.min_stock ?? null,
+    reorder_point: doc.reorder_point ?? null,
+    reorder_qty: doc.reorder_qty ?? null,
+    parentId: doc.parentRef ? String(doc.parentRef) : null,
+    variant: {
+      size: doc.variant?.size ?? null,
+      flavor: doc.variant?.flavor ?? null,
+      presentation: doc.variant?.presentation ?? null
+    },
+    loose_id: doc.loose_ref ? String(doc.loose_ref) : null,
+    content_qty: doc.content_qty ?? null,
+    archived_at: doc.archived_at || null,
     created_at: doc.created_at || doc.createdAt || null,
     updated_at: doc.updated_at || doc.updatedAt || null,
     oldId: doc.oldId ?? null
   };
 };
 
+/**
+ * parseReorderLevels({ min_stock, reorder_point, reorder_qty })
+ * Enteros >= 0 (reorder_qty > 0) o null; el stock mínimo no puede superar el punto de pedido.
+ */
+const parseReorderLevels = ({ min_stock = null, reorder_point = null, reorder_qty = null } = {}) => {
+  const parse = (v, label, min = 0) => {
+    if (v == null || v === '') return null;
+    const n = Number(v);
+    if (!Number.isInteger(n) || n < min) throw new Error(`${label} inválido`);
+    return n;
+  };
+  const out = {
+    min_stock: parse(min_stock, 'Stock mínimo'),
+    reorder_point: parse(reorder_point, 'Punto de pedido'),
+    reorder_qty: parse(reorder_qty, 'Cantidad de reposición', 1)
+  };
+  if (out.min_stock != null && out.reorder_point != null && out.min_stock > out.reorder_point) {
+    throw new Error('Stock mínimo inválido: supera el punto de pedido');
+  }
+  return out;
+};
+
+/**
+ * isValidGtin(code)
+ * EAN-8, UPC-A (12), EAN-13 o GTIN-14 con dígito verificador (módulo 10).
+ */
+const isValidGtin = (code) => {
+  const digits = String(code || '');
+  if (!/^(\d{8}|\d{12,14})$/.test(digits)) return false;
+  const body = digits.slice(0, -1).split('').reverse();
+  const sum = body.reduce((acc, d, i) => acc + Number(d) * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === Number(digits.slice(-1));
+};
+
+/**
+ * barcodeVariants(code)
+ * El mismo UPC-A puede llegar con 12 dígitos o como EAN-13 con un 0 adelante.
+ */
+const barcodeVariants = (code) => {
+  const c = String(code || '').trim();
+  if (/^\d{12}$/.test(c)) return [c, '0' + c];
+  if (/^0\d{12}$/.test(c)) return [c, c.slice(1)];
+  return [c];
+};
+
+/**
+ * parseBarcodes(value)
+ * Array o string separado por '|' / ',' -> lista sin vacíos ni repetidos.
+ * Cada código tiene que ser un EAN/UPC válido.
+ */
+const parseBarcodes = (value) => {
+  if (value == null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(/[|,]/);
+  const codes = [...new Set(list.map(c => String(c ?? '').replace(/\s/g, '')).filter(Boolean))];
+  codes.forEach(c => { if (!isValidGtin(c)) throw new Error(`Código de barras inválido (${c})`); });
+  return codes;
+};
+
+const parseSku = (value) => {
+  if (value == null || String(value).trim() === '') return null;
+  const sku = String(value).trim().toUpperCase();
+  if (!/^[A-Z0-9][A-Z0-9._\-/]{0,39}$/.test(sku)) throw new Error(`SKU inválido (${value})`);
+  return sku;
+};
+
+/**
+ * assertUniqueCodes({ sku, barcodes }, excludeRef)
+ * Error legible antes de chocar contra los índices únicos.
+ */
+const assertUniqueCodes = async ({ sku = null, barcodes = [] }, excludeRef = null) => {
+  const or = [];
+  if (sku) or.push({ sku });
+  if (barcodes.length) or.push({ barcodes: { $in: barcodes.flatMap(barcodeVariants) } });
+  if (!or.length) return;
+
+  const filter = { $or: or };
+  if (excludeRef) filter._id = { $ne: excludeRef };
+  const clash = await ProductModel.findOne(filter).lean().exec();
+  if (!clash) return;
+  const owner = clash.archived_at ? `${clash.nombre} (archivado)` : clash.nombre;
+  if (sku && clash.sku === sku) throw new Error(`SKU ${sku} ya asignado a ${owner}`);
+  const code = barcodes.find(c => barcodeVariants(c).some(v => (clash.barcodes || []).includes(v)));
+  throw new Error(`Código de barras ${code} ya asignado a ${owner}`);
+};
+
+// índice único violado entre la validación y la escritura (alta concurrente)
+const rethrowDuplicate = (err) => {
+  if (err && err.code === 11000) {
+    const field = /sku/.test(err.message || '') ? 'SKU' : 'Código de barras';
+    throw new Error(`${field} ya asignado a otro producto`);
+  }
+  throw err;
+};
+
+const parseUnit = (value) => {
+  if (value == null || value === '') return 'unit';
+  const unit = String(value).trim().toLowerCase();
+  if (!UNITS[unit]) throw new Error(`Unidad de medida inválida (${value})`);
+  return unit;
+};
+
+/**
+ * isValidQty(unit, qty)
+ * Enteros para 'unit', hasta 3 decimales (gramos) para 'kg'. No valida el signo.
+ */
+const isValidQty = (unit, qty) => {
+  const n = Number(qty);
+  if (!Number.isFinite(n)) return false;
+  const factor = 10 ** (UNITS[unit] || UNITS.unit).decimals;
+  return Math.abs(Math.round(n * factor) - n * factor) < 1e-6;
+};
+
+const parseVariant = (v = {}) => {
+  const clean = (x) => (x == null || String(x).trim() === '' ? null : String(x).trim());
+  return { size: clean(v?.size), flavor: clean(v?.flavor), presentation: clean(v?.presentation) };
+};
+
+/**
+ * resolveParent(parentId, selfRef)
+ * El padre existe y no es a su vez variante (un solo nivel). null -> sin padre.
+ */
+const resolveParent = async (parentId, selfRef = null) => {
+  if (parentId == null || parentId === '') return null;
+  const parent = await obtenerProductoPorId(String(parentId));
+  if (!parent) throw new Error('Producto padre no encontrado');
+  if (parent.archived_at) throw new Error('Producto padre inválido: está archivado');
+  if (selfRef && parent.id === String(selfRef)) throw new Error('Producto padre inválido: no puede ser el mismo producto');
+  if (parent.parentId) throw new Error('Producto padre inválido: es una variante');
+  if (selfRef && await ProductModel.exists({ parentRef: selfRef })) {
+    throw new Error('Producto padre inválido: el producto ya tiene variantes');
+  }
+  return new mongoose.Types.ObjectId(parent.id);
+};
+
+/**
+ * resolveLoose(looseId, contentQty, selfRef)
+ * Producto suelto en el que se abre el envase y su contenido (en la unidad del suelto).
+ */
+const resolveLoose = async (looseId, contentQty, selfRef = null) => {
+  if (looseId == null || looseId === '') return { loose_ref: null, content_qty: null };
+  const loose = await obtenerProductoPorId(String(looseId));
+  if (!loose) throw new Error('Producto suelto no encontrado');
+  if (loose.archived_at) throw new Error('Producto suelto inválido: está archivado');
+  if (selfRef && loose.id === String(selfRef)) throw new Error('Producto suelto inválido: no puede ser el mismo producto');
+  const content = Number(contentQty);
+  if (!(content > 0) || !isValidQty(loose.unit, content)) throw new Error('Contenido del envase inválido');
+  return { loose_ref: new mongoose.Types.ObjectId(loose.id), content_qty: content };
+};
+
 const ensureMongoReady = async () => {
   if (!mongoReady || !ProductModel) {
     console.log('🔄 Auto-inicializando productosService...');
@@ -95,11 +303,12 @@ const ensureMongoReady = async () => {
 /* ---------- API ---------- */
 
 /**
- * listarProductos({ categoria, marca })
+ * listarProductos({ categoria, marca, includeArchived = false })
+ * Los archivados quedan fuera salvo includeArchived (ej. filtros sobre ventas históricas).
  */
-const listarProductos = async ({ categoria, marca } = {}) => {
+const listarProductos = async ({ categoria, marca, includeArchived = false } = {}) => {
   await ensureMongoReady();
-  const filter = {};
+  const filter = includeArchived ? {} : { archived_at: null };
   if (categoria) filter.categoria = categoria;
   if (marca) filter.marca = marca;
 
@@ -112,9 +321,29 @@ const listarProductos = async ({ categoria, marca } = {}) => {
   return docs.map(normalize);
 };
 
+/**
+ * obtenerProductosPorIds(ids)
+ * - mezcla de ObjectId y oldId numérico; una sola consulta (ver populateService)
+ */
+const obtenerProductosPorIds = async (ids = []) => {
+  await ensureMongoReady();
+  const unique = [...new Set(ids.filter(x => x != null).map(String))];
+  const objectIds = unique.filter(x => isObjectId(x)).map(x => new mongoose.Types.ObjectId(x));
+  const numIds = unique.filter(x => !isObjectId(x) && !isNaN(Number(x))).map(x => Number(x));
+  if (objectIds.length === 0 && numIds.length === 0) return [];
+
+  const docs = await ProductModel.find({
+    $or: [
+      { _id: { $in: objectIds } },
+      { oldId: { $in: numIds } }
+    ]
+  }).lean().exec();
+  return docs.map(normalize);
+};
+
 /**
  * obtenerProductoPorId(id)
- * acepta ObjectId string o id numérico (oldId)
+ * acepta ObjectId string o id numérico (oldId); incluye archivados (ventas históricas)
  */
 const obtenerProductoPorId = async (id) => {
   await ensureMongoReady();
@@ -138,13 +367,30 @@ const obtenerProductoPorId = async (id) => {
 };
 
 /**
- * crearProducto(payload)
+ * obtenerProductoPorCodigo(code)
+ * Lectura del escáner: código de barras (EAN/UPC) o SKU. Usa los índices únicos.
+ */
+const obtenerProductoPorCodigo = async (code) => {
+  await ensureMongoReady();
+  const c = code != null ? String(code).trim() : '';
+  if (!c) return null;
+
+  const doc = await ProductModel.findOne({ barcodes: { $in: barcodeVariants(c) } }).lean().exec()
+    || await ProductModel.findOne({ sku: c.toUpperCase() }).lean().exec();
+  return normalize(doc);
+};
+
+/**
+ * crearProducto(payload, { user })
  * payload puede incluir oldId para preservar id antiguo
+ * el stock inicial entra como movimiento 'initial' del kardex
  */
-const crearProducto = async (payload = {}) => {
+const crearProducto = async (payload = {}, { user = null } = {}) => {
   await ensureMongoReady();
   const {
     nombre,
+    sku = null,
+    barcodes = [],
     marca = null,
     descripcion = null,
     precio = null,
@@ -152,31 +398,66 @@ const crearProducto = async (payload = {}) => {
     imagen = null,
     vencimiento = null,
     stock = null,
+    unit = null,
     cost = 0,
+    iva = null,
+    parentId = null,
+    variant = null,
+    loose_id = null,
+    content_qty = null,
+    min_stock = null,
+    reorder_point = null,
+    reorder_qty = null,
     oldId = null
   } = payload;
 
   if (!nombre) throw new Error('nombre es requerido');
 
+  const codes = { sku: parseSku(sku), barcodes: parseBarcodes(barcodes) };
+  await assertUniqueCodes(codes);
+  const parsedUnit = parseUnit(unit);
+  if (stock != null && !isValidQty(parsedUnit, stock)) throw new Error('Stock inválido');
+
   const doc = await ProductModel.create({
     oldId: oldId != null ? oldId : null,
     nombre,
+    ...codes,
     marca,
     descripcion,
     precio: precio == null ? null : Number(precio),
     categoria,
     imagen,
     vencimiento,
-    stock: stock == null ? null : Number(stock),
-    cost: cost == null ? 0 : Number(cost)
-  });
+    stock: null,
+    unit: parsedUnit,
+    cost: cost == null ? 0 : Number(cost),
+    iva: parseIvaRate(iva),
+    ...parseReorderLevels({ min_stock, reorder_point, reorder_qty }),
+    parentRef: await resolveParent(parentId),
+    variant: parseVariant(variant),
+    ...await resolveLoose(loose_id, content_qty)
+  }).catch(rethrowDuplicate);
+  catalogVersion += 1;
+
+  if (stock != null) {
+    await stockMovementsService.setStock({ productId: String(doc._id), stock, type: 'initial', user });
+  }
+  if (cost != null && Number(cost) > 0) {
+    await costingService.recordCostChange({ productRef: doc._id, newCost: Number(cost), method: 'initial', user });
+  }
+  if (doc.precio != null) {
+    await priceHistoryService.recordPriceChange({ productRef: doc._id, newPrice: doc.precio, source: 'initial', user });
+  }
 
   const saved = await ProductModel.findById(doc._id).lean().exec();
   return normalize(saved);
 };
 
-
-const actualizarProducto = async (id, payload = {}) => {
+/**
+ * actualizarProducto(id, payload, { user, reason })
+ * un cambio de `stock` no se pisa directo: se registra como ajuste en el kardex
+ */
+const actualizarProducto = async (id, payload = {}, { user = null, reason = null } = {}) => {
   await ensureMongoReady();
   let filter = null;
   
@@ -189,34 +470,222 @@ const actualizarProducto = async (id, payload = {}) => {
 
   const updateDoc = {
     nombre: payload.hasOwnProperty('nombre') ? payload.nombre : existing.nombre,
+    sku: payload.hasOwnProperty('sku') ? parseSku(payload.sku) : (existing.sku ?? null),
+    barcodes: payload.hasOwnProperty('barcodes') ? parseBarcodes(payload.barcodes) : (existing.barcodes || []),
     marca: payload.hasOwnProperty('marca') ? (payload.marca ?? null) : existing.marca,
     descripcion: payload.hasOwnProperty('descripcion') ? (payload.descripcion ?? null) : existing.descripcion,
     precio: payload.hasOwnProperty('precio') ? (payload.precio == null ? null : Number(payload.precio)) : existing.precio,
     categoria: payload.hasOwnProperty('categoria') ? (payload.categoria ?? null) : existing.categoria,
     imagen: payload.hasOwnProperty('imagen') ? (payload.imagen ?? null) : existing.imagen,
     vencimiento: payload.hasOwnProperty('vencimiento') ? (payload.vencimiento ?? null) : existing.vencimiento,
-    stock: payload.hasOwnProperty('stock') ? (payload.stock == null ? null : Number(payload.stock)) : existing.stock,
     cost: payload.hasOwnProperty('cost') ? (payload.cost == null ? 0 : Number(payload.cost)) : (existing.cost != null ? existing.cost : 0),
+    iva: payload.hasOwnProperty('iva') ? parseIvaRate(payload.iva) : (existing.iva ?? null),
+    unit: payload.hasOwnProperty('unit') ? parseUnit(payload.unit) : (existing.unit || 'unit'),
+    parentRef: payload.hasOwnProperty('parentId') ? await resolveParent(payload.parentId, existing._id) : (existing.parentRef ?? null),
+    variant: payload.hasOwnProperty('variant') ? parseVariant(payload.variant) : parseVariant(existing.variant),
+    ...(payload.hasOwnProperty('loose_id') || payload.hasOwnProperty('content_qty')
+      ? await resolveLoose(
+        payload.hasOwnProperty('loose_id') ? payload.loose_id : existing.loose_ref,
+        payload.hasOwnProperty('content_qty') ? payload.content_qty : existing.content_qty,
+        existing._id)
+      : { loose_ref: existing.loose_ref ?? null, content_qty: existing.content_qty ?? null }),
+    ...parseReorderLevels({
+      min_stock: payload.hasOwnProperty('min_stock') ? payload.min_stock : existing.min_stock,
+      reorder_point: payload.hasOwnProperty('reorder_point') ? payload.reorder_point : existing.reorder_point,
+      reorder_qty: payload.hasOwnProperty('reorder_qty') ? payload.reorder_qty : existing.reorder_qty
+    }),
     updated_at: new Date()
   };
+  // una URL cargada a mano reemplaza a la imagen subida (y a su miniatura)
+  if (updateDoc.imagen !== (existing.imagen ?? null)) {
+    updateDoc.imagen_thumb = null;
+    updateDoc.imagen_storage = null;
+  }
+
+  // pasar a unidades enteras no puede dejar stock fraccionado (ni un stock nuevo con decimales)
+  const targetStock = payload.hasOwnProperty('stock') ? payload.stock : existing.stock;
+  if (targetStock != null && !isValidQty(updateDoc.unit, targetStock)) {
+    throw new Error(payload.hasOwnProperty('stock') ? 'Stock inválido' : 'Unidad de medida inválida: el stock actual tiene decimales');
+  }
+
+  await assertUniqueCodes({
+    sku: payload.hasOwnProperty('sku') ? updateDoc.sku : null,
+    barcodes: payload.hasOwnProperty('barcodes') ? updateDoc.barcodes : []
+  }, existing._id);
+  await ProductModel.updateOne(filter, { $set: updateDoc }).exec().catch(rethrowDuplicate);
+  catalogVersion += 1;
+
+  // el costo editado a mano queda en el historial (las compras lo recalculan por promedio)
+  if (payload.hasOwnProperty('cost') && Number(updateDoc.cost) !== Number(existing.cost || 0)) {
+    await costingService.recordCostChange({ productRef: existing._id, previousCost: existing.cost ?? null, newCost: updateDoc.cost, method: 'manual', user });
+  }
+
+  if (payload.hasOwnProperty('precio') && (updateDoc.precio ?? null) !== (existing.precio ?? null)) {
+    await priceHistoryService.recordPriceChange({ productRef: existing._id, previousPrice: existing.precio ?? null, newPrice: updateDoc.precio, source: 'manual', user });
+  }
+
+  if (payload.hasOwnProperty('stock')) {
+    await stockMovementsService.setStock({
+      productId: String(existing._id),
+      stock: payload.stock,
+      type: 'adjustment',
+      reason: reason || 'Edición de producto',
+      user
+    });
+  }
+
+  if (updateDoc.imagen !== (existing.imagen ?? null)) await borrarImagenReemplazada(existing);
 
-  await ProductModel.updateOne(filter, { $set: updateDoc }).exec();
   const updated = await ProductModel.findOne(filter).lean().exec();
   return normalize(updated);
 };
 
 /**
- * eliminarProducto(id)
+ * borrarImagenReemplazada({ imagen, imagen_storage })
+ * Borra del almacenamiento los archivos de una imagen subida que el producto dejó de usar,
+ * salvo que otro producto (ej. una variante) siga con la misma URL.
+ * Si falla quedan huérfanos: el producto ya apunta a la imagen nueva.
  */
-const eliminarProducto = async (id) => {
+const borrarImagenReemplazada = async (previous) => {
+  if (!previous || !previous.imagen_storage) return;
   await ensureMongoReady();
-  let filter = null;
-  if (typeof id === 'string' && mongoose.Types.ObjectId.isValid(id)) filter = { _id: mongoose.Types.ObjectId(id) };
-  else if (!isNaN(Number(id))) filter = { oldId: Number(id) };
-  else filter = { _id: id };
+  if (previous.imagen && await ProductModel.exists({ imagen: previous.imagen })) return;
+
+  for (const key of [previous.imagen_storage.main, previous.imagen_storage.thumb].filter(Boolean)) {
+    imageStorageService.remove(key).catch(err => {
+      console.warn('[productosService] no se pudo borrar la imagen anterior:', key, err.message || err);
+    });
+  }
+};
+
+const productFilter = (id) => {
+  if (typeof id === 'string' && mongoose.Types.ObjectId.isValid(id)) return { _id: new mongoose.Types.ObjectId(id) };
+  if (!isNaN(Number(id))) return { oldId: Number(id) };
+  return { _id: id };
+};
+
+/**
+ * eliminarProducto(id, { user })
+ * Baja lógica: marca archived_at. Las ventas viejas siguen resolviendo el producto.
+ * -> false si no existe. Archivar uno ya archivado no cambia nada.
+ */
+const eliminarProducto = async (id, { user = null } = {}) => {
+  await ensureMongoReady();
+  const filter = productFilter(id);
+
+  const existing = await ProductModel.findOne(filter, { _id: 1, archived_at: 1 }).lean().exec();
+  if (!existing) return false;
+  if (existing.archived_at) return true;
+  if (await ProductModel.exists({ parentRef: existing._id, archived_at: null })) {
+    throw new Error('El producto tiene variantes: archivarlas o reasignarlas primero');
+  }
+
+  await ProductModel.updateOne(
+    { _id: existing._id },
+    { $set: { archived_at: new Date(), archived_by: user != null ? String(user) : null } }
+  ).exec();
+  catalogVersion += 1;
+  return true;
+};
+
+/**
+ * restaurarProducto(id)
+ * Vuelve a listar y vender un producto archivado. null si no existe.
+ */
+const restaurarProducto = async (id) => {
+  await ensureMongoReady();
+  const existing = await ProductModel.findOne(productFilter(id)).lean().exec();
+  if (!existing) return null;
+  if (!existing.archived_at) return normalize(existing);
+  if (existing.parentRef && await ProductModel.exists({ _id: existing.parentRef, archived_at: { $ne: null } })) {
+    throw new Error('El producto padre está archivado: restaurarlo primero');
+  }
+
+  await ProductModel.updateOne({ _id: existing._id }, { $set: { archived_at: null, archived_by: null } }).exec();
+  catalogVersion += 1;
+  const restored = await ProductModel.findById(existing._id).lean().exec();
+  return normalize(restored);
+};
+
+/**
+ * listarVariantes(parentId)
+ * Variantes de un producto padre, por nombre. null si el padre no existe.
+ */
+const listarVariantes = async (parentId) => {
+  await ensureMongoReady();
+  const parent = await obtenerProductoPorId(parentId);
+  if (!parent) return null;
+  const docs = await ProductModel.find({ parentRef: new mongoose.Types.ObjectId(parent.id), archived_at: null })
+    .collation({ locale: 'es', strength: 1 })
+    .sort({ nombre: 1 })
+    .lean()
+    .exec();
+  return { parent, variants: docs.map(normalize) };
+};
+
+/**
+ * abrirEnvase(id, { qty = 1, reason, user })
+ * Abre envases cerrados en su producto suelto (ej. bolsa de 15kg -> 15 kg de alimento suelto).
+ * En una transacción: egreso del cerrado e ingreso al suelto (kardex 'conversion', mismo source_ref)
+ * y costo promedio del suelto con el costo del envase prorrateado por su contenido.
+ */
+const abrirEnvase = async (id, { qty = 1, reason = null, user = null } = {}) => {
+  await ensureMongoReady();
+
+  const product = await obtenerProductoPorId(id);
+  if (!product) throw new Error('Producto no encontrado');
+  if (!product.loose_id || !(product.content_qty > 0)) throw new Error('El producto no tiene un producto suelto asociado');
+  if (product.stock == null) throw new Error('El producto no controla stock');
+  const n = Number(qty);
+  if (!(n > 0) || !isValidQty(product.unit, n)) throw new Error('Cantidad inválida');
+
+  const loose = await obtenerProductoPorId(product.loose_id);
+  if (!loose) throw new Error('Producto suelto no encontrado');
+
+  const looseQty = Math.round(n * product.content_qty * 1000) / 1000;
+  const source = { kind: 'conversion', ref: new mongoose.Types.ObjectId() };
+  const note = reason ? String(reason).trim() : `Apertura de ${n} x ${product.nombre}`;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const out = await stockMovementsService.applyStockChange({
+      productId: product.id, delta: -n, type: 'conversion', source, reason: note, user, session
+    });
+    if (out.stock_after < 0) throw new Error(`Stock insuficiente para ${product.nombre}`);
+
+    if (loose.stock == null) {
+      await stockMovementsService.setStock({ productId: loose.id, stock: 0, type: 'initial', user, session });
+    }
+    const inMovement = await stockMovementsService.applyStockChange({
+      productId: loose.id, delta: looseQty, type: 'conversion', source, reason: note, user, session
+    });
+
+    if (Number(product.cost) > 0) {
+      await costingService.applyReceiptCost({
+        productId: loose.id,
+        qty: looseQty,
+        unitCost: Number(product.cost) / product.content_qty,
+        stockBefore: inMovement.stock_before,
+        source,
+        user,
+        session
+      });
+    }
+
+    await session.commitTransaction();
+    session.endSession();
 
-  const res = await ProductModel.deleteOne(filter).exec();
-  return res.deletedCount > 0;
+    return {
+      movements: [out, inMovement],
+      product: await obtenerProductoPorId(product.id),
+      loose: await obtenerProductoPorId(loose.id)
+    };
+  } catch (err) {
+    if (session.inTransaction()) await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
 };
 
 /**
@@ -242,7 +711,7 @@ const topProductos = async (limit = 12) => {
 
     if (!Array.isArray(agg) || agg.length === 0) {
       // fallback to product listing
-      const docs = await ProductModel.find().sort({ nombre: 1 }).limit(Number(limit) || 12).lean().exec();
+      const docs = await ProductModel.find({ archived_at: null }).sort({ nombre: 1 }).limit(Number(limit) || 12).lean().exec();
       return docs.map(normalize);
     }
 
@@ -272,41 +741,31 @@ const topProductos = async (limit = 12) => {
     return result;
   } catch (err) {
     console.warn('[productosService.topProductos] agregación falló, devolviendo listado simple:', err.message || err);
-    const docs = await ProductModel.find().sort({ nombre: 1 }).limit(Number(limit) || 12).lean().exec();
+    const docs = await ProductModel.find({ archived_at: null }).sort({ nombre: 1 }).limit(Number(limit) || 12).lean().exec();
     return docs.map(normalize);
   }
 };
 
-/**
- * searchProductos({ q, categoria, limit = 50, offset = 0 })
- */
-const searchProductos = async ({ q, categoria, limit = 50, offset = 0 } = {}) => {
-  await ensureMongoReady();
-  const filter = {};
-  if (q) {
-    const re = new RegExp(String(q).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
-    filter.$or = [{ nombre: re }, { marca: re }, { descripcion: re }];
-  }
-  if (categoria) filter.categoria = categoria;
-
-  const docs = await ProductModel.find(filter)
-    .collation({ locale: 'es', strength: 1 })
-    .sort({ nombre: 1 })
-    .skip(Number(offset) || 0)
-    .limit(Number(limit) || 50)
-    .lean()
-    .exec();
-
-  return docs.map(normalize);
-};
-
 module.exports = {
   init,
+  UNITS,
   listarProductos,
+  getCatalogVersion,
   obtenerProductoPorId,
+  obtenerProductosPorIds,
+  obtenerProductoPorCodigo,
+  parseReorderLevels,
+  parseBarcodes,
+  parseSku,
+  isValidGtin,
+  isValidQty,
+  parseUnit,
+  listarVariantes,
+  abrirEnvase,
   crearProducto,
   actualizarProducto,
   eliminarProducto,
-  topProductos,
-  searchProductos
+  restaurarProducto,
+  borrarImagenReemplazada,
+  topProductos
 };
\ No newline at end of file
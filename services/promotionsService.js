@@ -0,0 +1,314 @@
+// services/promotionsService.js
+const { connectMongo, mongoose } = require('../config/mongo');
+
+let PromotionModel = null;
+let mongoReady = false;
+
+const { Schema } = mongoose;
+
+/* ---------- Schema ---------- */
+/**
+ * type:
+ *  - 'percent': value = porcentaje de descuento
+ *  - 'fixed':   value = monto a descontar (por unidad en scope 'line', total en scope 'sale')
+ *  - 'nxm':     lleva buy_qty, paga pay_qty (ej. 2x1 => buy_qty 2, pay_qty 1). Sólo scope 'line'
+ * scope:
+ *  - 'line': se evalúa por item del carrito (producto/categoría/marca/servicio, min_qty)
+ *  - 'sale': se aplica sobre el subtotal ya descontado (ej. "5% pagando en efectivo")
+ */
+const PromotionSchema = new Schema({
+  nombre: { type: String, required: true, index: true },
+  descripcion: { type: String, default: null },
+  activo: { type: Boolean, default: true },
+
+  type: { type: String, enum: ['percent', 'fixed', 'nxm'], required: true },
+  scope: { type: String, enum: ['line', 'sale'], default: 'line' },
+  value: { type: Number, default: 0 },
+  buy_qty: { type: Number, default: null },
+  pay_qty: { type: Number, default: null },
+
+  // filtros (vacíos = sin restricción; los cargados se combinan con AND, ver matchesLine)
+  productIds: { type: [String], default: [] },
+  serviceIds: { type: [String], default: [] },
+  categorias: { type: [String], default: [] },
+  marcas: { type: [String], default: [] },
+  payment_methods: { type: [String], default: [] },
+  min_qty: { type: Number, default: null },
+  min_total: { type: Number, default: null },
+  starts_at: { type: Date, default: null },
+  ends_at: { type: Date, default: null },
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+PromotionSchema.set('toJSON', {
+  transform(doc, ret) {
+    ret.id = ret.id || (ret._id ? String(ret._id) : null);
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+/* ---------- init ---------- */
+const init = async () => {
+  try {
+    await connectMongo();
+    mongoReady = true;
+    PromotionModel = mongoose.models.Promotion || mongoose.model('Promotion', PromotionSchema);
+
+    try {
+      await PromotionModel.collection.createIndex({ activo: 1, starts_at: 1, ends_at: 1 });
+      console.log('[promotionsService] índices creados/verificados');
+    } catch (err) {
+      console.warn('[promotionsService] fallo creando índices (quizá ya existían):', err.message || err);
+    }
+  } catch (err) {
+    console.error('[promotionsService] Error en init():', err);
+    throw err;
+  }
+};
+
+/* ---------- Helpers ---------- */
+const isObjectId = (val) => typeof val === 'string' && mongoose.Types.ObjectId.isValid(val);
+
+const ensureMongoReady = async () => {
+  if (!mongoReady || !PromotionModel) {
+    console.log('🔄 Auto-inicializando promotionsService...');
+    await init();
+  }
+};
+
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+
+const toStringList = (v) => (Array.isArray(v) ? v : (v == null || v === '' ? [] : [v]))
+  .map(x => String(x).trim())
+  .filter(Boolean);
+
+const normalize = (doc) => {
+  if (!doc) return null;
+  return {
+    id: doc.id || (doc._id ? String(doc._id) : null),
+    nombre: doc.nombre,
+    descripcion: doc.descripcion ?? null,
+    activo: doc.activo !== false,
+    type: doc.type,
+    scope: doc.scope || 'line',
+    value: Number(doc.value || 0),
+    buy_qty: doc.buy_qty != null ? Number(doc.buy_qty) : null,
+    pay_qty: doc.pay_qty != null ? Number(doc.pay_qty) : null,
+    productIds: doc.productIds || [],
+    serviceIds: doc.serviceIds || [],
+    categorias: doc.categorias || [],
+    marcas: doc.marcas || [],
+    payment_methods: doc.payment_methods || [],
+    min_qty: doc.min_qty != null ? Number(doc.min_qty) : null,
+    min_total: doc.min_total != null ? Number(doc.min_total) : null,
+    starts_at: doc.starts_at || null,
+    ends_at: doc.ends_at || null,
+    created_at: doc.created_at || doc.createdAt || null,
+    updated_at: doc.updated_at || doc.updatedAt || null
+  };
+};
+
+const validatePayload = (p) => {
+  if (!['percent', 'fixed', 'nxm'].includes(p.type)) throw new Error('Tipo de promoción inválido');
+  if (p.scope && !['line', 'sale'].includes(p.scope)) throw new Error('Alcance de promoción inválido');
+  if (p.type === 'nxm') {
+    if ((p.scope || 'line') !== 'line') throw new Error('Las promociones NxM sólo aplican por línea');
+    const buy = Number(p.buy_qty);
+    const pay = Number(p.pay_qty);
+    if (!Number.isInteger(buy) || !Number.isInteger(pay) || buy <= 0 || pay < 0 || pay >= buy) {
+      throw new Error('buy_qty/pay_qty inválidos');
+    }
+  } else {
+    const value = Number(p.value);
+    if (!Number.isFinite(value) || value <= 0) throw new Error('value inválido');
+    if (p.type === 'percent' && value > 100) throw new Error('value inválido');
+  }
+  if (p.starts_at && p.ends_at && new Date(p.starts_at) > new Date(p.ends_at)) {
+    throw new Error('Rango de fechas inválido');
+  }
+};
+
+const buildDoc = (p) => ({
+  nombre: p.nombre,
+  descripcion: p.descripcion ?? null,
+  activo: p.activo !== false,
+  type: p.type,
+  scope: p.scope || 'line',
+  value: p.value == null ? 0 : Number(p.value),
+  buy_qty: p.buy_qty == null ? null : Number(p.buy_qty),
+  pay_qty: p.pay_qty == null ? null : Number(p.pay_qty),
+  productIds: toStringList(p.productIds),
+  serviceIds: toStringList(p.serviceIds),
+  categorias: toStringList(p.categorias),
+  marcas: toStringList(p.marcas),
+  payment_methods: toStringList(p.payment_methods),
+  min_qty: p.min_qty == null ? null : Number(p.min_qty),
+  min_total: p.min_total == null ? null : Number(p.min_total),
+  starts_at: p.starts_at ? new Date(p.starts_at) : null,
+  ends_at: p.ends_at ? new Date(p.ends_at) : null
+});
+
+const idFilter = (id) => {
+  if (isObjectId(String(id))) return { _id: new mongoose.Types.ObjectId(String(id)) };
+  return { _id: id };
+};
+
+/* ---------- CRUD ---------- */
+const listPromotions = async ({ onlyActive = false } = {}) => {
+  await ensureMongoReady();
+  const filter = onlyActive ? { activo: true } : {};
+  const docs = await PromotionModel.find(filter).sort({ created_at: -1 }).lean().exec();
+  return docs.map(normalize);
+};
+
+const getPromotionById = async (id) => {
+  await ensureMongoReady();
+  if (!id || !isObjectId(String(id))) return null;
+  const doc = await PromotionModel.findById(String(id)).lean().exec();
+  return normalize(doc);
+};
+
+const createPromotion = async (payload = {}) => {
+  await ensureMongoReady();
+  if (!payload.nombre) throw new Error('nombre es requerido');
+  validatePayload(payload);
+
+  const doc = await PromotionModel.create(buildDoc(payload));
+  const saved = await PromotionModel.findById(doc._id).lean().exec();
+  return normalize(saved);
+};
+
+const updatePromotion = async (id, payload = {}) => {
+  await ensureMongoReady();
+  const filter = idFilter(id);
+  const existing = await PromotionModel.findOne(filter).lean().exec();
+  if (!existing) return null;
+
+  const merged = { ...normalize(existing), ...payload };
+  validatePayload(merged);
+
+  await PromotionModel.updateOne(filter, { $set: { ...buildDoc(merged), updated_at: new Date() } }).exec();
+  const updated = await PromotionModel.findOne(filter).lean().exec();
+  return normalize(updated);
+};
+
+const deletePromotion = async (id) => {
+  await ensureMongoReady();
+  const res = await PromotionModel.deleteOne(idFilter(id)).exec();
+  return res.deletedCount > 0;
+};
+
+/* ---------- Motor de promociones ---------- */
+const isInWindow = (promo, date) => {
+  if (promo.starts_at && date < new Date(promo.starts_at)) return false;
+  if (promo.ends_at && date > new Date(promo.ends_at)) return false;
+  return true;
+};
+
+// con pago dividido, todos los medios usados deben estar habilitados por la promoción
+const acceptsPaymentMethod = (promo, paymentMethods) => {
+  if (!promo.payment_methods || promo.payment_methods.length === 0) return true;
+  if (paymentMethods.length === 0) return false;
+  return paymentMethods.every(m => promo.payment_methods.includes(m));
+};
+
+// cada dimensión cargada (productos/servicios, categorías, marcas) tiene que cumplirse (AND);
+// dentro de una misma lista alcanza con uno (OR). Ej.: marca Royal Canin + categoría Alimentos
+const matchesLine = (promo, line) => {
+  if (promo.min_qty != null && line.qty < promo.min_qty) return false;
+
+  const p = line.product;
+  const s = line.service;
+  if (promo.productIds.length || promo.serviceIds.length) {
+    const entity = p || s;
+    const ids = entity ? [entity.id, entity.oldId].filter(x => x != null).map(String) : [];
+    const targets = p ? promo.productIds : promo.serviceIds;
+    if (!targets.some(id => ids.includes(id))) return false;
+  }
+  if (promo.categorias.length && !(p && p.categoria && promo.categorias.includes(p.categoria))) return false;
+  if (promo.marcas.length && !(p && p.marca && promo.marcas.includes(p.marca))) return false;
+  return true;
+};
+
+const lineDiscount = (promo, line) => {
+  const gross = line.unitPrice * line.qty;
+  let amount = 0;
+  if (promo.type === 'percent') amount = gross * promo.value / 100;
+  else if (promo.type === 'fixed') amount = promo.value * line.qty;
+  else if (promo.type === 'nxm') {
+    const free = Math.floor(line.qty / promo.buy_qty) * (promo.buy_qty - promo.pay_qty);
+    amount = free * line.unitPrice;
+  }
+  return round2(Math.min(Math.max(0, amount), gross));
+};
+
+/**
+ * applyPromotions(lines, { paymentMethods, date })
+ * lines: [{ product, service, qty, unitPrice }]
+ * - por línea se aplica la promoción de mayor descuento (no acumulables entre sí)
+ * - luego la mejor promoción de scope 'sale' sobre el subtotal neto
+ * Devuelve { lines: [{ discount, promotions }], sale_discounts, discount_total }
+ */
+const applyPromotions = async (lines = [], { paymentMethods = [], date = new Date() } = {}) => {
+  await ensureMongoReady();
+
+  const methods = toStringList(paymentMethods);
+  const docs = await PromotionModel.find({ activo: true }).lean().exec();
+  const promos = docs.map(normalize).filter(p => isInWindow(p, date) && acceptsPaymentMethod(p, methods));
+
+  const linePromos = promos.filter(p => p.scope === 'line');
+  const salePromos = promos.filter(p => p.scope === 'sale');
+
+  let lineDiscountTotal = 0;
+  let grossTotal = 0;
+
+  const outLines = lines.map(line => {
+    grossTotal += line.unitPrice * line.qty;
+    let best = null;
+    for (const promo of linePromos) {
+      if (!matchesLine(promo, line)) continue;
+      const amount = lineDiscount(promo, line);
+      if (amount > 0 && (!best || amount > best.amount)) best = { promo, amount };
+    }
+    if (!best) return { discount: 0, promotions: [] };
+    lineDiscountTotal += best.amount;
+    return {
+      discount: best.amount,
+      promotions: [{ promotionRef: best.promo.id, nombre: best.promo.nombre, amount: best.amount }]
+    };
+  });
+
+  const netAfterLines = grossTotal - lineDiscountTotal;
+  let bestSale = null;
+  for (const promo of salePromos) {
+    if (promo.min_total != null && netAfterLines < promo.min_total) continue;
+    const amount = round2(Math.min(
+      netAfterLines,
+      promo.type === 'percent' ? netAfterLines * promo.value / 100 : promo.value
+    ));
+    if (amount > 0 && (!bestSale || amount > bestSale.amount)) bestSale = { promo, amount };
+  }
+
+  const saleDiscounts = bestSale
+    ? [{ promotionRef: bestSale.promo.id, nombre: bestSale.promo.nombre, amount: bestSale.amount }]
+    : [];
+
+  return {
+    lines: outLines,
+    sale_discounts: saleDiscounts,
+    discount_total: round2(lineDiscountTotal + (bestSale ? bestSale.amount : 0))
+  };
+};
+
+module.exports = {
+  init,
+  listPromotions,
+  getPromotionById,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+  applyPromotions
+};
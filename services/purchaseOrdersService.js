@@ -0,0 +1,463 @@
+// services/purchaseOrdersService.js
+// Órdenes de compra a proveedores y recepción de mercadería (parcial o total).
+// Recibir suma stock (kardex 'purchase', con lote si se informa) y recalcula el costo promedio del producto.
+const { connectMongo, mongoose } = require('../config/mongo');
+const productosService = require('./productosService');
+const suppliersService = require('./suppliersService');
+const stockMovementsService = require('./stockMovementsService');
+const costingService = require('./costingService');
+const { nextSequence } = require('./sequenceService');
+
+const STATUSES = ['draft', 'ordered', 'partially_received', 'received', 'cancelled'];
+const RECEIVABLE_STATUSES = ['draft', 'ordered', 'partially_received'];
+
+let PurchaseOrderModel = null;
+let mongoReady = false;
+
+const { Schema } = mongoose;
+
+/* ---------- Schema ---------- */
+const PurchaseOrderItemSchema = new Schema({
+  productRef: { type: Schema.Types.ObjectId, ref: 'Product', required: true },
+  nombre: { type: String, default: null }, // snapshot
+  unit: { type: String, default: 'unit' }, // 'kg': cantidades en kilos
+  qty_ordered: { type: Number, required: true },
+  qty_received: { type: Number, default: 0 },
+  unit_cost: { type: Number, default: 0 },
+}, { _id: false });
+
+const ReceiptLineSchema = new Schema({
+  line: { type: Number, required: true },
+  qty: { type: Number, required: true },
+  unit_cost: { type: Number, default: 0 },
+  lot_number: { type: String, default: null },
+  expiry: { type: Date, default: null },
+}, { _id: false });
+
+const ReceiptSchema = new Schema({
+  lines: { type: [ReceiptLineSchema], default: [] },
+  notes: { type: String, default: null },
+  user: { type: String, default: null },
+  received_at: { type: Date, default: Date.now },
+});
+
+const PurchaseOrderSchema = new Schema({
+  number: { type: Number, default: null },
+  supplierRef: { type: Schema.Types.ObjectId, ref: 'Supplier', required: true },
+  items: { type: [PurchaseOrderItemSchema], default: [] },
+  total: { type: Number, default: 0 },
+  status: { type: String, enum: STATUSES, default: 'draft' },
+  expected_date: { type: Date, default: null },
+  notes: { type: String, default: null },
+  receipts: { type: [ReceiptSchema], default: [] },
+
+  created_by: { type: String, default: null },
+  ordered_at: { type: Date, default: null },
+  received_at: { type: Date, default: null },
+  cancelled_at: { type: Date, default: null },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now },
+}, {
+  versionKey: false
+});
+
+PurchaseOrderSchema.set('toJSON', {
+  transform(doc, ret) {
+    ret.id = ret.id || (ret._id ? String(ret._id) : null);
+    delete ret._id;
+    return ret;
+  }
+});
+
+/* ---------- init ---------- */
+const init = async () => {
+  await connectMongo();
+  mongoReady = true;
+  PurchaseOrderModel = mongoose.models.PurchaseOrder || mongoose.model('PurchaseOrder', PurchaseOrderSchema);
+
+  try {
+    await PurchaseOrderModel.collection.createIndex({ number: 1 }, { unique: true, sparse: true });
+    await PurchaseOrderModel.collection.createIndex({ supplierRef: 1, created_at: -1 });
+    await PurchaseOrderModel.collection.createIndex({ status: 1, expected_date: 1 });
+    console.log('[purchaseOrdersService] índices creados/verificados');
+  } catch (err) {
+    console.warn('[purchaseOrdersService] fallo creando índices (quizá ya existían):', err.message || err);
+  }
+};
+
+/* ---------- Helpers ---------- */
+const isObjectId = v => typeof v === 'string' && mongoose.Types.ObjectId.isValid(v);
+
+const ensureMongoReady = async () => {
+  if (!mongoReady || !PurchaseOrderModel) {
+    console.log('🔄 Auto-inicializando purchaseOrdersService...');
+    await init();
+  }
+};
+
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+
+const normalize = (doc, supplier = null) => {
+  if (!doc) return null;
+  return {
+    id: doc.id || (doc._id ? String(doc._id) : null),
+    number: doc.number ?? null,
+    supplierRef: doc.supplierRef ? String(doc.supplierRef) : null,
+    supplier: supplier ? { id: supplier.id, nombre: supplier.nombre } : null,
+    items: (doc.items || []).map((it, i) => ({
+      line: i,
+      productRef: it.productRef ? String(it.productRef) : null,
+      nombre: it.nombre || null,
+      unit: it.unit || 'unit',
+      qty_ordered: Number(it.qty_ordered || 0),
+      qty_received: Number(it.qty_received || 0),
+      qty_pending: Math.max(0, Number(it.qty_ordered || 0) - Number(it.qty_received || 0)),
+      unit_cost: Number(it.unit_cost || 0)
+    })),
+    total: Number(doc.total || 0),
+    status: doc.status || 'draft',
+    expected_date: doc.expected_date || null,
+    notes: doc.notes || null,
+    receipts: (doc.receipts || []).map(r => ({
+      id: r._id ? String(r._id) : null,
+      lines: (r.lines || []).map(l => ({
+        line: l.line,
+        qty: Number(l.qty || 0),
+        unit_cost: Number(l.unit_cost || 0),
+        lot_number: l.lot_number || null,
+        expiry: l.expiry ? new Date(l.expiry).toISOString().slice(0, 10) : null
+      })),
+      notes: r.notes || null,
+      user: r.user || null,
+      received_at: r.received_at || null
+    })),
+    created_by: doc.created_by || null,
+    ordered_at: doc.ordered_at || null,
+    received_at: doc.received_at || null,
+    cancelled_at: doc.cancelled_at || null,
+    created_at: doc.created_at || null,
+    updated_at: doc.updated_at || null
+  };
+};
+
+const findOrderDoc = async (id, session = null) => {
+  if (!id) return null;
+  if (isObjectId(String(id))) return PurchaseOrderModel.findById(String(id)).session(session).exec();
+  const maybeNum = Number(id);
+  if (!isNaN(maybeNum)) return PurchaseOrderModel.findOne({ number: maybeNum }).session(session).exec();
+  return null;
+};
+
+const parseDate = (value, label) => {
+  if (value == null || value === '') return null;
+  const d = new Date(value);
+  if (isNaN(d.getTime())) throw new Error(`${label} inválida`);
+  return d;
+};
+
+/**
+ * buildItems(items, supplier)
+ * [{ productId, qty, unit_cost? }]; sin unit_cost se toma el último costo del proveedor
+ * o, si no hay, el costo actual del producto.
+ */
+const buildItems = async (items = [], supplier) => {
+  if (!Array.isArray(items) || items.length === 0) throw new Error('La orden no tiene items');
+
+  const out = [];
+  for (const it of items) {
+    const productId = it.productId ?? it.id;
+    const qty = Number(it.qty || 0);
+    if (!(qty > 0)) throw new Error(`Cantidad inválida para producto id=${productId}`);
+
+    const product = await productosService.obtenerProductoPorId(productId);
+    if (!product) throw new Error(`Producto no encontrado (id=${productId})`);
+    if (!productosService.isValidQty(product.unit, qty)) throw new Error(`Cantidad inválida para producto id=${productId}`);
+
+    const supplied = (supplier.products || []).find(p => p.productRef === product.id);
+    const unitCost = it.unit_cost != null
+      ? Number(it.unit_cost)
+      : Number(supplied?.last_cost ?? product.cost ?? 0);
+    if (!Number.isFinite(unitCost) || unitCost < 0) throw new Error(`Costo inválido para producto id=${productId}`);
+
+    out.push({
+      productRef: new mongoose.Types.ObjectId(product.id),
+      nombre: product.nombre || null,
+      unit: product.unit,
+      qty_ordered: qty,
+      qty_received: 0,
+      unit_cost: unitCost
+    });
+  }
+  return out;
+};
+
+const orderTotal = (items) => round2(items.reduce((acc, it) => acc + Number(it.qty_ordered || 0) * Number(it.unit_cost || 0), 0));
+
+/* ---------- API ---------- */
+
+/**
+ * createPurchaseOrder({ supplierId, items, expectedDate, notes, status, user })
+ * expectedDate por defecto: hoy + lead_time_days del proveedor (si lo tiene).
+ */
+const createPurchaseOrder = async ({ supplierId, items = [], expectedDate = null, notes = null, status = 'draft', user = null } = {}) => {
+  await ensureMongoReady();
+
+  if (!['draft', 'ordered'].includes(status)) throw new Error(`Estado de orden inválido (${status})`);
+  const supplier = await suppliersService.getSupplierById(supplierId);
+  if (!supplier) throw new Error('Proveedor no encontrado');
+
+  const built = await buildItems(items, supplier);
+
+  let expected = parseDate(expectedDate, 'Fecha esperada');
+  if (!expected && supplier.lead_time_days != null) {
+    expected = new Date();
+    expected.setDate(expected.getDate() + supplier.lead_time_days);
+  }
+
+  const number = await nextSequence('purchase_orders');
+  const doc = await PurchaseOrderModel.create({
+    number,
+    supplierRef: new mongoose.Types.ObjectId(supplier.id),
+    items: built,
+    total: orderTotal(built),
+    status,
+    expected_date: expected,
+    notes: notes ? String(notes).trim() : null,
+    created_by: user != null ? String(user) : null,
+    ordered_at: status === 'ordered' ? new Date() : null
+  });
+
+  return normalize(doc.toObject(), supplier);
+};
+
+const listPurchaseOrders = async ({ supplierId, status, from, to, limit = 100, offset = 0 } = {}) => {
+  await ensureMongoReady();
+
+  const filter = {};
+  if (status) {
+    const list = String(status).split(',').map(s => s.trim()).filter(Boolean);
+    const bad = list.find(s => !STATUSES.includes(s));
+    if (bad) throw new Error(`Estado de orden inválido (${bad})`);
+    filter.status = { $in: list };
+  }
+  if (supplierId) {
+    if (!isObjectId(String(supplierId))) return [];
+    filter.supplierRef = new mongoose.Types.ObjectId(String(supplierId));
+  }
+  if (from) {
+    const fromDate = new Date(from);
+    if (!isNaN(fromDate.getTime())) filter.created_at = { ...(filter.created_at || {}), $gte: fromDate };
+  }
+  if (to) {
+    const toDate = new Date(to);
+    if (!isNaN(toDate.getTime())) {
+      const toInclusive = new Date(toDate.getTime()); toInclusive.setHours(23, 59, 59, 999);
+      filter.created_at = { ...(filter.created_at || {}), $lte: toInclusive };
+    }
+  }
+
+  const docs = await PurchaseOrderModel.find(filter)
+    .sort({ created_at: -1 })
+    .skip(Number(offset) || 0)
+    .limit(Number(limit) || 100)
+    .lean()
+    .exec();
+
+  // proveedores de la página en una sola consulta
+  const suppliers = await suppliersService.getSuppliersByIds(docs.map(d => String(d.supplierRef)));
+  const byId = new Map(suppliers.map(sp => [sp.id, sp]));
+  return docs.map(d => normalize(d, byId.get(String(d.supplierRef))));
+};
+
+/**
+ * getPurchaseOrderById(id)
+ * Acepta el _id o el número de orden.
+ */
+const getPurchaseOrderById = async (id) => {
+  await ensureMongoReady();
+  const doc = await findOrderDoc(id);
+  if (!doc) return null;
+  const supplier = await suppliersService.getSupplierById(String(doc.supplierRef));
+  return normalize(doc.toObject(), supplier);
+};
+
+/**
+ * updatePurchaseOrder(id, { items?, expectedDate?, notes? })
+ * Los items sólo se pueden cambiar antes de la primera recepción.
+ */
+const updatePurchaseOrder = async (id, { items, expectedDate, notes } = {}) => {
+  await ensureMongoReady();
+
+  const doc = await findOrderDoc(id);
+  if (!doc) return null;
+  if (['received', 'cancelled'].includes(doc.status)) throw new Error('La orden está cerrada');
+
+  const supplier = await suppliersService.getSupplierById(String(doc.supplierRef));
+  if (items !== undefined) {
+    if ((doc.receipts || []).length > 0) throw new Error('La orden ya tiene recepciones');
+    doc.items = await buildItems(items, supplier);
+    doc.total = orderTotal(doc.items);
+  }
+  if (expectedDate !== undefined) doc.expected_date = parseDate(expectedDate, 'Fecha esperada');
+  if (notes !== undefined) doc.notes = notes ? String(notes).trim() : null;
+
+  doc.updated_at = new Date();
+  await doc.save();
+  return normalize(doc.toObject(), supplier);
+};
+
+/**
+ * setPurchaseOrderStatus(id, status)
+ * - 'ordered': se emitió al proveedor (desde draft)
+ * - 'cancelled': se anula; con recepciones parciales cierra la orden con lo recibido
+ * 'partially_received' y 'received' sólo se alcanzan recibiendo.
+ */
+const setPurchaseOrderStatus = async (id, status) => {
+  await ensureMongoReady();
+
+  if (!['ordered', 'cancelled'].includes(status)) throw new Error(`Estado de orden inválido (${status})`);
+
+  const doc = await findOrderDoc(id);
+  if (!doc) return null;
+  if (['received', 'cancelled'].includes(doc.status)) throw new Error('La orden está cerrada');
+
+  if (status === 'ordered') {
+    if (doc.status !== 'draft') throw new Error('La orden ya fue emitida');
+    doc.ordered_at = new Date();
+  } else {
+    doc.cancelled_at = new Date();
+  }
+  doc.status = status;
+  doc.updated_at = new Date();
+  await doc.save();
+
+  const supplier = await suppliersService.getSupplierById(String(doc.supplierRef));
+  return normalize(doc.toObject(), supplier);
+};
+
+/**
+ * receivePurchaseOrder(id, { lines: [{ line, qty, unit_cost?, lot_number?, expiry? }], notes, user })
+ * En una transacción:
+ * - suma stock por línea (kardex 'purchase', al lote indicado si viene lot_number)
+ * - recalcula `cost` del producto (promedio ponderado, ver costingService) y el último costo del proveedor
+ * - marca la orden como parcial o totalmente recibida
+ */
+const receivePurchaseOrder = async (id, { lines = [], notes = null, user = null } = {}) => {
+  await ensureMongoReady();
+
+  if (!Array.isArray(lines) || lines.length === 0) throw new Error('No hay items para recibir');
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const doc = await findOrderDoc(id, session);
+    if (!doc) throw new Error('Orden de compra no encontrada');
+    if (!RECEIVABLE_STATUSES.includes(doc.status)) throw new Error('La orden está cerrada');
+
+    const receiptLines = [];
+    for (const ln of lines) {
+      const idx = Number(ln.line);
+      const item = Number.isInteger(idx) ? doc.items[idx] : null;
+      if (!item) throw new Error(`Línea de orden inválida (line=${ln.line})`);
+
+      const qty = Number(ln.qty || 0);
+      if (!(qty > 0) || !productosService.isValidQty(item.unit, qty)) throw new Error(`Cantidad inválida para line=${ln.line}`);
+      // al gramo: productos por peso acumulan decimales
+      const pending = Math.round((Number(item.qty_ordered) - Number(item.qty_received || 0)) * 1000) / 1000;
+      if (qty > pending) throw new Error(`Cantidad a recibir supera lo pendiente (line=${ln.line}, pendiente=${pending})`);
+
+      const unitCost = ln.unit_cost != null ? Number(ln.unit_cost) : Number(item.unit_cost || 0);
+      if (!Number.isFinite(unitCost) || unitCost < 0) throw new Error(`Costo inválido para line=${ln.line}`);
+
+      const productId = String(item.productRef);
+      const lot = ln.lot_number ? { lot_number: ln.lot_number, expiry: ln.expiry || null, cost: unitCost } : null;
+      const stockChange = {
+        productId,
+        delta: qty,
+        lot,
+        type: 'purchase',
+        source: { kind: 'purchase_order', ref: doc._id },
+        user,
+        session
+      };
+      let movement = await stockMovementsService.applyStockChange(stockChange);
+      if (!movement) {
+        // producto sin control de stock: empieza a controlarlo con esta compra
+        await stockMovementsService.setStock({ productId, stock: 0, type: 'initial', user, session });
+        movement = await stockMovementsService.applyStockChange(stockChange);
+      }
+
+      // costo promedio ponderado con el stock que había antes de esta recepción
+      await costingService.applyReceiptCost({
+        productId,
+        qty,
+        unitCost,
+        stockBefore: movement ? movement.stock_before : 0,
+        source: { kind: 'purchase_order', ref: doc._id },
+        user,
+        session
+      });
+      await suppliersService.recordSupplierCost(String(doc.supplierRef), productId, unitCost, { session });
+
+      item.qty_received = Math.round((Number(item.qty_received || 0) + qty) * 1000) / 1000;
+      receiptLines.push({
+        line: idx,
+        qty,
+        unit_cost: unitCost,
+        lot_number: lot ? String(lot.lot_number).trim() : null,
+        expiry: movement && movement.lots[0] ? movement.lots[0].expiry : null
+      });
+    }
+
+    const now = new Date();
+    const complete = doc.items.every(it => Number(it.qty_received || 0) >= Number(it.qty_ordered || 0));
+    doc.status = complete ? 'received' : 'partially_received';
+    if (!doc.ordered_at) doc.ordered_at = now;
+    if (complete) doc.received_at = now;
+    doc.receipts.push({
+      lines: receiptLines,
+      notes: notes ? String(notes).trim() : null,
+      user: user != null ? String(user) : null,
+      received_at: now
+    });
+    doc.updated_at = now;
+    doc.markModified('items');
+
+    await doc.save({ session });
+    await session.commitTransaction();
+    session.endSession();
+
+    return getPurchaseOrderById(String(doc._id));
+  } catch (err) {
+    if (session.inTransaction()) await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+};
+
+/**
+ * pendingQtyByProduct()
+ * Map productRef -> unidades pedidas y aún no recibidas (órdenes abiertas, incluye borradores).
+ */
+const pendingQtyByProduct = async () => {
+  await ensureMongoReady();
+  const agg = await PurchaseOrderModel.aggregate([
+    { $match: { status: { $in: RECEIVABLE_STATUSES } } },
+    { $unwind: '$items' },
+    { $group: { _id: '$items.productRef', qty: { $sum: { $subtract: ['$items.qty_ordered', '$items.qty_received'] } } } },
+    { $match: { qty: { $gt: 0 } } }
+  ]).exec();
+  return new Map(agg.map(r => [String(r._id), Number(r.qty)]));
+};
+
+module.exports = {
+  init,
+  STATUSES,
+  createPurchaseOrder,
+  listPurchaseOrders,
+  getPurchaseOrderById,
+  updatePurchaseOrder,
+  setPurchaseOrderStatus,
+  receivePurchaseOrder,
+  pendingQtyByProduct
+};
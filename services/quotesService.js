@@ -0,0 +1,474 @@
+// services/quotesService.js
+const { connectMongo, mongoose } = require('../config/mongo');
+const salesService = require('./salesService');
+const productosService = require('./productosService');
+const servicesService = require('./servicesService');
+const customersService = require('./customersService');
+const populateService = require('./populateService');
+const { nextSequence } = require('./sequenceService');
+
+// validez por defecto de un presupuesto (días)
+const QUOTE_VALIDITY_DAYS = Number(process.env.QUOTE_VALIDITY_DAYS || 15);
+
+const STATUSES = ['draft', 'sent', 'accepted', 'expired'];
+const OPEN_STATUSES = ['draft', 'sent'];
+
+let QuoteModel = null;
+let mongoReady = false;
+
+const { Schema } = mongoose;
+
+/* ---------- Schema ---------- */
+const QuoteItemSchema = new Schema({
+  type: { type: String, enum: ['product', 'service'], default: 'product' },
+  productRef: { type: Schema.Types.ObjectId, ref: 'Product', default: null },
+  oldProductId: { type: Schema.Types.Mixed, default: null },
+  serviceRef: { type: Schema.Types.ObjectId, ref: 'Service', default: null },
+  oldServiceId: { type: Schema.Types.Mixed, default: null },
+
+  nombre: { type: String, default: null }, // snapshot al momento de presupuestar
+  qty: { type: Number, required: true },
+  unit_price: { type: Number, default: 0 },
+  line_total: { type: Number, default: 0 },
+}, { _id: false });
+
+const QuoteSchema = new Schema({
+  number: { type: Number, default: null },
+  items: { type: [QuoteItemSchema], default: [] },
+  customerRef: { type: Schema.Types.ObjectId, ref: 'Customer', default: null },
+  oldCustomerId: { type: Schema.Types.Mixed, default: null },
+
+  total: { type: Number, default: 0 },
+  valid_until: { type: Date, default: null },
+  status: { type: String, enum: STATUSES, default: 'draft' },
+  notes: { type: String, default: null },
+
+  saleRef: { type: Schema.Types.ObjectId, ref: 'Sale', default: null },
+  converting: { type: Boolean, default: false },
+  converted_at: { type: Date, default: null },
+  created_by: { type: String, default: null },
+
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now },
+}, {
+  versionKey: false
+});
+
+QuoteSchema.set('toJSON', {
+  transform(doc, ret) {
+    ret.id = ret.id || (ret._id ? String(ret._id) : null);
+    delete ret._id;
+    return ret;
+  }
+});
+
+/* ---------- init ---------- */
+const init = async () => {
+  await connectMongo();
+  mongoReady = true;
+  QuoteModel = mongoose.models.Quote || mongoose.model('Quote', QuoteSchema);
+
+  try {
+    await QuoteModel.collection.createIndex({ number: 1 }, { unique: true, sparse: true });
+    await QuoteModel.collection.createIndex({ status: 1, valid_until: 1 });
+    await QuoteModel.collection.createIndex({ customerRef: 1 });
+    await QuoteModel.collection.createIndex({ created_at: -1 });
+    console.log('[quotesService] índices creados/verificados');
+  } catch (err) {
+    console.warn('[quotesService] fallo creando índices (quizá ya existían):', err.message || err);
+  }
+};
+
+/* ---------- Helpers ---------- */
+const isObjectId = v => typeof v === 'string' && mongoose.Types.ObjectId.isValid(v);
+
+const ensureMongoReady = async () => {
+  if (!mongoReady || !QuoteModel) {
+    console.log('🔄 Auto-inicializando quotesService...');
+    await init();
+  }
+};
+
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+
+const customerFields = (customerId) => ({
+  customerRef: (customerId && isObjectId(String(customerId))) ? new mongoose.Types.ObjectId(String(customerId)) : null,
+  oldCustomerId: (customerId && !isObjectId(String(customerId))) ? customerId : null
+});
+
+const isExpired = (doc) => OPEN_STATUSES.includes(doc.status) && doc.valid_until && new Date(doc.valid_until) < new Date();
+
+const itemId = (it) => {
+  if (it.type === 'service') return it.serviceRef ? String(it.serviceRef) : it.oldServiceId;
+  return it.productRef ? String(it.productRef) : it.oldProductId;
+};
+
+// refs: lookups de populateService; si no vienen se carga sólo el cliente de este presupuesto
+const normalize = async (doc, refs = null) => {
+  if (!doc) return null;
+
+  const customerKey = populateService.refKey(doc.customerRef, doc.oldCustomerId);
+  if (!refs) {
+    const collector = populateService.createCollector();
+    populateService.addKey(collector.customers, customerKey);
+    refs = await populateService.loadRefs(collector);
+  }
+  const customer = refs.customer(customerKey);
+
+  return {
+    id: doc.id || (doc._id ? String(doc._id) : null),
+    number: doc.number ?? null,
+    items: (doc.items || []).map(it => ({
+      type: it.type || 'product',
+      id: itemId(it) ?? null,
+      productRef: it.productRef ? String(it.productRef) : null,
+      oldProductId: it.oldProductId ?? null,
+      serviceRef: it.serviceRef ? String(it.serviceRef) : null,
+      oldServiceId: it.oldServiceId ?? null,
+      nombre: it.nombre || null,
+      qty: Number(it.qty || 0),
+      unit_price: Number(it.unit_price || 0),
+      line_total: Number(it.line_total || 0)
+    })),
+    customerRef: doc.customerRef ? String(doc.customerRef) : null,
+    oldCustomerId: doc.oldCustomerId ?? null,
+    customer: customer ? { id: customer.id, nombre: customer.nombre || null } : null,
+    total: Number(doc.total || 0),
+    valid_until: doc.valid_until || null,
+    // el vencimiento se informa aunque todavía no se haya persistido
+    status: isExpired(doc) ? 'expired' : (doc.status || 'draft'),
+    notes: doc.notes || null,
+    saleRef: doc.saleRef ? String(doc.saleRef) : null,
+    converted_at: doc.converted_at || null,
+    created_by: doc.created_by || null,
+    created_at: doc.created_at || doc.createdAt || null,
+    updated_at: doc.updated_at || doc.updatedAt || null
+  };
+};
+
+// pasa a 'expired' los presupuestos abiertos vencidos (se llama antes de leer/listar)
+const expireOverdue = async () => {
+  await QuoteModel.updateMany(
+    { status: { $in: OPEN_STATUSES }, valid_until: { $lt: new Date() } },
+    { $set: { status: 'expired', updated_at: new Date() } }
+  ).exec();
+};
+
+const findQuoteDoc = async (id) => {
+  if (!id) return null;
+  if (isObjectId(String(id))) return QuoteModel.findById(String(id)).exec();
+  const maybeNum = Number(id);
+  if (!isNaN(maybeNum)) return QuoteModel.findOne({ number: maybeNum }).exec();
+  return null;
+};
+
+const parseValidUntil = (validUntil) => {
+  if (validUntil == null || validUntil === '') {
+    const d = new Date();
+    d.setDate(d.getDate() + QUOTE_VALIDITY_DAYS);
+    d.setHours(23, 59, 59, 999);
+    return d;
+  }
+  const d = new Date(validUntil);
+  if (isNaN(d.getTime())) throw new Error('Fecha de validez inválida');
+  // una fecha sin hora vale hasta el final del día
+  if (typeof validUntil === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(validUntil)) d.setHours(23, 59, 59, 999);
+  return d;
+};
+
+/**
+ * buildItems(cart)
+ * Mismo formato de carrito que salesService.createSale: [{ id, qty, precio?, type? }].
+ * Valida que productos/servicios existan y toma el precio de catálogo si no viene `precio`.
+ * El stock no se valida acá (se valida al convertir en venta).
+ */
+const buildItems = async (cart = []) => {
+  if (!Array.isArray(cart) || cart.length === 0) throw new Error('Carrito vacío');
+
+  const items = [];
+  for (const it of cart) {
+    const qty = Number(it.qty || 0);
+    if (!Number.isFinite(qty) || qty <= 0) throw new Error(`Cantidad inválida para item id=${it.id}`);
+
+    const type = it.type || 'product';
+    let entity = null;
+    if (type === 'product') {
+      entity = await productosService.obtenerProductoPorId(it.id);
+      if (!entity) throw new Error(`Producto no encontrado (id=${it.id})`);
+      if (entity.archived_at) throw new Error(`Producto archivado: ${entity.nombre}`);
+      if (!productosService.isValidQty(entity.unit, qty)) throw new Error(`Cantidad inválida para item id=${it.id} (unidad: ${entity.unit})`);
+    } else if (type === 'service') {
+      entity = await servicesService.getServiceById(it.id);
+      if (!entity) throw new Error(`Servicio no encontrado (id=${it.id})`);
+      if (entity.archived_at) throw new Error(`Servicio archivado: ${entity.nombre}`);
+    } else {
+      throw new Error(`Tipo de item inválido (${type})`);
+    }
+
+    const unitPrice = (it.precio != null) ? Number(it.precio) : Number(entity.precio || 0);
+    if (!Number.isFinite(unitPrice) || unitPrice < 0) throw new Error(`Precio inválido para item id=${it.id}`);
+
+    const mongoId = entity._id ? String(entity._id) : (isObjectId(String(entity.id)) ? String(entity.id) : null);
+    items.push({
+      type,
+      productRef: type === 'product' && mongoId ? new mongoose.Types.ObjectId(mongoId) : null,
+      oldProductId: type === 'product' ? (entity.oldId ?? (mongoId ? null : it.id)) : null,
+      serviceRef: type === 'service' && mongoId ? new mongoose.Types.ObjectId(mongoId) : null,
+      oldServiceId: type === 'service' ? (entity.oldId ?? (mongoId ? null : it.id)) : null,
+      nombre: entity.nombre || null,
+      qty,
+      unit_price: unitPrice,
+      line_total: round2(unitPrice * qty)
+    });
+  }
+  return items;
+};
+
+/* ---------- API ---------- */
+
+/**
+ * createQuote(cart, { customerId, validUntil, notes, status, user })
+ * validUntil por defecto: hoy + QUOTE_VALIDITY_DAYS.
+ */
+const createQuote = async (cart = [], { customerId = null, validUntil = null, notes = null, status = 'draft', user = null } = {}) => {
+  await ensureMongoReady();
+
+  if (!OPEN_STATUSES.includes(status)) throw new Error(`Estado de presupuesto inválido (${status})`);
+  if (customerId) {
+    const customer = await customersService.getCustomerById(customerId);
+    if (!customer) throw new Error('Cliente no encontrado');
+    if (customer.archived_at) throw new Error(`Cliente archivado: ${customer.nombre}`);
+  }
+
+  const items = await buildItems(cart);
+  const number = await nextSequence('quotes');
+
+  const doc = await QuoteModel.create({
+    number,
+    items,
+    ...customerFields(customerId),
+    total: round2(items.reduce((acc, it) => acc + it.line_total, 0)),
+    valid_until: parseValidUntil(validUntil),
+    status,
+    notes: notes ? String(notes).trim() : null,
+    created_by: user != null ? String(user) : null
+  });
+
+  return normalize(doc.toObject());
+};
+
+const listQuotes = async ({ status, customerId, from, to, limit = 100, offset = 0 } = {}) => {
+  await ensureMongoReady();
+  await expireOverdue();
+
+  const filter = {};
+  if (status) {
+    if (!STATUSES.includes(status)) throw new Error(`Estado de presupuesto inválido (${status})`);
+    filter.status = status;
+  }
+  if (customerId) {
+    if (typeof customerId === 'string' && isObjectId(customerId)) filter.customerRef = new mongoose.Types.ObjectId(customerId);
+    else if (!isNaN(Number(customerId))) filter.oldCustomerId = Number(customerId);
+    else filter.customerRef = customerId;
+  }
+  if (from) {
+    const fromDate = new Date(from);
+    if (!isNaN(fromDate.getTime())) filter.created_at = { ...(filter.created_at || {}), $gte: fromDate };
+  }
+  if (to) {
+    const toDate = new Date(to);
+    if (!isNaN(toDate.getTime())) {
+      const toInclusive = new Date(toDate.getTime()); toInclusive.setHours(23, 59, 59, 999);
+      filter.created_at = { ...(filter.created_at || {}), $lte: toInclusive };
+    }
+  }
+
+  const docs = await QuoteModel.find(filter)
+    .sort({ created_at: -1 })
+    .skip(Number(offset) || 0)
+    .limit(Number(limit) || 100)
+    .lean()
+    .exec();
+
+  const collector = populateService.createCollector();
+  docs.forEach(d => populateService.addKey(collector.customers, populateService.refKey(d.customerRef, d.oldCustomerId)));
+  const refs = await populateService.loadRefs(collector);
+
+  const out = [];
+  for (const d of docs) out.push(await normalize(d, refs));
+  return out;
+};
+
+/**
+ * getQuoteById(id)
+ * Acepta el _id o el número de presupuesto.
+ */
+const getQuoteById = async (id) => {
+  await ensureMongoReady();
+  await expireOverdue();
+
+  const doc = await findQuoteDoc(id);
+  return doc ? normalize(doc.toObject()) : null;
+};
+
+/**
+ * updateQuote(id, { cart?, customerId?, validUntil?, notes? })
+ * Sólo presupuestos en borrador o enviados. Extender validUntil de uno vencido lo reabre como 'sent'.
+ */
+const updateQuote = async (id, { cart, customerId, validUntil, notes } = {}) => {
+  await ensureMongoReady();
+
+  const doc = await findQuoteDoc(id);
+  if (!doc) return null;
+  if (doc.status === 'accepted') throw new Error('El presupuesto ya fue convertido en venta');
+  if (doc.status === 'expired' && validUntil === undefined) throw new Error('El presupuesto está vencido');
+
+  if (cart !== undefined) {
+    doc.items = await buildItems(cart);
+    doc.total = round2(doc.items.reduce((acc, it) => acc + Number(it.line_total || 0), 0));
+  }
+  if (customerId !== undefined) {
+    if (customerId) {
+      const customer = await customersService.getCustomerById(customerId);
+      if (!customer) throw new Error('Cliente no encontrado');
+      if (customer.archived_at) throw new Error(`Cliente archivado: ${customer.nombre}`);
+    }
+    Object.assign(doc, customerFields(customerId));
+  }
+  if (validUntil !== undefined) {
+    doc.valid_until = parseValidUntil(validUntil);
+    if (doc.status === 'expired' && doc.valid_until >= new Date()) doc.status = 'sent';
+  }
+  if (notes !== undefined) doc.notes = notes ? String(notes).trim() : null;
+
+  if (isExpired(doc)) throw new Error('El presupuesto está vencido');
+
+  doc.updated_at = new Date();
+  await doc.save();
+  return normalize(doc.toObject());
+};
+
+/**
+ * setQuoteStatus(id, status)
+ * Transiciones manuales entre 'draft' y 'sent'. 'accepted' sólo se alcanza con convertQuote
+ * y 'expired' por vencimiento.
+ */
+const setQuoteStatus = async (id, status) => {
+  await ensureMongoReady();
+
+  if (!OPEN_STATUSES.includes(status)) throw new Error(`Estado de presupuesto inválido (${status})`);
+
+  const doc = await findQuoteDoc(id);
+  if (!doc) return null;
+  if (doc.status === 'accepted') throw new Error('El presupuesto ya fue convertido en venta');
+  if (doc.status === 'expired' || isExpired(doc)) throw new Error('El presupuesto está vencido');
+
+  doc.status = status;
+  doc.updated_at = new Date();
+  await doc.save();
+  return normalize(doc.toObject());
+};
+
+/**
+ * convertQuote(id, { paymentMethod, tenders, onCredit, paidAmount, register, prices })
+ * Crea la venta real con salesService.createSale (que vuelve a validar stock y existencia).
+ * prices: 'current' (precio de catálogo) | 'quoted' (lo presupuestado). Sin indicarlo se cobra el precio
+ * de catálogo, pero si alguno cambió desde el presupuesto no se convierte hasta que se elija uno
+ * (el error lleva price_changes).
+ * Devuelve { quote, sale, price_changes } con las líneas cuyo precio de catálogo cambió desde el presupuesto.
+ */
+const convertQuote = async (id, { paymentMethod = null, tenders = null, onCredit = false, paidAmount = 0, register = null, prices = null, user = null } = {}) => {
+  await ensureMongoReady();
+
+  if (prices != null && !['quoted', 'current'].includes(prices)) throw new Error(`Criterio de precios inválido (${prices})`);
+
+  const found = await findQuoteDoc(id);
+  if (!found) throw new Error('Presupuesto no encontrado');
+  if (found.status === 'accepted') throw new Error('El presupuesto ya fue convertido en venta');
+  if (found.status === 'expired' || isExpired(found)) throw new Error('El presupuesto está vencido');
+
+  // reservar el presupuesto para que dos conversiones simultáneas no generen dos ventas
+  const doc = await QuoteModel.findOneAndUpdate(
+    { _id: found._id, status: { $in: OPEN_STATUSES }, converting: { $ne: true } },
+    { $set: { converting: true } },
+    { new: true }
+  ).exec();
+  if (!doc) throw new Error('El presupuesto se está convirtiendo en venta');
+
+  let sale = null;
+  try {
+    const priceChanges = [];
+    const cart = [];
+    for (const it of doc.items) {
+      const itemKey = itemId(it);
+      const current = it.type === 'service'
+        ? await servicesService.getServiceById(itemKey)
+        : await productosService.obtenerProductoPorId(itemKey);
+      if (current && Number(current.precio || 0) !== Number(it.unit_price || 0)) {
+        priceChanges.push({
+          type: it.type,
+          id: itemKey,
+          nombre: it.nombre,
+          quoted_price: Number(it.unit_price || 0),
+          current_price: Number(current.precio || 0)
+        });
+      }
+      cart.push({
+        id: itemKey,
+        type: it.type,
+        qty: it.qty,
+        ...(prices === 'quoted' ? { precio: it.unit_price } : {})
+      });
+    }
+    if (!prices && priceChanges.length) {
+      const err = new Error(`Los precios cambiaron desde el presupuesto (${priceChanges.length} ítem/s): indicar prices 'quoted' o 'current'`);
+      err.priceChanges = priceChanges;
+      throw err;
+    }
+
+    const customerId = doc.customerRef ? String(doc.customerRef) : doc.oldCustomerId;
+    sale = await salesService.createSale(cart, {
+      customerId: customerId ?? null,
+      onCredit,
+      paidAmount,
+      paymentMethod,
+      tenders,
+      register,
+      user
+    });
+
+    const now = new Date();
+    await QuoteModel.updateOne({ _id: doc._id }, {
+      $set: {
+        status: 'accepted',
+        saleRef: isObjectId(String(sale.id)) ? new mongoose.Types.ObjectId(String(sale.id)) : null,
+        converted_at: now,
+        converting: false,
+        updated_at: now
+      }
+    }).exec();
+
+    const converted = await QuoteModel.findById(doc._id).lean().exec();
+    return { quote: await normalize(converted), sale, price_changes: priceChanges };
+  } catch (err) {
+    // si la venta ya se creó el presupuesto queda reservado (converting): un reintento recibe
+    // "se está convirtiendo" en vez de generar otra venta y descontar stock dos veces
+    if (sale) {
+      console.error(`[quotesService.convertQuote] venta ${sale.id} creada pero el presupuesto ${doc._id} no quedó como convertido`);
+    } else {
+      await QuoteModel.updateOne({ _id: doc._id }, { $set: { converting: false } }).exec();
+    }
+    throw err;
+  }
+};
+
+module.exports = {
+  init,
+  STATUSES,
+  createQuote,
+  listQuotes,
+  getQuoteById,
+  updateQuote,
+  setQuoteStatus,
+  convertQuote
+};
@@ -0,0 +1,336 @@
+// services/receiptsService.js
+// Tickets de venta: texto plano (58/80mm, compatible ESC/POS), HTML y PDF.
+// Todo se arma a partir de la venta normalizada (salesService.getSaleById).
+const PDFDocument = require('pdfkit');
+const { STORE } = require('../config/store');
+const { PAYMENT_METHODS } = require('../config/paymentMethods');
+const { IVA_RATES, INVOICE_TYPES, TAX_CONDITIONS } = require('../config/tax');
+
+// caracteres por línea en fuente A de impresoras térmicas
+const WIDTHS = { 58: 32, 80: 48 };
+// ancho de papel en puntos PDF (1mm = 2.8346pt)
+const PAPER_PT = { 58: 164, 80: 227 };
+
+const ESC = '\x1b';
+const GS = '\x1d';
+
+/* ---------- Helpers ---------- */
+const moneyFmt = new Intl.NumberFormat('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const money = (n) => `$${moneyFmt.format(Number(n || 0))}`;
+
+const pad2 = (n) => String(n).padStart(2, '0');
+const pad4 = (n) => String(n).padStart(4, '0');
+const formatDate = (d) => {
+  const date = d ? new Date(d) : null;
+  if (!date || isNaN(date.getTime())) return '';
+  return `${pad2(date.getDate())}/${pad2(date.getMonth() + 1)}/${date.getFullYear()} ${pad2(date.getHours())}:${pad2(date.getMinutes())}`;
+};
+
+// las térmicas no suelen traer UTF-8: se pliegan acentos para la salida ESC/POS
+const foldAccents = (s) => String(s).normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[¡¿]/g, '');
+
+const resolveWidth = (width) => (Number(width) === 58 ? 58 : 80);
+
+const wrap = (text, cols) => {
+  const words = String(text || '').split(/\s+/).filter(Boolean);
+  const out = [];
+  let current = '';
+  for (const w of words) {
+    if (!current) current = w;
+    else if ((current + ' ' + w).length <= cols) current += ' ' + w;
+    else { out.push(current); current = w; }
+    while (current.length > cols) { out.push(current.slice(0, cols)); current = current.slice(cols); }
+  }
+  if (current) out.push(current);
+  return out.length ? out : [''];
+};
+
+const center = (text, cols) => {
+  const t = String(text).slice(0, cols);
+  const left = Math.floor((cols - t.length) / 2);
+  return ' '.repeat(left) + t;
+};
+
+const twoCols = (left, right, cols) => {
+  const r = String(right);
+  const maxLeft = Math.max(0, cols - r.length - 1);
+  const l = String(left).slice(0, maxLeft);
+  return l + ' '.repeat(cols - l.length - r.length) + r;
+};
+
+const methodLabel = (method) => (PAYMENT_METHODS[method] ? PAYMENT_METHODS[method].label : 'Otro');
+
+/* ---------- Modelo de líneas ---------- */
+// encabezado del comercio (config/store)
+const pushStoreHeader = (push, cols) => {
+  wrap(STORE.name, cols).forEach(t => push(center(t, cols), { bold: true, double: true }));
+  if (STORE.legal_name) wrap(STORE.legal_name, cols).forEach(t => push(center(t, cols)));
+  if (STORE.cuit) push(center(`CUIT ${STORE.cuit}`, cols));
+  if (STORE.address) wrap(STORE.address, cols).forEach(t => push(center(t, cols)));
+  if (STORE.phone) push(center(`Tel. ${STORE.phone}`, cols));
+};
+
+/**
+ * buildLines(sale, width)
+ * Devuelve [{ text, bold?, double? }] ya ajustadas al ancho en caracteres.
+ * Es la base común de todos los formatos.
+ */
+const buildLines = (sale, width = 80) => {
+  const cols = WIDTHS[resolveWidth(width)];
+  const lines = [];
+  const push = (text, opts = {}) => lines.push({ text, ...opts });
+  const sep = () => push('-'.repeat(cols));
+
+  pushStoreHeader(push, cols);
+  sep();
+
+  const invoice = sale.invoice && sale.invoice.cae ? sale.invoice : null;
+  if (invoice) {
+    const label = INVOICE_TYPES[invoice.type] ? INVOICE_TYPES[invoice.type].label : `Factura ${invoice.type}`;
+    push(center(label.toUpperCase(), cols), { bold: true, double: true });
+    push(twoCols('Nro.', `${pad4(invoice.point_of_sale)}-${String(invoice.number).padStart(8, '0')}`, cols));
+  } else {
+    push(twoCols('Ticket', `#${String(sale.id || '').slice(-8)}`, cols));
+  }
+  push(twoCols('Fecha', formatDate(sale.created_at), cols));
+  if (sale.customer && sale.customer.nombre) {
+    wrap(`Cliente: ${sale.customer.nombre}`, cols).forEach(t => push(t));
+    if (invoice && sale.customer.cuit) push(`CUIT: ${sale.customer.cuit}`);
+    if (invoice && TAX_CONDITIONS[sale.customer.tax_condition]) {
+      wrap(TAX_CONDITIONS[sale.customer.tax_condition].label, cols).forEach(t => push(t));
+    }
+  }
+  if (sale.status === 'voided') push(center('*** VENTA ANULADA ***', cols), { bold: true });
+  sep();
+
+  for (const it of (sale.items || [])) {
+    wrap(it.nombre || 'Item', cols).forEach(t => push(t));
+    const qty = Number(it.qty || 0);
+    const unit = Number(it.unit_price || 0);
+    const qtyLabel = it.unit === 'kg' ? `${qty.toFixed(3)} kg` : `${qty}`; // venta por peso
+    push(twoCols(`  ${qtyLabel} x ${money(unit)}`, money(qty * unit), cols));
+    for (const d of (it.promotions || [])) {
+      push(twoCols(`  ${d.nombre || 'Descuento'}`, `-${money(d.amount)}`, cols));
+    }
+    if (Number(it.returned_qty || 0) > 0) push(`  Devuelto: ${it.returned_qty}`);
+  }
+  sep();
+
+  push(twoCols('Subtotal', money(sale.subtotal), cols));
+  for (const d of (sale.discounts || [])) {
+    push(twoCols(d.nombre || 'Descuento', `-${money(d.amount)}`, cols));
+  }
+  if (Number(sale.discount_total || 0) > 0) push(twoCols('Total descuentos', `-${money(sale.discount_total)}`, cols));
+  if (Number(sale.surcharge_total || 0) > 0) push(twoCols('Recargos', money(sale.surcharge_total), cols));
+  push(twoCols('TOTAL', money(sale.total), cols), { bold: true, double: true });
+  // Factura A discrimina IVA; en B/C el IVA va incluido en el total
+  if (invoice && INVOICE_TYPES[invoice.type] && INVOICE_TYPES[invoice.type].discriminates_iva) {
+    push(twoCols('Neto gravado', money(sale.net_amount), cols));
+    for (const l of (sale.tax_breakdown || [])) {
+      push(twoCols(IVA_RATES[l.rate] ? IVA_RATES[l.rate].label : `IVA ${l.rate}%`, money(l.amount), cols));
+    }
+    if (Number(sale.exempt_amount || 0) > 0) push(twoCols('Exento', money(sale.exempt_amount), cols));
+  }
+  sep();
+
+  for (const t of (sale.tenders || [])) {
+    const label = t.method ? methodLabel(t.method) : 'Pago';
+    const detail = t.installments && t.installments > 1 ? ` (${t.installments} cuotas)` : '';
+    push(twoCols(`${label}${detail}`, money(Number(t.amount || 0) + Number(t.surcharge || 0)), cols));
+    if (Number(t.change || 0) > 0) {
+      push(twoCols('  Entregado', money(t.tendered), cols));
+      push(twoCols('  Vuelto', money(t.change), cols));
+    }
+  }
+  push(twoCols('Pagado', money(sale.paid_amount), cols));
+  if (sale.on_credit || Number(sale.outstanding_amount || 0) > 0) {
+    push(twoCols('Saldo pendiente', money(sale.outstanding_amount), cols), { bold: true });
+  }
+  if (Number(sale.returned_amount || 0) > 0) push(twoCols('Devoluciones', `-${money(sale.returned_amount)}`, cols));
+  sep();
+
+  if (invoice) {
+    push(twoCols('CAE', invoice.cae, cols));
+    push(twoCols('Vto. CAE', formatDate(invoice.cae_due).slice(0, 10), cols));
+    sep();
+  }
+
+  if (STORE.footer) wrap(STORE.footer, cols).forEach(t => push(center(t, cols)));
+  if (!invoice) wrap('Comprobante no válido como factura', cols).forEach(t => push(center(t, cols)));
+
+  return lines;
+};
+
+/**
+ * buildQuoteLines(quote, width)
+ * Versión imprimible de un presupuesto (quotesService), mismo modelo de líneas que el ticket.
+ */
+const buildQuoteLines = (quote, width = 80) => {
+  const cols = WIDTHS[resolveWidth(width)];
+  const lines = [];
+  const push = (text, opts = {}) => lines.push({ text, ...opts });
+  const sep = () => push('-'.repeat(cols));
+
+  pushStoreHeader(push, cols);
+  sep();
+
+  push(center('PRESUPUESTO', cols), { bold: true, double: true });
+  push(twoCols('Número', `#${quote.number != null ? quote.number : String(quote.id || '').slice(-8)}`, cols));
+  push(twoCols('Fecha', formatDate(quote.created_at), cols));
+  push(twoCols('Válido hasta', formatDate(quote.valid_until).slice(0, 10), cols));
+  if (quote.customer && quote.customer.nombre) {
+    wrap(`Cliente: ${quote.customer.nombre}`, cols).forEach(t => push(t));
+  }
+  sep();
+
+  for (const it of (quote.items || [])) {
+    wrap(it.nombre || 'Item', cols).forEach(t => push(t));
+    push(twoCols(`  ${Number(it.qty || 0)} x ${money(it.unit_price)}`, money(it.line_total), cols));
+  }
+  sep();
+
+  push(twoCols('TOTAL', money(quote.total), cols), { bold: true, double: true });
+  sep();
+
+  if (quote.notes) {
+    wrap(quote.notes, cols).forEach(t => push(t));
+    sep();
+  }
+  wrap('Precios sujetos a disponibilidad de stock al momento de la compra.', cols).forEach(t => push(t));
+  wrap('Documento no válido como factura', cols).forEach(t => push(center(t, cols)));
+
+  return lines;
+};
+
+/* ---------- Renderers ---------- */
+const renderText = (lines) => lines.map(l => l.text).join('\n') + '\n';
+
+/**
+ * renderEscPos(lines)
+ * Buffer listo para enviar a una impresora ESC/POS: init, negrita/doble alto en
+ * encabezado y total, avance de papel y corte parcial.
+ */
+const renderEscPos = (lines) => {
+  let out = `${ESC}@`; // init
+  for (const l of lines) {
+    const text = foldAccents(l.text);
+    if (l.bold) out += `${ESC}E\x01`;
+    if (l.double) out += `${ESC}!\x10`; // doble alto (no cambia el ancho de columna)
+    out += text + '\n';
+    if (l.double) out += `${ESC}!\x00`;
+    if (l.bold) out += `${ESC}E\x00`;
+  }
+  out += `${ESC}d\x04`; // avanzar 4 líneas
+  out += `${GS}V\x01`;  // corte parcial
+  return Buffer.from(out, 'latin1');
+};
+
+const escapeHtml = (s) => String(s)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const renderHtml = (lines, { width = 80, title = 'Ticket' } = {}) => {
+  const w = resolveWidth(width);
+  const body = lines.map(l => {
+    const style = [l.bold ? 'font-weight:bold' : '', l.double ? 'font-size:1.3em' : ''].filter(Boolean).join(';');
+    return `<div class="l"${style ? ` style="${style}"` : ''}>${escapeHtml(l.text) || '&nbsp;'}</div>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  @page { size: ${w}mm auto; margin: 2mm; }
+  body { margin: 0; }
+  .ticket { width: ${WIDTHS[w]}ch; font-family: 'Courier New', monospace; font-size: 12px; }
+  .l { white-space: pre; line-height: 1.25; }
+</style>
+</head>
+<body>
+<div class="ticket">
+${body}
+</div>
+</body>
+</html>
+`;
+};
+
+/**
+ * renderPdf(lines, { width }) -> Promise<Buffer>
+ * Una sola página del ancho del rollo y alto según la cantidad de líneas.
+ */
+const renderPdf = (lines, { width = 80 } = {}) => {
+  const w = resolveWidth(width);
+  const margin = 6;
+  const fontSize = 7;
+  const lineHeight = fontSize * 1.35;
+  const height = margin * 2 + lines.reduce((acc, l) => acc + lineHeight * (l.double ? 1.4 : 1), 0);
+
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ size: [PAPER_PT[w], Math.max(height, 100)], margin });
+      const chunks = [];
+      doc.on('data', c => chunks.push(c));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      // Courier ocupa 0.6em por carácter: se ajusta para que entren las columnas
+      const size = Math.min(fontSize, (PAPER_PT[w] - margin * 2) / (WIDTHS[w] * 0.6));
+      let y = margin;
+      for (const l of lines) {
+        const s = l.double ? size * 1.2 : size;
+        doc.font(l.bold ? 'Courier-Bold' : 'Courier').fontSize(s);
+        doc.text(l.text, margin, y, { lineBreak: false });
+        y += lineHeight * (l.double ? 1.4 : 1);
+      }
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+};
+
+const FORMATS = ['text', 'escpos', 'html', 'pdf'];
+
+// { contentType, body } según el formato pedido
+const renderLines = async (lines, { format, width, title }) => {
+  if (format === 'html') return { contentType: 'text/html; charset=utf-8', body: renderHtml(lines, { width, title }) };
+  if (format === 'pdf') return { contentType: 'application/pdf', body: await renderPdf(lines, { width }) };
+  if (format === 'escpos') return { contentType: 'application/octet-stream', body: renderEscPos(lines) };
+  return { contentType: 'text/plain; charset=utf-8', body: renderText(lines) };
+};
+
+const validateOptions = ({ format, width }) => {
+  if (!FORMATS.includes(format)) throw new Error(`Formato de ticket inválido (${format})`);
+  if (![58, 80].includes(Number(width))) throw new Error('Ancho de ticket inválido (58 u 80)');
+};
+
+/**
+ * renderReceipt(sale, { format, width })
+ * Devuelve { contentType, body } según el formato pedido.
+ */
+const renderReceipt = async (sale, { format = 'text', width = 80 } = {}) => {
+  validateOptions({ format, width });
+  return renderLines(buildLines(sale, width), { format, width, title: `Ticket ${sale.id || ''}` });
+};
+
+/**
+ * renderQuote(quote, { format, width })
+ * Igual que renderReceipt, para presupuestos.
+ */
+const renderQuote = async (quote, { format = 'text', width = 80 } = {}) => {
+  validateOptions({ format, width });
+  return renderLines(buildQuoteLines(quote, width), { format, width, title: `Presupuesto ${quote.number || quote.id || ''}` });
+};
+
+module.exports = {
+  FORMATS,
+  buildLines,
+  buildQuoteLines,
+  renderReceipt,
+  renderQuote
+};
@@ -0,0 +1,273 @@
+// services/replenishmentService.js
+// Reposición: stock mínimo, punto de pedido y cantidad a pedir por producto, con valores
+// por defecto por categoría. Alimenta las alertas de stock bajo y la lista sugerida de compra.
+//
+// Precedencia de cada valor: producto -> categoría -> global.
+// Global: punto de pedido = ALERT_LOW_STOCK_THRESHOLD (comportamiento anterior de las alertas).
+// Sin cantidad de reposición se pide lo necesario para volver al doble del punto de pedido.
+const { connectMongo, mongoose } = require('../config/mongo');
+const productosService = require('./productosService');
+const suppliersService = require('./suppliersService');
+const purchaseOrdersService = require('./purchaseOrdersService');
+
+const LOW_STOCK_THRESHOLD = parseInt(process.env.ALERT_LOW_STOCK_THRESHOLD || '5', 10);
+
+let CategoryRuleModel = null;
+let mongoReady = false;
+
+const { Schema } = mongoose;
+
+/* ---------- Schema ---------- */
+const CategoryRuleSchema = new Schema({
+  categoria: { type: String, required: true },
+  min_stock: { type: Number, default: null },
+  reorder_point: { type: Number, default: null },
+  reorder_qty: { type: Number, default: null },
+  updated_by: { type: String, default: null },
+  updated_at: { type: Date, default: Date.now },
+}, {
+  versionKey: false
+});
+
+/* ---------- init ---------- */
+const init = async () => {
+  await connectMongo();
+  mongoReady = true;
+  CategoryRuleModel = mongoose.models.CategoryReorderRule || mongoose.model('CategoryReorderRule', CategoryRuleSchema, 'category_reorder_rules');
+
+  try {
+    await CategoryRuleModel.collection.createIndex({ categoria: 1 }, { unique: true });
+    console.log('[replenishmentService] índices creados/verificados');
+  } catch (err) {
+    console.warn('[replenishmentService] fallo creando índices (quizá ya existían):', err.message || err);
+  }
+};
+
+/* ---------- Helpers ---------- */
+const ensureMongoReady = async () => {
+  if (!mongoReady || !CategoryRuleModel) {
+    console.log('🔄 Auto-inicializando replenishmentService...');
+    await init();
+  }
+};
+
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+
+const normalizeRule = (doc) => ({
+  categoria: doc.categoria,
+  min_stock: doc.min_stock ?? null,
+  reorder_point: doc.reorder_point ?? null,
+  reorder_qty: doc.reorder_qty ?? null,
+  updated_by: doc.updated_by || null,
+  updated_at: doc.updated_at || null
+});
+
+/* ---------- API: reglas por categoría ---------- */
+
+const listCategoryRules = async () => {
+  await ensureMongoReady();
+  const docs = await CategoryRuleModel.find({}).collation({ locale: 'es', strength: 1 }).sort({ categoria: 1 }).lean().exec();
+  return {
+    default_reorder_point: LOW_STOCK_THRESHOLD,
+    categories: docs.map(normalizeRule)
+  };
+};
+
+/**
+ * setCategoryRule(categoria, { min_stock, reorder_point, reorder_qty }, { user })
+ * Todos null borra la regla de la categoría.
+ */
+const setCategoryRule = async (categoria, levels = {}, { user = null } = {}) => {
+  await ensureMongoReady();
+
+  const cat = categoria != null ? String(categoria).trim() : '';
+  if (!cat) throw new Error('Categoría requerida');
+
+  const parsed = productosService.parseReorderLevels(levels);
+  if (parsed.min_stock == null && parsed.reorder_point == null && parsed.reorder_qty == null) {
+    await CategoryRuleModel.deleteOne({ categoria: cat }).exec();
+    return { categoria: cat, min_stock: null, reorder_point: null, reorder_qty: null };
+  }
+
+  const res = await CategoryRuleModel.findOneAndUpdate(
+    { categoria: cat },
+    { $set: { ...parsed, updated_by: user != null ? String(user) : null, updated_at: new Date() } },
+    { upsert: true, new: true }
+  ).lean().exec();
+  return normalizeRule(res);
+};
+
+/**
+ * loadCategoryRules()
+ * Map categoria -> regla (para resolver muchos productos sin consultar uno por uno).
+ */
+const loadCategoryRules = async () => {
+  await ensureMongoReady();
+  const docs = await CategoryRuleModel.find({}).lean().exec();
+  return new Map(docs.map(d => [d.categoria, d]));
+};
+
+/**
+ * resolveLevels(product, categoryRules)
+ * -> { min_stock, reorder_point, reorder_qty, source: { min_stock, reorder_point, reorder_qty } }
+ */
+const resolveLevels = (product, categoryRules = new Map()) => {
+  const rule = product.categoria ? categoryRules.get(product.categoria) : null;
+  const pick = (field, fallback) => {
+    if (product[field] != null) return [Number(product[field]), 'product'];
+    if (rule && rule[field] != null) return [Number(rule[field]), 'category'];
+    return [fallback, fallback == null ? null : 'global'];
+  };
+  const [reorderPoint, rpSource] = pick('reorder_point', LOW_STOCK_THRESHOLD);
+  const [minStock, msSource] = pick('min_stock', null);
+  const [reorderQty, rqSource] = pick('reorder_qty', null);
+  return {
+    min_stock: minStock,
+    // un mínimo propio por encima del punto heredado manda (si no, nunca se alertaría antes del mínimo)
+    reorder_point: minStock != null && reorderPoint < minStock ? minStock : reorderPoint,
+    reorder_qty: reorderQty,
+    source: { min_stock: msSource, reorder_point: rpSource, reorder_qty: rqSource }
+  };
+};
+
+/**
+ * suggestedQty(available, levels)
+ * Con reorder_qty se pide en múltiplos hasta superar el punto de pedido;
+ * sin reorder_qty, lo necesario para llegar al doble del punto de pedido.
+ */
+const suggestedQty = (available, { reorder_point, reorder_qty }) => {
+  if (available > reorder_point) return 0;
+  if (reorder_qty) {
+    const packs = Math.floor((reorder_point - available) / reorder_qty) + 1;
+    return packs * reorder_qty;
+  }
+  return Math.max(1, reorder_point * 2 - available);
+};
+
+/* ---------- API: sugerencias ---------- */
+
+/**
+ * getSuggestions({ groupBy = 'supplier'|'marca', categoria, marca })
+ * Productos con stock controlado cuyo disponible (stock + pedido pendiente) no supera el punto de pedido.
+ * -> { groupBy, total_items, estimated_total, groups: [{ key, supplier?, marca?, estimated_total, items }] }
+ */
+const getSuggestions = async ({ groupBy = 'supplier', categoria, marca } = {}) => {
+  if (!['supplier', 'marca'].includes(groupBy)) throw new Error(`Agrupación inválida (${groupBy})`);
+
+  const [products, rules, pending, suppliers] = await Promise.all([
+    productosService.listarProductos({ categoria, marca }),
+    loadCategoryRules(),
+    purchaseOrdersService.pendingQtyByProduct(),
+    suppliersService.listSuppliers({ limit: 1000 })
+  ]);
+
+  // proveedor preferido por producto: el de menor último costo conocido
+  const bestSupplier = new Map();
+  for (const sp of suppliers) {
+    for (const p of sp.products) {
+      const current = bestSupplier.get(p.productRef);
+      const cost = p.last_cost != null ? p.last_cost : Infinity;
+      if (!current || cost < current.cost) bestSupplier.set(p.productRef, { supplier: sp, cost, supplier_code: p.supplier_code });
+    }
+  }
+
+  const groups = new Map();
+  let totalItems = 0;
+  let estimatedTotal = 0;
+
+  for (const p of products) {
+    if (p.stock == null) continue;
+    const levels = resolveLevels(p, rules);
+    if (levels.reorder_point == null) continue;
+
+    const onOrder = pending.get(p.id) || 0;
+    const available = p.stock + onOrder;
+    const qty = suggestedQty(available, levels);
+    if (qty <= 0) continue;
+
+    const best = bestSupplier.get(p.id) || null;
+    const unitCost = best && best.cost !== Infinity ? best.cost : Number(p.cost || 0);
+    const item = {
+      productId: p.id,
+      nombre: p.nombre,
+      marca: p.marca ?? null,
+      categoria: p.categoria ?? null,
+      stock: p.stock,
+      on_order: onOrder,
+      min_stock: levels.min_stock,
+      reorder_point: levels.reorder_point,
+      reorder_qty: levels.reorder_qty,
+      priority: levels.min_stock != null && p.stock <= levels.min_stock ? 'critical' : 'reorder',
+      suggested_qty: qty,
+      unit_cost: unitCost,
+      estimated_cost: round2(qty * unitCost),
+      supplier_code: best ? best.supplier_code || null : null
+    };
+
+    const key = groupBy === 'supplier'
+      ? (best ? best.supplier.id : null)
+      : (p.marca || null);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        ...(groupBy === 'supplier'
+          ? { supplier: best ? { id: best.supplier.id, nombre: best.supplier.nombre, lead_time_days: best.supplier.lead_time_days } : null }
+          : { marca: p.marca || null }),
+        estimated_total: 0,
+        items: []
+      });
+    }
+    const group = groups.get(key);
+    group.items.push(item);
+    group.estimated_total = round2(group.estimated_total + item.estimated_cost);
+    totalItems += 1;
+    estimatedTotal += item.estimated_cost;
+  }
+
+  // críticos primero; el grupo sin proveedor/marca al final
+  const out = [...groups.values()];
+  out.forEach(g => g.items.sort((a, b) => (a.priority === b.priority ? 0 : (a.priority === 'critical' ? -1 : 1))));
+  out.sort((a, b) => {
+    if (a.key == null) return 1;
+    if (b.key == null) return -1;
+    return b.estimated_total - a.estimated_total;
+  });
+
+  return { groupBy, total_items: totalItems, estimated_total: round2(estimatedTotal), groups: out };
+};
+
+/**
+ * createDraftOrders({ supplierId, categoria, marca, user })
+ * Genera órdenes de compra en borrador con las sugerencias (una por proveedor).
+ * Los productos sin proveedor quedan fuera.
+ */
+const createDraftOrders = async ({ supplierId = null, categoria, marca, user = null } = {}) => {
+  const { groups } = await getSuggestions({ groupBy: 'supplier', categoria, marca });
+
+  const created = [];
+  for (const g of groups) {
+    if (!g.supplier) continue;
+    if (supplierId && g.supplier.id !== String(supplierId)) continue;
+    const order = await purchaseOrdersService.createPurchaseOrder({
+      supplierId: g.supplier.id,
+      items: g.items.map(it => ({ productId: it.productId, qty: it.suggested_qty, unit_cost: it.unit_cost })),
+      notes: 'Generada desde sugerencias de reposición',
+      status: 'draft',
+      user
+    });
+    created.push(order);
+  }
+  return created;
+};
+
+module.exports = {
+  init,
+  LOW_STOCK_THRESHOLD,
+  listCategoryRules,
+  setCategoryRule,
+  loadCategoryRules,
+  resolveLevels,
+  suggestedQty,
+  getSuggestions,
+  createDraftOrders
+};
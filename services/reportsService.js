@@ -23,6 +23,52 @@ const ensureMongoReady = async () => {
   }
 };
 
+// Ventas que cuentan para los totales: las anuladas quedan fuera
+const activeSalesMatch = (from, toInclusive) => ({
+  created_at: { $gte: from, $lte: toInclusive },
+  status: { $ne: 'voided' }
+});
+
+// Devoluciones agrupadas por mes (fecha de la devolución), para netear los reportes
+const returnsByMonth = async (from, toInclusive) => {
+  const returnsColl = mongoose.connection.collection('returns');
+  const agg = await returnsColl.aggregate([
+    { $match: { created_at: { $gte: from, $lte: toInclusive } } },
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m', date: '$created_at' } },
+        refunds: { $sum: { $ifNull: ['$items.line_total', 0] } },
+        items: { $sum: { $ifNull: ['$items.qty', 0] } }
+      }
+    }
+  ]).toArray();
+
+  const byMonth = new Map();
+  for (const r of (agg || [])) {
+    byMonth.set(r._id, { refunds: Number(r.refunds || 0), items: Number(r.items || 0) });
+  }
+  return byMonth;
+};
+
+// Descuentos (promociones) agrupados por mes de la venta
+const discountsByMonth = async (from, toInclusive) => {
+  const salesColl = mongoose.connection.collection('sales');
+  const agg = await salesColl.aggregate([
+    { $match: activeSalesMatch(from, toInclusive) },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m', date: '$created_at' } },
+        discounts: { $sum: { $ifNull: ['$discount_total', 0] } }
+      }
+    }
+  ]).toArray();
+
+  const byMonth = new Map();
+  for (const r of (agg || [])) byMonth.set(r._id, Number(r.discounts || 0));
+  return byMonth;
+};
+
 // Funciones de debug
 const debugSalesStructure = async () => {
   try {
@@ -104,13 +150,13 @@ const salesByMonth = async (fromDate, toDate) => {
     await debugCollectionNames();
     
     const salesColl = mongoose.connection.collection('sales');
-    const salesInRange = await salesColl.find({
-      created_at: { $gte: from, $lte: toInclusive }
-    }).count();
+    const salesInRange = await salesColl.find(activeSalesMatch(from, toInclusive)).count();
     
     console.log(`[SALES] Ventas en rango: ${salesInRange}`);
     
-    if (salesInRange === 0) {
+    // un mes con devoluciones y sin ventas también cuenta (resta)
+    const returns = await returnsByMonth(from, toInclusive);
+    if (salesInRange === 0 && returns.size === 0) {
       return [];
     }
 
@@ -125,7 +171,7 @@ const salesByMonth = async (fromDate, toDate) => {
       console.log('[SALES] Usando items embebidos en ventas');
       // Pipeline para items embebidos
       pipeline = [
-        { $match: { created_at: { $gte: from, $lte: toInclusive } } },
+        { $match: activeSalesMatch(from, toInclusive) },
         { $unwind: { path: '$items', preserveNullAndEmptyArrays: true } },
         {
           $addFields: {
@@ -181,7 +227,7 @@ const salesByMonth = async (fromDate, toDate) => {
       console.log('[SALES] Usando ventas sin items embebidos - calculando desde total');
       // Pipeline simple basado en el total de la venta
       pipeline = [
-        { $match: { created_at: { $gte: from, $lte: toInclusive } } },
+        { $match: activeSalesMatch(from, toInclusive) },
         {
           $group: {
             _id: { 
@@ -223,12 +269,30 @@ const salesByMonth = async (fromDate, toDate) => {
     const agg = await salesColl.aggregate(pipeline).toArray();
     console.log(`[SALES] Pipeline completado. Resultados: ${agg.length} meses`);
     
-    const result = (agg || []).map(r => ({
-      month: r.month,
-      orders: Number(r.orders || 0),
-      total_sales: r.total_sales != null ? Number(r.total_sales) : 0,
-      total_items: r.total_items != null ? Number(r.total_items) : 0
-    }));
+    const discounts = await discountsByMonth(from, toInclusive);
+
+    // meses con ventas o con devoluciones
+    const salesMonths = new Map((agg || []).map(r => [r.month, r]));
+    const months = [...new Set([...salesMonths.keys(), ...returns.keys()])].sort();
+
+    // con items embebidos el pipeline suma qty * unit_price (bruto); sin items suma el total (neto)
+    const result = months.map(month => {
+      const r = salesMonths.get(month) || { month, orders: 0, total_sales: 0, total_items: 0 };
+      const ret = returns.get(r.month) || { refunds: 0, items: 0 };
+      const disc = discounts.get(r.month) || 0;
+      const summed = r.total_sales != null ? Number(r.total_sales) : 0;
+      const gross = hasEmbeddedItems ? summed : summed + disc;
+      const items = r.total_items != null ? Number(r.total_items) : 0;
+      return {
+        month: r.month,
+        orders: Number(r.orders || 0),
+        gross_sales: gross,
+        discounts: disc,
+        returns: ret.refunds,
+        total_sales: gross - disc - ret.refunds,
+        total_items: items - ret.items
+      };
+    });
     
     console.log('[SALES] Resultado final:', JSON.stringify(result, null, 2));
     return result;
@@ -252,16 +316,16 @@ const profitByMonth = async (fromDate, toDate) => {
 
   try {
     const salesColl = mongoose.connection.collection('sales');
-    const salesInRange = await salesColl.find({
-      created_at: { $gte: from, $lte: toInclusive }
-    }).count();
+    const salesInRange = await salesColl.find(activeSalesMatch(from, toInclusive)).count();
     
-    if (salesInRange === 0) {
+    // un mes con devoluciones y sin ventas también cuenta (resta)
+    const returns = await returnsByMonth(from, toInclusive);
+    if (salesInRange === 0 && returns.size === 0) {
       return [];
     }
 
     const pipeline = [
-      { $match: { created_at: { $gte: from, $lte: toInclusive } } },
+      { $match: activeSalesMatch(from, toInclusive) },
       {
         $group: {
           _id: { 
@@ -300,13 +364,28 @@ const profitByMonth = async (fromDate, toDate) => {
     ];
 
     const agg = await salesColl.aggregate(pipeline).toArray();
+
+    // meses con ventas o con devoluciones
+    const salesMonths = new Map((agg || []).map(r => [r.month, r]));
+    const months = [...new Set([...salesMonths.keys(), ...returns.keys()])].sort();
     
-    const result = (agg || []).map(r => ({
-      month: r.month,
-      revenue: r.revenue != null ? Number(r.revenue) : 0,
-      cogs: r.cogs != null ? Number(r.cogs) : 0,
-      profit: r.profit != null ? Number(r.profit) : 0
-    }));
+    const result = months.map(month => {
+      const r = salesMonths.get(month) || { month, revenue: 0, cogs: 0, profit: 0 };
+      const refunds = (returns.get(r.month) || { refunds: 0 }).refunds;
+      if (!refunds) {
+        return {
+          month: r.month,
+          revenue: r.revenue != null ? Number(r.revenue) : 0,
+          cogs: r.cogs != null ? Number(r.cogs) : 0,
+          profit: r.profit != null ? Number(r.profit) : 0,
+          returns: 0
+        };
+      }
+      // mismo estimado de COGS (90%) aplicado sobre el revenue neto de devoluciones
+      const revenue = Number(r.revenue || 0) - refunds;
+      const cogs = revenue * 0.9;
+      return { month: r.month, revenue, cogs, profit: revenue - cogs, returns: refunds };
+    });
     
     return result;
   } catch (err) {
@@ -314,10 +393,112 @@ const profitByMonth = async (fromDate, toDate) => {
   }
 };
 
+/**
+ * discountsByPromotion(from, to)
+ * Monto descontado por cada promoción (líneas + nivel venta) en el rango.
+ */
+const discountsByPromotion = async (fromDate, toDate) => {
+  await ensureMongoReady();
+
+  const from = new Date(fromDate);
+  const to = new Date(toDate);
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    throw new Error('Fechas inválidas');
+  }
+
+  const toInclusive = new Date(to.getTime());
+  toInclusive.setHours(23, 59, 59, 999);
+
+  const salesColl = mongoose.connection.collection('sales');
+  const agg = await salesColl.aggregate([
+    { $match: activeSalesMatch(from, toInclusive) },
+    {
+      $project: {
+        applied: {
+          $concatArrays: [
+            { $ifNull: ['$discounts', []] },
+            {
+              $reduce: {
+                input: { $ifNull: ['$items', []] },
+                initialValue: [],
+                in: { $concatArrays: ['$$value', { $ifNull: ['$$this.promotions', []] }] }
+              }
+            }
+          ]
+        }
+      }
+    },
+    { $unwind: '$applied' },
+    {
+      $group: {
+        _id: '$applied.promotionRef',
+        nombre: { $first: '$applied.nombre' },
+        uses: { $sum: 1 },
+        amount: { $sum: { $ifNull: ['$applied.amount', 0] } }
+      }
+    },
+    { $sort: { amount: -1 } }
+  ]).toArray();
+
+  return (agg || []).map(r => ({
+    promotionRef: r._id ? String(r._id) : null,
+    nombre: r.nombre || null,
+    uses: Number(r.uses || 0),
+    amount: Number(r.amount || 0)
+  }));
+};
+
+/**
+ * paymentMethodsByMonth(from, to)
+ * Cobros por medio de pago y mes, según la fecha de cada tender (incluye pagos posteriores de ventas a crédito).
+ */
+const paymentMethodsByMonth = async (fromDate, toDate) => {
+  await ensureMongoReady();
+
+  const from = new Date(fromDate);
+  const to = new Date(toDate);
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    throw new Error('Fechas inválidas');
+  }
+
+  const toInclusive = new Date(to.getTime());
+  toInclusive.setHours(23, 59, 59, 999);
+
+  const salesColl = mongoose.connection.collection('sales');
+  const agg = await salesColl.aggregate([
+    { $match: { status: { $ne: 'voided' }, 'tenders.paid_at': { $gte: from, $lte: toInclusive } } },
+    { $unwind: '$tenders' },
+    { $match: { 'tenders.paid_at': { $gte: from, $lte: toInclusive } } },
+    {
+      $group: {
+        _id: {
+          month: { $dateToString: { format: '%Y-%m', date: '$tenders.paid_at' } },
+          method: { $ifNull: ['$tenders.method', 'sin_especificar'] }
+        },
+        amount: { $sum: { $ifNull: ['$tenders.amount', 0] } },
+        surcharge: { $sum: { $ifNull: ['$tenders.surcharge', 0] } },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { '_id.month': 1, '_id.method': 1 } }
+  ]).toArray();
+
+  return (agg || []).map(r => ({
+    month: r._id.month,
+    method: r._id.method,
+    amount: Number(r.amount || 0),
+    surcharge: Number(r.surcharge || 0),
+    total: Number(r.amount || 0) + Number(r.surcharge || 0),
+    count: Number(r.count || 0)
+  }));
+};
+
 module.exports = { 
   init, 
+  paymentMethodsByMonth,
   salesByMonth, 
   profitByMonth,
+  discountsByPromotion,
   debugSalesStructure,
   debugCollectionNames
 };
\ No newline at end of file
@@ -0,0 +1,395 @@
+// services/repricingService.js
+// Remarcación masiva de precios: aumento porcentual o fijo, con redondeo, sobre los productos
+// filtrados por categoría, marca, proveedor o lista de ids.
+//
+// - preview: calcula los precios nuevos sin tocar nada
+// - apply: aplica en una transacción, guarda el lote (price_batches) y el historial de cada producto
+// - undo: revierte el último lote aplicado; los productos cuyo precio se cambió después quedan como están
+const { connectMongo, mongoose } = require('../config/mongo');
+const productosService = require('./productosService');
+const suppliersService = require('./suppliersService');
+const priceHistoryService = require('./priceHistoryService');
+
+const CHANGE_TYPES = ['percent', 'fixed'];
+const ROUNDING_MODES = ['nearest', 'up', 'down'];
+
+let PriceBatchModel = null;
+let mongoReady = false;
+
+const { Schema } = mongoose;
+
+/* ---------- Schema ---------- */
+const BatchItemSchema = new Schema({
+  productRef: { type: Schema.Types.ObjectId, ref: 'Product', required: true },
+  nombre: { type: String, default: null }, // snapshot
+  previous_price: { type: Number, required: true },
+  new_price: { type: Number, required: true },
+}, { _id: false });
+
+const PriceBatchSchema = new Schema({
+  filters: {
+    categoria: { type: String, default: null },
+    marca: { type: String, default: null },
+    supplierRef: { type: Schema.Types.ObjectId, ref: 'Supplier', default: null },
+    productIds: { type: [String], default: [] },
+  },
+  change: {
+    type: { type: String, enum: CHANGE_TYPES, required: true },
+    value: { type: Number, required: true },
+  },
+  rounding: {
+    step: { type: Number, default: 0.01 },
+    mode: { type: String, enum: ROUNDING_MODES, default: 'nearest' },
+    ending: { type: Number, default: null },
+  },
+  items: { type: [BatchItemSchema], default: [] },
+  notes: { type: String, default: null },
+  status: { type: String, enum: ['applied', 'undone'], default: 'applied' },
+  user: { type: String, default: null },
+  created_at: { type: Date, default: Date.now },
+  undone_at: { type: Date, default: null },
+  undone_by: { type: String, default: null },
+  undo_skipped: { type: [String], default: [] }, // productos no revertidos (precio cambiado después)
+}, {
+  versionKey: false
+});
+
+/* ---------- init ---------- */
+const init = async () => {
+  await connectMongo();
+  mongoReady = true;
+  PriceBatchModel = mongoose.models.PriceBatch || mongoose.model('PriceBatch', PriceBatchSchema, 'price_batches');
+
+  try {
+    await PriceBatchModel.collection.createIndex({ created_at: -1 });
+    await PriceBatchModel.collection.createIndex({ status: 1, created_at: -1 });
+    console.log('[repricingService] índices creados/verificados');
+  } catch (err) {
+    console.warn('[repricingService] fallo creando índices (quizá ya existían):', err.message || err);
+  }
+};
+
+/* ---------- Helpers ---------- */
+const isObjectId = v => typeof v === 'string' && mongoose.Types.ObjectId.isValid(v);
+
+const ensureMongoReady = async () => {
+  if (!mongoReady || !PriceBatchModel) {
+    console.log('🔄 Auto-inicializando repricingService...');
+    await init();
+  }
+};
+
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+const isCents = (n) => Math.abs(Math.round(n * 100) - n * 100) < 1e-6;
+
+const normalizeBatch = (doc, { withItems = true } = {}) => {
+  if (!doc) return null;
+  return {
+    id: doc._id ? String(doc._id) : null,
+    filters: {
+      categoria: doc.filters?.categoria ?? null,
+      marca: doc.filters?.marca ?? null,
+      supplierId: doc.filters?.supplierRef ? String(doc.filters.supplierRef) : null,
+      productIds: doc.filters?.productIds || []
+    },
+    change: { type: doc.change?.type, value: Number(doc.change?.value || 0) },
+    rounding: {
+      step: Number(doc.rounding?.step ?? 0.01),
+      mode: doc.rounding?.mode || 'nearest',
+      ending: doc.rounding?.ending ?? null
+    },
+    items_count: (doc.items || []).length,
+    ...(withItems ? {
+      items: (doc.items || []).map(it => ({
+        productId: it.productRef ? String(it.productRef) : null,
+        nombre: it.nombre || null,
+        previous_price: Number(it.previous_price),
+        new_price: Number(it.new_price)
+      }))
+    } : {}),
+    notes: doc.notes || null,
+    status: doc.status,
+    user: doc.user || null,
+    created_at: doc.created_at || null,
+    undone_at: doc.undone_at || null,
+    undone_by: doc.undone_by || null,
+    undo_skipped: doc.undo_skipped || []
+  };
+};
+
+/**
+ * parseParams({ categoria, marca, supplierId, productIds, change, rounding })
+ * Valida filtros, cambio y redondeo. Exige al menos un filtro (nunca todo el catálogo sin querer).
+ */
+const parseParams = ({ categoria = null, marca = null, supplierId = null, productIds = [], change = {}, rounding = {} } = {}) => {
+  const ids = Array.isArray(productIds) ? productIds.filter(x => x != null && x !== '').map(String) : [];
+  if (!categoria && !marca && !supplierId && ids.length === 0) {
+    throw new Error('Filtro requerido: categoria, marca, supplierId o productIds');
+  }
+  if (supplierId && !isObjectId(String(supplierId))) throw new Error('Proveedor inválido');
+
+  const type = change?.type;
+  const value = Number(change?.value);
+  if (!CHANGE_TYPES.includes(type)) throw new Error(`Tipo de cambio inválido (${type}): percent o fixed`);
+  if (!Number.isFinite(value) || value === 0) throw new Error('Valor del cambio inválido');
+  if (type === 'percent' && value <= -100) throw new Error('Valor del cambio inválido: el porcentaje debe ser mayor a -100');
+
+  const step = rounding?.step != null ? Number(rounding.step) : 0.01;
+  const mode = rounding?.mode || 'nearest';
+  const ending = rounding?.ending != null && rounding.ending !== '' ? Number(rounding.ending) : null;
+  if (!(step >= 0.01) || !isCents(step)) throw new Error('Paso de redondeo inválido');
+  if (!ROUNDING_MODES.includes(mode)) throw new Error(`Modo de redondeo inválido (${mode})`);
+  if (ending != null && (!(ending >= 0) || ending >= step || !isCents(ending))) {
+    throw new Error('Terminación de redondeo inválida: debe ser menor al paso');
+  }
+
+  return {
+    filters: { categoria: categoria || null, marca: marca || null, supplierId: supplierId ? String(supplierId) : null, productIds: ids },
+    change: { type, value },
+    rounding: { step, mode, ending }
+  };
+};
+
+/**
+ * applyRounding(price, { step, mode, ending })
+ * En centavos para no arrastrar error de punto flotante.
+ * - sin ending: múltiplo de `step` (ej. step 10 -> 1230, 1240)
+ * - con ending: múltiplo de `step` + ending (ej. step 100, ending 99 -> 1199, 1299)
+ */
+const applyRounding = (price, { step = 0.01, mode = 'nearest', ending = null } = {}) => {
+  const cents = Math.round(Number(price) * 100);
+  const stepC = Math.round(step * 100);
+  const endC = ending != null ? Math.round(ending * 100) : 0;
+
+  const below = Math.floor((cents - endC) / stepC) * stepC + endC;
+  const above = below === cents ? below : below + stepC;
+  let out;
+  if (mode === 'up') out = above;
+  else if (mode === 'down') out = below;
+  else out = (cents - below) < (above - cents) ? below : above;
+
+  // nunca redondear a 0 o negativo
+  if (out <= 0) out = above > 0 ? above : stepC + endC;
+  return out / 100;
+};
+
+const computePrice = (price, change, rounding) => {
+  const raw = change.type === 'percent'
+    ? Number(price) * (1 + change.value / 100)
+    : Number(price) + change.value;
+  if (!(raw > 0)) return null;
+  return applyRounding(raw, rounding);
+};
+
+/**
+ * selectProducts(filters)
+ * Productos que cumplen todos los filtros indicados.
+ */
+const selectProducts = async ({ categoria, marca, supplierId, productIds }) => {
+  let products = await productosService.listarProductos({ categoria: categoria || undefined, marca: marca || undefined });
+
+  if (supplierId) {
+    const supplier = await suppliersService.getSupplierById(supplierId);
+    if (!supplier) throw new Error('Proveedor no encontrado');
+    const supplied = new Set(supplier.products.map(p => p.productRef));
+    products = products.filter(p => supplied.has(p.id));
+  }
+  if (productIds.length) {
+    const wanted = new Set(productIds);
+    products = products.filter(p => wanted.has(p.id) || (p.oldId != null && wanted.has(String(p.oldId))));
+  }
+  return products;
+};
+
+/**
+ * buildPreview(params)
+ * -> { filters, change, rounding, summary: { matched, changed, skipped }, items }
+ */
+const buildPreview = async (params) => {
+  const parsed = parseParams(params);
+  const products = await selectProducts(parsed.filters);
+
+  const items = products.map(p => {
+    const base = {
+      productId: p.id,
+      nombre: p.nombre,
+      marca: p.marca ?? null,
+      categoria: p.categoria ?? null,
+      previous_price: p.precio
+    };
+    if (p.precio == null) return { ...base, new_price: null, skipped: 'Sin precio' };
+    const next = computePrice(p.precio, parsed.change, parsed.rounding);
+    if (next == null) return { ...base, new_price: null, skipped: 'El precio resultante no es positivo' };
+    if (next === Number(p.precio)) return { ...base, new_price: next, skipped: 'Sin cambio' };
+    return {
+      ...base,
+      new_price: next,
+      diff: round2(next - p.precio),
+      diff_percent: p.precio > 0 ? round2(((next - p.precio) / p.precio) * 100) : null
+    };
+  });
+
+  const changed = items.filter(it => !it.skipped);
+  return {
+    ...parsed,
+    summary: { matched: items.length, changed: changed.length, skipped: items.length - changed.length },
+    items
+  };
+};
+
+/* ---------- API ---------- */
+
+/**
+ * previewRepricing(params)
+ * params: { categoria?, marca?, supplierId?, productIds?, change: { type, value }, rounding?: { step, mode, ending } }
+ */
+const previewRepricing = async (params = {}) => buildPreview(params);
+
+/**
+ * applyRepricing(params, { notes, user })
+ * Mismo cálculo que el preview. Si un precio cambió entre el cálculo y la escritura se aborta todo.
+ */
+const applyRepricing = async (params = {}, { notes = null, user = null } = {}) => {
+  await ensureMongoReady();
+
+  const preview = await buildPreview(params);
+  const changes = preview.items.filter(it => !it.skipped);
+  if (changes.length === 0) throw new Error('No hay precios para cambiar con esos filtros');
+
+  const products = mongoose.connection.collection('products');
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const batchId = new mongoose.Types.ObjectId();
+    const now = new Date();
+
+    for (const it of changes) {
+      const res = await products.updateOne(
+        { _id: new mongoose.Types.ObjectId(it.productId), precio: it.previous_price },
+        { $set: { precio: it.new_price, updated_at: now } },
+        { session }
+      );
+      if (!res.matchedCount) throw new Error(`El precio de ${it.nombre} cambió durante la remarcación, volver a intentar`);
+    }
+
+    await PriceBatchModel.create([{
+      _id: batchId,
+      filters: {
+        categoria: preview.filters.categoria,
+        marca: preview.filters.marca,
+        supplierRef: preview.filters.supplierId ? new mongoose.Types.ObjectId(preview.filters.supplierId) : null,
+        productIds: preview.filters.productIds
+      },
+      change: preview.change,
+      rounding: preview.rounding,
+      items: changes.map(it => ({
+        productRef: new mongoose.Types.ObjectId(it.productId),
+        nombre: it.nombre,
+        previous_price: it.previous_price,
+        new_price: it.new_price
+      })),
+      notes: notes ? String(notes).trim() : null,
+      user: user != null ? String(user) : null,
+      created_at: now
+    }], { session });
+
+    await priceHistoryService.recordPriceChanges(
+      changes.map(it => ({ productRef: it.productId, previousPrice: it.previous_price, newPrice: it.new_price })),
+      { source: 'bulk', batchRef: batchId, user, session }
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    const saved = await PriceBatchModel.findById(batchId).lean().exec();
+    return { ...normalizeBatch(saved), summary: preview.summary };
+  } catch (err) {
+    if (session.inTransaction()) await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+};
+
+/**
+ * undoLastBatch({ user })
+ * Revierte el último lote aplicado. Un producto cuyo precio ya no es el que dejó el lote
+ * (se editó después) no se toca y queda listado en `undo_skipped`.
+ */
+const undoLastBatch = async ({ user = null } = {}) => {
+  await ensureMongoReady();
+
+  const products = mongoose.connection.collection('products');
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const batch = await PriceBatchModel.findOne({ status: 'applied' }).sort({ created_at: -1, _id: -1 }).session(session).exec();
+    if (!batch) throw new Error('No hay remarcaciones para deshacer');
+
+    const reverted = [];
+    const skipped = [];
+    const now = new Date();
+    for (const it of batch.items) {
+      const res = await products.updateOne(
+        { _id: it.productRef, precio: it.new_price },
+        { $set: { precio: it.previous_price, updated_at: now } },
+        { session }
+      );
+      if (res.matchedCount) reverted.push(it);
+      else skipped.push(String(it.productRef));
+    }
+
+    await priceHistoryService.recordPriceChanges(
+      reverted.map(it => ({ productRef: it.productRef, previousPrice: it.new_price, newPrice: it.previous_price })),
+      { source: 'bulk_undo', batchRef: batch._id, user, session }
+    );
+
+    batch.status = 'undone';
+    batch.undone_at = now;
+    batch.undone_by = user != null ? String(user) : null;
+    batch.undo_skipped = skipped;
+    await batch.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return { ...normalizeBatch(batch.toObject()), reverted: reverted.length };
+  } catch (err) {
+    if (session.inTransaction()) await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+};
+
+/**
+ * listBatches({ limit, offset })
+ * Lotes más recientes primero, sin el detalle de items.
+ */
+const listBatches = async ({ limit = 50, offset = 0 } = {}) => {
+  await ensureMongoReady();
+  const docs = await PriceBatchModel.find({})
+    .sort({ created_at: -1, _id: -1 })
+    .skip(Number(offset) || 0)
+    .limit(Number(limit) || 50)
+    .lean()
+    .exec();
+  return docs.map(d => normalizeBatch(d, { withItems: false }));
+};
+
+const getBatchById = async (id) => {
+  await ensureMongoReady();
+  if (!id || !isObjectId(String(id))) return null;
+  const doc = await PriceBatchModel.findById(String(id)).lean().exec();
+  return normalizeBatch(doc);
+};
+
+module.exports = {
+  init,
+  CHANGE_TYPES,
+  ROUNDING_MODES,
+  applyRounding,
+  previewRepricing,
+  applyRepricing,
+  undoLastBatch,
+  listBatches,
+  getBatchById
+};
@@ -0,0 +1,237 @@
+// services/returnsService.js
+const { connectMongo, mongoose } = require('../config/mongo');
+const salesService = require('./salesService');
+const stockMovementsService = require('./stockMovementsService');
+const cashRegisterService = require('./cashRegisterService');
+
+let ReturnModel = null;
+let mongoReady = false;
+
+const { Schema } = mongoose;
+
+/* ---------- Schema ---------- */
+const ReturnItemSchema = new Schema({
+  line: { type: Number, required: true }, // índice del item en sale.items
+  productRef: { type: Schema.Types.ObjectId, ref: 'Product', default: null },
+  oldProductId: { type: Schema.Types.Mixed, default: null },
+  serviceRef: { type: Schema.Types.ObjectId, ref: 'Service', default: null },
+  oldServiceId: { type: Schema.Types.Mixed, default: null },
+
+  qty: { type: Number, required: true },
+  unit_price: { type: Number, default: 0 },
+  unit_cost: { type: Number, default: 0 },
+  line_total: { type: Number, default: 0 },
+  restock: { type: Boolean, default: true },
+  condition: { type: String, enum: ['resellable', 'damaged'], default: 'resellable' },
+}, { _id: false });
+
+const ReturnSchema = new Schema({
+  saleRef: { type: Schema.Types.ObjectId, ref: 'Sale', default: null },
+  oldSaleId: { type: Schema.Types.Mixed, default: null },
+  customerRef: { type: Schema.Types.ObjectId, ref: 'Customer', default: null },
+  oldCustomerId: { type: Schema.Types.Mixed, default: null },
+
+  items: { type: [ReturnItemSchema], default: [] },
+  refund_amount: { type: Number, default: 0 },
+  credit_applied: { type: Number, default: 0 }, // parte que redujo outstanding_amount
+  cash_refund: { type: Number, default: 0 },    // parte devuelta al cliente
+  reason: { type: String, default: null },
+  user: { type: String, default: null },
+  cash_session_ref: { type: Schema.Types.ObjectId, ref: 'CashSession', default: null },
+
+  created_at: { type: Date, default: Date.now },
+}, {
+  versionKey: false
+});
+
+ReturnSchema.set('toJSON', {
+  transform(doc, ret) {
+    ret.id = ret.id || (ret._id ? String(ret._id) : null);
+    delete ret._id;
+    return ret;
+  }
+});
+
+/* ---------- init ---------- */
+const init = async () => {
+  await connectMongo();
+  mongoReady = true;
+  ReturnModel = mongoose.models.Return || mongoose.model('Return', ReturnSchema);
+
+  try {
+    await ReturnModel.collection.createIndex({ saleRef: 1 });
+    await ReturnModel.collection.createIndex({ oldSaleId: 1 });
+    await ReturnModel.collection.createIndex({ created_at: -1 });
+    console.log('[returnsService] índices creados/verificados');
+  } catch (err) {
+    console.warn('[returnsService] fallo creando índices (quizá ya existían):', err.message || err);
+  }
+};
+
+/* ---------- Helpers ---------- */
+const isObjectId = v => typeof v === 'string' && mongoose.Types.ObjectId.isValid(v);
+
+const ensureMongoReady = async () => {
+  if (!mongoReady || !ReturnModel) {
+    console.log('🔄 Auto-inicializando returnsService...');
+    await init();
+  }
+};
+
+const normalize = (doc) => {
+  if (!doc) return null;
+  return {
+    id: doc.id || (doc._id ? String(doc._id) : null),
+    saleRef: doc.saleRef ? String(doc.saleRef) : null,
+    oldSaleId: doc.oldSaleId ?? null,
+    customerRef: doc.customerRef ? String(doc.customerRef) : null,
+    oldCustomerId: doc.oldCustomerId ?? null,
+    items: (doc.items || []).map(it => ({
+      line: it.line,
+      productRef: it.productRef ? String(it.productRef) : null,
+      oldProductId: it.oldProductId ?? null,
+      serviceRef: it.serviceRef ? String(it.serviceRef) : null,
+      oldServiceId: it.oldServiceId ?? null,
+      qty: Number(it.qty || 0),
+      unit_price: Number(it.unit_price || 0),
+      unit_cost: Number(it.unit_cost || 0),
+      line_total: Number(it.line_total || 0),
+      restock: !!it.restock,
+      condition: it.condition || 'resellable'
+    })),
+    refund_amount: Number(doc.refund_amount || 0),
+    credit_applied: Number(doc.credit_applied || 0),
+    cash_refund: Number(doc.cash_refund || 0),
+    reason: doc.reason || null,
+    user: doc.user || null,
+    cash_session_ref: doc.cash_session_ref ? String(doc.cash_session_ref) : null,
+    created_at: doc.created_at || doc.createdAt || null
+  };
+};
+
+const saleFilter = (saleId) => {
+  if (typeof saleId === 'string' && isObjectId(saleId)) return { saleRef: new mongoose.Types.ObjectId(saleId) };
+  if (!isNaN(Number(saleId))) return { oldSaleId: Number(saleId) };
+  return { saleRef: saleId };
+};
+
+/* ---------- createReturn ---------- */
+/**
+ * createReturn({ saleId, items: [{ line, qty, restock?, condition? }], reason?, user?, register? })
+ * - condition 'damaged' implica restock=false (no vuelve al stock)
+ * - la venta se actualiza vía salesService.applySaleReturn dentro de la misma transacción
+ * - el reintegro en efectivo sale de la caja abierta de `register`
+ */
+const createReturn = async ({ saleId, items = [], reason = null, user = null, register = null } = {}) => {
+  await ensureMongoReady();
+
+  if (!saleId) throw new Error('saleId requerido');
+  if (!Array.isArray(items) || items.length === 0) throw new Error('No hay items para devolver');
+
+  const requested = items.map(it => {
+    const condition = it.condition === 'damaged' ? 'damaged' : 'resellable';
+    const restock = condition === 'damaged' ? false : (it.restock !== false);
+    return { line: it.line, qty: it.qty, restock, condition };
+  });
+
+  const cashSession = await cashRegisterService.getOpenSession(register || undefined);
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const applied = await salesService.applySaleReturn(saleId, requested, { session });
+    const sale = applied.sale;
+
+    const returnItems = applied.lines.map((ln, i) => ({
+      ...ln,
+      restock: requested[i].restock,
+      condition: requested[i].condition
+    }));
+
+    const docs = await ReturnModel.create([{
+      saleRef: sale._id || null,
+      oldSaleId: sale.oldId ?? null,
+      customerRef: sale.customerRef || null,
+      oldCustomerId: sale.oldCustomerId ?? null,
+      items: returnItems,
+      refund_amount: applied.refund_amount,
+      credit_applied: applied.credit_applied,
+      cash_refund: applied.cash_refund,
+      reason: reason ? String(reason).trim() : null,
+      user: user != null ? String(user) : null,
+      cash_session_ref: cashSession ? new mongoose.Types.ObjectId(cashSession.id) : null
+    }], { session });
+
+    // reingresar stock de los items en condiciones (kardex, a los lotes de los que salieron)
+    for (const it of returnItems) {
+      if (!it.restock) continue;
+      const productId = it.productRef ? String(it.productRef) : it.oldProductId;
+      if (productId == null) continue;
+      await stockMovementsService.applyStockChange({
+        productId,
+        delta: it.qty,
+        lots: it.lots || [],
+        type: 'return',
+        source: { kind: 'return', ref: docs[0]._id },
+        reason: reason ? String(reason).trim() : null,
+        user,
+        session
+      });
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return {
+      return: normalize(docs[0].toObject()),
+      sale: await salesService.getSaleById(String(sale._id))
+    };
+  } catch (err) {
+    if (session.inTransaction()) await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+};
+
+/* ---------- listReturns ---------- */
+const listReturns = async ({ saleId = null, from, to, limit = 100, offset = 0 } = {}) => {
+  await ensureMongoReady();
+
+  const filter = saleId ? saleFilter(saleId) : {};
+  if (from) {
+    const fromDate = new Date(from);
+    if (!isNaN(fromDate.getTime())) filter.created_at = { ...(filter.created_at || {}), $gte: fromDate };
+  }
+  if (to) {
+    const toDate = new Date(to);
+    if (!isNaN(toDate.getTime())) {
+      const toInclusive = new Date(toDate.getTime()); toInclusive.setHours(23, 59, 59, 999);
+      filter.created_at = { ...(filter.created_at || {}), $lte: toInclusive };
+    }
+  }
+
+  const docs = await ReturnModel.find(filter)
+    .sort({ created_at: -1 })
+    .skip(Number(offset) || 0)
+    .limit(Number(limit) || 100)
+    .lean()
+    .exec();
+
+  return docs.map(normalize);
+};
+
+/* ---------- getReturnById ---------- */
+const getReturnById = async (id) => {
+  await ensureMongoReady();
+  if (!id || !isObjectId(String(id))) return null;
+
+  const doc = await ReturnModel.findById(String(id)).lean().exec();
+  return normalize(doc);
+};
+
+module.exports = {
+  init,
+  createReturn,
+  listReturns,
+  getReturnById
+};
@@ -2,6 +2,14 @@
 const { connectMongo, mongoose } = require('../config/mongo');
 const productosService = require('./productosService');
 const customersService = require('./customersService');
+const servicesService = require('./servicesService');
+const promotionsService = require('./promotionsService');
+const cashRegisterService = require('./cashRegisterService');
+const populateService = require('./populateService');
+const stockMovementsService = require('./stockMovementsService');
+const lotsService = require('./lotsService');
+const { PAYMENT_METHODS, isValidMethod, surchargePercent } = require('../config/paymentMethods');
+const { DEFAULT_IVA_RATE, computeTaxBreakdown } = require('../config/tax');
 
 const USE_SELL_PRICE_AS_COST = (process.env.USE_SELL_PRICE_AS_COST === 'true');
 
@@ -11,6 +19,50 @@ let mongoReady = false;
 const { Schema } = mongoose;
 
 /* ---------- Mongoose Schemas (inline) ---------- */
+const AppliedDiscountSchema = new Schema({
+  promotionRef: { type: Schema.Types.ObjectId, ref: 'Promotion', default: null },
+  nombre: { type: String, default: null },
+  amount: { type: Number, default: 0 },
+}, { _id: false });
+
+const TenderSchema = new Schema({
+  method: { type: String, default: null }, // ver config/paymentMethods
+  amount: { type: Number, default: 0 },    // aplicado a la venta (sin recargo)
+  tendered: { type: Number, default: 0 },  // entregado por el cliente (efectivo)
+  change: { type: Number, default: 0 },
+  surcharge: { type: Number, default: 0 },
+  surcharge_percent: { type: Number, default: 0 },
+  installments: { type: Number, default: null },
+  reference: { type: String, default: null }, // nro. de cupón, operación MP, etc.
+  cash_session_ref: { type: Schema.Types.ObjectId, ref: 'CashSession', default: null },
+  paid_at: { type: Date, default: Date.now },
+}, { _id: false });
+
+const TaxLineSchema = new Schema({
+  rate: { type: String, required: true }, // ver config/tax IVA_RATES
+  base: { type: Number, default: 0 },
+  amount: { type: Number, default: 0 },
+}, { _id: false });
+
+// comprobante emitido (ver invoicesService)
+const SaleInvoiceSchema = new Schema({
+  invoiceRef: { type: Schema.Types.ObjectId, ref: 'Invoice', default: null },
+  type: { type: String, default: null }, // A | B | C
+  point_of_sale: { type: Number, default: null },
+  number: { type: Number, default: null },
+  cae: { type: String, default: null },
+  cae_due: { type: Date, default: null },
+  issued_at: { type: Date, default: null },
+}, { _id: false });
+
+// lotes de los que salió la línea (FEFO, ver lotsService)
+const SaleLotSchema = new Schema({
+  lotRef: { type: Schema.Types.ObjectId, ref: 'Lot', default: null },
+  lot_number: { type: String, default: null },
+  expiry: { type: Date, default: null },
+  qty: { type: Number, default: 0 },
+}, { _id: false });
+
 const SaleItemSchema = new Schema({
   productRef: { type: Schema.Types.ObjectId, ref: 'Product', default: null },
   oldProductId: { type: Schema.Types.Mixed, default: null },
@@ -18,9 +70,15 @@ const SaleItemSchema = new Schema({
   oldServiceId: { type: Schema.Types.Mixed, default: null },
 
   qty: { type: Number, required: true },
+  unit: { type: String, default: 'unit' }, // 'kg': qty en kilos y unit_price por kilo
   unit_price: { type: Number, default: 0 },
   unit_cost: { type: Number, default: 0 },
-  line_total: { type: Number, default: 0 },
+  discount: { type: Number, default: 0 },
+  promotions: { type: [AppliedDiscountSchema], default: [] },
+  line_total: { type: Number, default: 0 }, // neto: unit_price * qty - discount
+  iva_rate: { type: String, default: null }, // alícuota al momento de la venta (config/tax)
+  returned_qty: { type: Number, default: 0 },
+  lots: { type: [SaleLotSchema], default: [] },
   created_at: { type: Date, default: Date.now },
 }, { _id: false });
 
@@ -30,13 +88,33 @@ const SaleSchema = new Schema({
   customerRef: { type: Schema.Types.ObjectId, ref: 'Customer', default: null },
   oldCustomerId: { type: Schema.Types.Mixed, default: null },
 
+  subtotal: { type: Number, default: 0 },       // bruto, antes de descuentos
+  discount_total: { type: Number, default: 0 }, // descuentos por línea + por venta
+  discounts: { type: [AppliedDiscountSchema], default: [] }, // descuentos a nivel venta
+  tenders: { type: [TenderSchema], default: [] },
+  surcharge_total: { type: Number, default: 0 },
+  change_amount: { type: Number, default: 0 },
   total: { type: Number, default: 0 },
   total_items: { type: Number, default: 0 },
   paid_amount: { type: Number, default: 0 },
   outstanding_amount: { type: Number, default: 0 },
   on_credit: { type: Boolean, default: false },
+  cash_session_ref: { type: Schema.Types.ObjectId, ref: 'CashSession', default: null },
+  returned_amount: { type: Number, default: 0 },
   status: { type: String, default: 'pending' },
 
+  // IVA contenido en el total (los precios son finales)
+  net_amount: { type: Number, default: 0 },
+  iva_total: { type: Number, default: 0 },
+  exempt_amount: { type: Number, default: 0 },
+  tax_breakdown: { type: [TaxLineSchema], default: [] },
+  invoice: { type: SaleInvoiceSchema, default: null },
+
+  // anulación
+  voided_at: { type: Date, default: null },
+  void_reason: { type: String, default: null },
+  voided_by: { type: String, default: null },
+
   created_at: { type: Date, default: Date.now },
   updated_at: { type: Date, default: Date.now },
 }, {
@@ -66,6 +144,10 @@ const init = async () => {
       await SaleModel.collection.createIndex({ customerRef: 1 });
       await SaleModel.collection.createIndex({ oldCustomerId: 1 });
       await SaleModel.collection.createIndex({ created_at: -1 });
+      await SaleModel.collection.createIndex({ status: 1, created_at: -1 });
+      await SaleModel.collection.createIndex({ total: -1, _id: -1 });
+      await SaleModel.collection.createIndex({ cash_session_ref: 1 });
+      await SaleModel.collection.createIndex({ 'tenders.cash_session_ref': 1 });
       console.log('[salesService] índices creados/verificados');
     } catch (err) {
       console.warn('[salesService] fallo creando índices (quizá ya existían):', err.message || err);
@@ -86,53 +168,180 @@ const ensureMongoReady = async () => {
   }
 };
 
+// documento (no lean) de la venta dentro de la sesión, por _id u oldId
+const findSaleDocForUpdate = async (saleId, session) => {
+  let saleDoc = null;
+  if (isObjectId(String(saleId))) {
+    saleDoc = await SaleModel.findById(String(saleId)).session(session).exec();
+  }
+  if (!saleDoc && !isNaN(Number(saleId))) {
+    saleDoc = await SaleModel.findOne({ oldId: Number(saleId) }).session(session).exec();
+  }
+  return saleDoc;
+};
+
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+
+/**
+ * applyTenders(tenders, amountDue, paidAt)
+ * Reparte los medios de pago sobre lo adeudado:
+ * - los medios sin vuelto se aplican por su monto exacto y no pueden superar el saldo
+ * - el efectivo se aplica al final; lo entregado de más vuelve como vuelto
+ * - el recargo de cada medio se calcula sobre el monto aplicado
+ */
+const applyTenders = (tenders = [], amountDue = 0, paidAt = new Date()) => {
+  const ordered = [
+    ...tenders.filter(t => !(PAYMENT_METHODS[t.method] || {}).gives_change),
+    ...tenders.filter(t => (PAYMENT_METHODS[t.method] || {}).gives_change)
+  ];
+
+  let remaining = round2(amountDue);
+  let change = 0;
+  let surchargeTotal = 0;
+  const out = [];
+
+  for (const t of ordered) {
+    const method = t.method;
+    if (!isValidMethod(method)) throw new Error(`Medio de pago inválido (${method})`);
+    const cfg = PAYMENT_METHODS[method];
+
+    const tendered = Number(t.amount);
+    if (!Number.isFinite(tendered) || tendered <= 0) throw new Error(`Monto inválido para medio de pago ${method}`);
+
+    let applied = tendered;
+    if (cfg.gives_change) {
+      applied = Math.min(tendered, remaining);
+    } else if (tendered > remaining + 0.005) {
+      throw new Error(`El pago con ${cfg.label} supera el saldo`);
+    }
+
+    const installments = cfg.installments ? Math.max(1, parseInt(t.installments || 1, 10) || 1) : null;
+    const pct = surchargePercent(method, installments);
+    const surcharge = round2(applied * pct / 100);
+
+    remaining = round2(remaining - applied);
+    change = round2(change + (tendered - applied));
+    surchargeTotal = round2(surchargeTotal + surcharge);
+
+    out.push({
+      method,
+      amount: round2(applied),
+      tendered: round2(tendered),
+      change: round2(tendered - applied),
+      surcharge,
+      surcharge_percent: pct,
+      installments,
+      reference: t.reference ? String(t.reference) : null,
+      paid_at: paidAt
+    });
+  }
+
+  return {
+    tenders: out,
+    paid: round2(amountDue - remaining),
+    change,
+    surcharge_total: surchargeTotal
+  };
+};
+
+// cobro sin medio de pago informado
+const unspecifiedTender = (amount, cashSessionRef = null, reference = null) => ({
+  method: null,
+  amount: round2(amount),
+  tendered: round2(amount),
+  change: 0,
+  surcharge: 0,
+  surcharge_percent: 0,
+  installments: null,
+  reference: reference ? String(reference) : null,
+  cash_session_ref: cashSessionRef,
+  paid_at: new Date()
+});
+
 /* ---------- normalizeSale (mongo) ---------- */
-/* ---------- normalizeSale (mongo) ---------- */
-/* ---------- normalizeSale (mongo) ---------- */
-const normalizeSale = async (doc) => {
+// refs de productos/servicios/cliente de una venta (ver populateService)
+const collectSaleRefs = (doc, collector) => {
+  for (const it of (doc.items || [])) {
+    populateService.addKey(collector.products, populateService.refKey(it.productRef, it.oldProductId));
+    populateService.addKey(collector.services, populateService.refKey(it.serviceRef, it.oldServiceId));
+  }
+  // se prioriza el id legacy del cliente, como antes
+  populateService.addKey(collector.customers, doc.oldCustomerId != null ? String(doc.oldCustomerId) : populateService.refKey(doc.customerRef));
+  return collector;
+};
+
+/**
+ * normalizeSale(doc, refs?)
+ * refs: lookups ya cargados con populateService.loadRefs. Si no vienen se cargan sólo para esta venta.
+ */
+const normalizeSale = async (doc, refs = null) => {
   await ensureMongoReady();
   
   if (!doc) return null;
+
+  if (!refs) refs = await populateService.loadRefs(collectSaleRefs(doc, populateService.createCollector()));
   
   const sale = {
     id: doc.id || (doc._id ? String(doc._id) : (doc.oldId != null ? String(doc.oldId) : null)),
     items: [],
+    subtotal: doc.subtotal != null ? doc.subtotal : (doc.total || 0),
+    discount_total: doc.discount_total || 0,
+    discounts: (doc.discounts || []).map(d => ({
+      promotionRef: d.promotionRef ? String(d.promotionRef) : null,
+      nombre: d.nombre || null,
+      amount: Number(d.amount || 0)
+    })),
+    tenders: (doc.tenders || []).map(t => ({
+      method: t.method || null,
+      amount: Number(t.amount || 0),
+      tendered: Number(t.tendered || 0),
+      change: Number(t.change || 0),
+      surcharge: Number(t.surcharge || 0),
+      surcharge_percent: Number(t.surcharge_percent || 0),
+      installments: t.installments ?? null,
+      reference: t.reference || null,
+      cash_session_ref: t.cash_session_ref ? String(t.cash_session_ref) : null,
+      paid_at: t.paid_at || null
+    })),
+    surcharge_total: doc.surcharge_total || 0,
+    change_amount: doc.change_amount || 0,
     total: doc.total || 0,
     total_items: doc.total_items || 0,
     paid_amount: doc.paid_amount || 0,
     outstanding_amount: doc.outstanding_amount || 0,
     on_credit: !!doc.on_credit,
+    cash_session_ref: doc.cash_session_ref ? String(doc.cash_session_ref) : null,
+    returned_amount: doc.returned_amount || 0,
     status: doc.status || 'pending',
+    net_amount: doc.net_amount || 0,
+    iva_total: doc.iva_total || 0,
+    exempt_amount: doc.exempt_amount || 0,
+    tax_breakdown: (doc.tax_breakdown || []).map(t => ({
+      rate: t.rate,
+      base: Number(t.base || 0),
+      amount: Number(t.amount || 0)
+    })),
+    invoice: doc.invoice && doc.invoice.type ? {
+      invoiceRef: doc.invoice.invoiceRef ? String(doc.invoice.invoiceRef) : null,
+      type: doc.invoice.type,
+      point_of_sale: doc.invoice.point_of_sale ?? null,
+      number: doc.invoice.number ?? null,
+      cae: doc.invoice.cae || null,
+      cae_due: doc.invoice.cae_due || null,
+      issued_at: doc.invoice.issued_at || null
+    } : null,
+    voided_at: doc.voided_at || null,
+    void_reason: doc.void_reason || null,
+    voided_by: doc.voided_by || null,
     created_at: doc.created_at || doc.createdAt || null,
     updated_at: doc.updated_at || doc.updatedAt || null,
     customer: null,
   };
 
-  // Procesar items y obtener información completa de productos
+  // Procesar items con la información de productos/servicios ya cargada
   for (const it of (doc.items || [])) {
-    let productInfo = null;
-    let serviceInfo = null;
-    
-    // Obtener información del producto si existe
-    if (it.productRef || it.oldProductId) {
-      try {
-        const productId = it.productRef ? String(it.productRef) : it.oldProductId;
-        productInfo = await productosService.obtenerProductoPorId(productId);
-      } catch (err) {
-        console.warn('[normalizeSale] Error obteniendo producto:', err.message);
-      }
-    }
-    
-    // Obtener información del servicio si existe
-    if (it.serviceRef || it.oldServiceId) {
-      try {
-        const serviceId = it.serviceRef ? String(it.serviceRef) : it.oldServiceId;
-        // Si tienes servicesService, descomenta:
-        // serviceInfo = await servicesService.getServiceById(serviceId);
-      } catch (err) {
-        console.warn('[normalizeSale] Error obteniendo servicio:', err.message);
-      }
-    }
+    const productInfo = refs.product(populateService.refKey(it.productRef, it.oldProductId));
+    const serviceInfo = refs.service(populateService.refKey(it.serviceRef, it.oldServiceId));
 
     // Verificar valores numéricos
     const unitPrice = Number(it.unit_price);
@@ -157,14 +366,30 @@ const normalizeSale = async (doc) => {
       service: serviceInfo ? {
         id: serviceInfo.id,
         nombre: serviceInfo.nombre || 'Servicio no encontrado',
+        descripcion: serviceInfo.descripcion || null,
         precio: serviceInfo.precio != null ? Number(serviceInfo.precio) : 0
       } : null,
       
       // Datos de la venta
       qty: it.qty || 0,
+      unit: it.unit || 'unit',
       unit_price: isNaN(unitPrice) ? 0 : unitPrice,
       unit_cost: isNaN(unitCost) ? 0 : unitCost,
+      discount: Number(it.discount || 0),
+      promotions: (it.promotions || []).map(d => ({
+        promotionRef: d.promotionRef ? String(d.promotionRef) : null,
+        nombre: d.nombre || null,
+        amount: Number(d.amount || 0)
+      })),
       line_total: isNaN(lineTotal) ? 0 : lineTotal,
+      returned_qty: Number(it.returned_qty || 0),
+      iva_rate: it.iva_rate || null,
+      lots: (it.lots || []).map(l => ({
+        lotRef: l.lotRef ? String(l.lotRef) : null,
+        lot_number: l.lot_number || null,
+        expiry: l.expiry ? new Date(l.expiry).toISOString().slice(0, 10) : null,
+        qty: Number(l.qty || 0)
+      })),
       created_at: it.created_at || it.createdAt || null,
       
       // Información para mostrar en el frontend
@@ -177,24 +402,34 @@ const normalizeSale = async (doc) => {
   }
 
   // populate customer if possible
-  try {
-    const cid = (doc.oldCustomerId != null) ? doc.oldCustomerId : (doc.customerRef ? String(doc.customerRef) : null);
-    if (cid) {
-      const c = await customersService.getCustomerById(cid);
-      sale.customer = c || null;
-    }
-  } catch (e) { 
-    console.warn('[normalizeSale] Error obteniendo cliente:', e.message);
-  }
+  const cid = (doc.oldCustomerId != null) ? String(doc.oldCustomerId) : populateService.refKey(doc.customerRef);
+  sale.customer = refs.customer(cid);
 
   return sale;
 };
 
+/**
+ * normalizeSales(docs)
+ * Una página de ventas: junta las refs de todas y las resuelve en lote.
+ */
+const normalizeSales = async (docs = []) => {
+  const collector = populateService.createCollector();
+  docs.forEach(d => collectSaleRefs(d, collector));
+  const refs = await populateService.loadRefs(collector);
+
+  const out = [];
+  for (const d of docs) out.push(await normalizeSale(d, refs));
+  return out;
+};
 
 /* ---------- createSale ---------- */
 /**
  * cart: [{ id, qty, precio?, type?: 'product'|'service' }]
- * options: { customerId, onCredit, paidAmount }
+ * options: { customerId, onCredit, paidAmount, paymentMethod, tenders, register }
+ * tenders: [{ method, amount, installments?, reference? }] — pago dividido en varios medios.
+ *   Si no vienen, paymentMethod (opcional) se toma como un único medio por lo pagado.
+ * Las promociones vigentes se aplican automáticamente (ver promotionsService.applyPromotions).
+ * La venta y sus cobros quedan asociados a la caja abierta de `register` (ver cashRegisterService).
  */
 const createSale = async (cart = [], options = {}) => {
   await ensureMongoReady();
@@ -204,113 +439,185 @@ const createSale = async (cart = [], options = {}) => {
   const {
     customerId = null,
     onCredit = false,
-    paidAmount = 0
+    paidAmount = 0,
+    paymentMethod = null,
+    tenders = null,
+    register = null,
+    user = null
   } = options;
 
+  const hasTenders = Array.isArray(tenders) && tenders.length > 0;
+  if (paymentMethod && !isValidMethod(paymentMethod)) throw new Error(`Medio de pago inválido (${paymentMethod})`);
+  const paymentMethods = hasTenders ? tenders.map(t => t.method) : (paymentMethod ? [paymentMethod] : []);
+
   const paid = Number(paidAmount) || 0;
   if (onCredit && paid < 0) throw new Error('Monto pagado no puede ser negativo');
 
+  if (customerId) {
+    const customer = await customersService.getCustomerById(customerId);
+    if (customer && customer.archived_at) throw new Error(`Cliente archivado: ${customer.nombre}`);
+  }
+
   // Validate & prepare lines using productosService (assumed migrated)
   const itemsToSave = [];
-  let total = 0;
+  let subtotal = 0;
   let totalItems = 0;
 
   for (const it of cart) {
     const qty = Number(it.qty || 0);
-    if (!Number.isFinite(qty) || qty <= 0) throw new Error(`Cantidad inválida para item id=${it.id}`);
+    // línea escaneada: { barcode, qty } en lugar de { id, qty }
+    const byBarcode = it.id == null && !!it.barcode;
+    const ref = byBarcode ? `código=${it.barcode}` : `id=${it.id}`;
+    if (!Number.isFinite(qty) || qty <= 0) throw new Error(`Cantidad inválida para item ${ref}`);
 
     const type = it.type || 'product';
     let product = null;
     let service = null;
 
     if (type === 'product') {
-      product = await productosService.obtenerProductoPorId(it.id);
-      if (!product) throw new Error(`Producto no encontrado (id=${it.id})`);
+      product = byBarcode
+        ? await productosService.obtenerProductoPorCodigo(it.barcode)
+        : await productosService.obtenerProductoPorId(it.id);
+      if (!product) throw new Error(`Producto no encontrado (${ref})`);
+      if (product.archived_at) throw new Error(`Producto archivado: ${product.nombre}`);
+      // por unidad sólo enteros; por peso hasta el gramo
+      if (!productosService.isValidQty(product.unit, qty)) throw new Error(`Cantidad inválida para item ${ref} (unidad: ${product.unit})`);
       const stock = product.stock == null ? null : Number(product.stock);
       if (stock != null && stock < qty) throw new Error(`Stock insuficiente para ${product.nombre || ('id='+product.id)}`);
     } else if (type === 'service') {
-      service = { id: it.id }; // si luego migrás services a Mongo, podés validar aquí
+      service = await servicesService.getServiceById(it.id);
+      if (!service) throw new Error(`Servicio no encontrado (id=${it.id})`);
+      if (service.archived_at) throw new Error(`Servicio archivado: ${service.nombre}`);
+    } else {
+      throw new Error(`Tipo de item inválido (${type})`);
     }
 
-    const unitPrice = (it.precio != null) ? Number(it.precio) : (product ? Number(product.precio || 0) : 0);
-    if (!Number.isFinite(unitPrice)) throw new Error(`Precio inválido para item id=${it.id}`);
+    const catalogPrice = product ? product.precio : service.precio;
+    const unitPrice = (it.precio != null) ? Number(it.precio) : Number(catalogPrice || 0);
+    if (!Number.isFinite(unitPrice)) throw new Error(`Precio inválido para item ${ref}`);
 
     const unitCost = product && (product.cost != null) ? Number(product.cost) : (USE_SELL_PRICE_AS_COST ? unitPrice : 0);
 
-    const line_total = unitPrice * qty;
     itemsToSave.push({
       type,
-      id: it.id,
+      id: byBarcode ? product.id : it.id,
       product,
       service,
       qty,
+      unit: product ? product.unit : 'unit',
       unitPrice,
       unitCost,
-      line_total
+      ivaRate: (product ? product.iva : service.iva) || DEFAULT_IVA_RATE
     });
 
-    total += line_total;
-    totalItems += qty;
+    subtotal += round2(unitPrice * qty);
+    // una línea por peso cuenta como un artículo
+    totalItems += product && product.unit === 'kg' ? 1 : qty;
   }
 
-  const outstanding = onCredit ? Math.max(0, total - paid) : 0;
-  const finalPaidAmount = onCredit ? Math.min(paid, total) : total;
+  const cashSession = await cashRegisterService.getOpenSession(register || undefined);
+  const cashSessionRef = cashSession ? new mongoose.Types.ObjectId(cashSession.id) : null;
+
+  const promo = await promotionsService.applyPromotions(itemsToSave, { paymentMethods });
+  itemsToSave.forEach((ln, i) => {
+    ln.discount = promo.lines[i].discount;
+    ln.promotions = promo.lines[i].promotions;
+    ln.line_total = round2(ln.unitPrice * ln.qty) - ln.discount;
+  });
+  const netTotal = subtotal - promo.discount_total;
+
+  let total = netTotal;
+  let outstanding = onCredit ? Math.max(0, netTotal - paid) : 0;
+  let finalPaidAmount = onCredit ? Math.min(paid, netTotal) : netTotal;
+  let tenderResult = { tenders: [], change: 0, surcharge_total: 0 };
+
+  const tenderInput = hasTenders
+    ? tenders
+    : (paymentMethod ? [{ method: paymentMethod, amount: onCredit ? paid : netTotal }].filter(t => t.amount > 0) : []);
+
+  if (tenderInput.length > 0) {
+    tenderResult = applyTenders(tenderInput, netTotal);
+    tenderResult.tenders.forEach(t => { t.cash_session_ref = cashSessionRef; });
+    if (!onCredit && tenderResult.paid < netTotal - 0.005) throw new Error('Pago insuficiente para el total de la venta');
+
+    // el recargo se suma al total y se cobra en el momento
+    total = round2(netTotal + tenderResult.surcharge_total);
+    finalPaidAmount = round2(tenderResult.paid + tenderResult.surcharge_total);
+    outstanding = onCredit ? round2(netTotal - tenderResult.paid) : 0;
+  } else if (finalPaidAmount > 0) {
+    // sin medio informado: igual queda registrado el cobro (la caja lo cuenta como efectivo)
+    tenderResult.tenders = [unspecifiedTender(finalPaidAmount, cashSessionRef)];
+  }
+
+  // IVA contenido: descuentos por venta y recargos se prorratean entre las líneas
+  const taxSummary = computeTaxBreakdown(
+    itemsToSave.map(ln => ({ iva_rate: ln.ivaRate, line_total: ln.line_total })),
+    total
+  );
+  const tax = {
+    net_amount: taxSummary.net_amount,
+    iva_total: taxSummary.iva_total,
+    exempt_amount: taxSummary.exempt_amount,
+    tax_breakdown: taxSummary.breakdown
+  };
 
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
+    const saleId = new mongoose.Types.ObjectId();
+
+    // descontar stock (kardex + lotes FEFO); ids legacy se resuelven por oldId dentro de la misma transacción
+    for (const ln of itemsToSave) {
+      if (ln.type === 'product' && ln.product && ln.product.id) {
+        const movement = await stockMovementsService.applyStockChange({
+          productId: ln.product.id,
+          delta: -ln.qty,
+          type: 'sale',
+          source: { kind: 'sale', ref: saleId },
+          user,
+          session
+        });
+        ln.lots = movement ? movement.lots : [];
+      }
+    }
+
     const saleDocArray = await SaleModel.create([{
+      _id: saleId,
       oldId: null,
       items: itemsToSave.map(it => ({
         productRef: (it.product && it.product.id && isObjectId(String(it.product.id))) ? new mongoose.Types.ObjectId(String(it.product.id)) : null, // ✅ CORREGIDO
         oldProductId: (it.product && it.product.id && !isObjectId(String(it.product.id))) ? it.product.id : null,
-        serviceRef: null,
-        oldServiceId: (it.service && it.service.id && !isObjectId(String(it.service.id))) ? it.service.id : null,
+        serviceRef: (it.service && it.service.id && isObjectId(String(it.service.id))) ? new mongoose.Types.ObjectId(String(it.service.id)) : null,
+        // se conserva el id numérico legado del servicio si lo tiene
+        oldServiceId: it.service ? (it.service.oldId ?? (it.service.id && !isObjectId(String(it.service.id)) ? it.service.id : null)) : null,
         qty: it.qty,
+        unit: it.unit,
         unit_price: it.unitPrice,
         unit_cost: it.unitCost,
-        line_total: it.line_total
+        discount: it.discount,
+        promotions: it.promotions,
+        line_total: it.line_total,
+        iva_rate: it.ivaRate,
+        lots: it.lots || []
       })),
       customerRef: (customerId && isObjectId(String(customerId))) ? new mongoose.Types.ObjectId(String(customerId)) : null, // ✅ CORREGIDO
       oldCustomerId: (customerId && !isObjectId(String(customerId))) ? customerId : null,
+      subtotal,
+      discount_total: promo.discount_total,
+      discounts: promo.sale_discounts,
+      tenders: tenderResult.tenders,
+      surcharge_total: tenderResult.surcharge_total,
+      change_amount: tenderResult.change,
       total,
       total_items: totalItems,
       paid_amount: finalPaidAmount,
       outstanding_amount: outstanding,
       on_credit: !!onCredit,
+      cash_session_ref: cashSessionRef,
+      ...tax,
       status: outstanding <= 0 ? 'paid' : (finalPaidAmount > 0 ? 'partially_paid' : 'pending')
     }], { session });
 
-    // update product stocks if applicable
-    for (const ln of itemsToSave) {
-      if (ln.type === 'product' && ln.product && ln.product.id) {
-        // if product.id looks like old numeric id, attempt productosService.actualizarProducto (productosService should handle oldId)
-        if (!isObjectId(String(ln.product.id))) {
-          try {
-            const current = await productosService.obtenerProductoPorId(ln.product.id);
-            const newStock = (current && current.stock != null) ? Math.max(0, Number(current.stock) - ln.qty) : null;
-            if (newStock != null) {
-              await productosService.actualizarProducto(ln.product.id, { stock: newStock });
-            }
-          } catch (e) {
-            // no abortamos por fallo de stock update externo
-            console.warn('[salesService] no se pudo actualizar stock mediante productosService:', e.message || e);
-          }
-        } else {
-          // mongo product id -> update collection directly in session
-          try {
-            await mongoose.connection.collection('products').updateOne(
-              { _id: new mongoose.Types.ObjectId(String(ln.product.id)), stock: { $ne: null } }, // ✅ CORREGIDO
-              { $inc: { stock: -ln.qty } },
-              { session }
-            );
-          } catch (e) {
-            console.warn('[salesService] fallo al decrementar stock en colección products:', e.message || e);
-          }
-        }
-      }
-    }
-
     await session.commitTransaction();
     session.endSession();
 
@@ -324,7 +631,7 @@ const createSale = async (cart = [], options = {}) => {
 };
 
 /* ---------- listSales ---------- */
-const listSales = async ({ from, to, limit = 100, offset = 0, customerId, creditOnly = false } = {}) => {
+const listSales = async ({ from, to, limit = 100, offset = 0, customerId, creditOnly = false, paymentMethod } = {}) => {
   await ensureMongoReady();
 
   const match = {};
@@ -347,6 +654,7 @@ const listSales = async ({ from, to, limit = 100, offset = 0, customerId, credit
   }
 
   if (creditOnly) match.on_credit = true;
+  if (paymentMethod) match['tenders.method'] = paymentMethod;
 
   const docs = await SaleModel.find(match)
     .sort({ created_at: -1 })
@@ -355,9 +663,171 @@ const listSales = async ({ from, to, limit = 100, offset = 0, customerId, credit
     .lean()
     .exec();
 
-  const out = [];
-  for (const d of docs) out.push(await normalizeSale(d));
-  return out;
+  return normalizeSales(docs);
+};
+
+/* ---------- querySales ---------- */
+const SALE_STATUSES = ['paid', 'partially_paid', 'pending', 'voided'];
+const SALE_SORTS = { created_at: 'created_at', total: 'total' };
+
+// cursor opaco: { v: valor del campo de orden, id: _id } en base64url
+const encodeCursor = (field, doc) => {
+  const v = doc[field] instanceof Date ? { d: doc[field].toISOString() } : doc[field];
+  return Buffer.from(JSON.stringify({ v, id: String(doc._id) })).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!parsed || !isObjectId(String(parsed.id))) throw new Error('id');
+    const v = parsed.v && typeof parsed.v === 'object' && parsed.v.d ? new Date(parsed.v.d) : parsed.v;
+    return { v, id: new mongoose.Types.ObjectId(String(parsed.id)) };
+  } catch (e) {
+    throw new Error('Cursor inválido');
+  }
+};
+
+const idsMatch = (refField, oldField, rows) => {
+  const refs = rows.filter(r => isObjectId(String(r.id))).map(r => new mongoose.Types.ObjectId(String(r.id)));
+  const olds = rows.filter(r => r.oldId != null).map(r => r.oldId);
+  return { $or: [{ [refField]: { $in: refs } }, { [oldField]: { $in: olds } }] };
+};
+
+/**
+ * querySales(params)
+ * Filtros: from, to, customerId, creditOnly, paymentMethod, status ('paid,pending' admite lista;
+ *   sin status quedan afuera las anuladas, incluirlas con 'voided'),
+ *   productId, serviceId, categoria, minTotal, maxTotal, customer (texto sobre el nombre del cliente)
+ * Orden: sort = 'created_at' | '-created_at' (default) | 'total' | '-total'
+ * Paginación por cursor (estable ante inserciones): limit + cursor (nextCursor de la página anterior).
+ * Devuelve { data, total, nextCursor, sums } — total y sums son sobre todo el conjunto filtrado.
+ */
+const querySales = async ({
+  from, to, customerId, creditOnly = false, paymentMethod, status, productId, serviceId,
+  categoria, minTotal, maxTotal, customer, sort = '-created_at', limit = 50, cursor = null
+} = {}) => {
+  await ensureMongoReady();
+
+  const and = [];
+  const dateMatch = {};
+  if (from) {
+    const fromDate = new Date(from);
+    if (!isNaN(fromDate.getTime())) dateMatch.$gte = fromDate;
+  }
+  if (to) {
+    const toDate = new Date(to);
+    if (!isNaN(toDate.getTime())) {
+      const toInclusive = new Date(toDate.getTime()); toInclusive.setHours(23, 59, 59, 999);
+      dateMatch.$lte = toInclusive;
+    }
+  }
+  if (Object.keys(dateMatch).length) and.push({ created_at: dateMatch });
+
+  if (customerId) {
+    if (typeof customerId === 'string' && isObjectId(customerId)) and.push({ customerRef: new mongoose.Types.ObjectId(customerId) });
+    else if (!isNaN(Number(customerId))) and.push({ oldCustomerId: Number(customerId) });
+    else and.push({ customerRef: customerId });
+  }
+
+  if (creditOnly) and.push({ on_credit: true });
+  if (paymentMethod) and.push({ 'tenders.method': paymentMethod });
+
+  if (status) {
+    const statuses = String(status).split(',').map(x => x.trim()).filter(Boolean);
+    const invalid = statuses.find(x => !SALE_STATUSES.includes(x));
+    if (invalid) throw new Error(`Estado de venta inválido (${invalid})`);
+    and.push({ status: { $in: statuses } });
+  } else {
+    // como los reportes: las anuladas conservan su total, sólo se listan pidiéndolas en status
+    and.push({ status: { $ne: 'voided' } });
+  }
+
+  // se resuelve el producto/servicio para matchear tanto por _id como por id legacy
+  if (productId) {
+    const product = await productosService.obtenerProductoPorId(productId);
+    and.push(idsMatch('items.productRef', 'items.oldProductId', product ? [product] : []));
+  }
+  if (serviceId) {
+    const service = await servicesService.getServiceById(serviceId);
+    and.push(idsMatch('items.serviceRef', 'items.oldServiceId', service ? [service] : []));
+  }
+
+  if (categoria) {
+    const products = await productosService.listarProductos({ categoria, includeArchived: true });
+    and.push(idsMatch('items.productRef', 'items.oldProductId', products));
+  }
+
+  const min = minTotal != null && minTotal !== '' ? Number(minTotal) : null;
+  const max = maxTotal != null && maxTotal !== '' ? Number(maxTotal) : null;
+  if (min != null && !Number.isFinite(min)) throw new Error('minTotal inválido');
+  if (max != null && !Number.isFinite(max)) throw new Error('maxTotal inválido');
+  if (min != null || max != null) {
+    and.push({ total: { ...(min != null ? { $gte: min } : {}), ...(max != null ? { $lte: max } : {}) } });
+  }
+
+  if (customer && String(customer).trim()) {
+    // búsqueda por nombre/email/teléfono en clientes, después se filtran sus ventas
+    const customers = await customersService.findCustomerIds(String(customer), { includeArchived: true });
+    and.push(idsMatch('customerRef', 'oldCustomerId', customers));
+  }
+
+  const desc = String(sort).startsWith('-');
+  const field = SALE_SORTS[String(sort).replace(/^-/, '')];
+  if (!field) throw new Error(`Orden inválido (${sort})`);
+  const dir = desc ? -1 : 1;
+
+  const match = and.length ? { $and: and } : {};
+  const pageSize = Math.min(Math.max(Number(limit) || 50, 1), 200);
+
+  // el cursor sólo afecta la página, no el total ni las sumas
+  const pageMatch = { ...match };
+  if (cursor) {
+    const c = decodeCursor(cursor);
+    const cmp = desc ? '$lt' : '$gt';
+    pageMatch.$and = [...(match.$and || []), {
+      $or: [
+        { [field]: { [cmp]: c.v } },
+        { [field]: c.v, _id: { [cmp]: c.id } }
+      ]
+    }];
+  }
+
+  const [docs, total, sumsAgg] = await Promise.all([
+    SaleModel.find(pageMatch).sort({ [field]: dir, _id: dir }).limit(pageSize + 1).lean().exec(),
+    SaleModel.countDocuments(match).exec(),
+    SaleModel.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: { $ifNull: ['$total', 0] } },
+          paid_amount: { $sum: { $ifNull: ['$paid_amount', 0] } },
+          outstanding_amount: { $sum: { $ifNull: ['$outstanding_amount', 0] } },
+          discount_total: { $sum: { $ifNull: ['$discount_total', 0] } },
+          returned_amount: { $sum: { $ifNull: ['$returned_amount', 0] } },
+          total_items: { $sum: { $ifNull: ['$total_items', 0] } }
+        }
+      }
+    ]).exec()
+  ]);
+
+  const hasMore = docs.length > pageSize;
+  const page = hasMore ? docs.slice(0, pageSize) : docs;
+  const s = sumsAgg[0] || {};
+
+  return {
+    data: await normalizeSales(page),
+    total,
+    nextCursor: hasMore ? encodeCursor(field, page[page.length - 1]) : null,
+    sums: {
+      total: round2(s.total || 0),
+      paid_amount: round2(s.paid_amount || 0),
+      outstanding_amount: round2(s.outstanding_amount || 0),
+      discount_total: round2(s.discount_total || 0),
+      returned_amount: round2(s.returned_amount || 0),
+      total_items: Number(s.total_items || 0)
+    }
+  };
 };
 
 /* ---------- getSaleById ---------- */
@@ -379,26 +849,42 @@ const getSaleById = async (id) => {
 };
 
 /* ---------- updateSalePayment ---------- */
-const updateSalePayment = async (saleId, paidAmount) => {
+/**
+ * updateSalePayment(saleId, paidAmount, { method, installments, reference, cashSessionRef })
+ * Registra un pago sobre una venta a crédito como un tender más de la venta;
+ * si el medio tiene recargo, se suma al total y a lo pagado.
+ */
+const updateSalePayment = async (saleId, paidAmount, { method = null, installments = null, reference = null, cashSessionRef = null } = {}) => {
   await ensureMongoReady();
   
   const amt = Number(paidAmount);
   if (!Number.isFinite(amt) || amt <= 0) throw new Error('amount inválido');
+  if (method && !isValidMethod(method)) throw new Error(`Medio de pago inválido (${method})`);
 
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
-    let saleDoc = null;
-    if (isObjectId(String(saleId))) {
-      saleDoc = await SaleModel.findById(String(saleId)).session(session).exec();
-    }
-    if (!saleDoc && !isNaN(Number(saleId))) {
-      saleDoc = await SaleModel.findOne({ oldId: Number(saleId) }).session(session).exec();
-    }
+    const saleDoc = await findSaleDocForUpdate(saleId, session);
     if (!saleDoc) throw new Error('Venta no encontrada');
+    if (saleDoc.status === 'voided') throw new Error('La venta está anulada');
     if (!saleDoc.on_credit) throw new Error('Esta venta no es a crédito');
 
-    saleDoc.paid_amount = (saleDoc.paid_amount || 0) + amt;
+    const sessionRef = cashSessionRef ? new mongoose.Types.ObjectId(String(cashSessionRef)) : null;
+    let tender = null;
+    if (method) {
+      tender = applyTenders([{ method, amount: amt, installments, reference }], amt).tenders[0];
+      tender.cash_session_ref = sessionRef;
+    } else {
+      tender = unspecifiedTender(amt, sessionRef, reference);
+    }
+    const surcharge = tender.surcharge;
+    saleDoc.tenders.push(tender);
+    if (surcharge > 0) {
+      saleDoc.surcharge_total = round2((saleDoc.surcharge_total || 0) + surcharge);
+      saleDoc.total = round2((saleDoc.total || 0) + surcharge);
+    }
+
+    saleDoc.paid_amount = (saleDoc.paid_amount || 0) + amt + surcharge;
     saleDoc.outstanding_amount = Math.max(0, (saleDoc.outstanding_amount || saleDoc.total || 0) - amt);
     saleDoc.status = saleDoc.outstanding_amount <= 0 ? 'paid' : 'partially_paid';
 
@@ -414,6 +900,189 @@ const updateSalePayment = async (saleId, paidAmount) => {
   }
 };
 
+/* ---------- voidSale ---------- */
+/**
+ * voidSale(saleId, { reason, user })
+ * - marca la venta como 'voided' (no se borra, queda para auditoría)
+ * - devuelve al stock lo que createSale descontó (movimiento 'sale_void' en el kardex)
+ * - revierte los pagos registrados contra la venta
+ */
+const voidSale = async (saleId, { reason, user = null } = {}) => {
+  await ensureMongoReady();
+
+  if (!reason || String(reason).trim() === '') throw new Error('Motivo de anulación requerido');
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const saleDoc = await findSaleDocForUpdate(saleId, session);
+    if (!saleDoc) throw new Error('Venta no encontrada');
+    if (saleDoc.status === 'voided') throw new Error('La venta ya fue anulada');
+    if ((saleDoc.returned_amount || 0) > 0) throw new Error('La venta tiene devoluciones registradas');
+    if (saleDoc.invoice && saleDoc.invoice.cae) throw new Error('La venta tiene factura emitida (requiere nota de crédito)');
+
+    const now = new Date();
+
+    // restaurar stock (mismo criterio que createSale, en sentido inverso)
+    for (const it of (saleDoc.items || [])) {
+      const qty = Number(it.qty || 0);
+      if (qty <= 0) continue;
+      const productId = it.productRef ? String(it.productRef) : it.oldProductId;
+      if (productId == null) continue;
+      await stockMovementsService.applyStockChange({
+        productId,
+        delta: qty,
+        lots: it.lots || [],
+        type: 'sale_void',
+        source: { kind: 'sale', ref: saleDoc._id },
+        reason: String(reason).trim(),
+        user,
+        session
+      });
+    }
+
+    // revertir pagos registrados contra la venta
+    const paymentsFilter = saleDoc.oldId != null
+      ? { $or: [{ saleRef: saleDoc._id }, { oldSaleId: saleDoc.oldId }] }
+      : { saleRef: saleDoc._id };
+    const reversed = await mongoose.connection.collection('payments').updateMany(
+      { ...paymentsFilter, reversed_at: null },
+      { $set: { reversed_at: now, reversal_reason: `Anulación de venta: ${String(reason).trim()}` } },
+      { session }
+    );
+
+    saleDoc.status = 'voided';
+    saleDoc.voided_at = now;
+    saleDoc.void_reason = String(reason).trim();
+    saleDoc.voided_by = user != null ? String(user) : null;
+    saleDoc.paid_amount = 0;
+    saleDoc.outstanding_amount = 0;
+
+    await saleDoc.save({ session });
+    await session.commitTransaction();
+    session.endSession();
+
+    return {
+      ok: true,
+      reversed_payments: reversed?.modifiedCount || 0,
+      sale: await getSaleById(saleDoc._id)
+    };
+  } catch (err) {
+    if (session.inTransaction()) await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+};
+
+/* ---------- setSaleInvoice ---------- */
+/**
+ * setSaleInvoice(saleId, invoice)
+ * Guarda en la venta el comprobante autorizado (lo llama invoicesService).
+ * invoice: { invoiceRef, type, point_of_sale, number, cae, cae_due }
+ */
+const setSaleInvoice = async (saleId, invoice) => {
+  await ensureMongoReady();
+
+  const saleDoc = await findSaleDocForUpdate(saleId);
+  if (!saleDoc) throw new Error('Venta no encontrada');
+
+  saleDoc.invoice = {
+    invoiceRef: invoice.invoiceRef ? new mongoose.Types.ObjectId(String(invoice.invoiceRef)) : null,
+    type: invoice.type,
+    point_of_sale: invoice.point_of_sale,
+    number: invoice.number,
+    cae: invoice.cae || null,
+    cae_due: invoice.cae_due || null,
+    issued_at: new Date()
+  };
+  await saleDoc.save();
+  return normalizeSale(saleDoc.toObject());
+};
+
+/* ---------- applySaleReturn ---------- */
+/**
+ * applySaleReturn(saleId, lines, { session })
+ * lines: [{ line, qty }] — line es el índice del item dentro de sale.items
+ * - valida que no se devuelva más de lo vendido (descontando devoluciones previas)
+ * - calcula el reintegro con el unit_price guardado
+ * - en ventas a crédito el reintegro baja primero outstanding_amount; el resto se devuelve en efectivo
+ * Debe llamarse dentro de la transacción del llamador (returnsService).
+ */
+const applySaleReturn = async (saleId, lines = [], { session } = {}) => {
+  await ensureMongoReady();
+
+  if (!Array.isArray(lines) || lines.length === 0) throw new Error('No hay items para devolver');
+
+  const saleDoc = await findSaleDocForUpdate(saleId, session);
+  if (!saleDoc) throw new Error('Venta no encontrada');
+  if (saleDoc.status === 'voided') throw new Error('La venta está anulada');
+
+  const applied = [];
+  let refund = 0;
+
+  const linesNet = (saleDoc.items || []).reduce((acc, it) => acc + Number(it.line_total || 0), 0);
+  const saleNet = Number(saleDoc.total || 0) - Number(saleDoc.surcharge_total || 0); // los recargos no se reintegran
+  const saleFactor = linesNet > 0 && saleDoc.total != null ? saleNet / linesNet : 1;
+
+  for (const ln of lines) {
+    const idx = Number(ln.line);
+    const item = Number.isInteger(idx) ? saleDoc.items[idx] : null;
+    if (!item) throw new Error(`Línea de venta inválida (line=${ln.line})`);
+
+    const qty = Number(ln.qty || 0);
+    if (!(qty > 0) || !productosService.isValidQty(item.unit || 'unit', qty)) throw new Error(`Cantidad inválida para line=${ln.line}`);
+
+    const available = Math.round((Number(item.qty || 0) - Number(item.returned_qty || 0)) * 1000) / 1000;
+    if (qty > available) throw new Error(`Cantidad a devolver supera lo vendido (line=${ln.line}, disponible=${available})`);
+
+    // precio efectivamente cobrado: neto de descuentos de línea y prorrateo del descuento de venta
+    const unitPrice = Number(item.unit_price || 0);
+    const netUnit = (item.line_total != null && Number(item.qty) > 0)
+      ? Number(item.line_total) / Number(item.qty)
+      : unitPrice;
+    const amount = Math.round(netUnit * qty * saleFactor * 100) / 100;
+
+    const lots = lotsService.splitReturnedLots(item.lots || [], item.returned_qty, qty);
+    item.returned_qty = Math.round((Number(item.returned_qty || 0) + qty) * 1000) / 1000;
+    refund += amount;
+
+    applied.push({
+      line: idx,
+      productRef: item.productRef || null,
+      oldProductId: item.oldProductId ?? null,
+      serviceRef: item.serviceRef || null,
+      oldServiceId: item.oldServiceId ?? null,
+      qty,
+      unit_price: unitPrice,
+      unit_cost: Number(item.unit_cost || 0),
+      line_total: amount,
+      lots
+    });
+  }
+
+  const outstanding = Number(saleDoc.outstanding_amount || 0);
+  const creditApplied = saleDoc.on_credit ? Math.min(outstanding, refund) : 0;
+  const cashRefund = refund - creditApplied;
+
+  saleDoc.outstanding_amount = outstanding - creditApplied;
+  saleDoc.paid_amount = Math.max(0, Number(saleDoc.paid_amount || 0) - cashRefund);
+  saleDoc.returned_amount = Number(saleDoc.returned_amount || 0) + refund;
+  if (saleDoc.on_credit) {
+    saleDoc.status = saleDoc.outstanding_amount <= 0 ? 'paid' : (saleDoc.paid_amount > 0 ? 'partially_paid' : 'pending');
+  }
+  saleDoc.markModified('items');
+
+  await saleDoc.save({ session });
+
+  return {
+    sale: saleDoc.toObject(),
+    lines: applied,
+    refund_amount: refund,
+    credit_applied: creditApplied,
+    cash_refund: cashRefund
+  };
+};
+
 /* ---------- getCustomerOutstanding ---------- */
 const getCustomerOutstanding = async (customerId) => {
   await ensureMongoReady();
@@ -452,8 +1121,12 @@ module.exports = {
   init,
   createSale,
   listSales,
+  querySales,
   getSaleById,
   updateSalePayment,
+  voidSale,
+  applySaleReturn,
+  setSaleInvoice,
   getCustomerOutstanding,
   deleteSalesByCustomerId
 };
\ No newline at end of file
@@ -0,0 +1,58 @@
+// services/sequenceService.js
+// Numeradores correlativos (presupuestos, comprobantes) en la colección 'counters'.
+const { connectMongo, mongoose } = require('../config/mongo');
+
+/**
+ * nextSequence(name, { session })
+ * Incrementa y devuelve el siguiente número para `name` (arranca en 1). Atómico.
+ */
+const nextSequence = async (name, { session } = {}) => {
+  await connectMongo();
+  const res = await mongoose.connection.collection('counters').findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, returnDocument: 'after', session }
+  );
+  // el driver 6 devuelve el documento; versiones previas lo envuelven en { value }
+  const doc = res && res.value !== undefined ? res.value : res;
+  return Number(doc.seq);
+};
+
+/**
+ * peekSequence(name)
+ * Último número emitido (0 si nunca se usó), sin incrementar.
+ */
+const peekSequence = async (name) => {
+  await connectMongo();
+  const doc = await mongoose.connection.collection('counters').findOne({ _id: name });
+  return doc ? Number(doc.seq) : 0;
+};
+
+/**
+ * releaseSequence(name, value)
+ * Devuelve un número que no llegó a usarse, sólo si sigue siendo el último emitido
+ * (ej. comprobante rechazado: AFIP exige numeración sin saltos).
+ */
+const releaseSequence = async (name, value) => {
+  await connectMongo();
+  const res = await mongoose.connection.collection('counters').updateOne(
+    { _id: name, seq: Number(value) },
+    { $inc: { seq: -1 } }
+  );
+  return res.modifiedCount > 0;
+};
+
+/**
+ * syncSequence(name, value)
+ * Lleva el numerador al menos hasta `value` (ej. último comprobante autorizado informado por AFIP).
+ */
+const syncSequence = async (name, value) => {
+  await connectMongo();
+  await mongoose.connection.collection('counters').updateOne(
+    { _id: name },
+    { $max: { seq: Number(value) } },
+    { upsert: true }
+  );
+};
+
+module.exports = { nextSequence, peekSequence, releaseSequence, syncSequence };
@@ -1,5 +1,6 @@
 // src/services/servicesService.js
 const { connectMongo, mongoose } = require('../config/mongo');
+const { parseIvaRate } = require('../config/tax');
 
 let ServiceModel = null;
 let mongoReady = false;
@@ -11,6 +12,10 @@ const ServiceSchema = new Schema({
   nombre: { type: String, required: true, index: true },
   descripcion: { type: String, default: null },
   precio: { type: Number, default: null },
+  iva: { type: String, enum: ['21', '10.5', 'exento', null], default: null }, // null = DEFAULT_IVA_RATE (config/tax)
+  // archivado (baja lógica): sigue resolviéndose por id desde ventas viejas, no se lista ni se vende
+  archived_at: { type: Date, default: null, index: true },
+  archived_by: { type: String, default: null },
 }, {
   timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
 });
@@ -54,6 +59,8 @@ const normalize = (doc) => {
     nombre: doc.nombre,
     descripcion: doc.descripcion ?? null,
     precio: doc.precio != null ? Number(doc.precio) : null,
+    iva: doc.iva ?? null,
+    archived_at: doc.archived_at || null,
     created_at: doc.created_at || doc.createdAt || null,
     updated_at: doc.updated_at || doc.updatedAt || null,
     oldId: doc.oldId ?? null,
@@ -68,10 +75,17 @@ const ensureMongoReady = async () => {
   }
 };
 
-/* ---------- listServices({ q, limit, offset }) ---------- */
-const listServices = async ({ q, limit = 50, offset = 0 } = {}) => {
+const serviceFilter = (id) => {
+  if (isObjectId(String(id))) return { _id: new mongoose.Types.ObjectId(String(id)) };
+  if (!isNaN(Number(id))) return { oldId: Number(id) };
+  return { _id: id };
+};
+
+/* ---------- listServices({ q, includeArchived, limit, offset }) ---------- */
+// los archivados quedan fuera salvo includeArchived
+const listServices = async ({ q, includeArchived = false, limit = 50, offset = 0 } = {}) => {
   await ensureMongoReady();
-  const filter = {};
+  const filter = includeArchived ? {} : { archived_at: null };
   if (q) {
     const re = new RegExp(String(q).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
     filter.$or = [{ nombre: re }, { descripcion: re }];
@@ -86,7 +100,26 @@ const listServices = async ({ q, limit = 50, offset = 0 } = {}) => {
   return docs.map(normalize);
 };
 
+/* ---------- getServicesByIds(ids) ---------- */
+// mezcla de ObjectId y oldId numérico; una sola consulta (ver populateService)
+const getServicesByIds = async (ids = []) => {
+  await ensureMongoReady();
+  const unique = [...new Set(ids.filter(x => x != null).map(String))];
+  const objectIds = unique.filter(x => isObjectId(x)).map(x => new mongoose.Types.ObjectId(x));
+  const numIds = unique.filter(x => !isObjectId(x) && !isNaN(Number(x))).map(x => Number(x));
+  if (objectIds.length === 0 && numIds.length === 0) return [];
+
+  const docs = await ServiceModel.find({
+    $or: [
+      { _id: { $in: objectIds } },
+      { oldId: { $in: numIds } }
+    ]
+  }).lean().exec();
+  return docs.map(normalize);
+};
+
 /* ---------- getServiceById(id) ---------- */
+// incluye archivados (ventas históricas)
 const getServiceById = async (id) => {
   await ensureMongoReady();
   if (!id) return null;
@@ -111,14 +144,15 @@ const getServiceById = async (id) => {
 /* ---------- createService(payload) ---------- */
 const createService = async (payload = {}) => {
   await ensureMongoReady();
-  const { nombre, descripcion = null, precio = null, oldId = null } = payload;
+  const { nombre, descripcion = null, precio = null, iva = null, oldId = null } = payload;
   if (!nombre) throw new Error('nombre es requerido');
 
   const doc = await ServiceModel.create({
     oldId: oldId != null ? oldId : null,
     nombre,
     descripcion,
-    precio: precio == null ? null : Number(precio)
+    precio: precio == null ? null : Number(precio),
+    iva: parseIvaRate(iva)
   });
 
   const saved = await ServiceModel.findById(doc._id).lean().exec();
@@ -141,6 +175,7 @@ const updateService = async (id, payload = {}) => {
     nombre: payload.hasOwnProperty('nombre') ? payload.nombre : existing.nombre,
     descripcion: payload.hasOwnProperty('descripcion') ? (payload.descripcion ?? null) : existing.descripcion,
     precio: payload.hasOwnProperty('precio') ? (payload.precio == null ? null : Number(payload.precio)) : existing.precio,
+    iva: payload.iva !== undefined ? parseIvaRate(payload.iva) : (existing.iva ?? null),
     updated_at: new Date()
   };
 
@@ -149,24 +184,36 @@ const updateService = async (id, payload = {}) => {
   return normalize(updated);
 };
 
-/* ---------- deleteService(id) ---------- */
-const deleteService = async (id) => {
+/* ---------- deleteService(id, { user }) ---------- */
+// baja lógica: marca archived_at; false si no existe
+const deleteService = async (id, { user = null } = {}) => {
   await ensureMongoReady();
 
-  let filter = null;
-  if (isObjectId(String(id))) filter = { _id: mongoose.Types.ObjectId(String(id)) };
-  else if (!isNaN(Number(id))) filter = { oldId: Number(id) };
-  else filter = { _id: id };
+  const res = await ServiceModel.updateOne(
+    { ...serviceFilter(id), archived_at: null },
+    { $set: { archived_at: new Date(), archived_by: user != null ? String(user) : null } }
+  ).exec();
+  if (res.matchedCount > 0) return true;
+  return !!(await ServiceModel.exists(serviceFilter(id)));
+};
 
-  const res = await ServiceModel.deleteOne(filter).exec();
-  return res.deletedCount > 0;
+/* ---------- restoreService(id) ---------- */
+const restoreService = async (id) => {
+  await ensureMongoReady();
+
+  const filter = serviceFilter(id);
+  await ServiceModel.updateOne(filter, { $set: { archived_at: null, archived_by: null } }).exec();
+  const doc = await ServiceModel.findOne(filter).lean().exec();
+  return normalize(doc);
 };
 
 module.exports = {
   init,
   listServices,
   getServiceById,
+  getServicesByIds,
   createService,
   updateService,
-  deleteService
+  deleteService,
+  restoreService
 };
\ No newline at end of file
@@ -0,0 +1,301 @@
+// services/stockMovementsService.js
+// Kardex: cada cambio de stock de un producto pasa por acá y queda registrado con
+// cantidades antes/después, tipo, usuario y documento de origen.
+const { connectMongo, mongoose } = require('../config/mongo');
+const lotsService = require('./lotsService');
+
+const MOVEMENT_TYPES = [
+  'initial',          // stock al dar de alta el producto
+  'sale',
+  'sale_void',        // reingreso por anulación de venta
+  'return',
+  'adjustment',       // ajuste manual / conteo
+  'purchase',         // recepción de compra
+  'expiry_writeoff',  // baja por vencimiento
+  'conversion',       // apertura de envase: egreso del cerrado / ingreso al suelto
+  'stock_take'        // ajuste al cerrar un inventario físico
+];
+
+let StockMovementModel = null;
+let mongoReady = false;
+
+const { Schema } = mongoose;
+
+/* ---------- Schema ---------- */
+const LotAllocationSchema = new Schema({
+  lotRef: { type: Schema.Types.ObjectId, ref: 'Lot', default: null },
+  lot_number: { type: String, default: null },
+  expiry: { type: Date, default: null },
+  qty: { type: Number, default: 0 },
+}, { _id: false });
+
+const StockMovementSchema = new Schema({
+  productRef: { type: Schema.Types.ObjectId, ref: 'Product', default: null },
+  oldProductId: { type: Schema.Types.Mixed, default: null },
+
+  type: { type: String, enum: MOVEMENT_TYPES, required: true },
+  qty: { type: Number, required: true }, // con signo: negativo egresa
+  stock_before: { type: Number, default: null },
+  stock_after: { type: Number, default: null },
+  lots: { type: [LotAllocationSchema], default: [] }, // lotes afectados (ver lotsService)
+
+  // documento que originó el movimiento: { kind: 'sale'|'return'|..., ref }
+  source_kind: { type: String, default: null },
+  source_ref: { type: Schema.Types.ObjectId, default: null },
+  reason: { type: String, default: null },
+  user: { type: String, default: null },
+
+  created_at: { type: Date, default: Date.now },
+}, {
+  versionKey: false
+});
+
+StockMovementSchema.set('toJSON', {
+  transform(doc, ret) {
+    ret.id = ret.id || (ret._id ? String(ret._id) : null);
+    delete ret._id;
+    return ret;
+  }
+});
+
+/* ---------- init ---------- */
+const init = async () => {
+  await connectMongo();
+  mongoReady = true;
+  StockMovementModel = mongoose.models.StockMovement || mongoose.model('StockMovement', StockMovementSchema);
+
+  try {
+    await StockMovementModel.collection.createIndex({ productRef: 1, created_at: -1 });
+    await StockMovementModel.collection.createIndex({ oldProductId: 1, created_at: -1 });
+    await StockMovementModel.collection.createIndex({ source_ref: 1 });
+    console.log('[stockMovementsService] índices creados/verificados');
+  } catch (err) {
+    console.warn('[stockMovementsService] fallo creando índices (quizá ya existían):', err.message || err);
+  }
+};
+
+/* ---------- Helpers ---------- */
+const isObjectId = v => typeof v === 'string' && mongoose.Types.ObjectId.isValid(v);
+
+const ensureMongoReady = async () => {
+  if (!mongoReady || !StockMovementModel) {
+    console.log('🔄 Auto-inicializando stockMovementsService...');
+    await init();
+  }
+};
+
+// filtro sobre la colección products: _id mongo o oldId numérico
+const productFilter = (productId) => {
+  if (isObjectId(String(productId))) return { _id: new mongoose.Types.ObjectId(String(productId)) };
+  if (!isNaN(Number(productId))) return { oldId: Number(productId) };
+  return { _id: productId };
+};
+
+// stock por peso: 3 decimales, sin arrastrar error de punto flotante
+const round3 = (n) => Math.round(Number(n) * 1000) / 1000;
+
+const normalizeAllocation = (a) => ({
+  lotRef: a.lotRef ? String(a.lotRef) : null,
+  lot_number: a.lot_number || null,
+  expiry: a.expiry ? new Date(a.expiry).toISOString().slice(0, 10) : null,
+  qty: Number(a.qty || 0)
+});
+
+const normalize = (doc) => {
+  if (!doc) return null;
+  return {
+    id: doc.id || (doc._id ? String(doc._id) : null),
+    productRef: doc.productRef ? String(doc.productRef) : null,
+    oldProductId: doc.oldProductId ?? null,
+    type: doc.type,
+    qty: Number(doc.qty || 0),
+    stock_before: doc.stock_before ?? null,
+    stock_after: doc.stock_after ?? null,
+    lots: (doc.lots || []).map(normalizeAllocation),
+    source: doc.source_kind ? { kind: doc.source_kind, ref: doc.source_ref ? String(doc.source_ref) : null } : null,
+    reason: doc.reason || null,
+    user: doc.user || null,
+    created_at: doc.created_at || null
+  };
+};
+
+/**
+ * withSession(session, fn)
+ * Usa la sesión del llamador o abre una transacción propia.
+ */
+const withSession = async (session, fn) => {
+  if (session) return fn(session);
+  const own = await mongoose.startSession();
+  own.startTransaction();
+  try {
+    const result = await fn(own);
+    await own.commitTransaction();
+    own.endSession();
+    return result;
+  } catch (err) {
+    if (own.inTransaction()) await own.abortTransaction();
+    own.endSession();
+    throw err;
+  }
+};
+
+const recordMovement = async (productDoc, { type, qty, before, after, lots = [], source, reason, user }, session) => {
+  const [doc] = await StockMovementModel.create([{
+    productRef: productDoc._id || null,
+    oldProductId: productDoc.oldId ?? null,
+    type,
+    qty,
+    stock_before: before,
+    stock_after: after,
+    lots,
+    source_kind: source && source.kind ? source.kind : null,
+    source_ref: source && source.ref ? new mongoose.Types.ObjectId(String(source.ref)) : null,
+    reason: reason ? String(reason).trim() : null,
+    user: user != null ? String(user) : null
+  }], { session });
+  return normalize(doc.toObject());
+};
+
+/* ---------- API ---------- */
+
+/**
+ * applyStockChange({ productId, delta, type, source, reason, user, session, lot, lots, lotId })
+ * Suma `delta` (con signo) al stock del producto y registra el movimiento.
+ * Productos sin control de stock (stock null) no se tocan: devuelve null.
+ * Con `session` participa de la transacción del llamador (ventas, devoluciones, compras).
+ * Lotes:
+ *  - egreso: consume FEFO sin lotes vencidos (salvo expiry_writeoff), o sólo `lotId` si se indica
+ *  - ingreso con `lot` ({ lot_number, expiry, cost }): entra a ese lote
+ *  - ingreso con `lots` (asignaciones de un movimiento previo): vuelve a esos lotes
+ * El movimiento devuelto incluye `lots` con lo efectivamente afectado.
+ */
+const applyStockChange = async ({ productId, delta, type, source = null, reason = null, user = null, session = null, lot = null, lots = null, lotId = null } = {}) => {
+  await ensureMongoReady();
+
+  if (!MOVEMENT_TYPES.includes(type)) throw new Error(`Tipo de movimiento de stock inválido (${type})`);
+  const qty = Number(delta);
+  if (!Number.isFinite(qty) || qty === 0) throw new Error('Cantidad de movimiento inválida');
+
+  return withSession(session, async (s) => {
+    const res = await mongoose.connection.collection('products').findOneAndUpdate(
+      { ...productFilter(productId), stock: { $ne: null } },
+      [{ $set: { stock: { $round: [{ $add: ['$stock', qty] }, 3] }, updated_at: new Date() } }],
+      { returnDocument: 'before', session: s }
+    );
+    const before = res && res.value !== undefined ? res.value : res;
+    if (!before) return null;
+
+    let affected = [];
+    if (qty < 0) affected = await lotsService.consumeLots(before, -qty, { lotId, includeExpired: type === 'expiry_writeoff', session: s });
+    else if (lot) affected = [await lotsService.receiveLot(before, { ...lot, qty }, s)];
+    else if (Array.isArray(lots) && lots.length > 0) affected = await lotsService.restoreLots(lots, s);
+
+    const stockBefore = Number(before.stock);
+    return recordMovement(before, {
+      type, qty, before: stockBefore, after: round3(stockBefore + qty), lots: affected, source, reason, user
+    }, s);
+  });
+};
+
+/**
+ * setStock({ productId, stock, type, source, reason, user, session })
+ * Fija el stock a un valor absoluto (conteo, edición manual) y registra la diferencia.
+ * stock null deja el producto sin control de stock (se registra como ajuste si tenía).
+ */
+const setStock = async ({ productId, stock, type = 'adjustment', source = null, reason = null, user = null, session = null } = {}) => {
+  await ensureMongoReady();
+
+  if (!MOVEMENT_TYPES.includes(type)) throw new Error(`Tipo de movimiento de stock inválido (${type})`);
+  const target = stock == null ? null : Number(stock);
+  if (target != null && (!Number.isFinite(target) || target < 0)) throw new Error('Stock inválido');
+
+  return withSession(session, async (s) => {
+    const res = await mongoose.connection.collection('products').findOneAndUpdate(
+      productFilter(productId),
+      { $set: { stock: target, updated_at: new Date() } },
+      { returnDocument: 'before', session: s }
+    );
+    const before = res && res.value !== undefined ? res.value : res;
+    if (!before) throw new Error('Producto no encontrado');
+
+    const stockBefore = before.stock == null ? null : Number(before.stock);
+    if (stockBefore === target) return null;
+    const qty = round3((target || 0) - (stockBefore || 0));
+    // un conteo a la baja descuenta de los lotes igual que una venta (FEFO); una baja por
+    // vencimiento, de los vencidos primero
+    const affected = (qty < 0 && target != null)
+      ? await lotsService.consumeLots(before, -qty, { includeExpired: type === 'expiry_writeoff', session: s })
+      : [];
+
+    return recordMovement(before, {
+      type, qty, before: stockBefore, after: target, lots: affected, source, reason, user
+    }, s);
+  });
+};
+
+/**
+ * assignLot({ productId, lot: { lot_number, qty, expiry, cost } })
+ * Asigna a un lote unidades que ya están en stock sin lote (carga inicial de lotes).
+ * No cambia el stock, así que no genera movimiento.
+ */
+const assignLot = async ({ productId, lot = {} } = {}) => {
+  await ensureMongoReady();
+
+  return withSession(null, async (s) => {
+    const product = await mongoose.connection.collection('products').findOne(productFilter(productId), { session: s });
+    if (!product) throw new Error('Producto no encontrado');
+    if (product.stock == null) throw new Error('El producto no controla stock');
+
+    const totals = await lotsService.lotTotals([product._id]);
+    const unassigned = Number(product.stock) - (totals.get(String(product._id)) || 0);
+    if (Number(lot.qty) > unassigned) throw new Error(`Stock sin lote insuficiente (disponible=${unassigned})`);
+
+    return lotsService.receiveLot(product, lot, s);
+  });
+};
+
+/**
+ * listMovements(productId, { from, to, type, limit, offset })
+ * Movimientos del producto, más recientes primero. Acepta _id o id legacy.
+ */
+const listMovements = async (productId, { from, to, type, limit = 100, offset = 0 } = {}) => {
+  await ensureMongoReady();
+
+  const product = await mongoose.connection.collection('products').findOne(productFilter(productId), { projection: { _id: 1, oldId: 1 } });
+  if (!product) return null;
+
+  const or = [{ productRef: product._id }];
+  if (product.oldId != null) or.push({ oldProductId: product.oldId });
+  const filter = { $or: or };
+
+  if (type) filter.type = type;
+  if (from) {
+    const fromDate = new Date(from);
+    if (!isNaN(fromDate.getTime())) filter.created_at = { ...(filter.created_at || {}), $gte: fromDate };
+  }
+  if (to) {
+    const toDate = new Date(to);
+    if (!isNaN(toDate.getTime())) {
+      const toInclusive = new Date(toDate.getTime()); toInclusive.setHours(23, 59, 59, 999);
+      filter.created_at = { ...(filter.created_at || {}), $lte: toInclusive };
+    }
+  }
+
+  const docs = await StockMovementModel.find(filter)
+    .sort({ created_at: -1, _id: -1 })
+    .skip(Number(offset) || 0)
+    .limit(Number(limit) || 100)
+    .lean()
+    .exec();
+
+  return docs.map(normalize);
+};
+
+module.exports = {
+  init,
+  MOVEMENT_TYPES,
+  applyStockChange,
+  setStock,
+  assignLot,
+  listMovements
+};
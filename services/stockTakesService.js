@@ -0,0 +1,366 @@
+// services/stockTakesService.js
+// Inventario físico (conteos totales o parciales) con conciliación.
+//
+// 1. start: congela el stock esperado de los productos del alcance (todos, categoría y/o marca)
+// 2. counts: uno o varios contadores cargan cantidades (por id o código de barras); se suman
+// 3. review: diferencias contado - esperado, valorizadas al costo del momento de inicio
+// 4. post: ajusta el stock en una transacción (kardex 'stock_take')
+//
+// El ajuste es la diferencia contra el snapshot, no un pisado del stock: las ventas y compras
+// que ocurren mientras se cuenta se conservan.
+const { connectMongo, mongoose } = require('../config/mongo');
+const { nextSequence } = require('./sequenceService');
+const productosService = require('./productosService');
+const stockMovementsService = require('./stockMovementsService');
+
+const STATUSES = ['open', 'posted', 'cancelled'];
+const UNCOUNTED_POLICIES = ['ignore', 'zero']; // productos sin contar al cerrar
+
+let StockTakeModel = null;
+let mongoReady = false;
+
+const { Schema } = mongoose;
+
+/* ---------- Schema ---------- */
+const CountSchema = new Schema({
+  qty: { type: Number, required: true },
+  user: { type: String, default: null },
+  counted_at: { type: Date, default: Date.now },
+}, { _id: false });
+
+const StockTakeLineSchema = new Schema({
+  productRef: { type: Schema.Types.ObjectId, ref: 'Product', required: true },
+  nombre: { type: String, default: null }, // snapshot
+  unit: { type: String, default: 'unit' },
+  expected: { type: Number, required: true }, // stock al iniciar
+  cost: { type: Number, default: 0 },         // costo al iniciar (valorización)
+  counts: { type: [CountSchema], default: [] },
+  adjusted_qty: { type: Number, default: null }, // lo efectivamente ajustado al cerrar
+}, { _id: false });
+
+const StockTakeSchema = new Schema({
+  number: { type: Number, default: null },
+  scope: {
+    categoria: { type: String, default: null },
+    marca: { type: String, default: null },
+  },
+  status: { type: String, enum: STATUSES, default: 'open' },
+  lines: { type: [StockTakeLineSchema], default: [] },
+  notes: { type: String, default: null },
+
+  // totales al cerrar
+  gain_value: { type: Number, default: 0 },
+  loss_value: { type: Number, default: 0 },
+  uncounted_policy: { type: String, enum: UNCOUNTED_POLICIES, default: null },
+
+  created_by: { type: String, default: null },
+  posted_by: { type: String, default: null },
+  created_at: { type: Date, default: Date.now },
+  posted_at: { type: Date, default: null },
+  cancelled_at: { type: Date, default: null },
+}, {
+  versionKey: false
+});
+
+/* ---------- init ---------- */
+const init = async () => {
+  await connectMongo();
+  mongoReady = true;
+  StockTakeModel = mongoose.models.StockTake || mongoose.model('StockTake', StockTakeSchema, 'stock_takes');
+
+  try {
+    await StockTakeModel.collection.createIndex({ number: 1 }, { unique: true, sparse: true });
+    await StockTakeModel.collection.createIndex({ status: 1, created_at: -1 });
+    await StockTakeModel.collection.createIndex({ status: 1, 'lines.productRef': 1 });
+    console.log('[stockTakesService] índices creados/verificados');
+  } catch (err) {
+    console.warn('[stockTakesService] fallo creando índices (quizá ya existían):', err.message || err);
+  }
+};
+
+/* ---------- Helpers ---------- */
+const isObjectId = v => typeof v === 'string' && mongoose.Types.ObjectId.isValid(v);
+
+const ensureMongoReady = async () => {
+  if (!mongoReady || !StockTakeModel) {
+    console.log('🔄 Auto-inicializando stockTakesService...');
+    await init();
+  }
+};
+
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+const round3 = (n) => Math.round(Number(n) * 1000) / 1000;
+
+const countedQty = (line) => (line.counts && line.counts.length
+  ? round3(line.counts.reduce((acc, c) => acc + Number(c.qty || 0), 0))
+  : null);
+
+const normalizeLine = (ln) => {
+  const counted = countedQty(ln);
+  const diff = counted == null ? null : round3(counted - Number(ln.expected));
+  return {
+    productId: ln.productRef ? String(ln.productRef) : null,
+    nombre: ln.nombre || null,
+    unit: ln.unit || 'unit',
+    expected: Number(ln.expected),
+    counted,
+    diff,
+    cost: Number(ln.cost || 0),
+    diff_value: diff == null ? null : round2(diff * Number(ln.cost || 0)),
+    counts: (ln.counts || []).map(c => ({ qty: Number(c.qty), user: c.user || null, counted_at: c.counted_at || null })),
+    adjusted_qty: ln.adjusted_qty ?? null
+  };
+};
+
+/**
+ * normalize(doc, { onlyDiscrepancies })
+ * Incluye el resumen de la conciliación (contados, diferencias y su valorización).
+ */
+const normalize = (doc, { onlyDiscrepancies = false, withLines = true } = {}) => {
+  if (!doc) return null;
+  const lines = (doc.lines || []).map(normalizeLine);
+
+  const counted = lines.filter(l => l.counted != null);
+  const discrepancies = counted.filter(l => l.diff !== 0);
+  const gain = discrepancies.filter(l => l.diff > 0).reduce((acc, l) => acc + l.diff_value, 0);
+  const loss = discrepancies.filter(l => l.diff < 0).reduce((acc, l) => acc + l.diff_value, 0);
+
+  return {
+    id: doc._id ? String(doc._id) : null,
+    number: doc.number ?? null,
+    scope: { categoria: doc.scope?.categoria ?? null, marca: doc.scope?.marca ?? null },
+    status: doc.status,
+    notes: doc.notes || null,
+    summary: {
+      products: lines.length,
+      counted: counted.length,
+      uncounted: lines.length - counted.length,
+      discrepancies: discrepancies.length,
+      // al cerrar quedan los valores efectivamente ajustados
+      gain_value: doc.status === 'posted' ? Number(doc.gain_value || 0) : round2(gain),
+      loss_value: doc.status === 'posted' ? Number(doc.loss_value || 0) : round2(loss),
+      net_value: doc.status === 'posted'
+        ? round2(Number(doc.gain_value || 0) + Number(doc.loss_value || 0))
+        : round2(gain + loss)
+    },
+    ...(withLines ? { lines: onlyDiscrepancies ? lines.filter(l => l.counted == null || l.diff !== 0) : lines } : {}),
+    uncounted_policy: doc.uncounted_policy || null,
+    created_by: doc.created_by || null,
+    posted_by: doc.posted_by || null,
+    created_at: doc.created_at || null,
+    posted_at: doc.posted_at || null,
+    cancelled_at: doc.cancelled_at || null
+  };
+};
+
+const findDoc = async (id, session = null) => {
+  if (!id) return null;
+  if (isObjectId(String(id))) return StockTakeModel.findById(String(id)).session(session).exec();
+  const maybeNum = Number(id);
+  if (!isNaN(maybeNum)) return StockTakeModel.findOne({ number: maybeNum }).session(session).exec();
+  return null;
+};
+
+/* ---------- API ---------- */
+
+/**
+ * startStockTake({ categoria, marca, notes, user })
+ * Congela el stock esperado de los productos con control de stock del alcance.
+ * Un producto no puede estar en dos inventarios abiertos.
+ */
+const startStockTake = async ({ categoria = null, marca = null, notes = null, user = null } = {}) => {
+  await ensureMongoReady();
+
+  const products = (await productosService.listarProductos({ categoria: categoria || undefined, marca: marca || undefined }))
+    .filter(p => p.stock != null);
+  if (products.length === 0) throw new Error('No hay productos con control de stock para inventariar');
+
+  const refs = products.map(p => new mongoose.Types.ObjectId(p.id));
+  const overlapping = await StockTakeModel.findOne({ status: 'open', 'lines.productRef': { $in: refs } }, { number: 1 }).lean().exec();
+  if (overlapping) throw new Error(`Ya hay un inventario abierto con estos productos (#${overlapping.number})`);
+
+  const number = await nextSequence('stock_takes');
+  const doc = await StockTakeModel.create({
+    number,
+    scope: { categoria: categoria || null, marca: marca || null },
+    lines: products.map(p => ({
+      productRef: new mongoose.Types.ObjectId(p.id),
+      nombre: p.nombre || null,
+      unit: p.unit || 'unit',
+      expected: Number(p.stock),
+      cost: Number(p.cost || 0)
+    })),
+    notes: notes ? String(notes).trim() : null,
+    created_by: user != null ? String(user) : null
+  });
+
+  return normalize(doc.toObject());
+};
+
+const listStockTakes = async ({ status, limit = 50, offset = 0 } = {}) => {
+  await ensureMongoReady();
+  const filter = {};
+  if (status) {
+    if (!STATUSES.includes(status)) throw new Error(`Estado de inventario inválido (${status})`);
+    filter.status = status;
+  }
+  const docs = await StockTakeModel.find(filter)
+    .sort({ created_at: -1 })
+    .skip(Number(offset) || 0)
+    .limit(Number(limit) || 50)
+    .lean()
+    .exec();
+  return docs.map(d => normalize(d, { withLines: false }));
+};
+
+/**
+ * getStockTake(id, { onlyDiscrepancies })
+ * Acepta el _id o el número. Con onlyDiscrepancies: líneas con diferencia o sin contar.
+ */
+const getStockTake = async (id, { onlyDiscrepancies = false } = {}) => {
+  await ensureMongoReady();
+  const doc = await findDoc(id);
+  return doc ? normalize(doc.toObject(), { onlyDiscrepancies }) : null;
+};
+
+/**
+ * recordCounts(id, counts, { user })
+ * counts: [{ productId | barcode, qty, mode?: 'add'|'set' }]
+ * - add (default): suma al conteo (varios contadores, o un escaneo por unidad con qty 1)
+ * - set: reemplaza lo contado hasta ahora por qty (corrección)
+ * Cada conteo se guarda con un update atómico: los contadores pueden cargar en paralelo.
+ */
+const recordCounts = async (id, counts = [], { user = null } = {}) => {
+  await ensureMongoReady();
+  if (!Array.isArray(counts) || counts.length === 0) throw new Error('No hay conteos para registrar');
+
+  const doc = await findDoc(id);
+  if (!doc) return null;
+  if (doc.status !== 'open') throw new Error('El inventario está cerrado');
+
+  const byRef = new Map(doc.lines.map(l => [String(l.productRef), l]));
+  const now = new Date();
+  for (const c of counts) {
+    const ref = c.productId ?? c.id;
+    const product = ref != null
+      ? await productosService.obtenerProductoPorId(String(ref))
+      : await productosService.obtenerProductoPorCodigo(c.barcode);
+    const label = ref != null ? `id=${ref}` : `código=${c.barcode}`;
+    if (!product) throw new Error(`Producto no encontrado (${label})`);
+
+    const line = byRef.get(product.id);
+    if (!line) throw new Error(`El producto ${product.nombre} no está incluido en este inventario`);
+
+    const mode = c.mode || 'add';
+    if (!['add', 'set'].includes(mode)) throw new Error(`Modo de conteo inválido (${mode})`);
+    const qty = Number(c.qty ?? 1);
+    if (!productosService.isValidQty(line.unit, qty) || (mode === 'set' ? qty < 0 : qty === 0)) {
+      throw new Error(`Cantidad inválida para ${product.nombre}`);
+    }
+    // add admite negativos para corregir un escaneo de más, sin dejar el conteo bajo cero
+    if (mode === 'add' && qty < 0 && (countedQty(line) || 0) + qty < 0) {
+      throw new Error(`Cantidad inválida para ${product.nombre}: el conteo quedaría negativo`);
+    }
+
+    const entry = { qty, user: user != null ? String(user) : null, counted_at: now };
+    const update = mode === 'set'
+      ? { $set: { 'lines.$.counts': [entry] } }
+      : { $push: { 'lines.$.counts': entry } };
+    const res = await StockTakeModel.updateOne({ _id: doc._id, status: 'open', 'lines.productRef': line.productRef }, update).exec();
+    if (!res.matchedCount) throw new Error('El inventario está cerrado');
+    if (mode === 'set') line.counts = [entry]; else line.counts.push(entry);
+  }
+
+  return getStockTake(String(doc._id));
+};
+
+/**
+ * postStockTake(id, { uncounted = 'ignore', user })
+ * Ajusta el stock con la diferencia contado - esperado de cada línea (kardex 'stock_take').
+ * uncounted='zero' toma los productos sin contar como 0 (conteo total).
+ * Si desde el inicio se vendió más de lo que queda, el egreso se limita al stock actual.
+ */
+const postStockTake = async (id, { uncounted = 'ignore', user = null } = {}) => {
+  await ensureMongoReady();
+  if (!UNCOUNTED_POLICIES.includes(uncounted)) throw new Error(`Política para productos sin contar inválida (${uncounted})`);
+
+  const products = mongoose.connection.collection('products');
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const doc = await findDoc(id, session);
+    if (!doc) throw new Error('Inventario no encontrado');
+    if (doc.status !== 'open') throw new Error('El inventario está cerrado');
+
+    let gain = 0;
+    let loss = 0;
+    for (const line of doc.lines) {
+      const counted = countedQty(line) ?? (uncounted === 'zero' ? 0 : null);
+      if (counted == null) continue;
+      let delta = round3(counted - Number(line.expected));
+      if (delta === 0) { line.adjusted_qty = 0; continue; }
+
+      const current = await products.findOne({ _id: line.productRef }, { session, projection: { stock: 1 } });
+      if (!current || current.stock == null) continue; // el producto dejó de existir o de controlar stock
+      if (delta < 0) delta = Math.max(delta, -Number(current.stock));
+      if (delta === 0) { line.adjusted_qty = 0; continue; }
+
+      await stockMovementsService.applyStockChange({
+        productId: String(line.productRef),
+        delta,
+        type: 'stock_take',
+        source: { kind: 'stock_take', ref: doc._id },
+        reason: `Inventario #${doc.number}`,
+        user,
+        session
+      });
+      line.adjusted_qty = delta;
+      const value = round2(delta * Number(line.cost || 0));
+      if (value > 0) gain += value; else loss += value;
+    }
+
+    doc.status = 'posted';
+    doc.uncounted_policy = uncounted;
+    doc.gain_value = round2(gain);
+    doc.loss_value = round2(loss);
+    doc.posted_by = user != null ? String(user) : null;
+    doc.posted_at = new Date();
+    doc.markModified('lines');
+    await doc.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+    return normalize(doc.toObject());
+  } catch (err) {
+    if (session.inTransaction()) await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+};
+
+/**
+ * cancelStockTake(id)
+ * Descarta el inventario sin tocar el stock.
+ */
+const cancelStockTake = async (id) => {
+  await ensureMongoReady();
+  const doc = await findDoc(id);
+  if (!doc) return null;
+  if (doc.status !== 'open') throw new Error('El inventario está cerrado');
+  doc.status = 'cancelled';
+  doc.cancelled_at = new Date();
+  await doc.save();
+  return normalize(doc.toObject(), { withLines: false });
+};
+
+module.exports = {
+  init,
+  STATUSES,
+  UNCOUNTED_POLICIES,
+  startStockTake,
+  listStockTakes,
+  getStockTake,
+  recordCounts,
+  postStockTake,
+  cancelStockTake
+};
@@ -0,0 +1,392 @@
+// services/supplierInvoicesService.js
+// Facturas de proveedores (cuenta corriente) y pagos contra ellas.
+// El saldo adeudado a un proveedor es la suma de `balance` de sus facturas no anuladas.
+const { connectMongo, mongoose } = require('../config/mongo');
+const suppliersService = require('./suppliersService');
+const cashRegisterService = require('./cashRegisterService');
+const { isValidMethod } = require('../config/paymentMethods');
+
+const STATUSES = ['open', 'partially_paid', 'paid', 'cancelled'];
+
+let SupplierInvoiceModel = null;
+let mongoReady = false;
+
+const { Schema } = mongoose;
+
+/* ---------- Schema ---------- */
+const SupplierPaymentSchema = new Schema({
+  amount: { type: Number, required: true },
+  method: { type: String, default: null }, // ver config/paymentMethods
+  reference: { type: String, default: null },
+  cash_session_ref: { type: Schema.Types.ObjectId, ref: 'CashSession', default: null },
+  user: { type: String, default: null },
+  paid_at: { type: Date, default: Date.now },
+});
+
+const SupplierInvoiceSchema = new Schema({
+  supplierRef: { type: Schema.Types.ObjectId, ref: 'Supplier', required: true },
+  purchaseOrderRef: { type: Schema.Types.ObjectId, ref: 'PurchaseOrder', default: null },
+  number: { type: String, required: true },   // número del comprobante del proveedor (ej. 0001-00001234)
+  invoice_type: { type: String, default: null }, // A / B / C ...
+  issued_at: { type: Date, default: Date.now },
+  due_date: { type: Date, default: null },
+
+  net_amount: { type: Number, default: null },
+  iva_amount: { type: Number, default: null },
+  total: { type: Number, required: true },
+  paid_amount: { type: Number, default: 0 },
+  balance: { type: Number, default: 0 },
+  status: { type: String, enum: STATUSES, default: 'open' },
+  payments: { type: [SupplierPaymentSchema], default: [] },
+
+  notes: { type: String, default: null },
+  created_by: { type: String, default: null },
+  cancelled_at: { type: Date, default: null },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now },
+}, {
+  versionKey: false
+});
+
+SupplierInvoiceSchema.set('toJSON', {
+  transform(doc, ret) {
+    ret.id = ret.id || (ret._id ? String(ret._id) : null);
+    delete ret._id;
+    return ret;
+  }
+});
+
+/* ---------- init ---------- */
+const init = async () => {
+  await connectMongo();
+  mongoReady = true;
+  SupplierInvoiceModel = mongoose.models.SupplierInvoice || mongoose.model('SupplierInvoice', SupplierInvoiceSchema);
+
+  try {
+    await SupplierInvoiceModel.collection.createIndex({ supplierRef: 1, number: 1 }, { unique: true });
+    await SupplierInvoiceModel.collection.createIndex({ status: 1, due_date: 1 });
+    await SupplierInvoiceModel.collection.createIndex({ purchaseOrderRef: 1 });
+    console.log('[supplierInvoicesService] índices creados/verificados');
+  } catch (err) {
+    console.warn('[supplierInvoicesService] fallo creando índices (quizá ya existían):', err.message || err);
+  }
+};
+
+/* ---------- Helpers ---------- */
+const isObjectId = v => typeof v === 'string' && mongoose.Types.ObjectId.isValid(v);
+
+const ensureMongoReady = async () => {
+  if (!mongoReady || !SupplierInvoiceModel) {
+    console.log('🔄 Auto-inicializando supplierInvoicesService...');
+    await init();
+  }
+};
+
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+
+const statusFor = (total, paid) => {
+  if (paid >= total - 0.005) return 'paid';
+  return paid > 0 ? 'partially_paid' : 'open';
+};
+
+const parseDate = (value, label) => {
+  if (value == null || value === '') return null;
+  const d = new Date(value);
+  if (isNaN(d.getTime())) throw new Error(`${label} inválida`);
+  return d;
+};
+
+const normalize = (doc, supplier = null) => {
+  if (!doc) return null;
+  const balance = Number(doc.balance || 0);
+  return {
+    id: doc.id || (doc._id ? String(doc._id) : null),
+    supplierRef: doc.supplierRef ? String(doc.supplierRef) : null,
+    supplier: supplier ? { id: supplier.id, nombre: supplier.nombre } : null,
+    purchaseOrderRef: doc.purchaseOrderRef ? String(doc.purchaseOrderRef) : null,
+    number: doc.number,
+    invoice_type: doc.invoice_type || null,
+    issued_at: doc.issued_at || null,
+    due_date: doc.due_date || null,
+    overdue: balance > 0 && doc.status !== 'cancelled' && !!doc.due_date && new Date(doc.due_date) < new Date(),
+    net_amount: doc.net_amount ?? null,
+    iva_amount: doc.iva_amount ?? null,
+    total: Number(doc.total || 0),
+    paid_amount: Number(doc.paid_amount || 0),
+    balance,
+    status: doc.status || 'open',
+    payments: (doc.payments || []).map(p => ({
+      id: p._id ? String(p._id) : null,
+      amount: Number(p.amount || 0),
+      method: p.method || null,
+      reference: p.reference || null,
+      cash_session_ref: p.cash_session_ref ? String(p.cash_session_ref) : null,
+      user: p.user || null,
+      paid_at: p.paid_at || null
+    })),
+    notes: doc.notes || null,
+    created_by: doc.created_by || null,
+    cancelled_at: doc.cancelled_at || null,
+    created_at: doc.created_at || null,
+    updated_at: doc.updated_at || null
+  };
+};
+
+const withSuppliers = async (docs) => {
+  const suppliers = await suppliersService.getSuppliersByIds(docs.map(d => String(d.supplierRef)));
+  const byId = new Map(suppliers.map(sp => [sp.id, sp]));
+  return docs.map(d => normalize(d, byId.get(String(d.supplierRef))));
+};
+
+/* ---------- API ---------- */
+
+/**
+ * createSupplierInvoice({ supplierId, number, invoiceType, issuedAt, dueDate, total, netAmount, ivaAmount, purchaseOrderId, notes, user })
+ */
+const createSupplierInvoice = async ({
+  supplierId,
+  number,
+  invoiceType = null,
+  issuedAt = null,
+  dueDate = null,
+  total,
+  netAmount = null,
+  ivaAmount = null,
+  purchaseOrderId = null,
+  notes = null,
+  user = null
+} = {}) => {
+  await ensureMongoReady();
+
+  const supplier = await suppliersService.getSupplierById(supplierId);
+  if (!supplier) throw new Error('Proveedor no encontrado');
+  if (!number || String(number).trim() === '') throw new Error('Número de factura requerido');
+
+  const amount = Number(total);
+  if (!Number.isFinite(amount) || amount <= 0) throw new Error('Total inválido');
+  if (netAmount != null && !Number.isFinite(Number(netAmount))) throw new Error('Neto inválido');
+  if (ivaAmount != null && !Number.isFinite(Number(ivaAmount))) throw new Error('IVA inválido');
+  if (purchaseOrderId && !isObjectId(String(purchaseOrderId))) throw new Error('Orden de compra inválida');
+
+  const existing = await SupplierInvoiceModel.findOne({ supplierRef: new mongoose.Types.ObjectId(supplier.id), number: String(number).trim() }).lean().exec();
+  if (existing) throw new Error('La factura ya fue registrada para este proveedor');
+
+  const doc = await SupplierInvoiceModel.create({
+    supplierRef: new mongoose.Types.ObjectId(supplier.id),
+    purchaseOrderRef: purchaseOrderId ? new mongoose.Types.ObjectId(String(purchaseOrderId)) : null,
+    number: String(number).trim(),
+    invoice_type: invoiceType ? String(invoiceType).trim().toUpperCase() : null,
+    issued_at: parseDate(issuedAt, 'Fecha de emisión') || new Date(),
+    due_date: parseDate(dueDate, 'Fecha de vencimiento'),
+    net_amount: netAmount == null ? null : round2(netAmount),
+    iva_amount: ivaAmount == null ? null : round2(ivaAmount),
+    total: round2(amount),
+    paid_amount: 0,
+    balance: round2(amount),
+    status: 'open',
+    notes: notes ? String(notes).trim() : null,
+    created_by: user != null ? String(user) : null
+  });
+
+  return normalize(doc.toObject(), supplier);
+};
+
+/**
+ * listSupplierInvoices({ supplierId, status, overdue, from, to, limit, offset })
+ * status acepta lista separada por comas; overdue=true sólo impagas vencidas.
+ */
+const listSupplierInvoices = async ({ supplierId, status, overdue, from, to, limit = 100, offset = 0 } = {}) => {
+  await ensureMongoReady();
+
+  const filter = {};
+  if (supplierId) {
+    if (!isObjectId(String(supplierId))) return [];
+    filter.supplierRef = new mongoose.Types.ObjectId(String(supplierId));
+  }
+  if (status) {
+    const list = String(status).split(',').map(s => s.trim()).filter(Boolean);
+    const bad = list.find(s => !STATUSES.includes(s));
+    if (bad) throw new Error(`Estado de factura inválido (${bad})`);
+    filter.status = { $in: list };
+  }
+  if (overdue === true || overdue === 'true') {
+    filter.balance = { $gt: 0 };
+    filter.status = { $in: ['open', 'partially_paid'] };
+    filter.due_date = { $ne: null, $lt: new Date() };
+  }
+  if (from) {
+    const fromDate = new Date(from);
+    if (!isNaN(fromDate.getTime())) filter.issued_at = { ...(filter.issued_at || {}), $gte: fromDate };
+  }
+  if (to) {
+    const toDate = new Date(to);
+    if (!isNaN(toDate.getTime())) {
+      const toInclusive = new Date(toDate.getTime()); toInclusive.setHours(23, 59, 59, 999);
+      filter.issued_at = { ...(filter.issued_at || {}), $lte: toInclusive };
+    }
+  }
+
+  const docs = await SupplierInvoiceModel.find(filter)
+    .sort({ issued_at: -1, _id: -1 })
+    .skip(Number(offset) || 0)
+    .limit(Number(limit) || 100)
+    .lean()
+    .exec();
+
+  return withSuppliers(docs);
+};
+
+const getSupplierInvoiceById = async (id) => {
+  await ensureMongoReady();
+  if (!id || !isObjectId(String(id))) return null;
+  const doc = await SupplierInvoiceModel.findById(String(id)).lean().exec();
+  if (!doc) return null;
+  const [normalized] = await withSuppliers([doc]);
+  return normalized;
+};
+
+/**
+ * paySupplierInvoice(id, { amount, method, reference, register, user })
+ * - no se puede pagar más que el saldo
+ * - pago en efectivo con caja abierta: se registra como egreso de la caja
+ */
+const paySupplierInvoice = async (id, { amount, method = null, reference = null, register = null, user = null } = {}) => {
+  await ensureMongoReady();
+
+  if (!id || !isObjectId(String(id))) throw new Error('Factura no encontrada');
+  const amt = round2(amount);
+  if (!Number.isFinite(amt) || amt <= 0) throw new Error('Monto inválido');
+  if (method && !isValidMethod(method)) throw new Error(`Medio de pago inválido (${method})`);
+
+  const current = await SupplierInvoiceModel.findById(String(id)).lean().exec();
+  if (!current) throw new Error('Factura no encontrada');
+  if (current.status === 'cancelled') throw new Error('La factura está anulada');
+  if (amt > Number(current.balance || 0) + 0.005) throw new Error(`El monto supera el saldo de la factura (saldo=${current.balance})`);
+
+  const cashSession = method === 'cash' ? await cashRegisterService.getOpenSession(register || undefined) : null;
+
+  // descuenta el saldo sólo si sigue alcanzando (dos pagos simultáneos no lo dejan negativo)
+  const res = await SupplierInvoiceModel.collection.findOneAndUpdate(
+    { _id: current._id, status: { $ne: 'cancelled' }, balance: { $gte: amt - 0.005 } },
+    {
+      $inc: { paid_amount: amt, balance: -amt },
+      $push: {
+        payments: {
+          _id: new mongoose.Types.ObjectId(),
+          amount: amt,
+          method: method || null,
+          reference: reference ? String(reference).trim() : null,
+          cash_session_ref: cashSession ? new mongoose.Types.ObjectId(cashSession.id) : null,
+          user: user != null ? String(user) : null,
+          paid_at: new Date()
+        }
+      },
+      $set: { updated_at: new Date() }
+    },
+    { returnDocument: 'after' }
+  );
+  const updated = res && res.value !== undefined ? res.value : res;
+  if (!updated) throw new Error('El monto supera el saldo de la factura');
+
+  const balance = round2(updated.balance);
+  await SupplierInvoiceModel.updateOne(
+    { _id: updated._id },
+    { $set: { balance, status: statusFor(Number(updated.total), Number(updated.paid_amount)) } }
+  ).exec();
+
+  if (cashSession) {
+    try {
+      await cashRegisterService.addMovement(cashSession.id, {
+        type: 'out',
+        amount: amt,
+        reason: `Pago a proveedor (factura ${updated.number})`,
+        user
+      });
+    } catch (e) {
+      // el pago ya quedó registrado; la caja se puede ajustar a mano
+      console.warn('[supplierInvoicesService] no se pudo registrar el egreso en caja:', e.message || e);
+    }
+  }
+
+  return getSupplierInvoiceById(String(updated._id));
+};
+
+/**
+ * cancelSupplierInvoice(id, { reason })
+ * Sólo facturas sin pagos (una factura pagada se compensa con una nota de crédito del proveedor).
+ */
+const cancelSupplierInvoice = async (id, { reason = null } = {}) => {
+  await ensureMongoReady();
+
+  const doc = id && isObjectId(String(id)) ? await SupplierInvoiceModel.findById(String(id)).exec() : null;
+  if (!doc) throw new Error('Factura no encontrada');
+  if (doc.status === 'cancelled') throw new Error('La factura ya está anulada');
+  if (Number(doc.paid_amount || 0) > 0) throw new Error('La factura tiene pagos registrados');
+
+  doc.status = 'cancelled';
+  doc.balance = 0;
+  doc.cancelled_at = new Date();
+  if (reason) doc.notes = [doc.notes, `Anulada: ${String(reason).trim()}`].filter(Boolean).join('\n');
+  doc.updated_at = new Date();
+  await doc.save();
+
+  return getSupplierInvoiceById(String(doc._id));
+};
+
+/**
+ * getSupplierBalances({ supplierId })
+ * Saldo adeudado por proveedor: [{ supplierRef, supplier, balance, overdue_balance, open_invoices }]
+ */
+const getSupplierBalances = async ({ supplierId = null } = {}) => {
+  await ensureMongoReady();
+
+  const match = { status: { $in: ['open', 'partially_paid'] }, balance: { $gt: 0 } };
+  if (supplierId) {
+    if (!isObjectId(String(supplierId))) return [];
+    match.supplierRef = new mongoose.Types.ObjectId(String(supplierId));
+  }
+
+  const now = new Date();
+  const agg = await SupplierInvoiceModel.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$supplierRef',
+        balance: { $sum: '$balance' },
+        overdue_balance: {
+          $sum: {
+            $cond: [{ $and: [{ $ne: ['$due_date', null] }, { $lt: ['$due_date', now] }] }, '$balance', 0]
+          }
+        },
+        open_invoices: { $sum: 1 },
+        next_due_date: { $min: '$due_date' }
+      }
+    },
+    { $sort: { balance: -1 } }
+  ]).exec();
+
+  const suppliers = await suppliersService.getSuppliersByIds(agg.map(r => String(r._id)));
+  const byId = new Map(suppliers.map(sp => [sp.id, sp]));
+  return agg.map(r => {
+    const supplier = byId.get(String(r._id));
+    return {
+      supplierRef: String(r._id),
+      supplier: supplier ? { id: supplier.id, nombre: supplier.nombre } : null,
+      balance: round2(r.balance),
+      overdue_balance: round2(r.overdue_balance),
+      open_invoices: r.open_invoices,
+      next_due_date: r.next_due_date || null
+    };
+  });
+};
+
+module.exports = {
+  init,
+  STATUSES,
+  createSupplierInvoice,
+  listSupplierInvoices,
+  getSupplierInvoiceById,
+  paySupplierInvoice,
+  cancelSupplierInvoice,
+  getSupplierBalances
+};
@@ -0,0 +1,266 @@
+// services/suppliersService.js
+const { connectMongo, mongoose } = require('../config/mongo');
+const { isValidCuit } = require('../config/tax');
+const productosService = require('./productosService');
+
+const { Schema } = mongoose;
+
+let SupplierModel = null;
+let mongoReady = false;
+
+/* ---------- Schema ---------- */
+// productos que provee: código del proveedor y último costo pactado
+const SuppliedProductSchema = new Schema({
+  productRef: { type: Schema.Types.ObjectId, ref: 'Product', required: true },
+  supplier_code: { type: String, default: null },
+  last_cost: { type: Number, default: null },
+}, { _id: false });
+
+const SupplierSchema = new Schema({
+  nombre: { type: String, required: true, index: true },
+  cuit: { type: String, default: null },
+  contact: {
+    nombre: { type: String, default: null },
+    telefono: { type: String, default: null },
+    email: { type: String, default: null },
+  },
+  lead_time_days: { type: Number, default: null }, // demora de entrega habitual
+  products: { type: [SuppliedProductSchema], default: [] },
+  notes: { type: String, default: null },
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+SupplierSchema.index({ 'products.productRef': 1 });
+
+SupplierSchema.set('toJSON', {
+  transform(doc, ret) {
+    ret.id = ret.id || (ret._id ? String(ret._id) : null);
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+/* ---------- init ---------- */
+const init = async () => {
+  await connectMongo();
+  mongoReady = true;
+  SupplierModel = mongoose.models.Supplier || mongoose.model('Supplier', SupplierSchema);
+
+  try {
+    await SupplierModel.createIndexes();
+    console.log('[suppliersService] índices creados/verificados');
+  } catch (err) {
+    console.warn('[suppliersService] fallo creando índices (quizá ya existían):', err.message || err);
+  }
+};
+
+/* ---------- Helpers ---------- */
+const ensureMongoReady = async () => {
+  if (!mongoReady || !SupplierModel) {
+    console.log('🔄 Auto-inicializando suppliersService...');
+    await init();
+  }
+};
+
+const isObjectId = (v) => typeof v === 'string' && mongoose.Types.ObjectId.isValid(v);
+
+const normalize = (doc) => {
+  if (!doc) return null;
+  return {
+    id: doc.id || (doc._id ? String(doc._id) : null),
+    nombre: doc.nombre,
+    cuit: doc.cuit ?? null,
+    contact: {
+      nombre: doc.contact?.nombre ?? null,
+      telefono: doc.contact?.telefono ?? null,
+      email: doc.contact?.email ?? null
+    },
+    lead_time_days: doc.lead_time_days ?? null,
+    products: (doc.products || []).map(p => ({
+      productRef: p.productRef ? String(p.productRef) : null,
+      supplier_code: p.supplier_code ?? null,
+      last_cost: p.last_cost ?? null
+    })),
+    notes: doc.notes ?? null,
+    created_at: doc.created_at || doc.createdAt || null,
+    updated_at: doc.updated_at || doc.updatedAt || null
+  };
+};
+
+const validateCuit = (cuit) => {
+  const digits = cuit ? String(cuit).replace(/\D/g, '') : null;
+  if (digits && !isValidCuit(digits)) throw new Error('CUIT inválido');
+  return digits || null;
+};
+
+const parseLeadTime = (v) => {
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < 0) throw new Error('Demora de entrega inválida');
+  return n;
+};
+
+/**
+ * resolveProducts(list)
+ * [{ productId, supplier_code?, last_cost? }] -> subdocumentos con productRef.
+ * Acepta ids mongo o legacy; se guarda siempre el _id del producto.
+ */
+const resolveProducts = async (list = []) => {
+  if (!Array.isArray(list)) throw new Error('Lista de productos inválida');
+  const ids = list.map(p => p.productId ?? p.productRef ?? p.id);
+  const found = await productosService.obtenerProductosPorIds(ids);
+
+  const out = [];
+  const seen = new Set();
+  list.forEach((p, i) => {
+    const key = String(ids[i]);
+    const product = found.find(f => f.id === key || (f.oldId != null && String(f.oldId) === key));
+    if (!product) throw new Error(`Producto no encontrado (id=${ids[i]})`);
+    if (seen.has(product.id)) return;
+    seen.add(product.id);
+    if (p.last_cost != null && isNaN(Number(p.last_cost))) throw new Error(`Costo inválido (id=${ids[i]})`);
+    out.push({
+      productRef: new mongoose.Types.ObjectId(product.id),
+      supplier_code: p.supplier_code || null,
+      last_cost: p.last_cost == null ? null : Number(p.last_cost)
+    });
+  });
+  return out;
+};
+
+/* ---------- API ---------- */
+
+/**
+ * listSuppliers({ q, productId, limit=200, offset=0 })
+ */
+const listSuppliers = async ({ q, productId, limit = 200, offset = 0 } = {}) => {
+  await ensureMongoReady();
+  const filter = {};
+  if (q) {
+    const re = new RegExp(String(q).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    filter.$or = [{ nombre: re }, { cuit: re }, { 'contact.nombre': re }];
+  }
+  if (productId) {
+    const product = await productosService.obtenerProductoPorId(productId);
+    if (!product) return [];
+    filter['products.productRef'] = new mongoose.Types.ObjectId(product.id);
+  }
+
+  const docs = await SupplierModel.find(filter)
+    .sort({ nombre: 1 })
+    .skip(Number(offset) || 0)
+    .limit(Number(limit) || 200)
+    .collation({ locale: 'es', strength: 1 })
+    .lean()
+    .exec();
+
+  return docs.map(normalize);
+};
+
+const getSupplierById = async (id) => {
+  await ensureMongoReady();
+  if (!id || !isObjectId(String(id))) return null;
+  const doc = await SupplierModel.findById(String(id)).lean().exec();
+  return normalize(doc);
+};
+
+const getSuppliersByIds = async (ids = []) => {
+  await ensureMongoReady();
+  const objectIds = [...new Set(ids.filter(x => x != null).map(String))]
+    .filter(x => isObjectId(x))
+    .map(x => new mongoose.Types.ObjectId(x));
+  if (objectIds.length === 0) return [];
+  const docs = await SupplierModel.find({ _id: { $in: objectIds } }).lean().exec();
+  return docs.map(normalize);
+};
+
+/**
+ * createSupplier(payload)
+ * payload: { nombre, cuit?, contact?: { nombre, telefono, email }, lead_time_days?, products?, notes? }
+ */
+const createSupplier = async (payload = {}) => {
+  await ensureMongoReady();
+  const { nombre, cuit = null, contact = {}, lead_time_days = null, products = [], notes = null } = payload;
+  if (!nombre || String(nombre).trim() === '') throw new Error('nombre es requerido');
+
+  const doc = await SupplierModel.create({
+    nombre: String(nombre).trim(),
+    cuit: validateCuit(cuit),
+    contact: {
+      nombre: contact?.nombre || null,
+      telefono: contact?.telefono || null,
+      email: contact?.email || null
+    },
+    lead_time_days: parseLeadTime(lead_time_days),
+    products: await resolveProducts(products || []),
+    notes: notes || null
+  });
+
+  return normalize(doc.toObject());
+};
+
+/**
+ * updateSupplier(id, payload)
+ * `products` reemplaza la lista completa.
+ */
+const updateSupplier = async (id, payload = {}) => {
+  await ensureMongoReady();
+
+  const existing = isObjectId(String(id)) ? await SupplierModel.findById(String(id)).lean().exec() : null;
+  if (!existing) throw new Error('Proveedor no encontrado');
+
+  const contact = payload.hasOwnProperty('contact') ? (payload.contact || {}) : (existing.contact || {});
+  const updateDoc = {
+    nombre: payload.hasOwnProperty('nombre') ? String(payload.nombre || '').trim() : existing.nombre,
+    cuit: payload.hasOwnProperty('cuit') ? validateCuit(payload.cuit) : existing.cuit,
+    contact: {
+      nombre: contact.nombre || null,
+      telefono: contact.telefono || null,
+      email: contact.email || null
+    },
+    lead_time_days: payload.hasOwnProperty('lead_time_days') ? parseLeadTime(payload.lead_time_days) : existing.lead_time_days,
+    products: payload.hasOwnProperty('products') ? await resolveProducts(payload.products || []) : existing.products,
+    notes: payload.hasOwnProperty('notes') ? (payload.notes || null) : existing.notes,
+    updated_at: new Date()
+  };
+  if (!updateDoc.nombre) throw new Error('nombre es requerido');
+
+  await SupplierModel.updateOne({ _id: existing._id }, { $set: updateDoc }).exec();
+  const updated = await SupplierModel.findById(existing._id).lean().exec();
+  return normalize(updated);
+};
+
+/**
+ * recordSupplierCost(supplierId, productRef, cost, { session })
+ * Actualiza el último costo del producto para el proveedor (lo agrega a su lista si no estaba).
+ */
+const recordSupplierCost = async (supplierId, productRef, cost, { session = null } = {}) => {
+  await ensureMongoReady();
+  const supplierRef = new mongoose.Types.ObjectId(String(supplierId));
+  const ref = new mongoose.Types.ObjectId(String(productRef));
+
+  const res = await SupplierModel.updateOne(
+    { _id: supplierRef, 'products.productRef': ref },
+    { $set: { 'products.$.last_cost': Number(cost), updated_at: new Date() } },
+    { session }
+  ).exec();
+  if (!res.matchedCount) {
+    await SupplierModel.updateOne(
+      { _id: supplierRef },
+      { $push: { products: { productRef: ref, supplier_code: null, last_cost: Number(cost) } }, $set: { updated_at: new Date() } },
+      { session }
+    ).exec();
+  }
+};
+
+module.exports = {
+  init,
+  listSuppliers,
+  getSupplierById,
+  getSuppliersByIds,
+  createSupplier,
+  updateSupplier,
+  recordSupplierCost
+};